@@ -0,0 +1,144 @@
+const User = require('../models/User');
+const HealthData = require('../models/HealthData');
+const HealthReading = require('../models/HealthReading');
+const Device = require('../models/Device');
+const MetricDefinition = require('../models/MetricDefinition');
+const Workout = require('../models/Workout');
+const Goal = require('../models/Goal');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const CoachAccess = require('../models/CoachAccess');
+const Impersonation = require('../models/Impersonation');
+const ErasureRecord = require('../models/ErasureRecord');
+const AuditLog = require('../models/AuditLog');
+const { deleteUploadedFiles } = require('../utils/mediaStorage');
+const { deleteImports } = require('./imports');
+const { deleteExports } = require('./exports');
+const { disconnectSessions } = require('../socket/socketHandler');
+const { sendAccountDeletedEmail } = require('../mail/emails');
+const debug = require('debug')('lifefit:account-deletion');
+
+let timer = null;
+
+// Erase a user and everything they own, then record that it happened.
+// `method` is 'scheduled' for the grace-period job and 'expedited' when an admin runs it early,
+// in which case `req` is the admin's request.
+const purgeAccount = async (user, { method = 'scheduled', performedBy, req = null } = {}) => {
+  const workouts = await Workout.find({ user: user._id }).select('photos');
+  const media = await deleteUploadedFiles([
+    user.avatar,
+    ...workouts.flatMap(workout => workout.photos || [])
+  ]);
+
+  const sessionIds = await Session.revokeAllForUser(user._id, 'deleted');
+  disconnectSessions(sessionIds);
+
+  const [
+    healthData, healthReadings, devices, metricDefinitions, importJobs, exportJobs, workoutResult, goals, sessions, apiTokens
+  ] = await Promise.all([
+    HealthData.deleteMany({ user: user._id }),
+    HealthReading.deleteMany({ user: user._id }),
+    Device.deleteMany({ user: user._id }),
+    MetricDefinition.deleteMany({ user: user._id }),
+    deleteImports({ user: user._id }),
+    deleteExports({ user: user._id }),
+    Workout.deleteMany({ user: user._id }),
+    Goal.deleteMany({ user: user._id }),
+    Session.deleteMany({ user: user._id }),
+    ApiToken.deleteMany({ user: user._id })
+  ]);
+
+  // Coaching relationships in either direction and impersonations of the user go with the account
+  await CoachAccess.deleteMany({ $or: [{ client: user._id }, { coach: user._id }] });
+  const impersonations = await Impersonation.deleteMany({ target: user._id });
+
+  // The audit trail and the user's impersonations of other accounts stay, without the
+  // personal data in them
+  const auditLogs = await AuditLog.anonymizeUser(user);
+  const adminImpersonations = await Impersonation.anonymizeAdmin(user);
+
+  await User.deleteOne({ _id: user._id });
+
+  const record = await ErasureRecord.create({
+    userId: user._id,
+    emailHash: ErasureRecord.hashEmail(user.email),
+    method,
+    performedBy,
+    reason: user.deletion?.reason,
+    requestedAt: user.deletion?.requestedAt,
+    scheduledFor: user.deletion?.scheduledFor,
+    deleted: {
+      healthData: healthData.deletedCount,
+      healthReadings: healthReadings.deletedCount,
+      devices: devices.deletedCount,
+      metricDefinitions: metricDefinitions.deletedCount,
+      importJobs,
+      exportJobs,
+      workouts: workoutResult.deletedCount,
+      goals: goals.deletedCount,
+      sessions: sessions.deletedCount,
+      apiTokens: apiTokens.deletedCount,
+      impersonations: impersonations.deletedCount
+    },
+    retained: { auditLogs, impersonations: adminImpersonations },
+    media
+  });
+
+  await AuditLog.record(req, {
+    action: 'account.erase',
+    actor: performedBy || null,
+    target: user._id,
+    metadata: { method, erasureRecord: record._id }
+  });
+
+  sendAccountDeletedEmail({ name: user.name, email: user.email });
+
+  debug(`Account erased (${method}): ${user._id}`);
+  return record;
+};
+
+// Purge every account whose grace period has ended
+const processScheduledDeletions = async () => {
+  const users = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } });
+  const records = [];
+
+  for (const user of users) {
+    try {
+      records.push(await purgeAccount(user));
+    } catch (error) {
+      // Leave the account scheduled so the next run retries it
+      console.error(`❌ Failed to erase account ${user._id}: ${error.message}`);
+    }
+  }
+
+  return records;
+};
+
+// Check for due deletions periodically (hourly by default)
+const startAccountDeletionJob = () => {
+  if (timer) return timer;
+
+  const interval = parseInt(process.env.ACCOUNT_DELETION_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+
+  timer = setInterval(() => {
+    processScheduledDeletions().catch(error => {
+      debug('Scheduled deletion run failed:', error.message);
+    });
+  }, interval);
+  // The job should not keep the process alive on shutdown
+  if (timer.unref) timer.unref();
+
+  return timer;
+};
+
+const stopAccountDeletionJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  purgeAccount,
+  processScheduledDeletions,
+  startAccountDeletionJob,
+  stopAccountDeletionJob
+};
\ No newline at end of file
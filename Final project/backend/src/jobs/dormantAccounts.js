@@ -0,0 +1,103 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const { deactivateAccount } = require('../utils/accountStatus');
+const { sendDormantAccountWarningEmail } = require('../mail/emails');
+const debug = require('debug')('lifefit:dormant-accounts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+
+const getDormantAfterMonths = () => parseInt(process.env.DORMANT_AFTER_MONTHS) || 12;
+const getGraceDays = () => parseInt(process.env.DORMANT_GRACE_DAYS) || 30;
+
+// Accounts are dormancy candidates when nobody has signed in since the cutoff.
+// Admins are never deactivated automatically, and accounts already scheduled for deletion are left to that job.
+const dormantQuery = (cutoff) => ({
+  isActive: true,
+  role: { $ne: 'admin' },
+  'deletion.scheduledFor': null,
+  $or: [
+    { lastLogin: { $lt: cutoff } },
+    { lastLogin: null, createdAt: { $lt: cutoff } }
+  ]
+});
+
+// IDs of the given users who used a session (including refreshes) or a personal access token
+// since the cutoff. They count as active even without a recent sign-in.
+const findRecentlyActive = async (userIds, cutoff) => {
+  const [sessionUsers, tokenUsers] = await Promise.all([
+    Session.distinct('user', { user: { $in: userIds }, lastSeenAt: { $gte: cutoff } }),
+    ApiToken.distinct('user', { user: { $in: userIds }, lastUsedAt: { $gte: cutoff } })
+  ]);
+
+  return new Set([...sessionUsers, ...tokenUsers].map(id => id.toString()));
+};
+
+// Warn accounts that have gone quiet, then deactivate those still unused once the grace period ends.
+// Signing in clears the warning (see User#updateLastLogin), which takes the account out of the second step;
+// so does using a session or API token, which is picked up here.
+const processDormantAccounts = async (now = new Date()) => {
+  const cutoff = new Date(now);
+  cutoff.setMonth(cutoff.getMonth() - getDormantAfterMonths());
+  const graceMs = getGraceDays() * DAY_MS;
+  const loginUrl = `${process.env.APP_URL || 'http://localhost:3000'}/login`;
+
+  const candidates = await User.find(dormantQuery(cutoff));
+  const active = await findRecentlyActive(candidates.map(user => user._id), cutoff);
+  const dormant = candidates.filter(user => !active.has(user._id.toString()));
+
+  await User.updateMany(
+    { _id: { $in: [...active] }, dormancyWarnedAt: { $ne: null } },
+    { $unset: { dormancyWarnedAt: 1 } }
+  );
+
+  const toWarn = dormant.filter(user => !user.dormancyWarnedAt);
+  for (const user of toWarn) {
+    user.dormancyWarnedAt = now;
+    await user.save({ validateBeforeSave: false });
+    sendDormantAccountWarningEmail(user, new Date(now.getTime() + graceMs), loginUrl);
+  }
+
+  const warnedBefore = now.getTime() - graceMs;
+  const toDeactivate = dormant.filter(user => user.dormancyWarnedAt && user.dormancyWarnedAt.getTime() <= warnedBefore);
+  for (const user of toDeactivate) {
+    try {
+      await deactivateAccount(user, { reason: 'dormant' });
+    } catch (error) {
+      console.error(`❌ Failed to deactivate dormant account ${user._id}: ${error.message}`);
+    }
+  }
+
+  debug(`Dormant accounts: ${toWarn.length} warned, ${toDeactivate.length} deactivated`);
+  return { warned: toWarn.length, deactivated: toDeactivate.length };
+};
+
+// Check for dormant accounts periodically (daily by default)
+const startDormantAccountJob = () => {
+  if (timer) return timer;
+
+  const interval = parseInt(process.env.DORMANT_CHECK_INTERVAL_MS) || DAY_MS;
+
+  timer = setInterval(() => {
+    processDormantAccounts().catch(error => {
+      debug('Dormant account run failed:', error.message);
+    });
+  }, interval);
+  // The job should not keep the process alive on shutdown
+  if (timer.unref) timer.unref();
+
+  return timer;
+};
+
+const stopDormantAccountJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  processDormantAccounts,
+  startDormantAccountJob,
+  stopDormantAccountJob
+};
\ No newline at end of file
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const { finished } = require('stream/promises');
+const User = require('../models/User');
+const ExportJob = require('../models/ExportJob');
+const { createExportContext, writeExport, streamWriter, describeExportFile } = require('../utils/dataExport');
+const { sendToUser } = require('../socket/socketHandler');
+const { sendDataExportReadyEmail } = require('../mail/emails');
+const debug = require('debug')('lifefit:exports');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let timer = null;
+
+// Export files are stored in GridFS so any server instance can serve the download
+const getBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'exports' });
+
+// Stream a finished export's file
+const openExportFile = (job) => getBucket().openDownloadStream(job.file.id);
+
+// Write a queued export to GridFS. Runs outside any request, so the outcome is recorded
+// on the job and the user is told by socket event and email.
+const runExport = async (jobId) => {
+  const job = await ExportJob.findOneAndUpdate(
+    { _id: jobId, status: 'pending' },
+    { status: 'running', startedAt: new Date() },
+    { new: true }
+  );
+  if (!job) return null;
+
+  let user;
+  try {
+    user = await User.findById(job.user);
+    if (!user) throw new Error('User not found');
+
+    const { fileName, contentType } = describeExportFile(job);
+    const context = await createExportContext(user, job.options);
+    const upload = getBucket().openUploadStream(fileName, { metadata: { user: job.user, exportJob: job._id } });
+
+    try {
+      job.records = await writeExport(context, job, streamWriter(upload));
+      upload.end();
+      await finished(upload);
+    } catch (error) {
+      await upload.abort().catch(() => {});
+      throw error;
+    }
+
+    job.file = { id: upload.id, name: fileName, contentType, size: upload.length };
+    job.status = 'completed';
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.completedAt = new Date();
+  job.expiresAt = ExportJob.downloadExpiry();
+  await job.save();
+
+  sendToUser(job.user.toString(), `export:${job.status}`, {
+    id: job._id,
+    format: job.format,
+    records: job.records,
+    error: job.error
+  });
+
+  if (job.status === 'completed') {
+    sendDataExportReadyEmail(user, job, process.env.APP_URL || 'http://localhost:3000');
+  }
+
+  debug(`Export ${job._id} ${job.status}: ${JSON.stringify(job.records)}`);
+  return job;
+};
+
+// Run an export after the response has been sent
+const queueExport = (job) => {
+  setImmediate(() => {
+    runExport(job._id).catch(error => {
+      debug(`Export ${job._id} failed:`, error.message);
+    });
+  });
+};
+
+// Remove export jobs and their files. Resolves to the number of jobs removed.
+const deleteExports = async (filter) => {
+  const jobs = await ExportJob.find(filter).select('file');
+  const bucket = getBucket();
+
+  for (const job of jobs.filter(job => job.file?.id)) {
+    await bucket.delete(job.file.id).catch(error => {
+      debug(`Export file ${job.file.id} could not be deleted:`, error.message);
+    });
+  }
+
+  const { deletedCount } = await ExportJob.deleteMany({ _id: { $in: jobs.map(job => job._id) } });
+  return deletedCount;
+};
+
+const removeExpiredExports = async (now = new Date()) => {
+  const removed = await deleteExports({ expiresAt: { $lte: now } });
+  if (removed > 0) debug(`Removed ${removed} expired exports`);
+  return removed;
+};
+
+// Pick up exports cut off by a restart. Writing an export has no side effects, so
+// interrupted ones simply start again.
+const resumeExportJobs = async () => {
+  await ExportJob.updateMany({ status: 'running' }, { status: 'pending' });
+
+  const jobs = await ExportJob.find({ status: 'pending' }).select('_id');
+  jobs.forEach(queueExport);
+
+  return jobs.length;
+};
+
+// Remove expired exports periodically (hourly by default)
+const startExportCleanupJob = () => {
+  if (timer) return timer;
+
+  const interval = parseInt(process.env.EXPORT_CLEANUP_INTERVAL_MS) || HOUR_MS;
+
+  timer = setInterval(() => {
+    removeExpiredExports().catch(error => {
+      debug('Export cleanup failed:', error.message);
+    });
+  }, interval);
+  // The job should not keep the process alive on shutdown
+  if (timer.unref) timer.unref();
+
+  return timer;
+};
+
+const stopExportCleanupJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  openExportFile,
+  runExport,
+  queueExport,
+  deleteExports,
+  removeExpiredExports,
+  resumeExportJobs,
+  startExportCleanupJob,
+  stopExportCleanupJob
+};
\ No newline at end of file
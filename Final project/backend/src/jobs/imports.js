@@ -0,0 +1,325 @@
+const fs = require('fs');
+const User = require('../models/User');
+const HealthData = require('../models/HealthData');
+const Workout = require('../models/Workout');
+const ImportJob = require('../models/ImportJob');
+const ImportChange = require('../models/ImportChange');
+const { upsertHealthEntries } = require('../utils/healthEntries');
+const { readDeviceExport } = require('../utils/deviceImports');
+const { getTimezone } = require('../utils/dates');
+const { getUnitPreferences } = require('../utils/units');
+const { sendToUser } = require('../socket/socketHandler');
+const debug = require('debug')('lifefit:imports');
+
+// Days are written this many at a time, reporting progress in between
+const BATCH_SIZE = 100;
+// Progress is saved and sent at most this often
+const PROGRESS_INTERVAL_MS = 1000;
+// Failures and warnings kept on a job; the counts in its results stay exact
+const MAX_FAILURES = 100;
+// A device workout starting this close to one the user already has is the same workout
+const WORKOUT_MATCH_MS = 5 * 60 * 1000;
+
+// Save and send an import's progress, skipping updates that come too soon after the last.
+// A progress write that fails is only logged: it must not fail the import or go unhandled.
+// Returns report(stage, percentage, force).
+const progressReporter = (job) => {
+  let lastReport = 0;
+
+  return async (stage, percentage, force = false) => {
+    if (!force && Date.now() - lastReport < PROGRESS_INTERVAL_MS) return;
+    lastReport = Date.now();
+
+    job.progress = { stage, percentage: Math.min(100, Math.round(percentage)) };
+    try {
+      await ImportJob.updateOne({ _id: job._id }, { progress: job.progress });
+    } catch (error) {
+      debug(`Import ${job._id} progress not saved:`, error.message);
+    }
+    sendToUser(job.user.toString(), 'import:progress', { id: job._id, progress: job.progress });
+  };
+};
+
+// Delete an import's uploaded file once it has been read
+const removeUpload = async (job) => {
+  if (!job.filePath) return;
+
+  await fs.promises.unlink(job.filePath).catch(error => {
+    if (error.code !== 'ENOENT') debug(`Import ${job._id} upload not removed:`, error.message);
+  });
+  job.filePath = undefined;
+};
+
+// Keep what an import's writes replaced, so it can be undone
+const recordChanges = (job, changes) => ImportChange.insertMany(
+  changes.map(change => ({ ...change, job: job._id })),
+  { lean: true }
+);
+
+// Write an import's validated entries: a committed CSV's rows are upserted by date like
+// POST /health-data/bulk, a FHIR bundle's days merged by the import's conflict rule
+const importEntries = async (job, user) => {
+  const { created, updated, skipped = 0, errors, changes } = await upsertHealthEntries(
+    user,
+    job.entries.map(entry => entry.data),
+    { trackChanges: true, conflicts: job.options?.conflicts }
+  );
+
+  job.results = { created, updated, skipped, failed: errors.length };
+  job.failures = errors.map(({ index, error }) => {
+    const { row, data } = job.entries[index];
+    return row != null ? { row, error } : { error: `${data.date}: ${error}` };
+  });
+  job.entries = [];
+  await recordChanges(job, changes);
+};
+
+// Workouts not already logged: the user's workouts starting within a few minutes of an
+// imported one are taken to be the same session, so importing twice adds nothing
+const newWorkouts = async (userId, workouts) => {
+  if (workouts.length === 0) return [];
+
+  const times = workouts.map(workout => workout.startTime.getTime());
+  const existing = await Workout.find({
+    user: userId,
+    startTime: {
+      $gte: new Date(Math.min(...times) - WORKOUT_MATCH_MS),
+      $lte: new Date(Math.max(...times) + WORKOUT_MATCH_MS)
+    }
+  }).select('startTime').lean();
+
+  return workouts.filter(workout => !existing.some(({ startTime }) =>
+    Math.abs(startTime - workout.startTime) <= WORKOUT_MATCH_MS));
+};
+
+// Read a device export (Apple Health, Fitbit, Google Fit) and write its days and workouts.
+// Days the user already has are merged by the import's conflict rule; workouts they
+// already have are left alone.
+const importDeviceExport = async (job, user, report) => {
+  const { fields, conflicts = 'keep-manual', weightUnit } = job.options || {};
+
+  const { entries, workouts, records, issues } = await readDeviceExport(job.source, job.filePath, {
+    timezone: getTimezone(user),
+    syncedAt: job.startedAt,
+    weightUnit: weightUnit || getUnitPreferences(user).weight,
+    fields,
+    onProgress: (bytesRead, totalBytes) => report('reading', totalBytes ? (bytesRead / totalBytes) * 80 : 0)
+  });
+
+  debug(`Import ${job._id} read ${records} records: ${entries.length} days, ${workouts.length} workouts`);
+
+  job.totalRows = entries.length + workouts.length;
+  job.results = { created: 0, updated: 0, skipped: 0, failed: 0, workouts: 0, workoutsSkipped: 0 };
+  job.failures = [];
+  job.workouts = [];
+  job.warnings = issues.slice(0, MAX_FAILURES);
+
+  for (let start = 0; start < entries.length; start += BATCH_SIZE) {
+    const batch = entries.slice(start, start + BATCH_SIZE);
+    const { created, updated, skipped, errors, changes } = await upsertHealthEntries(user, batch, {
+      trackChanges: true,
+      conflicts
+    });
+
+    job.results.created += created;
+    job.results.updated += updated;
+    job.results.skipped += skipped;
+    job.results.failed += errors.length;
+    await recordChanges(job, changes);
+    errors.forEach(({ index, error }) => {
+      if (job.failures.length < MAX_FAILURES) {
+        job.failures.push({ error: `${batch[index].date}: ${error}` });
+      }
+    });
+
+    await report('saving', 80 + ((start + batch.length) / entries.length) * 15);
+  }
+
+  const toCreate = await newWorkouts(user._id, workouts);
+  job.results.workoutsSkipped = workouts.length - toCreate.length;
+
+  for (let i = 0; i < toCreate.length; i++) {
+    try {
+      const created = await Workout.create({ ...toCreate[i], user: user._id });
+      job.workouts.push(created._id);
+      job.results.workouts++;
+    } catch (error) {
+      job.results.failed++;
+      if (job.failures.length < MAX_FAILURES) {
+        job.failures.push({ error: `Workout ${toCreate[i].startTime.toISOString()}: ${error.message}` });
+      }
+    }
+
+    await report('saving', 95 + ((i + 1) / toCreate.length) * 5);
+  }
+};
+
+// Run a pending import. Runs outside any request, so the outcome is recorded on the job.
+const runImport = async (jobId) => {
+  const job = await ImportJob.findOneAndUpdate(
+    { _id: jobId, status: 'pending' },
+    { status: 'running', startedAt: new Date(), progress: { stage: 'starting', percentage: 0 } },
+    { new: true }
+  ).select('+entries +filePath');
+  if (!job) return null;
+
+  const report = progressReporter(job);
+
+  try {
+    const user = await User.findById(job.user);
+    if (!user) throw new Error('User not found');
+
+    if (['csv', 'fhir'].includes(job.source)) {
+      await importEntries(job, user);
+    } else {
+      await importDeviceExport(job, user, report);
+    }
+
+    job.status = 'completed';
+    job.progress = { stage: 'done', percentage: 100 };
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  await removeUpload(job);
+
+  job.completedAt = new Date();
+  try {
+    await job.save();
+  } catch (error) {
+    // The entries are written and their changes kept, so the import can still be undone
+    debug(`Import ${job._id} results not saved:`, error.message);
+    job.status = 'failed';
+    job.error = `Import results could not be saved: ${error.message}`;
+    await ImportJob.updateOne({ _id: job._id }, {
+      $set: { status: job.status, error: job.error, workouts: job.workouts, completedAt: job.completedAt },
+      $unset: { entries: 1, filePath: 1 }
+    });
+  }
+
+  sendToUser(job.user.toString(), `import:${job.status}`, {
+    id: job._id,
+    source: job.source,
+    results: job.results,
+    error: job.error
+  });
+
+  debug(`Import ${job._id} ${job.status}: ${JSON.stringify(job.results)}`);
+  return job;
+};
+
+// Put one entry an import wrote back the way it was. Resolves to 'restored', 'deleted',
+// 'skipped' when the entry changed since the import, or null when it is already gone.
+const undoChange = async (change) => {
+  // Imports from before changes were stamped cannot tell, so they are undone regardless
+  const filter = change.updatedAt
+    ? { _id: change.entry, updatedAt: change.updatedAt }
+    : { _id: change.entry };
+
+  const result = change.previous
+    ? await HealthData.replaceOne(filter, change.previous)
+    : await HealthData.deleteOne(filter);
+
+  if (change.previous ? result.matchedCount : result.deletedCount) {
+    if (!change.previous) return 'deleted';
+    return result.modifiedCount ? 'restored' : null;
+  }
+  return await HealthData.exists({ _id: change.entry }) ? 'skipped' : null;
+};
+
+// Put every entry an import wrote back the way it was: created entries and workouts are
+// deleted and updated entries restored. Entries deleted since the import stay deleted, and
+// entries changed since (by the user, a sync or another import) are left as they are and
+// listed in the job's undoSkipped.
+const undoImport = async (jobId) => {
+  const job = await ImportJob.findOne({ _id: jobId, status: 'undoing' }).select('+changes +workouts');
+  if (!job) return null;
+
+  let deleted = 0;
+  let restored = 0;
+  const skipped = [];
+
+  const undo = async (change) => {
+    const outcome = await undoChange(change);
+    if (outcome === 'deleted') deleted++;
+    else if (outcome === 'restored') restored++;
+    else if (outcome === 'skipped') skipped.push(change.entry);
+  };
+
+  // Imports from before changes were kept apart hold them on the job
+  for (const change of job.changes) {
+    await undo(change);
+  }
+  for await (const change of ImportChange.find({ job: job._id }).lean()) {
+    await undo(change);
+  }
+
+  if (job.workouts.length > 0) {
+    const result = await Workout.deleteMany({ _id: { $in: job.workouts }, user: job.user });
+    deleted += result.deletedCount;
+  }
+
+  await ImportChange.deleteMany({ job: job._id });
+
+  job.changes = [];
+  job.workouts = [];
+  job.undoSkipped = skipped;
+  job.status = 'undone';
+  job.undoneAt = new Date();
+  await job.save();
+
+  sendToUser(job.user.toString(), 'import:undone', { id: job._id, deleted, restored, skipped: skipped.length });
+
+  debug(`Import ${job._id} undone: ${deleted} deleted, ${restored} restored, ${skipped.length} skipped`);
+  return job;
+};
+
+// Run an import or undo after the response has been sent
+const queueImport = (job) => {
+  const run = job.status === 'undoing' ? undoImport : runImport;
+
+  setImmediate(() => {
+    run(job._id).catch(error => {
+      debug(`Import ${job._id} failed:`, error.message);
+    });
+  });
+};
+
+// Pick up imports cut off by a restart. Queued imports and undos start again; an import
+// that was part-way through is marked failed; the days it wrote can still be undone.
+const resumeImportJobs = async () => {
+  const interrupted = await ImportJob.find({ status: 'running' }).select('+filePath');
+  await Promise.all(interrupted.map(removeUpload));
+
+  await ImportJob.updateMany(
+    { status: 'running' },
+    { status: 'failed', error: 'Interrupted by a server restart', completedAt: new Date() }
+  );
+
+  const jobs = await ImportJob.find({ status: { $in: ['pending', 'undoing'] } }).select('status');
+  jobs.forEach(queueImport);
+
+  return jobs.length;
+};
+
+// Delete imports matching `filter` along with any uploads they have not read yet.
+// Resolves to the number of imports deleted.
+const deleteImports = async (filter) => {
+  const jobs = await ImportJob.find(filter).select('+filePath');
+  await Promise.all(jobs.map(removeUpload));
+
+  const ids = jobs.map(job => job._id);
+  await ImportChange.deleteMany({ job: { $in: ids } });
+
+  const { deletedCount } = await ImportJob.deleteMany({ _id: { $in: ids } });
+  return deletedCount;
+};
+
+module.exports = {
+  runImport,
+  undoImport,
+  queueImport,
+  resumeImportJobs,
+  deleteImports
+};
\ No newline at end of file
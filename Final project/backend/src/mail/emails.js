@@ -0,0 +1,76 @@
+const templates = require('./templates');
+const { enqueue } = require('./mailQueue');
+
+// Render a template and queue it for delivery to the user
+const sendTemplate = (user, templateName, data = {}) => {
+  const { subject, text, html } = templates[templateName]({ user, ...data });
+
+  return enqueue({
+    to: user.email,
+    subject,
+    text,
+    html
+  });
+};
+
+const sendPasswordResetEmail = (user, resetUrl) => {
+  const expiresInMinutes = Math.max(1, Math.round((user.passwordResetExpires - Date.now()) / (1000 * 60)));
+  return sendTemplate(user, 'passwordReset', { resetUrl, expiresInMinutes });
+};
+
+const sendVerificationEmail = (user, verifyUrl) => {
+  const expiresInHours = Math.max(1, Math.round((user.emailVerificationExpires - Date.now()) / (1000 * 60 * 60)));
+  return sendTemplate(user, 'emailVerification', { verifyUrl, expiresInHours });
+};
+
+const sendAccountLockedEmail = (user, unlockUrl) => {
+  return sendTemplate(user, 'accountLocked', { unlockUrl, lockedUntil: user.lockUntil });
+};
+
+const sendAccountDeletionScheduledEmail = (user) => {
+  return sendTemplate(user, 'accountDeletionScheduled', { scheduledFor: user.deletion.scheduledFor });
+};
+
+const sendAccountDeletedEmail = (user) => {
+  return sendTemplate(user, 'accountDeleted');
+};
+
+const sendAccountReactivationEmail = (user, reactivateUrl) => {
+  const expiresInHours = Math.max(1, Math.round((user.reactivationExpires - Date.now()) / (1000 * 60 * 60)));
+  return sendTemplate(user, 'accountReactivation', { reactivateUrl, expiresInHours });
+};
+
+const sendDormantAccountWarningEmail = (user, deactivateOn, loginUrl) => {
+  return sendTemplate(user, 'dormantAccountWarning', { deactivateOn, loginUrl });
+};
+
+const sendCoachInvitationEmail = (coach, client, coachAccess, invitationUrl) => {
+  return sendTemplate(coach, 'coachInvitation', { client, scopes: coachAccess.scopes, invitationUrl });
+};
+
+const sendWeeklyReport = (user, report) => {
+  return sendTemplate(user, 'weeklyReport', { report });
+};
+
+const sendGoalReminder = (user, goal) => {
+  return sendTemplate(user, 'goalReminder', { goal });
+};
+
+const sendDataExportReadyEmail = (user, exportJob, appUrl) => {
+  return sendTemplate(user, 'dataExportReady', { appUrl, expiresAt: exportJob.expiresAt });
+};
+
+module.exports = {
+  sendTemplate,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+  sendAccountDeletionScheduledEmail,
+  sendAccountDeletedEmail,
+  sendAccountReactivationEmail,
+  sendDormantAccountWarningEmail,
+  sendCoachInvitationEmail,
+  sendWeeklyReport,
+  sendGoalReminder,
+  sendDataExportReadyEmail
+};
\ No newline at end of file
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const { sendMail } = require('./mailer');
+const debug = require('debug')('lifefit:mail-queue');
+
+// Jobs waiting for delivery or a retry, keyed by job ID
+const pendingJobs = new Map();
+
+const stats = {
+  sent: 0,
+  failed: 0,
+  retried: 0
+};
+
+const getMaxAttempts = () => parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 3;
+const getRetryDelay = () => parseInt(process.env.EMAIL_RETRY_DELAY_MS) || 1000;
+
+// Try to deliver a job, scheduling a retry with exponential backoff on failure
+const attemptDelivery = async (job) => {
+  job.attempts++;
+
+  try {
+    const info = await sendMail(job.message);
+
+    pendingJobs.delete(job.id);
+    stats.sent++;
+    debug(`Mail job ${job.id} delivered after ${job.attempts} attempt(s)`);
+    job.resolve(info);
+  } catch (error) {
+    job.lastError = error.message;
+
+    if (job.attempts >= job.maxAttempts) {
+      pendingJobs.delete(job.id);
+      stats.failed++;
+      debug(`Mail job ${job.id} to ${job.message.to} failed permanently:`, error.message);
+      console.error(`❌ Email to ${job.message.to} failed after ${job.attempts} attempts: ${error.message}`);
+      job.reject(error);
+      return;
+    }
+
+    const delay = getRetryDelay() * Math.pow(2, job.attempts - 1);
+    stats.retried++;
+    debug(`Mail job ${job.id} failed (attempt ${job.attempts}), retrying in ${delay}ms:`, error.message);
+
+    job.nextAttemptAt = new Date(Date.now() + delay);
+    const timer = setTimeout(() => attemptDelivery(job), delay);
+    // Pending retries should not keep the process alive on shutdown
+    if (timer.unref) timer.unref();
+  }
+};
+
+// Queue a message for delivery. The first attempt starts immediately.
+// Resolves with the transport info once delivered; rejects after the final failed attempt.
+const enqueue = (message, options = {}) => {
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    message,
+    attempts: 0,
+    maxAttempts: options.maxAttempts || getMaxAttempts(),
+    queuedAt: new Date()
+  };
+
+  job.promise = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+
+  // Callers usually fire and forget, so failures are reported by the queue itself
+  job.promise.catch(() => {});
+
+  pendingJobs.set(job.id, job);
+  attemptDelivery(job);
+
+  return job.promise;
+};
+
+// Queue statistics for monitoring
+const getQueueStats = () => ({
+  ...stats,
+  pending: pendingJobs.size
+});
+
+module.exports = {
+  enqueue,
+  getQueueStats
+};
\ No newline at end of file
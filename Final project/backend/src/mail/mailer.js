@@ -0,0 +1,132 @@
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const debug = require('debug')('lifefit:mailer');
+
+// Active nodemailer transport, created lazily from the environment
+let transporter = null;
+
+// Folder where the 'outbox' transport stores sent mail for inspection
+const getOutboxDir = () => {
+  return path.resolve(process.env.EMAIL_OUTBOX_DIR || 'outbox');
+};
+
+// Build a transport from EMAIL_TRANSPORT: 'smtp' (default), 'json', 'stream' or 'outbox'.
+// None but SMTP open a connection, so development and tests can run offline.
+const createTransport = () => {
+  switch (process.env.EMAIL_TRANSPORT) {
+    case 'json':
+    case 'outbox':
+      return nodemailer.createTransport({ jsonTransport: true });
+    case 'stream':
+      return nodemailer.createTransport({
+        streamTransport: true,
+        buffer: true,
+        newline: 'unix'
+      });
+    default: {
+      const port = parseInt(process.env.EMAIL_PORT) || 587;
+
+      return nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port,
+        secure: port === 465,
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS
+        }
+      });
+    }
+  }
+};
+
+const getTransport = () => {
+  if (!transporter) {
+    transporter = createTransport();
+  }
+  return transporter;
+};
+
+// Replace the transport, e.g. with a JSON transport in tests. Pass null to rebuild from the environment.
+const setTransport = (transport) => {
+  transporter = transport;
+};
+
+// Write a sent message to the outbox folder as JSON
+const saveToOutbox = async (message, info) => {
+  const outboxDir = getOutboxDir();
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+  await fs.mkdir(outboxDir, { recursive: true });
+  await fs.writeFile(
+    path.join(outboxDir, `${id}.json`),
+    JSON.stringify({ id, messageId: info.messageId, sentAt: new Date().toISOString(), ...message }, null, 2)
+  );
+
+  return id;
+};
+
+// Send a message from the configured sender address
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.EMAIL_FROM || 'noreply@lifefit.com',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  const info = await getTransport().sendMail(message);
+
+  if (process.env.EMAIL_TRANSPORT === 'outbox') {
+    info.outboxId = await saveToOutbox(message, info);
+  }
+
+  debug(`Mail sent to ${to}: ${subject}`);
+  return info;
+};
+
+// List messages in the outbox folder, newest first
+const listOutbox = async (limit = 50) => {
+  let files;
+  try {
+    files = await fs.readdir(getOutboxDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const ids = files
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.slice(0, -'.json'.length))
+    .sort()
+    .reverse()
+    .slice(0, limit);
+
+  return Promise.all(ids.map(async id => {
+    const { to, subject, sentAt } = await readOutboxMessage(id);
+    return { id, to, subject, sentAt };
+  }));
+};
+
+// Read a single outbox message, or null when it does not exist
+const readOutboxMessage = async (id) => {
+  if (!/^[\w.-]+$/.test(id)) return null;
+
+  try {
+    const content = await fs.readFile(path.join(getOutboxDir(), `${id}.json`), 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport,
+  listOutbox,
+  readOutboxMessage
+};
\ No newline at end of file
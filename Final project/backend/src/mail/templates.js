@@ -0,0 +1,265 @@
+// Transactional email templates. Each template takes the data it needs and
+// returns { subject, text, html } ready to hand to the mailer.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Shared HTML wrapper so every message has the same look
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,sans-serif;color:#111827;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:12px;padding:32px;">
+      <h1 style="margin-top:0;font-size:22px;color:#2563eb;">LifeFit</h1>
+      ${body}
+      <p style="margin-top:32px;font-size:12px;color:#6b7280;">You are receiving this email because you have a LifeFit account.</p>
+    </div>
+  </body>
+</html>`;
+
+const button = (url, label) => `<p><a href="${escapeHtml(url)}" style="display:inline-block;padding:12px 20px;background:#2563eb;color:#ffffff;border-radius:8px;text-decoration:none;">${escapeHtml(label)}</a></p>
+      <p style="font-size:12px;color:#6b7280;">Or copy this link into your browser: ${escapeHtml(url)}</p>`;
+
+const formatNumber = (value, digits = 0) => {
+  if (value == null) return '-';
+  return Number(value).toLocaleString('en-US', { maximumFractionDigits: digits });
+};
+
+// Password reset link
+const passwordReset = ({ user, resetUrl, expiresInMinutes = 10 }) => ({
+  subject: 'Reset your LifeFit password',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'We received a request to reset your password. Use the link below to choose a new one:',
+    '',
+    resetUrl,
+    '',
+    `The link expires in ${expiresInMinutes} minutes. If you did not ask for a reset, you can ignore this email.`
+  ].join('\n'),
+  html: layout('Reset your password', `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>We received a request to reset your password. Use the button below to choose a new one.</p>
+      ${button(resetUrl, 'Reset password')}
+      <p>The link expires in ${expiresInMinutes} minutes. If you did not ask for a reset, you can ignore this email.</p>`)
+});
+
+// Email address verification link
+const emailVerification = ({ user, verifyUrl, expiresInHours = 24 }) => ({
+  subject: 'Verify your LifeFit email address',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Please verify your email address by opening the link below:',
+    '',
+    verifyUrl,
+    '',
+    `The link expires in ${expiresInHours} hours.`
+  ].join('\n'),
+  html: layout('Verify your email address', `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>Please verify your email address by opening the link below.</p>
+      ${button(verifyUrl, 'Verify email')}
+      <p>The link expires in ${expiresInHours} hours.</p>`)
+});
+
+// Account locked after repeated failed logins, with a link to unlock it
+const accountLocked = ({ user, unlockUrl, lockedUntil }) => ({
+  subject: 'Your LifeFit account has been locked',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'We locked your account after several failed sign-in attempts.',
+    `It will unlock automatically at ${lockedUntil.toUTCString()}.`,
+    '',
+    'If this was you, unlock it now with the link below:',
+    '',
+    unlockUrl,
+    '',
+    'If it was not you, consider changing your password once you are signed in.'
+  ].join('\n'),
+  html: layout('Your account has been locked', `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>We locked your account after several failed sign-in attempts. It will unlock automatically at ${escapeHtml(lockedUntil.toUTCString())}.</p>
+      <p>If this was you, unlock it now:</p>
+      ${button(unlockUrl, 'Unlock account')}
+      <p>If it was not you, consider changing your password once you are signed in.</p>`)
+});
+
+// Account deletion requested, with the date it takes effect
+const accountDeletionScheduled = ({ user, scheduledFor }) => ({
+  subject: 'Your LifeFit account is scheduled for deletion',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'We received your request to delete your account.',
+    `On ${scheduledFor.toUTCString()} your account, health data, workouts, goals and uploaded photos will be permanently erased.`,
+    '',
+    'Changed your mind? Sign in and cancel the deletion from your account settings before then.'
+  ].join('\n'),
+  html: layout('Your account is scheduled for deletion', `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>We received your request to delete your account. On <strong>${escapeHtml(scheduledFor.toUTCString())}</strong> your account, health data, workouts, goals and uploaded photos will be permanently erased.</p>
+      <p>Changed your mind? Sign in and cancel the deletion from your account settings before then.</p>`)
+});
+
+// Confirmation that an account and its data were erased
+const accountDeleted = ({ user }) => ({
+  subject: 'Your LifeFit account has been deleted',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Your account and all of its data have been permanently deleted. We are sorry to see you go.'
+  ].join('\n'),
+  html: layout('Your account has been deleted', `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>Your account and all of its data have been permanently deleted. We are sorry to see you go.</p>`)
+});
+
+// Link to reactivate a deactivated account
+const accountReactivation = ({ user, reactivateUrl, expiresInHours = 24 }) => ({
+  subject: 'Reactivate your LifeFit account',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'We received a request to reactivate your account. Open the link below to restore it:',
+    '',
+    reactivateUrl,
+    '',
+    `The link expires in ${expiresInHours} hours. If you did not ask for this, you can ignore this email.`
+  ].join('\n'),
+  html: layout('Reactivate your account', `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>We received a request to reactivate your account. Use the button below to restore it.</p>
+      ${button(reactivateUrl, 'Reactivate account')}
+      <p>The link expires in ${expiresInHours} hours. If you did not ask for this, you can ignore this email.</p>`)
+});
+
+// Warning that an inactive account is about to be deactivated
+const dormantAccountWarning = ({ user, deactivateOn, loginUrl }) => ({
+  subject: 'Your LifeFit account will be deactivated soon',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'You have not signed in to LifeFit for a long time.',
+    `If you do not sign in before ${deactivateOn.toUTCString()}, we will deactivate your account.`,
+    '',
+    'Signing in once keeps it active:',
+    '',
+    loginUrl
+  ].join('\n'),
+  html: layout('Your account will be deactivated soon', `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>You have not signed in to LifeFit for a long time. If you do not sign in before <strong>${escapeHtml(deactivateOn.toUTCString())}</strong>, we will deactivate your account.</p>
+      <p>Signing in once keeps it active:</p>
+      ${button(loginUrl, 'Sign in')}`)
+});
+
+// Invitation for a coach to access a client's data
+const coachInvitation = ({ user, client, scopes, invitationUrl }) => ({
+  subject: `${client.name} invited you to be their LifeFit coach`,
+  text: [
+    `Hi ${user.name},`,
+    '',
+    `${client.name} invited you to coach them on LifeFit with this access: ${scopes.join(', ')}.`,
+    '',
+    'Accept or decline the invitation from your client list:',
+    '',
+    invitationUrl
+  ].join('\n'),
+  html: layout('Coaching invitation', `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>${escapeHtml(client.name)} invited you to coach them on LifeFit with this access: ${escapeHtml(scopes.join(', '))}.</p>
+      ${button(invitationUrl, 'View invitation')}`)
+});
+
+// Weekly summary of health data, workouts and goals
+const weeklyReport = ({ user, report }) => {
+  const rows = [
+    ['Days tracked', formatNumber(report.daysTracked)],
+    ['Average steps', formatNumber(report.avgSteps)],
+    ['Average sleep (hours)', formatNumber(report.avgSleep, 1)],
+    ['Workouts completed', formatNumber(report.workoutsCompleted)],
+    ['Calories burned in workouts', formatNumber(report.caloriesBurned)],
+    ['Goals completed', formatNumber(report.goalsCompleted)]
+  ];
+
+  return {
+    subject: 'Your LifeFit weekly report',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Here is how your week went:',
+      '',
+      ...rows.map(([label, value]) => `${label}: ${value}`),
+      '',
+      'Keep it up!'
+    ].join('\n'),
+    html: layout('Your weekly report', `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>Here is how your week went:</p>
+      <table style="width:100%;border-collapse:collapse;">
+        ${rows.map(([label, value]) => `<tr><td style="padding:6px 0;border-bottom:1px solid #e5e7eb;">${escapeHtml(label)}</td><td style="padding:6px 0;border-bottom:1px solid #e5e7eb;text-align:right;font-weight:bold;">${escapeHtml(value)}</td></tr>`).join('\n        ')}
+      </table>
+      <p>Keep it up!</p>`)
+  };
+};
+
+// Reminder for an active goal
+const goalReminder = ({ user, goal }) => {
+  const message = goal.reminders?.message || `Don't forget to work on your goal "${goal.title}" today.`;
+  const progress = `${formatNumber(goal.progress?.percentage)}%`;
+
+  return {
+    subject: `Reminder: ${goal.title}`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      message,
+      '',
+      `Current progress: ${progress}`,
+      ...(goal.daysRemaining != null ? [`Days remaining: ${goal.daysRemaining}`] : [])
+    ].join('\n'),
+    html: layout(`Reminder: ${goal.title}`, `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>${escapeHtml(message)}</p>
+      <p>Current progress: <strong>${escapeHtml(progress)}</strong></p>
+      ${goal.daysRemaining != null ? `<p>Days remaining: <strong>${goal.daysRemaining}</strong></p>` : ''}`)
+  };
+};
+
+// An export prepared in the background is ready to download
+const dataExportReady = ({ user, appUrl, expiresAt }) => ({
+  subject: 'Your LifeFit data export is ready',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'The export of your LifeFit data you asked for is ready.',
+    `Sign in and download it from your account settings before ${expiresAt.toUTCString()}: ${appUrl}`
+  ].join('\n'),
+  html: layout('Your data export is ready', `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>The export of your LifeFit data you asked for is ready. Sign in and download it from your account settings before <strong>${escapeHtml(expiresAt.toUTCString())}</strong>.</p>
+      ${button(appUrl, 'Open LifeFit')}`)
+});
+
+module.exports = {
+  passwordReset,
+  emailVerification,
+  accountLocked,
+  accountDeletionScheduled,
+  accountDeleted,
+  accountReactivation,
+  dormantAccountWarning,
+  coachInvitation,
+  weeklyReport,
+  goalReminder,
+  dataExportReady
+};
\ No newline at end of file
@@ -1,5 +1,10 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const CoachAccess = require('../models/CoachAccess');
+const AuditLog = require('../models/AuditLog');
+const Impersonation = require('../models/Impersonation');
 const debug = require('debug')('lifefit:auth');
 
 // Protect routes - require authentication
@@ -15,6 +20,7 @@ const protect = async (req, res, next) => {
     // Check for token in cookies (if using cookie-based auth)
     if (!token && req.cookies && req.cookies.token) {
       token = req.cookies.token;
+      req.authSource = 'cookie';
     }
 
     if (!token) {
@@ -24,6 +30,20 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Personal access tokens are looked up by hash instead of being verified as JWTs.
+    // They are only accepted in the Authorization header: a cookie could carry one past
+    // denyApiTokens, which cannot tell it from a session cookie before it is verified.
+    if (ApiToken.isApiToken(token)) {
+      if (req.authSource === 'cookie') {
+        return res.status(401).json({
+          success: false,
+          error: 'API tokens must be sent in the Authorization header'
+        });
+      }
+
+      return authenticateApiToken(token, req, res, next);
+    }
+
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
@@ -45,6 +65,27 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Impersonation tokens die with their admin session and are read-only unless elevated
+      if (decoded.impersonatedBy) {
+        const denied = await checkImpersonation(decoded, req, res);
+        if (denied) return denied;
+      }
+
+      // Tokens bound to a session die with it (logout, password change, reuse detection)
+      if (decoded.sid) {
+        const session = await Session.findById(decoded.sid);
+
+        if (!session || !session.isActive) {
+          return res.status(401).json({
+            success: false,
+            error: 'Session has been revoked'
+          });
+        }
+
+        await session.touch(req.ip);
+        req.sessionId = session._id;
+      }
+
       req.user = user;
       next();
     } catch (error) {
@@ -63,6 +104,126 @@ const protect = async (req, res, next) => {
   }
 };
 
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Account, security and admin endpoints stay read-only even in an elevated impersonation
+const IMPERSONATION_READ_ONLY_ROUTES = ['/auth', '/users', '/coaching'];
+
+// Check an impersonation token against its session, flag the response and block writes.
+// Returns the error response when the request is refused, otherwise null.
+const checkImpersonation = async (decoded, req, res) => {
+  const impersonation = await Impersonation.findById(decoded.imp);
+
+  if (!impersonation || !impersonation.isActive || impersonation.target.toString() !== decoded.id) {
+    return res.status(401).json({
+      success: false,
+      error: 'Impersonation session has ended'
+    });
+  }
+
+  // The admin must still be an active admin, signed in to the session that started it
+  const [admin, adminSession] = await Promise.all([
+    User.findById(impersonation.admin).select('role isActive'),
+    impersonation.adminSession ? Session.findById(impersonation.adminSession) : null
+  ]);
+
+  if (!admin || !admin.isActive || admin.role !== 'admin' ||
+      (impersonation.adminSession && !adminSession?.isActive)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Impersonation session has ended'
+    });
+  }
+
+  res.set('X-Impersonated-By', impersonation.admin.toString());
+  res.set('X-Impersonation-Mode', impersonation.mode);
+
+  const isWrite = !SAFE_METHODS.includes(req.method);
+  const isReadOnlyRoute = IMPERSONATION_READ_ONLY_ROUTES.some(route => req.baseUrl.endsWith(route));
+
+  if (isWrite && (impersonation.isReadOnly || isReadOnlyRoute)) {
+    return res.status(403).json({
+      success: false,
+      error: 'This impersonation session is read-only',
+      code: 'IMPERSONATION_READ_ONLY'
+    });
+  }
+
+  await impersonation.recordRequest();
+
+  if (isWrite) {
+    await AuditLog.record(req, {
+      action: 'impersonation.write',
+      actor: impersonation.admin,
+      target: impersonation.target,
+      metadata: { impersonation: impersonation._id, method: req.method, path: req.originalUrl }
+    });
+  }
+
+  debug(`Impersonated request by admin ${impersonation.admin}: ${req.method} ${req.originalUrl}`);
+
+  req.impersonation = impersonation;
+  return null;
+};
+
+// Authenticate a personal access token. Scopes are enforced per route by requireScope.
+const authenticateApiToken = async (token, req, res, next) => {
+  const apiToken = await ApiToken.findActiveByToken(token);
+
+  if (!apiToken) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired API token'
+    });
+  }
+
+  const user = await User.findById(apiToken.user).select('-password');
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      error: 'User account is deactivated'
+    });
+  }
+
+  await apiToken.touch(req.ip);
+
+  req.user = user;
+  req.apiToken = apiToken;
+  next();
+};
+
+// Require a scope when the request is authenticated with a personal access token.
+// Session (JWT) requests have full access to the user's own data.
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiToken && !req.apiToken.hasScope(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API token is missing the required scope: ${scope}`,
+        code: 'INSUFFICIENT_SCOPE'
+      });
+    }
+
+    next();
+  };
+};
+
+// Reject personal access tokens on routes that manage the account itself
+const denyApiTokens = (req, res, next) => {
+  const header = req.headers.authorization || '';
+
+  if (header.startsWith('Bearer') && ApiToken.isApiToken(header.split(' ')[1])) {
+    return res.status(403).json({
+      success: false,
+      error: 'API tokens cannot be used for this endpoint. Sign in instead.',
+      code: 'API_TOKEN_NOT_ALLOWED'
+    });
+  }
+
+  next();
+};
+
 // Grant access to specific roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -128,12 +289,21 @@ const checkOwnership = (resourceModel, resourceIdParam = 'id') => {
         });
       }
 
-      // Check if user owns the resource
-      if (resource.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. You can only access your own resources.'
-        });
+      // Check if user owns the resource. Admin access never extends to API tokens.
+      const isAdmin = req.user.role === 'admin' && !req.apiToken;
+      if (resource.user.toString() !== req.user._id.toString() && !isAdmin) {
+        // Coaches may read, but never change, the resources their clients share with them
+        const coachAccess = req.method === 'GET' &&
+          await findCoachAccess(req, resource.user, `${COACH_RESOURCE_SCOPES[resourceModel.modelName]}:read`);
+
+        if (!coachAccess) {
+          return res.status(403).json({
+            success: false,
+            error: 'Access denied. You can only access your own resources.'
+          });
+        }
+
+        req.coachAccess = coachAccess;
       }
 
       req.resource = resource;
@@ -148,11 +318,66 @@ const checkOwnership = (resourceModel, resourceIdParam = 'id') => {
   };
 };
 
-// Rate limiting for sensitive operations
+// Scope prefix for each resource a client can share with a coach
+const COACH_RESOURCE_SCOPES = {
+  HealthData: 'health-data',
+  HealthReading: 'health-data',
+  MetricDefinition: 'health-data',
+  Device: 'health-data',
+  Workout: 'workouts',
+  Goal: 'goals'
+};
+
+// Find the coach's active grant for a client covering the scope, logging the access.
+// Resolves to null when the user is not a coach with that access.
+const findCoachAccess = async (req, clientId, scope) => {
+  if (req.user.role !== 'coach' || req.apiToken) return null;
+
+  const coachAccess = await CoachAccess.findActive(req.user._id, clientId);
+  if (!coachAccess || !coachAccess.hasScope(scope)) return null;
+
+  await AuditLog.record(req, {
+    action: 'coach.access',
+    target: clientId,
+    metadata: { scope, method: req.method, path: req.originalUrl }
+  });
+
+  return coachAccess;
+};
+
+// Require an active coach grant with the scope for the client named in the route
+const requireCoachAccess = (scope, clientIdParam = 'clientId') => {
+  return async (req, res, next) => {
+    try {
+      const coachAccess = await findCoachAccess(req, req.params[clientIdParam], scope);
+
+      if (!coachAccess) {
+        return res.status(403).json({
+          success: false,
+          error: `Access denied. This client has not granted you ${scope} access.`
+        });
+      }
+
+      req.coachAccess = coachAccess;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Attempt maps of every sensitive operation limiter, so they can be reset together
+const limiterAttempts = [];
+
+// Rate limiting for sensitive operations.
+// This is a per-process, per-IP guard; per-account login lockout is tracked on the user.
+// AUTH_RATE_LIMIT_MAX overrides the per-route maximum for every limiter.
 const sensitiveOperationLimit = (windowMs = 15 * 60 * 1000, max = 5) => {
   const attempts = new Map();
+  limiterAttempts.push(attempts);
 
   return (req, res, next) => {
+    const limit = parseInt(process.env.AUTH_RATE_LIMIT_MAX) || max;
     const key = req.ip + (req.user ? req.user._id : '');
     const now = Date.now();
     const windowStart = now - windowMs;
@@ -161,7 +386,7 @@ const sensitiveOperationLimit = (windowMs = 15 * 60 * 1000, max = 5) => {
     const userAttempts = attempts.get(key) || [];
     const recentAttempts = userAttempts.filter(time => time > windowStart);
 
-    if (recentAttempts.length >= max) {
+    if (recentAttempts.length >= limit) {
       return res.status(429).json({
         success: false,
         error: 'Too many attempts. Please try again later.',
@@ -176,6 +401,11 @@ const sensitiveOperationLimit = (windowMs = 15 * 60 * 1000, max = 5) => {
   };
 };
 
+// Forget every attempt counted by the sensitive operation limiters
+const resetSensitiveOperationLimits = () => {
+  limiterAttempts.forEach(attempts => attempts.clear());
+};
+
 // Verify email middleware
 const requireEmailVerification = (req, res, next) => {
   if (!req.user.isEmailVerified) {
@@ -202,10 +432,14 @@ const requirePremium = (req, res, next) => {
 
 module.exports = {
   protect,
+  requireScope,
+  denyApiTokens,
   authorize,
   optionalAuth,
   checkOwnership,
+  requireCoachAccess,
   sensitiveOperationLimit,
+  resetSensitiveOperationLimits,
   requireEmailVerification,
   requirePremium
 };
\ No newline at end of file
@@ -1,5 +1,14 @@
 const Joi = require('joi');
+const { isValidTimezone } = require('../utils/dates');
 const debug = require('debug')('lifefit:validation');
+const { SCOPES: API_TOKEN_SCOPES } = require('../models/ApiToken');
+const { ACTIONS: AUDIT_ACTIONS } = require('../models/AuditLog');
+const { SCOPES: COACH_SCOPES } = require('../models/CoachAccess');
+const { METRICS: READING_METRICS } = require('../models/HealthReading');
+const { TYPES: DEVICE_TYPES } = require('../models/Device');
+const { TYPES: METRIC_TYPES } = require('../models/MetricDefinition');
+const { FORMATS: EXPORT_FORMATS, ENTITIES: EXPORT_ENTITIES } = require('../models/ExportJob');
+const { FIELDS: IMPORT_FIELDS, CONFLICTS: IMPORT_CONFLICTS } = require('../models/ImportJob');
 
 // Generic validation middleware
 const validate = (schema, property = 'body') => {
@@ -36,13 +45,25 @@ const validate = (schema, property = 'body') => {
 const commonSchemas = {
   objectId: Joi.string().regex(/^[0-9a-fA-F]{24}$/).message('Invalid ID format'),
   email: Joi.string().email().lowercase().trim(),
-  password: Joi.string().min(6).max(128),
+  // Length and content rules are enforced by utils/passwordPolicy
+  password: Joi.string().max(128),
   name: Joi.string().trim().min(1).max(50),
   date: Joi.date().iso(),
+  // A YYYY-MM-DD string is kept as is so it names the day regardless of timezone
+  calendarDate: Joi.alternatives().try(
+    Joi.string().regex(/^\d{4}-\d{2}-\d{2}$/).custom((value, helpers) => (
+      isNaN(Date.parse(value)) ? helpers.error('any.invalid') : value
+    )),
+    Joi.date().iso()
+  ).messages({ 'alternatives.match': '{{#label}} must be a YYYY-MM-DD date or an ISO 8601 timestamp' }),
+  timezone: Joi.string().trim().custom((value, helpers) => (
+    isValidTimezone(value) ? value : helpers.message('Unknown timezone')
+  )),
   positiveNumber: Joi.number().positive(),
   nonNegativeNumber: Joi.number().min(0),
   rating: Joi.number().min(1).max(10),
-  phoneNumber: Joi.string().regex(/^\+?[\d\s\-\(\)]+$/).min(10).max(20)
+  phoneNumber: Joi.string().regex(/^\+?[\d\s\-\(\)]+$/).min(10).max(20),
+  totpCode: Joi.string().trim().regex(/^\d{6}$/).message('Code must be 6 digits')
 };
 
 // User validation schemas
@@ -84,8 +105,10 @@ const userSchemas = {
       units: Joi.object({
         weight: Joi.string().valid('kg', 'lbs'),
         distance: Joi.string().valid('km', 'miles'),
+        volume: Joi.string().valid('liters', 'ml', 'cups'),
         temperature: Joi.string().valid('celsius', 'fahrenheit')
       }),
+      timezone: commonSchemas.timezone,
       notifications: Joi.object({
         email: Joi.boolean(),
         push: Joi.boolean(),
@@ -95,7 +118,12 @@ const userSchemas = {
       privacy: Joi.object({
         profileVisibility: Joi.string().valid('public', 'friends', 'private'),
         dataSharing: Joi.boolean()
-      })
+      }),
+      // Which of device and manual data wins for each reading metric
+      dataPrecedence: Joi.object().pattern(
+        Joi.string().valid(...READING_METRICS),
+        Joi.string().valid('manual', 'device')
+      )
     })
   }),
 
@@ -110,18 +138,61 @@ const userSchemas = {
     email: commonSchemas.email.required()
   }),
 
+  requestReactivation: Joi.object({
+    email: commonSchemas.email.required()
+  }),
+
   resetPassword: Joi.object({
     token: Joi.string().required(),
     password: commonSchemas.password.required(),
     confirmPassword: Joi.string().valid(Joi.ref('password')).required()
       .messages({ 'any.only': 'Passwords do not match' })
-  })
+  }),
+
+  twoFactorEnable: Joi.object({
+    code: commonSchemas.totpCode.required()
+  }),
+
+  twoFactorVerify: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: commonSchemas.totpCode,
+    recoveryCode: Joi.string().trim().max(20)
+  }).xor('code', 'recoveryCode'),
+
+  createApiToken: Joi.object({
+    name: Joi.string().trim().min(1).max(50).required(),
+    scopes: Joi.array().items(Joi.string().valid(...API_TOKEN_SCOPES)).min(1).unique().required(),
+    expiresInDays: Joi.number().integer().min(1).max(365)
+  }),
+
+  deleteAccount: Joi.object({
+    password: Joi.string().required(),
+    reason: Joi.string().trim().max(500)
+  }),
+
+  impersonate: Joi.object({
+    reason: Joi.string().trim().min(5).max(500).required(),
+    durationMinutes: Joi.number().integer().min(1).max(60).default(15),
+    elevated: Joi.boolean().default(false)
+  }),
+
+  passwordStrength: Joi.object({
+    password: Joi.string().max(128).allow('').required(),
+    name: Joi.string().trim().max(50),
+    email: Joi.string().trim().max(254)
+  }),
+
+  twoFactorDisable: Joi.object({
+    password: Joi.string().required(),
+    code: commonSchemas.totpCode,
+    recoveryCode: Joi.string().trim().max(20)
+  }).xor('code', 'recoveryCode')
 };
 
 // Health data validation schemas
 const healthDataSchemas = {
   create: Joi.object({
-    date: commonSchemas.date.required(),
+    date: commonSchemas.calendarDate.required(),
     metrics: Joi.object({
       weight: Joi.object({
         value: Joi.number().min(20).max(1000),
@@ -161,6 +232,10 @@ const healthDataSchemas = {
         level: commonSchemas.rating
       })
     }),
+    customMetrics: Joi.array().items(Joi.object({
+      metric: commonSchemas.objectId.required(),
+      value: Joi.alternatives().try(Joi.number(), Joi.boolean()).required()
+    })).max(50).unique('metric'),
     notes: Joi.string().max(1000),
     tags: Joi.array().items(Joi.string().trim())
   }),
@@ -205,8 +280,39 @@ const healthDataSchemas = {
         level: commonSchemas.rating
       })
     }),
+    // A null value removes that metric from the entry
+    customMetrics: Joi.array().items(Joi.object({
+      metric: commonSchemas.objectId.required(),
+      value: Joi.alternatives().try(Joi.number(), Joi.boolean()).allow(null).required()
+    })).max(50).unique('metric'),
     notes: Joi.string().max(1000),
     tags: Joi.array().items(Joi.string().trim())
+  }),
+
+  // Entries are checked one by one against `create` by the route
+  bulk: Joi.object({
+    entries: Joi.array().items(Joi.object().unknown()).min(1).required(),
+    // Save every entry or none, in a transaction
+    atomic: Joi.boolean().default(false),
+    // Check the entries and count what would change without saving
+    dryRun: Joi.boolean().default(false)
+  }),
+
+  // Ranges per metric are checked by the HealthReading model
+  createReading: Joi.object({
+    metric: Joi.string().valid(...READING_METRICS).required(),
+    value: Joi.number().when('metric', {
+      is: 'bloodPressure',
+      then: Joi.forbidden(),
+      otherwise: Joi.required()
+    }),
+    systolic: Joi.number().when('metric', { is: 'bloodPressure', then: Joi.required(), otherwise: Joi.forbidden() }),
+    diastolic: Joi.number().when('metric', { is: 'bloodPressure', then: Joi.required(), otherwise: Joi.forbidden() }),
+    unit: Joi.string().valid('kg', 'lbs', 'bpm', 'mmHg'),
+    recordedAt: Joi.date().max('now').default(() => new Date()),
+    source: Joi.string().valid('manual', 'device', 'import'),
+    deviceId: Joi.string().trim().max(100),
+    notes: Joi.string().max(500)
   })
 };
 
@@ -228,8 +334,18 @@ const goalSchemas = {
           'sleep-duration', 'water-intake', 'workout-frequency',
           'heart-rate', 'blood-pressure', 'custom'
         ).required(),
+        customMetric: Joi.when('metric', {
+          is: 'custom',
+          then: commonSchemas.objectId.required(),
+          otherwise: Joi.forbidden()
+        }),
         value: commonSchemas.positiveNumber.required(),
-        unit: Joi.string().required(),
+        // Custom targets default to the metric definition's unit
+        unit: Joi.when('metric', {
+          is: 'custom',
+          then: Joi.string(),
+          otherwise: Joi.string().required()
+        }),
         operator: Joi.string().valid('>=', '<=', '=', 'between'),
         rangeMax: Joi.when('operator', {
           is: 'between',
@@ -360,14 +476,118 @@ const workoutSchemas = {
   })
 };
 
+// Coaching validation schemas
+const coachingSchemas = {
+  invite: Joi.object({
+    email: commonSchemas.email.required(),
+    scopes: Joi.array().items(Joi.string().valid(...COACH_SCOPES)).min(1).unique()
+  })
+};
+
+// Custom metric definition validation schemas
+const metricSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(50).required(),
+    unit: Joi.string().trim().max(20),
+    type: Joi.string().valid(...METRIC_TYPES),
+    min: Joi.number().when('type', { is: 'boolean', then: Joi.forbidden() }),
+    max: Joi.number().when('type', { is: 'boolean', then: Joi.forbidden() }),
+    description: Joi.string().max(200)
+  }),
+
+  // The type is fixed once values may have been recorded against it
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(50),
+    unit: Joi.string().trim().max(20).allow(''),
+    min: Joi.number().allow(null),
+    max: Joi.number().allow(null),
+    description: Joi.string().max(200).allow(''),
+    archived: Joi.boolean()
+  })
+};
+
+// Import validation schemas. Multipart fields arrive as text, so JSON fields are
+// parsed by the route before validation.
+const importSchemas = {
+  csv: Joi.object({
+    // Column header to field name, `custom:<metric id>`, or null to skip the column
+    mapping: Joi.object().pattern(Joi.string(), Joi.string().allow(null)),
+    units: Joi.object({
+      weight: Joi.string().valid('kg', 'lbs'),
+      hydration: Joi.string().valid('liters', 'ml', 'cups')
+    }),
+    dateFormat: Joi.string().valid('YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY').default('YYYY-MM-DD'),
+    delimiter: Joi.string().valid(',', ';', '\t')
+  }),
+  device: Joi.object({
+    fields: Joi.array().items(Joi.string().valid(...IMPORT_FIELDS)).min(1).unique(),
+    conflicts: Joi.string().valid(...IMPORT_CONFLICTS).default('keep-manual'),
+    // Unit the device account records weight in, when the export does not say
+    weightUnit: Joi.string().valid('kg', 'lbs')
+  }),
+  // A FHIR Bundle; its Observations are checked one by one when read
+  fhir: Joi.object({
+    resourceType: Joi.string().valid('Bundle').required(),
+    entry: Joi.array().items(
+      Joi.object({
+        resource: Joi.object({ resourceType: Joi.string().required() }).unknown().required()
+      }).unknown()
+    ).min(1).required()
+  }).unknown(),
+  fhirQuery: Joi.object({
+    conflicts: Joi.string().valid(...IMPORT_CONFLICTS).default('keep-manual')
+  })
+};
+
+// Export validation schemas
+const exportSchemas = {
+  query: Joi.object({
+    format: Joi.string().valid(...EXPORT_FORMATS).default('json'),
+    // CSV exports are one entity at a time
+    entity: Joi.string().valid(...EXPORT_ENTITIES).when('format', {
+      is: 'csv',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    startDate: commonSchemas.calendarDate,
+    endDate: commonSchemas.calendarDate,
+    // Prepare the file in the background instead of streaming it
+    async: Joi.boolean().default(false)
+  })
+};
+
+// Device validation schemas
+const deviceSchemas = {
+  register: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    type: Joi.string().valid(...DEVICE_TYPES).required(),
+    manufacturer: Joi.string().trim().max(100),
+    model: Joi.string().trim().max(100)
+  }),
+
+  // Each reading is checked by the HealthReading model, so one bad reading does not fail the batch
+  sync: Joi.object({
+    readings: Joi.array().items(
+      Joi.object({
+        clientId: Joi.string().trim().min(1).max(100).required(),
+        recordedAt: Joi.date().iso().required()
+      }).unknown()
+    ).required(),
+    // The device's own sync position, stored once the batch is saved; null clears it
+    cursor: Joi.string().max(1000).allow(null)
+  })
+};
+
 // Query parameter validation schemas
+const paginationSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  sort: Joi.string().default('-createdAt'),
+  fields: Joi.string()
+});
+
 const querySchemas = {
-  pagination: Joi.object({
-    page: Joi.number().integer().min(1).default(1),
-    limit: Joi.number().integer().min(1).max(100).default(10),
-    sort: Joi.string().default('-createdAt'),
-    fields: Joi.string()
-  }),
+  pagination: paginationSchema,
 
   dateRange: Joi.object({
     startDate: commonSchemas.date,
@@ -380,7 +600,22 @@ const querySchemas = {
     endDate: commonSchemas.date,
     metrics: Joi.string(), // comma-separated list
     tags: Joi.string() // comma-separated list
-  }).concat(querySchemas.pagination)
+  }).concat(paginationSchema),
+
+  readingsQuery: Joi.object({
+    metric: Joi.string().valid(...READING_METRICS),
+    startDate: commonSchemas.date,
+    endDate: commonSchemas.date
+  }).concat(paginationSchema),
+
+  auditQuery: Joi.object({
+    action: Joi.string().valid(...AUDIT_ACTIONS),
+    actor: commonSchemas.objectId,
+    target: commonSchemas.objectId,
+    ip: Joi.string().trim().max(45),
+    startDate: commonSchemas.date,
+    endDate: commonSchemas.date
+  }).concat(paginationSchema)
 };
 
 module.exports = {
@@ -390,5 +625,10 @@ module.exports = {
   healthDataSchemas,
   goalSchemas,
   workoutSchemas,
+  coachingSchemas,
+  metricSchemas,
+  importSchemas,
+  exportSchemas,
+  deviceSchemas,
   querySchemas
 };
\ No newline at end of file
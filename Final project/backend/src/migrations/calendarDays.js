@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const HealthData = require('../models/HealthData');
+const HealthReading = require('../models/HealthReading');
+const User = require('../models/User');
+const { mergeUpdate, mergeCustomMetrics } = require('../utils/healthEntries');
+const { getTimezone, toCalendarDay } = require('../utils/dates');
+const debug = require('debug')('lifefit:migrations');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields that identify an entry rather than describe its day
+const OWN_FIELDS = ['_id', '__v', 'user', 'date', 'createdAt', 'updatedAt', 'customMetrics', 'workouts', 'tags'];
+
+const unionIds = (...lists) => [...new Map(lists.flat().map(id => [id.toString(), id])).values()];
+
+// Move health data entries saved with a time of day to midnight UTC of the user's local
+// day, as entries are stored now. Imports and bulk writes match days exactly, so a legacy
+// entry would otherwise get a second entry for the same day. Entries that land on a day
+// that already has one are merged into it, the more recently updated entry winning where
+// both have a value, and the day's readings are rolled up again. Safe to run more than once.
+const migrateCalendarDays = async () => {
+  const counts = { moved: 0, merged: 0 };
+
+  const legacy = await HealthData.find({
+    $expr: { $ne: [{ $mod: [{ $toLong: '$date' }, DAY_MS] }, 0] }
+  }).select('user date').lean();
+
+  // Legacy entries grouped by user and the day they belong to
+  const users = new Map();
+  const days = new Map();
+  for (const { _id, user: userId, date } of legacy) {
+    const key = userId.toString();
+    if (!users.has(key)) {
+      users.set(key, await User.findById(userId).select('preferences.timezone preferences.dataPrecedence'));
+    }
+    const day = toCalendarDay(date, getTimezone(users.get(key)));
+    const dayKey = `${key}:${day.toISOString()}`;
+    if (!days.has(dayKey)) days.set(dayKey, { userId, day, ids: [] });
+    days.get(dayKey).ids.push(_id);
+  }
+
+  for (const { userId, day, ids } of days.values()) {
+    const entries = await HealthData.find({ $or: [{ _id: { $in: ids } }, { user: userId, date: day }] })
+      .sort({ updatedAt: 1 });
+
+    // The entry already on the day is kept; otherwise the most recently updated one moves there
+    const target = entries.find(entry => entry.date.getTime() === day.getTime()) || entries[entries.length - 1];
+    const sources = entries.filter(entry => entry !== target);
+
+    for (const source of sources) {
+      const mode = source.updatedAt > target.updatedAt ? 'overwrite' : 'fill';
+      const fields = source.toObject({ virtuals: false });
+      OWN_FIELDS.forEach(field => delete fields[field]);
+
+      target.set(mergeUpdate(target, fields, mode));
+      const customMetrics = mergeCustomMetrics(target.customMetrics, source.customMetrics, mode);
+      if (customMetrics) target.customMetrics = customMetrics;
+      target.workouts = unionIds(target.workouts, source.workouts);
+      target.tags = [...new Set([...target.tags, ...source.tags])];
+    }
+
+    // The merged entries go first, as each user can only have one entry per day
+    await HealthData.deleteMany({ _id: { $in: sources.map(source => source._id) } });
+    target.date = day;
+    await target.save({ validateBeforeSave: false, timestamps: false });
+
+    if (sources.length > 0) {
+      await HealthReading.rollupDay(userId, day, users.get(userId.toString()));
+    }
+
+    if (ids.some(id => id.equals(target._id))) counts.moved++;
+    counts.merged += sources.length;
+  }
+
+  debug(`Calendar day migration: ${JSON.stringify(counts)}`);
+  return counts;
+};
+
+// Run with `npm run migrate:days`
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(migrateCalendarDays)
+    .then(counts => {
+      console.log(`✅ Moved ${counts.moved} health entries to their calendar day and merged ${counts.merged} into existing days`);
+    })
+    .catch(error => {
+      console.error(`❌ Calendar day migration failed: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { migrateCalendarDays };
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const HealthData = require('../models/HealthData');
+const HealthReading = require('../models/HealthReading');
+const User = require('../models/User');
+const Workout = require('../models/Workout');
+const { normalizeHealthMetrics, normalizeExercises } = require('../utils/units');
+const { getTimezone } = require('../utils/dates');
+const debug = require('debug')('lifefit:migrations');
+
+// Convert stored measurements to canonical units (kg, km, liters). Entries written
+// before unit normalization could hold pounds, miles or cups, which broke every
+// aggregation that sums or averages them. Safe to run more than once.
+const migrateCanonicalUnits = async () => {
+  const counts = { healthData: 0, healthReadings: 0, workouts: 0 };
+
+  const healthData = HealthData.find({
+    $or: [
+      { 'metrics.weight.unit': 'lbs' },
+      { 'metrics.hydration.unit': { $in: ['cups', 'ml'] } }
+    ]
+  }).lean().cursor();
+
+  for await (const entry of healthData) {
+    normalizeHealthMetrics(entry.metrics);
+
+    const $set = {};
+    if (entry.metrics.weight) $set['metrics.weight'] = entry.metrics.weight;
+    if (entry.metrics.hydration) $set['metrics.hydration'] = entry.metrics.hydration;
+
+    await HealthData.collection.updateOne({ _id: entry._id }, { $set });
+    counts.healthData++;
+  }
+
+  // Weight readings are converted, then their days are rolled up again
+  const days = new Map();
+  const users = new Map();
+  const readings = HealthReading.find({ metric: 'weight', unit: 'lbs' }).cursor();
+
+  for await (const reading of readings) {
+    await reading.save();
+
+    const userId = reading.user.toString();
+    if (!users.has(userId)) {
+      users.set(userId, await User.findById(userId).select('preferences.timezone preferences.dataPrecedence'));
+    }
+    const user = users.get(userId);
+    const day = HealthReading.dayOf(reading.recordedAt, getTimezone(user));
+    days.set(`${userId}:${day.toISOString()}`, { userId: reading.user, recordedAt: reading.recordedAt, user });
+    counts.healthReadings++;
+  }
+
+  for (const { userId, recordedAt, user } of days.values()) {
+    await HealthReading.rollupDay(userId, recordedAt, user);
+  }
+
+  const workouts = Workout.find({
+    $or: [
+      { 'exercises.sets.weight.unit': 'lbs' },
+      { 'exercises.sets.distance.unit': { $in: ['miles', 'm', 'ft'] } },
+      { 'summary.totalWeight.unit': 'lbs' },
+      { 'summary.totalDistance.unit': 'miles' }
+    ]
+  }).cursor();
+
+  for await (const workout of workouts) {
+    normalizeExercises(workout.exercises);
+    workout.summary.totalWeight.unit = 'kg';
+    workout.summary.totalDistance.unit = 'km';
+    // Saving recalculates the summary totals from the converted sets
+    await workout.save({ validateBeforeSave: false });
+    counts.workouts++;
+  }
+
+  debug(`Canonical unit migration: ${JSON.stringify(counts)}`);
+  return counts;
+};
+
+// Run with `npm run migrate:units`
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(migrateCanonicalUnits)
+    .then(counts => {
+      console.log(`✅ Converted ${counts.healthData} health entries, ${counts.healthReadings} readings and ${counts.workouts} workouts`);
+    })
+    .catch(error => {
+      console.error(`❌ Unit migration failed: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { migrateCanonicalUnits };
\ No newline at end of file
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Personal access tokens let scripts and integrations call the API without a password.
+// Only a hash is stored; the token itself is shown once when it is created.
+const TOKEN_PREFIX = 'lfp_';
+
+const SCOPES = [
+  'health-data:read',
+  'health-data:write',
+  'workouts:read',
+  'workouts:write',
+  'goals:read',
+  'goals:write'
+];
+
+// Last-used time is refreshed at most this often per token
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [50, 'Token name cannot exceed 50 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the token so users can tell their tokens apart
+  tokenPreview: String,
+  scopes: [{
+    type: String,
+    enum: SCOPES
+  }],
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+apiTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Virtual for whether the token can still be used
+apiTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Check whether a bearer token looks like a personal access token
+apiTokenSchema.statics.isApiToken = function(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+apiTokenSchema.statics.hashToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+// Create a token for a user. Resolves to { apiToken, token } where token is the only plaintext copy.
+apiTokenSchema.statics.createForUser = async function(userId, { name, scopes, expiresAt }) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  const apiToken = await this.create({
+    user: userId,
+    name,
+    scopes,
+    expiresAt,
+    tokenHash: this.hashToken(token),
+    tokenPreview: token.slice(0, TOKEN_PREFIX.length + 6)
+  });
+
+  return { apiToken, token };
+};
+
+// Find the active token matching a plaintext token
+apiTokenSchema.statics.findActiveByToken = async function(token) {
+  const apiToken = await this.findOne({ tokenHash: this.hashToken(token) });
+  return apiToken && apiToken.isActive ? apiToken : null;
+};
+
+// Instance method to check a scope
+apiTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Instance method to record a use of the token
+apiTokenSchema.methods.touch = function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt < LAST_USED_INTERVAL_MS) {
+    return Promise.resolve(this);
+  }
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip;
+  return this.save();
+};
+
+apiTokenSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
\ No newline at end of file
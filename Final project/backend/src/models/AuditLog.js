@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const debug = require('debug')('lifefit:audit');
+
+// Security-relevant account and admin actions
+const ACTIONS = [
+  'login.success',
+  'login.failure',
+  'account.locked',
+  'account.unlocked',
+  'password.change',
+  'password.reset',
+  'two-factor.enable',
+  'two-factor.disable',
+  'account.deactivate',
+  'account.reactivate',
+  'account.deletion-request',
+  'account.deletion-cancel',
+  'account.erase',
+  'user.update',
+  'role.change',
+  'coach.invite',
+  'coach.accept',
+  'coach.decline',
+  'coach.revoke',
+  'coach.access',
+  'impersonation.start',
+  'impersonation.end',
+  'impersonation.write'
+];
+
+// Fields that must never be copied into a diff
+const REDACTED_FIELDS = ['password', 'passwordResetToken', 'emailVerificationToken', 'unlockToken', 'reactivationToken', 'twoFactor'];
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  // Who performed the action; empty for anonymous requests such as a failed login
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Whose account the action affected
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: String,
+  userAgent: String,
+  // Changed fields as { field: { from, to } }
+  changes: mongoose.Schema.Types.Mixed,
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// The log is append-only: entries can be created but never changed or removed
+const rejectChange = function() {
+  throw new Error('Audit log entries cannot be modified or deleted');
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange();
+  next();
+});
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndReplace'
+], rejectChange);
+
+// Record an action taken in a request. The actor, IP and user agent come from the request,
+// which may be null for background jobs. Failures are logged rather than thrown so auditing
+// never breaks the action itself.
+auditLogSchema.statics.record = async function(req, { action, target, actor, changes, metadata }) {
+  try {
+    return await this.create({
+      action,
+      actor: actor !== undefined ? actor : req?.user?._id,
+      target,
+      ip: req?.ip,
+      userAgent: req?.get('User-Agent'),
+      changes,
+      metadata
+    });
+  } catch (error) {
+    debug(`Failed to record ${action}:`, error.message);
+    console.error(`❌ Failed to write audit log entry (${action}): ${error.message}`);
+    return null;
+  }
+};
+
+// Strip a user's personal data from the log when their account is erased. The action, the
+// account IDs and the time stay as security history; the IP, user agent and details go.
+// Entries where the user acted on someone else's account keep the details about that account.
+// This is the only change the log allows, so it writes through the driver past the guards above.
+// Resolves to the number of entries changed.
+auditLogSchema.statics.anonymizeUser = async function(user) {
+  const [own, acted, failures] = await Promise.all([
+    this.collection.updateMany(
+      { target: user._id },
+      { $unset: { ip: 1, userAgent: 1, changes: 1, metadata: 1 } }
+    ),
+    this.collection.updateMany(
+      { actor: user._id, target: { $ne: user._id } },
+      { $unset: { ip: 1, userAgent: 1 } }
+    ),
+    // Failed sign-ins to an unknown email name it in the metadata
+    this.collection.updateMany(
+      { 'metadata.email': user.email },
+      { $unset: { ip: 1, userAgent: 1, 'metadata.email': 1 } }
+    )
+  ]);
+
+  return own.modifiedCount + acted.modifiedCount + failures.modifiedCount;
+};
+
+// Build a { field: { from, to } } diff of the given fields, skipping unchanged and sensitive ones
+auditLogSchema.statics.diff = function(before, after, fields) {
+  const changes = {};
+
+  for (const field of fields) {
+    if (REDACTED_FIELDS.includes(field.split('.')[0])) continue;
+
+    const from = before ? getPath(before, field) : undefined;
+    const to = getPath(after, field);
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : undefined;
+};
+
+function getPath(source, path) {
+  const value = typeof source.get === 'function' ? source.get(path) : path
+    .split('.')
+    .reduce((current, key) => (current == null ? undefined : current[key]), source);
+
+  return value && typeof value.toObject === 'function' ? value.toObject() : value;
+}
+
+auditLogSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
\ No newline at end of file
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Access a client grants a coach to their data. The client invites a coach, the coach
+// accepts, and the client can revoke it at any time.
+const SCOPES = [
+  'health-data:read',
+  'workouts:read',
+  'goals:read',
+  'workouts:write',
+  'goals:write'
+];
+
+const DEFAULT_SCOPES = ['health-data:read', 'workouts:read', 'goals:read'];
+
+const coachAccessSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  coach: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: SCOPES
+    }],
+    default: DEFAULT_SCOPES
+  },
+  respondedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: String,
+    enum: ['client', 'coach']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+coachAccessSchema.index({ client: 1, status: 1 });
+coachAccessSchema.index({ coach: 1, status: 1 });
+
+// Find the active grant a coach holds for a client
+coachAccessSchema.statics.findActive = function(coachId, clientId) {
+  return this.findOne({ coach: coachId, client: clientId, status: 'active' });
+};
+
+// Instance method to check a scope
+coachAccessSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+coachAccessSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('CoachAccess', coachAccessSchema);
\ No newline at end of file
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A wearable, scale or app the user has registered to sync readings from. Synced
+// readings are HealthReadings with the device's ID, so they stay when it is removed.
+const TYPES = ['watch', 'band', 'ring', 'scale', 'blood-pressure-monitor', 'phone', 'other'];
+
+const deviceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Device name is required'],
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: [true, 'Device type is required']
+  },
+  manufacturer: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Manufacturer cannot exceed 100 characters']
+  },
+  model: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Model cannot exceed 100 characters']
+  },
+  // Where the device got to in its own data as of the last sync, as the device wrote it.
+  // The server only stores it so a device can resume from it after a reinstall.
+  syncCursor: String,
+  lastSyncedAt: Date,
+  readingsSynced: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+deviceSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('Device', deviceSchema);
\ No newline at end of file
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Proof that an account and its data were erased. The record outlives the user, so it keeps
+// only the user ID and a hash of the email address: enough to answer "was my data deleted?"
+// without retaining the personal data itself.
+const erasureRecordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  emailHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  method: {
+    type: String,
+    enum: ['scheduled', 'expedited'],
+    required: true
+  },
+  // Admin who expedited the erasure
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  requestedAt: Date,
+  scheduledFor: Date,
+  erasedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deleted: {
+    healthData: { type: Number, default: 0 },
+    healthReadings: { type: Number, default: 0 },
+    devices: { type: Number, default: 0 },
+    metricDefinitions: { type: Number, default: 0 },
+    importJobs: { type: Number, default: 0 },
+    exportJobs: { type: Number, default: 0 },
+    workouts: { type: Number, default: 0 },
+    goals: { type: Number, default: 0 },
+    sessions: { type: Number, default: 0 },
+    apiTokens: { type: Number, default: 0 },
+    impersonations: { type: Number, default: 0 }
+  },
+  // What outlives the account: audit log entries keep their action, account IDs and time,
+  // without the IP address, user agent, changes or details; impersonations the user ran as
+  // an admin keep everything but their IP address, user agent and session
+  retained: {
+    auditLogs: { type: Number, default: 0 },
+    impersonations: { type: Number, default: 0 }
+  },
+  media: {
+    deleted: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+erasureRecordSchema.index({ erasedAt: -1 });
+
+// Records are evidence, so they can be created but never changed
+erasureRecordSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function() {
+  throw new Error('Erasure records cannot be modified');
+});
+
+erasureRecordSchema.statics.hashEmail = function(email) {
+  return crypto
+    .createHash('sha256')
+    .update(String(email).trim().toLowerCase())
+    .digest('hex');
+};
+
+module.exports = mongoose.model('ErasureRecord', erasureRecordSchema);
\ No newline at end of file
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// An export prepared in the background for an account too large to stream in one
+// request, or when the client asks for one. The file is kept in GridFS (bucket
+// 'exports') until the job expires.
+// FHIR exports are a Bundle of the health data as Observations
+const FORMATS = ['json', 'csv', 'zip', 'fhir'];
+// Entities with a CSV file of their own; a zip holds all of them
+const ENTITIES = ['health-data', 'workouts', 'workout-sets', 'goals'];
+const STATUSES = ['pending', 'running', 'completed', 'failed'];
+
+// Finished exports can be downloaded for this long
+const DOWNLOAD_TTL_DAYS = 7;
+
+const exportJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  format: {
+    type: String,
+    enum: FORMATS,
+    required: true
+  },
+  // Entity exported, for CSV exports
+  entity: {
+    type: String,
+    enum: ENTITIES
+  },
+  options: {
+    startDate: String,
+    endDate: String
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  // Health data entries, workouts and goals in the file
+  records: {
+    healthData: Number,
+    workouts: Number,
+    goals: Number
+  },
+  file: {
+    id: mongoose.Schema.Types.ObjectId,
+    name: String,
+    contentType: String,
+    size: Number
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  // When the file and the job are removed
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+exportJobSchema.index({ user: 1, createdAt: -1 });
+exportJobSchema.index({ expiresAt: 1 });
+
+exportJobSchema.statics.downloadExpiry = function() {
+  return new Date(Date.now() + DOWNLOAD_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+exportJobSchema.statics.FORMATS = FORMATS;
+exportJobSchema.statics.ENTITIES = ENTITIES;
+exportJobSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
\ No newline at end of file
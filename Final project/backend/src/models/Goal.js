@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const MetricDefinition = require('./MetricDefinition');
 
 const goalSchema = new mongoose.Schema({
   user: {
@@ -62,6 +63,11 @@ const goalSchema = new mongoose.Schema({
       required: function() { return this.type === 'target'; },
       min: [0, 'Target value must be positive']
     },
+    // The user's metric definition when `metric` is 'custom'
+    customMetric: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MetricDefinition'
+    },
     unit: {
       type: String,
       required: function() { return this.type === 'target'; }
@@ -171,6 +177,13 @@ const goalSchema = new mongoose.Schema({
   notes: {
     type: String,
     maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  // Set when the goal was paused because the account was deactivated, so reactivation can resume it
+  pausedByDeactivation: Date,
+  // Coach who set the goal on the user's behalf
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true,
@@ -221,6 +234,34 @@ goalSchema.virtual('isOverdue').get(function() {
   return this.timeframe.endDate && new Date() > new Date(this.timeframe.endDate);
 });
 
+// Custom-metric targets must point at one of the user's own metric definitions,
+// whose unit is used when none is given
+goalSchema.pre('validate', async function(next) {
+  if (this.target?.metric !== 'custom') return next();
+
+  if (!this.target.customMetric) {
+    this.invalidate('target.customMetric', 'A custom metric is required for custom targets');
+    return next();
+  }
+
+  try {
+    const definition = await MetricDefinition.findOne({
+      _id: this.target.customMetric,
+      user: this.user
+    });
+
+    if (!definition) {
+      this.invalidate('target.customMetric', 'Custom metric not found');
+    } else if (!this.target.unit) {
+      this.target.unit = definition.unit || definition.name;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Pre-save middleware to update progress percentage
 goalSchema.pre('save', function(next) {
   if (this.type === 'target' && this.target.value && this.progress.current !== undefined) {
@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const { normalizeHealthMetrics } = require('../utils/units');
+
+// Daily summary of one value across the day's intraday readings
+const readingRollupSchema = new mongoose.Schema({
+  min: Number,
+  max: Number,
+  avg: Number,
+  last: Number,
+  lastRecordedAt: Date,
+  count: Number
+}, { _id: false });
 
 const healthDataSchema = new mongoose.Schema({
   user: {
@@ -127,6 +138,28 @@ const healthDataSchema = new mongoose.Schema({
       recordedAt: Date
     }
   },
+  // Values of the user's own metrics (see MetricDefinition), checked against their definitions by the routes
+  customMetrics: [{
+    _id: false,
+    metric: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MetricDefinition',
+      required: true
+    },
+    value: {
+      type: Number,
+      required: true
+    }
+  }],
+  // Rollups of the day's readings, kept up to date by HealthReading.rollupDay
+  readings: {
+    weight: readingRollupSchema,
+    heartRate: readingRollupSchema,
+    systolic: readingRollupSchema,
+    diastolic: readingRollupSchema,
+    mood: readingRollupSchema,
+    energy: readingRollupSchema
+  },
   workouts: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Workout'
@@ -144,7 +177,12 @@ const healthDataSchema = new mongoose.Schema({
     deviceId: String,
     deviceType: String,
     syncedAt: Date
-  }
+  },
+  // Reading metrics whose daily value came from device readings rather than being
+  // entered, kept up to date by HealthReading.rollupDay
+  deviceMetrics: [String],
+  // Reading metrics whose daily value came from readings of any source
+  readingMetrics: [String]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -155,6 +193,7 @@ const healthDataSchema = new mongoose.Schema({
 healthDataSchema.index({ user: 1, date: -1 });
 healthDataSchema.index({ user: 1, createdAt: -1 });
 healthDataSchema.index({ date: -1 });
+healthDataSchema.index({ user: 1, 'customMetrics.metric': 1 });
 
 // Ensure one entry per user per date
 healthDataSchema.index({ user: 1, date: 1 }, { unique: true });
@@ -179,8 +218,21 @@ healthDataSchema.virtual('sleepEfficiency').get(function() {
   return null;
 });
 
-// Pre-save middleware to set recordedAt timestamps
-healthDataSchema.pre('save', function(next) {
+// Store weight and hydration in canonical units whichever unit they were sent in
+healthDataSchema.pre('validate', function(next) {
+  normalizeHealthMetrics(this.metrics);
+  next();
+});
+
+healthDataSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  normalizeHealthMetrics(update.metrics);
+  normalizeHealthMetrics(update.$set?.metrics);
+  next();
+});
+
+// Set recordedAt timestamps before validation, which bulk writes run without saving
+healthDataSchema.pre('validate', function(next) {
   const now = new Date();
   
   // Set recordedAt for each metric that has data
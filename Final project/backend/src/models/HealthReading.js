@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const HealthData = require('./HealthData');
+const { toCanonical } = require('../utils/units');
+const { addDays, dayBounds, getTimezone, toCalendarDay } = require('../utils/dates');
+
+// A single timestamped measurement, for metrics that are taken several times a day.
+// The day's HealthData entry holds the rollup (min, max, avg, last) of these readings,
+// so existing queries and analytics keep working on one document per day.
+const METRICS = ['weight', 'heartRate', 'bloodPressure', 'mood', 'energy'];
+
+// Allowed range of each reading value, matching the HealthData limits
+const RANGES = {
+  weight: { value: [20, 1000] },
+  heartRate: { value: [30, 220] },
+  bloodPressure: { systolic: [70, 250], diastolic: [40, 150] },
+  mood: { value: [1, 10] },
+  energy: { value: [1, 10] }
+};
+
+const healthReadingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  metric: {
+    type: String,
+    enum: METRICS,
+    required: [true, 'Metric is required']
+  },
+  // Weight, heart rate (bpm), mood or energy
+  value: Number,
+  // Blood pressure only
+  systolic: Number,
+  diastolic: Number,
+  unit: {
+    type: String,
+    enum: ['kg', 'lbs', 'bpm', 'mmHg']
+  },
+  recordedAt: {
+    type: Date,
+    required: [true, 'Reading time is required']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'device', 'import'],
+    default: 'manual'
+  },
+  deviceId: String,
+  // ID the device gave the reading, so a sync that is sent again does not record it twice
+  clientId: String,
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+healthReadingSchema.index({ user: 1, metric: 1, recordedAt: -1 });
+healthReadingSchema.index({ user: 1, recordedAt: -1 });
+healthReadingSchema.index(
+  { user: 1, deviceId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
+// Check that the fields the metric needs are present and in range, with weights in kg
+healthReadingSchema.pre('validate', function(next) {
+  if (this.metric === 'weight' && this.unit === 'lbs') {
+    this.value = toCanonical('weight', this.value, 'lbs');
+    this.unit = 'kg';
+  }
+
+  const ranges = RANGES[this.metric];
+  if (!ranges) return next();
+
+  Object.entries(ranges).forEach(([field, [min, max]]) => {
+    const value = this[field];
+
+    if (value == null) {
+      this.invalidate(field, `${field} is required for ${this.metric} readings`);
+    } else if (value < min || value > max) {
+      this.invalidate(field, `${this.metric} ${field} must be between ${min} and ${max}`);
+    }
+  });
+
+  next();
+});
+
+// Min, max, average and last value of a field across readings sorted oldest first
+const summarize = (readings, field) => {
+  const values = readings.map(reading => reading[field]);
+  const last = readings[readings.length - 1];
+
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    avg: Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10,
+    last: last[field],
+    lastRecordedAt: last.recordedAt,
+    count: values.length
+  };
+};
+
+// The single daily value each metric reports from its readings: the latest weight
+// and blood pressure, the average and peak heart rate, and the average mood and energy
+const deriveMetrics = (metric, readings) => {
+  const last = readings[readings.length - 1];
+
+  switch (metric) {
+    case 'weight':
+      return {
+        'metrics.weight.value': last.value,
+        'metrics.weight.unit': 'kg',
+        'metrics.weight.recordedAt': last.recordedAt
+      };
+    case 'heartRate': {
+      // Spot readings say nothing reliable about resting rate, so that is left to the user
+      const { max, avg } = summarize(readings, 'value');
+      return {
+        'metrics.heartRate.average': avg,
+        ...(max >= 50 ? { 'metrics.heartRate.max': max } : {}),
+        'metrics.heartRate.recordedAt': last.recordedAt
+      };
+    }
+    case 'bloodPressure':
+      return {
+        'metrics.bloodPressure.systolic': last.systolic,
+        'metrics.bloodPressure.diastolic': last.diastolic,
+        'metrics.bloodPressure.recordedAt': last.recordedAt
+      };
+    case 'mood':
+      return {
+        'metrics.mood.rating': summarize(readings, 'value').avg,
+        'metrics.mood.recordedAt': last.recordedAt
+      };
+    case 'energy':
+      return {
+        'metrics.energy.level': summarize(readings, 'value').avg,
+        'metrics.energy.recordedAt': last.recordedAt
+      };
+    default:
+      return {};
+  }
+};
+
+// The fields deriveMetrics writes for each metric, cleared when its last reading goes
+const DERIVED_FIELDS = {
+  weight: ['value', 'unit', 'recordedAt'],
+  heartRate: ['average', 'max', 'recordedAt'],
+  bloodPressure: ['systolic', 'diastolic', 'recordedAt'],
+  mood: ['rating', 'recordedAt'],
+  energy: ['level', 'recordedAt']
+};
+
+// The field holding each metric's daily value on a HealthData entry
+const DAILY_VALUES = {
+  weight: 'metrics.weight.value',
+  heartRate: 'metrics.heartRate.average',
+  bloodPressure: 'metrics.bloodPressure.systolic',
+  mood: 'metrics.mood.rating',
+  energy: 'metrics.energy.level'
+};
+
+// Whether the entry's daily value for the metric was derived from readings
+const isDerived = (entry, metric) => Boolean(entry) &&
+  (entry.readingMetrics.includes(metric) || entry.deviceMetrics.includes(metric));
+
+// Whether the entry's daily value for the metric was entered rather than derived from readings
+const hasManualValue = (entry, metric) => entry?.get(DAILY_VALUES[metric]) != null &&
+  !isDerived(entry, metric);
+
+// The calendar day a reading belongs to in the user's timezone, matching HealthData dates
+healthReadingSchema.statics.dayOf = function(date, timezone) {
+  return toCalendarDay(date, timezone);
+};
+
+// Recompute the rollups for one user and day and write them, with the derived
+// daily values, to that day's HealthData entry (created if needed). The user (for
+// their timezone and data precedence) is looked up when not given.
+// Where a metric has both device and manual data for the day, the user's
+// preferences.dataPrecedence for it decides which gives the daily value: 'device'
+// readings, or 'manual' readings and values entered on the entry. Either kind is used
+// when it is all the day has.
+healthReadingSchema.statics.rollupDay = async function(userId, date, user) {
+  if (!user) {
+    user = await mongoose.model('User').findById(userId)
+      .select('preferences.timezone preferences.dataPrecedence');
+  }
+
+  const timezone = getTimezone(user);
+  const day = this.dayOf(date, timezone);
+  const { start, end } = dayBounds(day, timezone);
+
+  const readings = await this.find({
+    user: userId,
+    recordedAt: { $gte: start, $lt: end }
+  }).sort({ recordedAt: 1 });
+
+  // Entries may have been saved with a time of day, so match the whole day
+  const entryQuery = { user: userId, date: { $gte: day, $lt: addDays(day, 1) } };
+  const entry = await HealthData.findOne(entryQuery).select('metrics deviceMetrics readingMetrics');
+  const deviceMetrics = new Set(entry?.deviceMetrics);
+  const readingMetrics = new Set(entry?.readingMetrics);
+
+  const $set = {};
+  const $unset = {};
+
+  METRICS.forEach(metric => {
+    const metricReadings = readings.filter(reading => reading.metric === metric);
+
+    Object.keys(RANGES[metric]).forEach(field => {
+      const key = field === 'value' ? metric : field;
+      if (metricReadings.length > 0) {
+        $set[`readings.${key}`] = summarize(metricReadings, field);
+      } else {
+        $unset[`readings.${key}`] = 1;
+      }
+    });
+
+    const deviceReadings = metricReadings.filter(reading => reading.source !== 'manual');
+    const manualReadings = metricReadings.filter(reading => reading.source === 'manual');
+    const preferDevice = user?.preferences?.dataPrecedence?.[metric] === 'device';
+
+    if (deviceReadings.length > 0 &&
+        (preferDevice || (manualReadings.length === 0 && !hasManualValue(entry, metric)))) {
+      Object.assign($set, deriveMetrics(metric, deviceReadings));
+      deviceMetrics.add(metric);
+      readingMetrics.add(metric);
+    } else if (manualReadings.length > 0) {
+      Object.assign($set, deriveMetrics(metric, manualReadings));
+      deviceMetrics.delete(metric);
+      readingMetrics.add(metric);
+    } else if (metricReadings.length === 0 && isDerived(entry, metric)) {
+      // The value came from readings that are all gone, so it goes too
+      DERIVED_FIELDS[metric].forEach(field => {
+        $unset[`metrics.${metric}.${field}`] = 1;
+      });
+      deviceMetrics.delete(metric);
+      readingMetrics.delete(metric);
+    }
+  });
+
+  const sources = { deviceMetrics: [...deviceMetrics], readingMetrics: [...readingMetrics] };
+
+  if (readings.length === 0) {
+    // The last reading of the day was removed; keep any other data on the entry
+    return HealthData.findOneAndUpdate(entryQuery, { $set: sources, $unset }, { new: true });
+  }
+
+  // A day first created by readings is manual when any of them were entered by hand
+  const isManualEntry = readings.some(reading => reading.source === 'manual');
+  const update = { $set: { ...$set, ...sources }, $setOnInsert: { date: day, isManualEntry } };
+  if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+  return HealthData.findOneAndUpdate(entryQuery, update, {
+    new: true,
+    upsert: true,
+    runValidators: true,
+    setDefaultsOnInsert: true
+  });
+};
+
+// The reading metrics whose daily values are set in a HealthData `metrics` update
+healthReadingSchema.statics.enteredMetrics = function(metrics = {}) {
+  return METRICS.filter(metric => {
+    const [, name, field] = DAILY_VALUES[metric].split('.');
+    return metrics[name]?.[field] != null;
+  });
+};
+
+healthReadingSchema.statics.METRICS = METRICS;
+
+module.exports = mongoose.model('HealthReading', healthReadingSchema);
\ No newline at end of file
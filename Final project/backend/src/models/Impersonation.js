@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// An admin "view as user" session. The admin receives a short-lived token for the user's
+// account that is read-only unless the session was explicitly elevated.
+const impersonationSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // The admin's own sign-in session; the impersonation ends with it
+  adminSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason is required to impersonate a user'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  mode: {
+    type: String,
+    enum: ['read-only', 'elevated'],
+    default: 'read-only'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: Date,
+  ip: String,
+  userAgent: String,
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+impersonationSchema.index({ createdAt: -1 });
+
+// Virtual for whether the session can still be used
+impersonationSchema.virtual('isActive').get(function() {
+  return !this.endedAt && this.expiresAt > new Date();
+});
+
+impersonationSchema.virtual('isReadOnly').get(function() {
+  return this.mode !== 'elevated';
+});
+
+// Count a request made with the session's token
+impersonationSchema.methods.recordRequest = function() {
+  this.requestCount += 1;
+  this.lastUsedAt = new Date();
+
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { requestCount: 1 }, $set: { lastUsedAt: this.lastUsedAt } }
+  );
+};
+
+// Strip personal details from the sessions an erased admin ran on other accounts. The
+// records stay as the support-access history of those accounts, with the admin's ID but
+// not their IP address, user agent or sign-in session. Resolves to the number kept.
+impersonationSchema.statics.anonymizeAdmin = async function(user) {
+  const result = await this.updateMany(
+    { admin: user._id },
+    { $unset: { ip: 1, userAgent: 1, adminSession: 1 } }
+  );
+
+  return result.matchedCount;
+};
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
\ No newline at end of file
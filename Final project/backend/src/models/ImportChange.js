@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A health data entry written by an import: its state before the import (null when the
+// import created it) and the updatedAt the import left it with, so the import can be
+// undone. Kept apart from the ImportJob, as a large import's changes would not fit in
+// one document.
+const importChangeSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    required: true,
+    index: true
+  },
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HealthData',
+    required: true
+  },
+  previous: mongoose.Schema.Types.Mixed,
+  updatedAt: Date
+});
+
+module.exports = mongoose.model('ImportChange', importChangeSchema);
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// An import of health data from a file. Uploading a CSV creates the job as a preview holding
+// the validated entries; committing writes them in the background, recording what each write
+// replaced (as ImportChanges) so the whole import can be undone. Device exports (Apple Health, Fitbit, Google
+// Fit) are too large to preview: the upload is kept on disk and read by the background job
+// itself, and the options say which fields to bring in and how to treat days the user
+// already has. FHIR bundles are checked when posted and their days written in the
+// background like a committed CSV.
+const SOURCES = ['csv', 'apple-health', 'fitbit', 'google-fit', 'fhir'];
+// What a device import can bring in: health data metrics, and workouts
+const FIELDS = ['steps', 'weight', 'heartRate', 'sleep', 'bloodPressure', 'calories', 'workouts'];
+// How device data meets days the user already has: by default manual entries keep their
+// values and only gain missing ones, while earlier device data is brought up to date
+const CONFLICTS = ['keep-manual', 'prefer-device', 'keep-existing'];
+const STATUSES = ['preview', 'pending', 'running', 'completed', 'failed', 'undoing', 'undone'];
+
+// Unconfirmed previews are removed after this long
+const PREVIEW_TTL_HOURS = 24;
+
+const importJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  source: {
+    type: String,
+    enum: SOURCES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'preview'
+  },
+  fileName: String,
+  // Column (or field) to health data field, as used for this file
+  mapping: mongoose.Schema.Types.Mixed,
+  options: mongoose.Schema.Types.Mixed,
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  // Validated entries waiting to be committed, with the file row each came from (FHIR
+  // entries are whole days, so have none)
+  entries: {
+    type: [{
+      _id: false,
+      row: Number,
+      data: mongoose.Schema.Types.Mixed
+    }],
+    select: false
+  },
+  // Rows (or bundle entries) that failed validation
+  rowErrors: [{
+    _id: false,
+    row: Number,
+    details: [{
+      _id: false,
+      field: String,
+      message: String
+    }]
+  }],
+  // Uploaded file waiting to be read by the background job
+  filePath: {
+    type: String,
+    select: false
+  },
+  progress: {
+    stage: String,
+    percentage: { type: Number, default: 0 }
+  },
+  results: {
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    // Days already holding every value the import had for them
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    workouts: { type: Number, default: 0 },
+    // Workouts the user already had
+    workoutsSkipped: { type: Number, default: 0 }
+  },
+  // Rows that passed validation but could not be written
+  failures: [{
+    _id: false,
+    row: Number,
+    error: String
+  }],
+  // Values left out of the import, such as readings outside the accepted ranges
+  warnings: [String],
+  // Entries written by imports from before their changes were kept as ImportChanges
+  changes: {
+    type: [{
+      _id: false,
+      entry: { type: mongoose.Schema.Types.ObjectId, ref: 'HealthData' },
+      previous: mongoose.Schema.Types.Mixed,
+      updatedAt: Date
+    }],
+    select: false
+  },
+  // Entries undo left alone because they changed after the import
+  undoSkipped: [{ type: mongoose.Schema.Types.ObjectId, ref: 'HealthData' }],
+  // Workouts created by the import
+  workouts: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Workout' }],
+    select: false
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  undoneAt: Date,
+  // Set on previews only, so abandoned ones expire
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+importJobSchema.index({ user: 1, createdAt: -1 });
+importJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+importJobSchema.statics.previewExpiry = function() {
+  return new Date(Date.now() + PREVIEW_TTL_HOURS * 60 * 60 * 1000);
+};
+
+importJobSchema.statics.SOURCES = SOURCES;
+importJobSchema.statics.FIELDS = FIELDS;
+importJobSchema.statics.CONFLICTS = CONFLICTS;
+importJobSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
\ No newline at end of file
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// A metric the user tracks beyond the built-in ones, e.g. waist circumference or
+// meditation minutes. Values are recorded on HealthData entries under `customMetrics`.
+const TYPES = ['number', 'scale', 'boolean'];
+
+// Scales default to the same 1-10 range as mood and energy
+const DEFAULT_SCALE = { min: 1, max: 10 };
+
+const metricDefinitionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Metric name is required'],
+    trim: true,
+    maxlength: [50, 'Metric name cannot exceed 50 characters']
+  },
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot exceed 20 characters']
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    default: 'number'
+  },
+  min: Number,
+  max: Number,
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Archived metrics keep their history but no longer accept values
+  archivedAt: Date
+}, {
+  timestamps: true
+});
+
+// One metric of each name per user
+metricDefinitionSchema.index({ user: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// Fill in scale bounds and check the range makes sense for the type
+metricDefinitionSchema.pre('validate', function(next) {
+  if (this.type === 'scale') {
+    if (this.min == null) this.min = DEFAULT_SCALE.min;
+    if (this.max == null) this.max = DEFAULT_SCALE.max;
+  }
+
+  if (this.type === 'boolean') {
+    this.min = undefined;
+    this.max = undefined;
+  }
+
+  if (this.min != null && this.max != null && this.min >= this.max) {
+    this.invalidate('max', 'Maximum must be greater than minimum');
+  }
+
+  next();
+});
+
+// Check a value against the definition. Returns an error message, or null when valid.
+metricDefinitionSchema.methods.checkValue = function(value) {
+  if (this.type === 'boolean') {
+    return typeof value === 'boolean' ? null : `${this.name} must be true or false`;
+  }
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return `${this.name} must be a number`;
+  }
+
+  if (this.type === 'scale' && !Number.isInteger(value)) {
+    return `${this.name} must be a whole number`;
+  }
+
+  if (this.min != null && value < this.min) {
+    return `${this.name} must be at least ${this.min}`;
+  }
+
+  if (this.max != null && value > this.max) {
+    return `${this.name} must be at most ${this.max}`;
+  }
+
+  return null;
+};
+
+// Convert a checked value for storage. Booleans are kept as 1 or 0, so their
+// daily average is the share of days the answer was yes.
+metricDefinitionSchema.methods.toStoredValue = function(value) {
+  return this.type === 'boolean' ? Number(value) : value;
+};
+
+metricDefinitionSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('MetricDefinition', metricDefinitionSchema);
\ No newline at end of file
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A session represents one refresh token family: it is created at login and
+// its token hash is rotated on every refresh. Previously issued hashes are kept
+// so that replaying an old refresh token can be detected and the family revoked.
+const MAX_PREVIOUS_TOKEN_HASHES = 20;
+// Last-seen is refreshed at most this often per session to avoid a write on every request
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHashes: {
+    type: [String],
+    index: true
+  },
+  device: {
+    userAgent: String,
+    ip: String,
+    type: {
+      type: String,
+      enum: ['phone', 'tablet', 'web', 'other'],
+      default: 'other'
+    },
+    name: String
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'token-reuse', 'password-change', 'password-reset', 'deactivated', 'admin', 'user-revoked', 'deleted']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Virtual for when the device was first seen
+sessionSchema.virtual('firstSeenAt').get(function() {
+  return this.createdAt;
+});
+
+// Fill in the device type and a readable name from the user agent
+sessionSchema.pre('save', function(next) {
+  if (this.isModified('device.userAgent')) {
+    Object.assign(this.device, this.constructor.describeDevice(this.device.userAgent));
+  }
+  next();
+});
+
+// Derive a device type and name such as "Chrome on Android" from a user agent
+sessionSchema.statics.describeDevice = function(userAgent = '') {
+  let type = 'other';
+  if (/iPad|Tablet|Android(?!.*Mobile)/i.test(userAgent)) {
+    type = 'tablet';
+  } else if (/Mobile|iPhone|iPod|Android/i.test(userAgent)) {
+    type = 'phone';
+  } else if (/Mozilla|Chrome|Safari|Firefox|Edg/i.test(userAgent)) {
+    type = 'web';
+  }
+
+  const browsers = [
+    ['Edge', /Edg\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  let name = 'Unknown device';
+  if (browser && system) {
+    name = `${browser[0]} on ${system[0]}`;
+  } else if (browser || system) {
+    name = (browser || system)[0];
+  } else if (userAgent) {
+    name = userAgent.split(/[\s/]/)[0];
+  }
+
+  return { type, name };
+};
+
+// Hash a refresh token for storage and lookup
+sessionSchema.statics.hashToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+// Get the sessions a user is currently signed in with
+sessionSchema.statics.getActiveSessions = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Revoke every active session for a user, optionally keeping one.
+// Resolves to the IDs of the revoked sessions.
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessionIds = await this.distinct('_id', query);
+
+  await this.updateMany({ _id: { $in: sessionIds } }, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+
+  return sessionIds;
+};
+
+// Instance method to swap the current refresh token for a new one.
+// Resolves to null when the token was already rotated by a concurrent request.
+sessionSchema.methods.rotate = function(newToken, expiresAt, ip) {
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      tokenHash: this.tokenHash,
+      revokedAt: null
+    },
+    {
+      $set: {
+        tokenHash: this.constructor.hashToken(newToken),
+        lastSeenAt: new Date(),
+        expiresAt,
+        'device.ip': ip || this.device?.ip
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [this.tokenHash],
+          $slice: -MAX_PREVIOUS_TOKEN_HASHES
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
+// Instance method to record activity from the device
+sessionSchema.methods.touch = function(ip) {
+  const recentlySeen = Date.now() - this.lastSeenAt < LAST_SEEN_INTERVAL_MS;
+
+  if (recentlySeen && (!ip || ip === this.device?.ip)) {
+    return Promise.resolve(this);
+  }
+
+  this.lastSeenAt = new Date();
+  if (ip) this.device.ip = ip;
+  return this.save();
+};
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function(reason) {
+  if (this.revokedAt) {
+    return Promise.resolve(this);
+  }
+
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
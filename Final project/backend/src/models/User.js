@@ -1,6 +1,32 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/dates');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Whether device readings or manual entries give a metric's daily value (see HealthReading.rollupDay)
+const dataPrecedence = () => ({
+  type: String,
+  enum: ['manual', 'device'],
+  default: 'manual'
+});
+
+// Brute-force protection settings
+const getLockoutSettings = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+  delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER) || 3,
+  delayBaseMs: parseInt(process.env.LOGIN_DELAY_BASE_MS) || 1000
+});
+
+// Recovery codes are stored as hashes and compared without case or separators
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -80,12 +106,26 @@ const userSchema = new mongoose.Schema({
         enum: ['km', 'miles'],
         default: 'km'
       },
+      volume: {
+        type: String,
+        enum: ['liters', 'ml', 'cups'],
+        default: 'liters'
+      },
       temperature: {
         type: String,
         enum: ['celsius', 'fahrenheit'],
         default: 'celsius'
       }
     },
+    // IANA timezone that decides which day workouts, readings and "today" fall on
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimezone,
+        message: 'Unknown timezone'
+      }
+    },
     notifications: {
       email: {
         type: Boolean,
@@ -114,11 +154,18 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       }
+    },
+    dataPrecedence: {
+      weight: dataPrecedence(),
+      heartRate: dataPrecedence(),
+      bloodPressure: dataPrecedence(),
+      mood: dataPrecedence(),
+      energy: dataPrecedence()
     }
   },
   role: {
     type: String,
-    enum: ['user', 'premium', 'admin'],
+    enum: ['user', 'premium', 'coach', 'admin'],
     default: 'user'
   },
   isEmailVerified: {
@@ -126,13 +173,69 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
   lastLogin: Date,
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
+  // Number of lockouts since the last successful login; each one lasts twice as long
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  unlockToken: String,
+  unlockExpires: Date,
+  // Requested account deletion; everything is purged once scheduledFor has passed
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    reason: String
+  },
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  deactivatedAt: Date,
+  deactivationReason: {
+    type: String,
+    enum: ['user', 'admin', 'dormant']
+  },
+  reactivationToken: String,
+  reactivationExpires: Date,
+  // When the user was warned that their inactive account will be deactivated
+  dormancyWarnedAt: Date
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -143,6 +246,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
 
 // Virtual for BMI calculation
 userSchema.virtual('bmi').get(function() {
@@ -160,6 +264,11 @@ userSchema.virtual('bmi').get(function() {
   return null;
 });
 
+// Virtual for whether the account is temporarily locked
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -174,23 +283,44 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Generate JWT token, bound to a refresh session when one is given
+userSchema.methods.generateAuthToken = function(sessionId = null) {
   return jwt.sign(
     { 
       id: this._id, 
       email: this.email,
-      role: this.role 
+      role: this.role,
+      ...(sessionId && { sid: sessionId.toString() })
     },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRE || '7d' }
   );
 };
 
-// Generate refresh token
-userSchema.methods.generateRefreshToken = function() {
+// Generate an access token for an admin impersonating this user. It expires with the
+// impersonation session and carries the admin in the impersonatedBy claim.
+userSchema.methods.generateImpersonationToken = function(impersonation) {
   return jwt.sign(
-    { id: this._id },
+    {
+      id: this._id,
+      email: this.email,
+      role: this.role,
+      impersonatedBy: impersonation.admin.toString(),
+      imp: impersonation._id.toString()
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(1, Math.floor((impersonation.expiresAt - Date.now()) / 1000)) }
+  );
+};
+
+// Generate refresh token for a session
+userSchema.methods.generateRefreshToken = function(sessionId) {
+  return jwt.sign(
+    {
+      id: this._id,
+      sid: sessionId.toString(),
+      jti: crypto.randomBytes(16).toString('hex')
+    },
     process.env.JWT_REFRESH_SECRET,
     { expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d' }
   );
@@ -211,10 +341,215 @@ userSchema.methods.generatePasswordResetToken = function() {
   return resetToken;
 };
 
+// Generate email verification token
+userSchema.methods.generateEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const expireHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  this.emailVerificationExpires = Date.now() + expireHours * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
+// Generate short-lived token for the second login step when 2FA is enabled
+userSchema.methods.generateTwoFactorChallengeToken = function() {
+  return jwt.sign(
+    { id: this._id },
+    getTwoFactorChallengeSecret(),
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+  );
+};
+
+// Start 2FA enrollment with a new secret that is confirmed by the first valid code
+userSchema.methods.startTwoFactorSetup = function() {
+  this.twoFactor.pendingSecret = totp.generateSecret();
+
+  return {
+    secret: this.twoFactor.pendingSecret,
+    otpauthUrl: totp.getProvisioningUri({
+      secret: this.twoFactor.pendingSecret,
+      accountName: this.email
+    })
+  };
+};
+
+// Generate new one-time recovery codes, replacing any existing ones
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => ({ hash: hashRecoveryCode(code) }));
+
+  return codes;
+};
+
+// Verify a TOTP code against the active secret, or the pending one during setup.
+// Requires the 2FA fields to have been selected.
+userSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+  const secret = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!secret) return false;
+
+  const step = totp.verifyCode(secret, code);
+  if (step === null || (this.twoFactor.lastUsedStep != null && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Consume a recovery code. Returns false when it is unknown or already used.
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = hashRecoveryCode(code);
+  const recoveryCode = (this.twoFactor.recoveryCodes || [])
+    .find(entry => entry.hash === hash && !entry.usedAt);
+
+  if (!recoveryCode) return false;
+
+  recoveryCode.usedAt = new Date();
+  return true;
+};
+
+// Milliseconds the client must still wait before the next login attempt.
+// Once a few attempts have failed, each further failure doubles the wait.
+userSchema.methods.getLoginDelay = function() {
+  const { delayAfter, delayBaseMs } = getLockoutSettings();
+
+  if (this.failedLoginAttempts < delayAfter || !this.lastFailedLoginAt) {
+    return 0;
+  }
+
+  const delay = delayBaseMs * Math.pow(2, this.failedLoginAttempts - delayAfter);
+  return Math.max(0, this.lastFailedLoginAt.getTime() + delay - Date.now());
+};
+
+// Record a failed login. The counter is incremented atomically so parallel attempts
+// from many addresses all count; reaching the limit locks the account.
+// Returns the unlock token when this failure locked the account.
+userSchema.methods.registerFailedLogin = async function() {
+  const { maxAttempts, lockMinutes } = getLockoutSettings();
+
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: new Date() }
+    },
+    { new: true }
+  );
+
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lastFailedLoginAt = updated.lastFailedLoginAt;
+
+  if (updated.failedLoginAttempts < maxAttempts) {
+    return null;
+  }
+
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  const lockDuration = lockMinutes * 60 * 1000 * Math.pow(2, Math.min(updated.lockCount, 5));
+
+  this.lockUntil = new Date(Date.now() + lockDuration);
+  this.lockCount = updated.lockCount + 1;
+  this.failedLoginAttempts = 0;
+  this.unlockToken = crypto
+    .createHash('sha256')
+    .update(unlockToken)
+    .digest('hex');
+  this.unlockExpires = this.lockUntil;
+
+  await this.constructor.updateOne({ _id: this._id }, {
+    lockUntil: this.lockUntil,
+    lockCount: this.lockCount,
+    failedLoginAttempts: 0,
+    unlockToken: this.unlockToken,
+    unlockExpires: this.unlockExpires
+  });
+
+  return unlockToken;
+};
+
+// Clear failed login tracking and any lock (successful login, unlock link or admin)
+userSchema.methods.unlockAccount = function() {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+  this.unlockToken = undefined;
+  this.unlockExpires = undefined;
+
+  return this.constructor.updateOne({ _id: this._id }, {
+    $set: { failedLoginAttempts: 0, lockCount: 0 },
+    $unset: { lastFailedLoginAt: 1, lockUntil: 1, unlockToken: 1, unlockExpires: 1 }
+  });
+};
+
+// Schedule the account for deletion after the grace period
+userSchema.methods.scheduleDeletion = function(reason) {
+  const graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+  this.deletion = {
+    requestedAt: new Date(),
+    scheduledFor: new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000),
+    reason
+  };
+
+  return this.save({ validateBeforeSave: false });
+};
+
+// Cancel a scheduled deletion during the grace period
+userSchema.methods.cancelDeletion = function() {
+  this.deletion = undefined;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Generate and hash a reactivation token for a deactivated account
+userSchema.methods.generateReactivationToken = function() {
+  const reactivationToken = crypto.randomBytes(32).toString('hex');
+  const expireHours = parseInt(process.env.REACTIVATION_LINK_EXPIRE_HOURS) || 24;
+
+  this.reactivationToken = crypto
+    .createHash('sha256')
+    .update(reactivationToken)
+    .digest('hex');
+
+  this.reactivationExpires = Date.now() + expireHours * 60 * 60 * 1000;
+
+  return reactivationToken;
+};
+
+// Whether the user may reactivate the account themselves. Admin deactivations need an admin,
+// and self-service expires REACTIVATION_WINDOW_DAYS after deactivation.
+userSchema.methods.canSelfReactivate = function() {
+  if (this.isActive || this.deactivationReason === 'admin' || !this.deactivatedAt) {
+    return false;
+  }
+
+  const windowDays = parseInt(process.env.REACTIVATION_WINDOW_DAYS) || 90;
+  return Date.now() - this.deactivatedAt < windowDays * 24 * 60 * 60 * 1000;
+};
+
 // Update last login
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
+  // Signing in is activity, so any dormancy warning no longer applies
+  this.dormancyWarnedAt = undefined;
   return this.save({ validateBeforeSave: false });
 };
 
+// Challenge tokens are signed with their own key so they can never pass as access tokens
+function getTwoFactorChallengeSecret() {
+  return process.env.JWT_2FA_SECRET || `${process.env.JWT_SECRET}:2fa-challenge`;
+}
+
+userSchema.statics.verifyTwoFactorChallengeToken = function(token) {
+  return jwt.verify(token, getTwoFactorChallengeSecret());
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { normalizeExercises } = require('../utils/units');
 
 const exerciseSchema = new mongoose.Schema({
   name: {
@@ -242,6 +243,20 @@ const workoutSchema = new mongoose.Schema({
     type: String,
     enum: ['planned', 'in-progress', 'completed', 'skipped'],
     default: 'planned'
+  },
+  // Coach who planned the workout on the user's behalf
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isManualEntry: {
+    type: Boolean,
+    default: true
+  },
+  deviceData: {
+    deviceId: String,
+    deviceType: String,
+    syncedAt: Date
   }
 }, {
   timestamps: true,
@@ -286,6 +301,19 @@ workoutSchema.virtual('muscleGroupsWorked').get(function() {
   return Array.from(muscleGroups);
 });
 
+// Store set weights in kg and distances in km so the summary totals add up
+workoutSchema.pre('validate', function(next) {
+  normalizeExercises(this.exercises);
+  next();
+});
+
+workoutSchema.pre(['findOneAndUpdate', 'updateOne'], function(next) {
+  const update = this.getUpdate() || {};
+  normalizeExercises(update.exercises);
+  normalizeExercises(update.$set?.exercises);
+  next();
+});
+
 // Pre-save middleware to calculate summary statistics
 workoutSchema.pre('save', function(next) {
   // Calculate duration if endTime is set
@@ -350,7 +378,7 @@ workoutSchema.statics.getWorkoutStats = function(userId, days = 30) {
   return this.aggregate([
     {
       $match: {
-        user: mongoose.Types.ObjectId(userId),
+        user: new mongoose.Types.ObjectId(userId),
         date: { $gte: startDate },
         completionStatus: 'completed'
       }
@@ -1,12 +1,30 @@
 const express = require('express');
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { protect, sensitiveOperationLimit } = require('../middleware/auth');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const AuditLog = require('../models/AuditLog');
+const { protect, optionalAuth, denyApiTokens, sensitiveOperationLimit } = require('../middleware/auth');
+const { COOKIE_NAMES, deliverTokens, clearAuthCookies } = require('../utils/authCookies');
+const { checkPassword, getPolicy } = require('../utils/passwordPolicy');
+const { deactivateAccount, reactivateAccount } = require('../utils/accountStatus');
 const { validate, userSchemas } = require('../middleware/validation');
+const { disconnectSessions } = require('../socket/socketHandler');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendAccountDeletionScheduledEmail,
+  sendAccountReactivationEmail
+} = require('../mail/emails');
 const debug = require('debug')('lifefit:auth');
 
 const router = express.Router();
 
+// Account endpoints require a signed-in session, never a personal access token
+router.use(denyApiTokens);
+
 // @desc    Register user
 // @route   POST /api/v1/auth/register
 // @access  Public
@@ -17,6 +35,9 @@ router.post('/register',
     try {
       const { name, email, password } = req.body;
 
+      const weakPassword = rejectWeakPassword(password, { name, email }, res);
+      if (weakPassword) return weakPassword;
+
       // Check if user already exists
       const existingUser = await User.findOne({ email });
       if (existingUser) {
@@ -33,13 +54,14 @@ router.post('/register',
         password
       });
 
-      // Generate tokens
-      const token = user.generateAuthToken();
-      const refreshToken = user.generateRefreshToken();
+      // Open a session and generate tokens
+      const tokens = await issueTokens(user, req);
 
       // Update last login
       await user.updateLastLogin();
 
+      await issueEmailVerification(user, req);
+
       debug(`User registered: ${user.email}`);
 
       res.status(201).json({
@@ -54,10 +76,7 @@ router.post('/register',
             isEmailVerified: user.isEmailVerified,
             createdAt: user.createdAt
           },
-          tokens: {
-            access: token,
-            refresh: refreshToken
-          }
+          ...deliverTokens(req, res, tokens)
         }
       });
     } catch (error) {
@@ -79,6 +98,7 @@ router.post('/login',
       // Check for user and include password
       const user = await User.findOne({ email }).select('+password');
       if (!user) {
+        await recordLoginFailure(req, null, 'Unknown email');
         return res.status(401).json({
           success: false,
           error: 'Invalid credentials'
@@ -87,48 +107,299 @@ router.post('/login',
 
       // Check if user is active
       if (!user.isActive) {
+        await recordLoginFailure(req, user, 'Account deactivated');
+        const canReactivate = user.canSelfReactivate();
+
         return res.status(401).json({
           success: false,
-          error: 'Account is deactivated. Please contact support.'
+          error: canReactivate
+            ? 'Account is deactivated. Request a reactivation link to restore it.'
+            : 'Account is deactivated. Please contact support.',
+          code: 'ACCOUNT_DEACTIVATED',
+          canReactivate
         });
       }
 
+      // Refuse attempts on locked or throttled accounts before checking the password
+      const throttled = checkLoginThrottle(user, res);
+      if (throttled) {
+        await recordLoginFailure(req, user, user.isLocked ? 'Account locked' : 'Login throttled');
+        return throttled;
+      }
+
       // Check password
       const isMatch = await user.comparePassword(password);
       if (!isMatch) {
+        return handleFailedLogin(user, req, res, 'Invalid credentials');
+      }
+
+      // With 2FA enabled the password only earns a challenge token for the second step
+      if (user.twoFactor?.enabled) {
+        debug(`Two-factor challenge issued for user: ${user.email}`);
+
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: {
+            twoFactorRequired: true,
+            challengeToken: user.generateTwoFactorChallengeToken()
+          }
+        });
+      }
+
+      // Failed attempts only reset once the user is fully authenticated
+      await user.unlockAccount();
+      await sendLoginResponse(user, req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Complete login with a two-factor code
+// @route   POST /api/v1/auth/2fa/verify
+// @access  Public
+router.post('/2fa/verify',
+  validate(userSchemas.twoFactorVerify),
+  sensitiveOperationLimit(),
+  async (req, res, next) => {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      let decoded;
+      try {
+        decoded = User.verifyTwoFactorChallengeToken(challengeToken);
+      } catch (error) {
         return res.status(401).json({
           success: false,
-          error: 'Invalid credentials'
+          error: 'Invalid or expired challenge token'
         });
       }
 
-      // Generate tokens
-      const token = user.generateAuthToken();
-      const refreshToken = user.generateRefreshToken();
+      const user = await User.findById(decoded.id)
+        .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
 
-      // Update last login
-      await user.updateLastLogin();
+      if (!user || !user.isActive || !user.twoFactor.enabled) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired challenge token'
+        });
+      }
+
+      const throttled = checkLoginThrottle(user, res);
+      if (throttled) {
+        await recordLoginFailure(req, user, user.isLocked ? 'Account locked' : 'Login throttled');
+        return throttled;
+      }
+
+      const isValid = code
+        ? user.verifyTwoFactorCode(code)
+        : user.useRecoveryCode(recoveryCode);
+
+      if (!isValid) {
+        return handleFailedLogin(user, req, res, 'Invalid two-factor code');
+      }
+
+      await user.unlockAccount();
+
+      // Persist the used step or recovery code so it cannot be replayed
+      await user.save({ validateBeforeSave: false });
+
+      await sendLoginResponse(user, req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Unlock account from the emailed link
+// @route   GET /api/v1/auth/unlock/:token
+// @access  Public
+router.get('/unlock/:token', async (req, res, next) => {
+  try {
+    const unlockToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      unlockToken,
+      unlockExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired unlock link'
+      });
+    }
+
+    await user.unlockAccount();
+    await AuditLog.record(req, {
+      action: 'account.unlocked',
+      actor: user._id,
+      target: user._id,
+      metadata: { via: 'email-link' }
+    });
+
+    debug(`Account unlocked by email link: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked. You can sign in again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      debug(`User logged in: ${user.email}`);
+// @desc    Email a reactivation link for a deactivated account
+// @route   POST /api/v1/auth/reactivate
+// @access  Public
+router.post('/reactivate',
+  validate(userSchemas.requestReactivation),
+  sensitiveOperationLimit(),
+  async (req, res, next) => {
+    try {
+      const user = await User.findOne({ email: req.body.email });
+
+      // Only send a link when self-service applies, but answer the same way
+      // every time so the endpoint does not reveal which accounts exist
+      if (user && user.canSelfReactivate()) {
+        const reactivationToken = user.generateReactivationToken();
+        await user.save({ validateBeforeSave: false });
+
+        const reactivateUrl = `${req.protocol}://${req.get('host')}/api/v1/auth/reactivate/${reactivationToken}`;
+        sendAccountReactivationEmail(user, reactivateUrl);
+
+        debug(`Reactivation link sent to: ${user.email}`);
+      }
 
       res.json({
         success: true,
-        message: 'Login successful',
+        message: 'If the account can be reactivated, a link has been sent to its email address'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Reactivate account from the emailed link
+// @route   GET /api/v1/auth/reactivate/:token
+// @access  Public
+router.get('/reactivate/:token', async (req, res, next) => {
+  try {
+    const reactivationToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      reactivationToken,
+      reactivationExpires: { $gt: Date.now() }
+    });
+
+    // The window may have closed since the link was sent
+    if (!user || !user.canSelfReactivate()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reactivation link'
+      });
+    }
+
+    await reactivateAccount(user, { req });
+
+    res.json({
+      success: true,
+      message: 'Account reactivated. You can sign in again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/v1/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl } = user.startTwoFactorSetup();
+    await user.save({ validateBeforeSave: false });
+
+    debug(`Two-factor setup started for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Confirm two-factor enrollment with a first code
+// @route   POST /api/v1/auth/2fa/enable
+// @access  Private
+router.post('/2fa/enable',
+  protect,
+  validate(userSchemas.twoFactorEnable),
+  sensitiveOperationLimit(),
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user._id)
+        .select('+twoFactor.pendingSecret +twoFactor.lastUsedStep');
+
+      if (user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (!user.twoFactor.pendingSecret) {
+        return res.status(400).json({
+          success: false,
+          error: 'Start two-factor setup first'
+        });
+      }
+
+      if (!user.verifyTwoFactorCode(req.body.code, { pending: true })) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid two-factor code'
+        });
+      }
+
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = new Date();
+      const recoveryCodes = user.generateRecoveryCodes();
+      await user.save({ validateBeforeSave: false });
+
+      await AuditLog.record(req, { action: 'two-factor.enable', target: user._id });
+
+      debug(`Two-factor authentication enabled for user: ${user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe; they are only shown once.',
         data: {
-          user: {
-            id: user._id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            isEmailVerified: user.isEmailVerified,
-            lastLogin: user.lastLogin,
-            profile: user.profile,
-            preferences: user.preferences
-          },
-          tokens: {
-            access: token,
-            refresh: refreshToken
-          }
+          recoveryCodes
         }
       });
     } catch (error) {
@@ -137,6 +408,60 @@ router.post('/login',
   }
 );
 
+// @desc    Disable two-factor authentication
+// @route   POST /api/v1/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable',
+  protect,
+  validate(userSchemas.twoFactorDisable),
+  sensitiveOperationLimit(),
+  async (req, res, next) => {
+    try {
+      const { password, code, recoveryCode } = req.body;
+
+      const user = await User.findById(req.user._id)
+        .select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      const isMatch = await user.comparePassword(password);
+      const isValidCode = code
+        ? user.verifyTwoFactorCode(code)
+        : user.useRecoveryCode(recoveryCode);
+
+      if (!isMatch || !isValidCode) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid password or two-factor code'
+        });
+      }
+
+      user.twoFactor.enabled = false;
+      user.twoFactor.secret = undefined;
+      user.twoFactor.recoveryCodes = [];
+      user.twoFactor.lastUsedStep = undefined;
+      user.twoFactor.enabledAt = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      await AuditLog.record(req, { action: 'two-factor.disable', target: user._id });
+
+      debug(`Two-factor authentication disabled for user: ${user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // @desc    Get current user
 // @route   GET /api/v1/auth/me
 // @access  Private
@@ -153,13 +478,24 @@ router.get('/me', protect, async (req, res, next) => {
           email: user.email,
           role: user.role,
           isEmailVerified: user.isEmailVerified,
+          twoFactorEnabled: user.twoFactor.enabled,
+          deletionScheduledFor: user.deletion?.scheduledFor || null,
           avatar: user.avatar,
           profile: user.profile,
           preferences: user.preferences,
           bmi: user.bmi,
           createdAt: user.createdAt,
           lastLogin: user.lastLogin
-        }
+        },
+        // Present when an admin is viewing the account as this user
+        ...(req.impersonation && {
+          impersonation: {
+            id: req.impersonation._id,
+            impersonatedBy: req.impersonation.admin,
+            mode: req.impersonation.mode,
+            expiresAt: req.impersonation.expiresAt
+          }
+        })
       }
     });
   } catch (error) {
@@ -167,6 +503,80 @@ router.get('/me', protect, async (req, res, next) => {
   }
 });
 
+// @desc    Verify email address
+// @route   GET /api/v1/auth/verify-email/:token
+// @access  Public
+router.get('/verify-email/:token', async (req, res, next) => {
+  try {
+    const verificationToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({ emailVerificationToken: verificationToken });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid verification token'
+      });
+    }
+
+    if (!user.emailVerificationExpires || user.emailVerificationExpires < Date.now()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link has expired. Please request a new one.',
+        code: 'VERIFICATION_EXPIRED'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    debug(`Email verified for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Resend verification email
+// @route   POST /api/v1/auth/resend-verification
+// @access  Private
+router.post('/resend-verification',
+  protect,
+  sensitiveOperationLimit(60 * 60 * 1000, 3),
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user._id);
+
+      if (user.isEmailVerified) {
+        return res.status(400).json({
+          success: false,
+          error: 'Email address is already verified'
+        });
+      }
+
+      await issueEmailVerification(user, req);
+
+      debug(`Verification email resent to user: ${user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Verification email sent'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // @desc    Update user profile
 // @route   PUT /api/v1/auth/profile
 // @access  Private
@@ -229,15 +639,25 @@ router.put('/change-password',
         });
       }
 
+      const weakPassword = rejectWeakPassword(newPassword, user, res);
+      if (weakPassword) return weakPassword;
+
       // Update password
       user.password = newPassword;
       await user.save();
 
+      // Sign out every session, then open a fresh one for this client
+      disconnectSessions(await Session.revokeAllForUser(user._id, 'password-change'));
+      const tokens = await issueTokens(user, req);
+
+      await AuditLog.record(req, { action: 'password.change', target: user._id });
+
       debug(`Password changed for user: ${user.email}`);
 
       res.json({
         success: true,
-        message: 'Password changed successfully'
+        message: 'Password changed successfully',
+        data: deliverTokens(req, res, tokens)
       });
     } catch (error) {
       next(error);
@@ -270,17 +690,14 @@ router.post('/forgot-password',
       // Create reset URL
       const resetUrl = `${req.protocol}://${req.get('host')}/api/v1/auth/reset-password/${resetToken}`;
 
+      // Delivered by the mail queue; in development the message can be read from the outbox
+      sendPasswordResetEmail(user, resetUrl);
+
       debug(`Password reset requested for user: ${user.email}`);
 
-      // In a real application, you would send an email here
-      // For now, we'll just return the reset token (remove in production)
       res.json({
         success: true,
-        message: 'Password reset email sent',
-        ...(process.env.NODE_ENV === 'development' && {
-          resetToken,
-          resetUrl
-        })
+        message: 'Password reset email sent'
       });
     } catch (error) {
       next(error);
@@ -316,23 +733,27 @@ router.put('/reset-password/:resettoken',
         });
       }
 
+      const weakPassword = rejectWeakPassword(password, user, res);
+      if (weakPassword) return weakPassword;
+
       // Set new password
       user.password = password;
       user.passwordResetToken = undefined;
       user.passwordResetExpires = undefined;
       await user.save();
 
-      // Generate new token
-      const token = user.generateAuthToken();
+      // Anyone holding the old password may have open sessions; this client gets a fresh one
+      disconnectSessions(await Session.revokeAllForUser(user._id, 'password-reset'));
+      const tokens = await issueTokens(user, req);
+
+      await AuditLog.record(req, { action: 'password.reset', actor: user._id, target: user._id });
 
       debug(`Password reset completed for user: ${user.email}`);
 
       res.json({
         success: true,
         message: 'Password reset successful',
-        data: {
-          token
-        }
+        data: deliverTokens(req, res, tokens)
       });
     } catch (error) {
       next(error);
@@ -340,12 +761,44 @@ router.put('/reset-password/:resettoken',
   }
 );
 
+// @desc    Get the password policy
+// @route   GET /api/v1/auth/password-policy
+// @access  Public
+router.get('/password-policy', (req, res) => {
+  res.json({
+    success: true,
+    data: getPolicy()
+  });
+});
+
+// @desc    Check a password's strength against the policy
+// @route   POST /api/v1/auth/password-strength
+// @access  Public (uses the signed-in user's name and email when authenticated)
+router.post('/password-strength',
+  optionalAuth,
+  validate(userSchemas.passwordStrength),
+  (req, res) => {
+    const { password, name, email } = req.body;
+
+    res.json({
+      success: true,
+      data: checkPassword(password, req.user || { name, email })
+    });
+  }
+);
+
 // @desc    Refresh token
 // @route   POST /api/v1/auth/refresh
 // @access  Public
 router.post('/refresh', async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
+    let { refreshToken } = req.body;
+
+    // Browser sessions keep the refresh token in an httpOnly cookie
+    if (!refreshToken && req.cookies && req.cookies[COOKIE_NAMES.refresh]) {
+      refreshToken = req.cookies[COOKIE_NAMES.refresh];
+      req.authSource = 'cookie';
+    }
 
     if (!refreshToken) {
       return res.status(401).json({
@@ -354,36 +807,77 @@ router.post('/refresh', async (req, res, next) => {
       });
     }
 
+    let decoded;
     try {
-      const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-      const user = await User.findById(decoded.id);
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token'
+      });
+    }
 
-      if (!user || !user.isActive) {
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid refresh token'
-        });
+    const tokenHash = Session.hashToken(refreshToken);
+    const session = await Session.findOne({ tokenHash });
+
+    if (!session) {
+      // A token that was already rotated is being replayed: revoke the whole family
+      const reusedSession = await Session.findOne({ previousTokenHashes: tokenHash });
+      if (reusedSession) {
+        await reusedSession.revoke('token-reuse');
+        disconnectSessions([reusedSession._id]);
+        debug(`Refresh token reuse detected for session: ${reusedSession._id}`);
       }
 
-      // Generate new tokens
-      const newToken = user.generateAuthToken();
-      const newRefreshToken = user.generateRefreshToken();
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token'
+      });
+    }
+
+    if (!session.isActive || session.user.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token'
+      });
+    }
 
-      res.json({
-        success: true,
-        data: {
-          tokens: {
-            access: newToken,
-            refresh: newRefreshToken
-          }
-        }
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token'
       });
-    } catch (error) {
+    }
+
+    // Rotate the refresh token
+    const newRefreshToken = user.generateRefreshToken(session._id);
+    const rotatedSession = await session.rotate(
+      newRefreshToken,
+      getTokenExpiry(newRefreshToken),
+      req.ip
+    );
+
+    if (!rotatedSession) {
+      // Another request rotated this token first, so it is being reused
+      await session.revoke('token-reuse');
+      disconnectSessions([session._id]);
+      debug(`Concurrent refresh token reuse detected for session: ${session._id}`);
+
       return res.status(401).json({
         success: false,
         error: 'Invalid refresh token'
       });
     }
+
+    res.json({
+      success: true,
+      data: deliverTokens(req, res, {
+        access: user.generateAuthToken(session._id),
+        refresh: newRefreshToken
+      })
+    });
   } catch (error) {
     next(error);
   }
@@ -394,6 +888,20 @@ router.post('/refresh', async (req, res, next) => {
 // @access  Private
 router.post('/logout', protect, async (req, res, next) => {
   try {
+    const refreshToken = req.body.refreshToken || req.cookies?.[COOKIE_NAMES.refresh];
+
+    // Revoke the session the access token belongs to, or the one named by the refresh token
+    const session = req.sessionId
+      ? await Session.findById(req.sessionId)
+      : refreshToken && await Session.findOne({ tokenHash: Session.hashToken(refreshToken) });
+
+    if (session && session.user.toString() === req.user._id.toString()) {
+      await session.revoke('logout');
+      disconnectSessions([session._id]);
+    }
+
+    clearAuthCookies(res);
+
     debug(`User logged out: ${req.user.email}`);
 
     res.json({
@@ -405,6 +913,256 @@ router.post('/logout', protect, async (req, res, next) => {
   }
 });
 
+// @desc    Get active sessions (signed-in devices)
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res, next) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        id: session._id,
+        device: {
+          name: session.device.name,
+          type: session.device.type,
+          userAgent: session.device.userAgent,
+          ip: session.device.ip
+        },
+        firstSeenAt: session.firstSeenAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: Boolean(req.sessionId && session._id.equals(req.sessionId))
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Sign out everywhere else
+// @route   DELETE /api/v1/auth/sessions
+// @access  Private
+router.delete('/sessions', protect, async (req, res, next) => {
+  try {
+    const revokedIds = await Session.revokeAllForUser(req.user._id, 'user-revoked', req.sessionId);
+    disconnectSessions(revokedIds);
+
+    debug(`User signed out ${revokedIds.length} other sessions: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other sessions',
+      data: {
+        revoked: revokedIds.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revoke a session
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await session.revoke('user-revoked');
+    disconnectSessions([session._id]);
+
+    debug(`Session ${session._id} revoked by user: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create a personal access token
+// @route   POST /api/v1/auth/tokens
+// @access  Private
+router.post('/tokens',
+  protect,
+  validate(userSchemas.createApiToken),
+  async (req, res, next) => {
+    try {
+      const { name, scopes, expiresInDays } = req.body;
+      const expiresAt = expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : undefined;
+
+      const { apiToken, token } = await ApiToken.createForUser(req.user._id, {
+        name,
+        scopes,
+        expiresAt
+      });
+
+      debug(`API token created for user: ${req.user.email} - ${name}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'API token created. Copy it now; it will not be shown again.',
+        data: {
+          ...formatApiToken(apiToken),
+          token
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    List personal access tokens
+// @route   GET /api/v1/auth/tokens
+// @access  Private
+router.get('/tokens', protect, async (req, res, next) => {
+  try {
+    const apiTokens = await ApiToken.find({
+      user: req.user._id,
+      revokedAt: null
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: apiTokens.length,
+      data: apiTokens.map(formatApiToken)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/v1/auth/tokens/:id
+// @access  Private
+router.delete('/tokens/:id', protect, async (req, res, next) => {
+  try {
+    const apiToken = await ApiToken.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        error: 'API token not found'
+      });
+    }
+
+    apiToken.revokedAt = new Date();
+    await apiToken.save();
+
+    debug(`API token revoked for user: ${req.user.email} - ${apiToken.name}`);
+
+    res.json({
+      success: true,
+      message: 'API token revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Request account deletion
+// @route   POST /api/v1/auth/delete-account
+// @access  Private
+router.post('/delete-account',
+  protect,
+  sensitiveOperationLimit(),
+  validate(userSchemas.deleteAccount),
+  async (req, res, next) => {
+    try {
+      const { password, reason } = req.body;
+      const user = await User.findById(req.user._id).select('+password');
+
+      const isMatch = await user.comparePassword(password);
+      if (!isMatch) {
+        return res.status(400).json({
+          success: false,
+          error: 'Password is incorrect'
+        });
+      }
+
+      if (user.deletion?.scheduledFor) {
+        return res.status(400).json({
+          success: false,
+          error: 'Account deletion has already been requested'
+        });
+      }
+
+      await user.scheduleDeletion(reason);
+      sendAccountDeletionScheduledEmail(user);
+
+      await AuditLog.record(req, {
+        action: 'account.deletion-request',
+        target: user._id,
+        metadata: { scheduledFor: user.deletion.scheduledFor }
+      });
+
+      debug(`Account deletion scheduled for user: ${user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Account deletion scheduled. Sign in and cancel before the date below to keep your account.',
+        data: {
+          scheduledFor: user.deletion.scheduledFor
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Cancel a scheduled account deletion
+// @route   DELETE /api/v1/auth/delete-account
+// @access  Private
+router.delete('/delete-account', protect, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.deletion?.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        error: 'No account deletion is scheduled'
+      });
+    }
+
+    await user.cancelDeletion();
+
+    await AuditLog.record(req, { action: 'account.deletion-cancel', target: user._id });
+
+    debug(`Account deletion cancelled for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Deactivate account
 // @route   DELETE /api/v1/auth/deactivate
 // @access  Private
@@ -413,9 +1171,9 @@ router.delete('/deactivate',
   sensitiveOperationLimit(),
   async (req, res, next) => {
     try {
-      await User.findByIdAndUpdate(req.user._id, { isActive: false });
-
-      debug(`User account deactivated: ${req.user.email}`);
+      const user = await User.findById(req.user._id);
+      await deactivateAccount(user, { reason: 'user', req });
+      clearAuthCookies(res);
 
       res.json({
         success: true,
@@ -427,4 +1185,167 @@ router.delete('/deactivate',
   }
 );
 
+// Helper function to reject a login attempt while the account is locked or throttled
+function checkLoginThrottle(user, res) {
+  if (user.isLocked) {
+    return res.status(423).json({
+      success: false,
+      error: 'Account is temporarily locked after too many failed attempts. Check your email to unlock it.',
+      code: 'ACCOUNT_LOCKED',
+      retryAfter: Math.ceil((user.lockUntil - Date.now()) / 1000)
+    });
+  }
+
+  const delay = user.getLoginDelay();
+  if (delay > 0) {
+    const retryAfter = Math.ceil(delay / 1000);
+    res.set('Retry-After', String(retryAfter));
+
+    return res.status(429).json({
+      success: false,
+      error: `Too many failed attempts. Please wait ${retryAfter} seconds before trying again.`,
+      code: 'LOGIN_THROTTLED',
+      retryAfter
+    });
+  }
+
+  return null;
+}
+
+// Helper function to count a failed login, locking the account and emailing an unlock link at the limit
+async function handleFailedLogin(user, req, res, message) {
+  const unlockToken = await user.registerFailedLogin();
+  await recordLoginFailure(req, user, message);
+
+  if (unlockToken) {
+    const unlockUrl = `${req.protocol}://${req.get('host')}/api/v1/auth/unlock/${unlockToken}`;
+    sendAccountLockedEmail(user, unlockUrl);
+
+    await AuditLog.record(req, {
+      action: 'account.locked',
+      actor: null,
+      target: user._id,
+      metadata: { lockUntil: user.lockUntil, lockCount: user.lockCount }
+    });
+
+    debug(`Account locked after failed logins: ${user.email}`);
+
+    return checkLoginThrottle(user, res);
+  }
+
+  return res.status(401).json({
+    success: false,
+    error: message
+  });
+}
+
+// Helper function to refuse a password that does not meet the policy, with strength feedback
+function rejectWeakPassword(password, user, res) {
+  const feedback = checkPassword(password, user);
+  if (feedback.valid) return null;
+
+  return res.status(400).json({
+    success: false,
+    error: feedback.errors[0].message,
+    code: 'WEAK_PASSWORD',
+    details: feedback
+  });
+}
+
+// Helper function to record a failed sign-in attempt. Unknown emails are kept so probing is visible.
+function recordLoginFailure(req, user, reason) {
+  return AuditLog.record(req, {
+    action: 'login.failure',
+    actor: null,
+    target: user?._id,
+    metadata: user ? { reason } : { reason, email: req.body.email }
+  });
+}
+
+// Helper function to finish a successful login: open a session and send the user with tokens
+async function sendLoginResponse(user, req, res) {
+  // Open a session and generate tokens
+  const tokens = await issueTokens(user, req);
+
+  // Update last login
+  await user.updateLastLogin();
+  await AuditLog.record(req, {
+    action: 'login.success',
+    actor: user._id,
+    target: user._id,
+    metadata: { twoFactor: user.twoFactor.enabled }
+  });
+
+  debug(`User logged in: ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactor.enabled,
+        deletionScheduledFor: user.deletion?.scheduledFor || null,
+        lastLogin: user.lastLogin,
+        profile: user.profile,
+        preferences: user.preferences
+      },
+      ...deliverTokens(req, res, tokens)
+    }
+  });
+}
+
+// Helper function to open a session and issue its access/refresh token pair
+async function issueTokens(user, req) {
+  const session = new Session({
+    user: user._id,
+    device: {
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    }
+  });
+
+  const refreshToken = user.generateRefreshToken(session._id);
+  session.tokenHash = Session.hashToken(refreshToken);
+  session.expiresAt = getTokenExpiry(refreshToken);
+  await session.save();
+
+  return {
+    access: user.generateAuthToken(session._id),
+    refresh: refreshToken
+  };
+}
+
+// Helper function to generate a new verification token and queue the link for the user
+async function issueEmailVerification(user, req) {
+  const verificationToken = user.generateEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${req.protocol}://${req.get('host')}/api/v1/auth/verify-email/${verificationToken}`;
+  sendVerificationEmail(user, verifyUrl);
+}
+
+// Helper function to describe a personal access token without its secret
+function formatApiToken(apiToken) {
+  return {
+    id: apiToken._id,
+    name: apiToken.name,
+    tokenPreview: apiToken.tokenPreview,
+    scopes: apiToken.scopes,
+    expiresAt: apiToken.expiresAt,
+    lastUsedAt: apiToken.lastUsedAt,
+    isActive: apiToken.isActive,
+    createdAt: apiToken.createdAt
+  };
+}
+
+// Helper function to read the expiry date of a signed token
+function getTokenExpiry(token) {
+  return new Date(jwt.decode(token).exp * 1000);
+}
+
 module.exports = router;
\ No newline at end of file
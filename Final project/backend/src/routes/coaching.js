@@ -0,0 +1,380 @@
+const express = require('express');
+const User = require('../models/User');
+const CoachAccess = require('../models/CoachAccess');
+const HealthData = require('../models/HealthData');
+const Workout = require('../models/Workout');
+const Goal = require('../models/Goal');
+const AuditLog = require('../models/AuditLog');
+const { protect, authorize, denyApiTokens, requireCoachAccess } = require('../middleware/auth');
+const { validate, coachingSchemas, workoutSchemas, goalSchemas, querySchemas } = require('../middleware/validation');
+const { sendToUser } = require('../socket/socketHandler');
+const { sendCoachInvitationEmail } = require('../mail/emails');
+const debug = require('debug')('lifefit:coaching');
+
+const router = express.Router();
+
+// Coaching relationships are managed from a signed-in session
+router.use(denyApiTokens);
+
+// @desc    Invite a coach
+// @route   POST /api/v1/coaching/coaches
+// @access  Private
+router.post('/coaches',
+  protect,
+  validate(coachingSchemas.invite),
+  async (req, res, next) => {
+    try {
+      const { email, scopes } = req.body;
+
+      const coach = await User.findOne({ email, role: 'coach', isActive: true });
+
+      if (!coach) {
+        return res.status(404).json({
+          success: false,
+          error: 'No coach found with this email'
+        });
+      }
+
+      if (coach._id.equals(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot coach yourself'
+        });
+      }
+
+      const existing = await CoachAccess.findOne({
+        client: req.user._id,
+        coach: coach._id,
+        status: { $in: ['pending', 'active'] }
+      });
+
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          error: 'This coach already has access or a pending invitation'
+        });
+      }
+
+      const coachAccess = await CoachAccess.create({
+        client: req.user._id,
+        coach: coach._id,
+        scopes
+      });
+
+      const invitationUrl = `${req.protocol}://${req.get('host')}/api/v1/coaching/clients`;
+      sendCoachInvitationEmail(coach, req.user, coachAccess, invitationUrl);
+
+      await AuditLog.record(req, {
+        action: 'coach.invite',
+        target: req.user._id,
+        metadata: { coach: coach._id, scopes: coachAccess.scopes }
+      });
+
+      debug(`Coach ${coach.email} invited by client: ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Coach invited successfully',
+        data: coachAccess
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get coaches with access or a pending invitation
+// @route   GET /api/v1/coaching/coaches
+// @access  Private
+router.get('/coaches', protect, async (req, res, next) => {
+  try {
+    const grants = await CoachAccess.find({
+      client: req.user._id,
+      status: { $in: ['pending', 'active'] }
+    })
+      .populate('coach', 'name email avatar')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: grants.length,
+      data: grants
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revoke a coach's access
+// @route   DELETE /api/v1/coaching/coaches/:id
+// @access  Private
+router.delete('/coaches/:id', protect, async (req, res, next) => {
+  try {
+    const coachAccess = await CoachAccess.findOne({
+      _id: req.params.id,
+      client: req.user._id,
+      status: { $in: ['pending', 'active'] }
+    });
+
+    if (!coachAccess) {
+      return res.status(404).json({
+        success: false,
+        error: 'Coach access not found'
+      });
+    }
+
+    coachAccess.status = 'revoked';
+    coachAccess.revokedAt = new Date();
+    coachAccess.revokedBy = 'client';
+    await coachAccess.save();
+
+    sendToUser(coachAccess.coach.toString(), 'coaching:revoked', {
+      id: coachAccess._id,
+      client: req.user._id
+    });
+
+    await AuditLog.record(req, {
+      action: 'coach.revoke',
+      target: req.user._id,
+      metadata: { coach: coachAccess.coach }
+    });
+
+    debug(`Coach access revoked by client: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Coach access revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get clients and pending invitations
+// @route   GET /api/v1/coaching/clients
+// @access  Private/Coach
+router.get('/clients', protect, authorize('coach'), async (req, res, next) => {
+  try {
+    const grants = await CoachAccess.find({
+      coach: req.user._id,
+      status: { $in: ['pending', 'active'] }
+    })
+      .populate('client', 'name email avatar')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: grants.length,
+      data: grants
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Accept or decline a coaching invitation
+// @route   POST /api/v1/coaching/invitations/:id/accept
+// @route   POST /api/v1/coaching/invitations/:id/decline
+// @access  Private/Coach
+router.post('/invitations/:id/:response(accept|decline)',
+  protect,
+  authorize('coach'),
+  async (req, res, next) => {
+    try {
+      const coachAccess = await CoachAccess.findOne({
+        _id: req.params.id,
+        coach: req.user._id,
+        status: 'pending'
+      });
+
+      if (!coachAccess) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invitation not found'
+        });
+      }
+
+      const accepted = req.params.response === 'accept';
+      coachAccess.status = accepted ? 'active' : 'declined';
+      coachAccess.respondedAt = new Date();
+      await coachAccess.save();
+
+      sendToUser(coachAccess.client.toString(), `coaching:${accepted ? 'accepted' : 'declined'}`, {
+        id: coachAccess._id,
+        coach: req.user._id
+      });
+
+      await AuditLog.record(req, {
+        action: accepted ? 'coach.accept' : 'coach.decline',
+        target: coachAccess.client,
+        metadata: { coach: req.user._id }
+      });
+
+      debug(`Coaching invitation ${coachAccess.status} by coach: ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: accepted ? 'Invitation accepted' : 'Invitation declined',
+        data: coachAccess
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get a client's health data
+// @route   GET /api/v1/coaching/clients/:clientId/health-data
+// @access  Private/Coach
+router.get('/clients/:clientId/health-data',
+  protect,
+  requireCoachAccess('health-data:read'),
+  validate(querySchemas.healthDataQuery, 'query'),
+  async (req, res, next) => {
+    try {
+      res.json(await findClientDocuments(HealthData, req, { date: -1 }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get a client's workouts
+// @route   GET /api/v1/coaching/clients/:clientId/workouts
+// @access  Private/Coach
+router.get('/clients/:clientId/workouts',
+  protect,
+  requireCoachAccess('workouts:read'),
+  validate(querySchemas.healthDataQuery, 'query'),
+  async (req, res, next) => {
+    try {
+      res.json(await findClientDocuments(Workout, req, { date: -1 }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get a client's goals
+// @route   GET /api/v1/coaching/clients/:clientId/goals
+// @access  Private/Coach
+router.get('/clients/:clientId/goals',
+  protect,
+  requireCoachAccess('goals:read'),
+  validate(querySchemas.pagination, 'query'),
+  async (req, res, next) => {
+    try {
+      res.json(await findClientDocuments(Goal, req, { createdAt: -1 }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Plan a workout for a client
+// @route   POST /api/v1/coaching/clients/:clientId/workouts
+// @access  Private/Coach
+router.post('/clients/:clientId/workouts',
+  protect,
+  requireCoachAccess('workouts:write'),
+  validate(workoutSchemas.create),
+  async (req, res, next) => {
+    try {
+      const workout = await Workout.create({
+        ...req.body,
+        user: req.params.clientId,
+        completionStatus: 'planned',
+        createdBy: req.user._id
+      });
+
+      sendToUser(req.params.clientId, 'workout:created', {
+        id: workout._id,
+        name: workout.name,
+        type: workout.type,
+        date: workout.date,
+        status: workout.completionStatus,
+        createdBy: req.user.name
+      });
+
+      debug(`Workout planned by coach ${req.user.email} for client ${req.params.clientId} - ${workout.name}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Workout planned successfully',
+        data: workout
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Set a goal for a client
+// @route   POST /api/v1/coaching/clients/:clientId/goals
+// @access  Private/Coach
+router.post('/clients/:clientId/goals',
+  protect,
+  requireCoachAccess('goals:write'),
+  validate(goalSchemas.create),
+  async (req, res, next) => {
+    try {
+      const goal = await Goal.create({
+        ...req.body,
+        user: req.params.clientId,
+        createdBy: req.user._id
+      });
+
+      sendToUser(req.params.clientId, 'goal:created', {
+        id: goal._id,
+        title: goal.title,
+        category: goal.category,
+        status: goal.status,
+        createdBy: req.user.name
+      });
+
+      debug(`Goal set by coach ${req.user.email} for client ${req.params.clientId} - ${goal.title}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Goal created successfully',
+        data: goal
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Helper function to page through a client's documents, optionally within a date range
+async function findClientDocuments(Model, req, sort) {
+  const { page, limit, startDate, endDate } = req.query;
+  const query = { user: req.params.clientId };
+
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+
+  const [documents, total] = await Promise.all([
+    Model.find(query)
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Model.countDocuments(query)
+  ]);
+
+  return {
+    success: true,
+    count: documents.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: documents
+  };
+}
+
+module.exports = router;
\ No newline at end of file
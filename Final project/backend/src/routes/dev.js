@@ -0,0 +1,69 @@
+const express = require('express');
+const { listOutbox, readOutboxMessage } = require('../mail/mailer');
+const { getQueueStats } = require('../mail/mailQueue');
+
+// Development-only tools. This router is not mounted in production.
+const router = express.Router();
+
+// @desc    List sent mail in the outbox
+// @route   GET /api/v1/dev/outbox
+// @access  Development
+router.get('/outbox', async (req, res, next) => {
+  try {
+    const messages = await listOutbox(parseInt(req.query.limit) || 50);
+
+    res.json({
+      success: true,
+      count: messages.length,
+      queue: getQueueStats(),
+      data: messages
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a sent message
+// @route   GET /api/v1/dev/outbox/:id
+// @access  Development
+router.get('/outbox/:id', async (req, res, next) => {
+  try {
+    const message = await readOutboxMessage(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Render a sent message's HTML body
+// @route   GET /api/v1/dev/outbox/:id/html
+// @access  Development
+router.get('/outbox/:id/html', async (req, res, next) => {
+  try {
+    const message = await readOutboxMessage(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    res.type('html').send(message.html);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,264 @@
+const express = require('express');
+const Device = require('../models/Device');
+const HealthData = require('../models/HealthData');
+const HealthReading = require('../models/HealthReading');
+const User = require('../models/User');
+const { protect, requireScope, checkOwnership } = require('../middleware/auth');
+const { validate, deviceSchemas } = require('../middleware/validation');
+const { sendToUser } = require('../socket/socketHandler');
+const { dateKey, getTimezone } = require('../utils/dates');
+const { getUnitPreferences, applyPreferredReadingUnit } = require('../utils/units');
+const debug = require('debug')('lifefit:devices');
+
+const router = express.Router();
+
+const MAX_SYNC_READINGS = parseInt(process.env.DEVICE_SYNC_MAX_READINGS) || 1000;
+
+// Device clocks run a little fast, so readings this far ahead of the server are accepted
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Sync responses list at most this many rejected readings
+const SYNC_ERRORS = 100;
+
+// Fields a device sends for each reading; the rest are set by the server
+const READING_FIELDS = ['metric', 'value', 'systolic', 'diastolic', 'unit', 'recordedAt', 'notes'];
+
+// @desc    Get the user's devices
+// @route   GET /api/v1/devices
+// @access  Private
+router.get('/', protect, requireScope('health-data:read'), async (req, res, next) => {
+  try {
+    const devices = await Device.find({ user: req.user._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: devices.length,
+      data: devices
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Register a device
+// @route   POST /api/v1/devices
+// @access  Private
+router.post('/',
+  protect,
+  requireScope('health-data:write'),
+  validate(deviceSchemas.register),
+  async (req, res, next) => {
+    try {
+      const device = await Device.create({
+        ...req.body,
+        user: req.user._id
+      });
+
+      debug(`Device registered for user: ${req.user.email} - ${device.name} (${device.type})`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Device registered successfully',
+        data: device
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get a device and its sync state
+// @route   GET /api/v1/devices/:id
+// @access  Private
+router.get('/:id',
+  protect,
+  requireScope('health-data:read'),
+  checkOwnership(Device),
+  async (req, res) => {
+    res.json({
+      success: true,
+      data: req.resource
+    });
+  }
+);
+
+// @desc    Sync a batch of readings from a device
+// @route   POST /api/v1/devices/:id/sync
+// @access  Private
+router.post('/:id/sync',
+  protect,
+  requireScope('health-data:write'),
+  checkOwnership(Device),
+  validate(deviceSchemas.sync),
+  async (req, res, next) => {
+    try {
+      const device = req.resource;
+
+      if (req.body.readings.length > MAX_SYNC_READINGS) {
+        return res.status(400).json({
+          success: false,
+          error: `A sync can send at most ${MAX_SYNC_READINGS} readings`
+        });
+      }
+
+      // Days follow the owner's timezone, data precedence and units, whoever sends the batch
+      const owner = device.user.equals(req.user._id)
+        ? req.user
+        : await User.findById(device.user).select('preferences.timezone preferences.dataPrecedence preferences.units');
+      const timezone = getTimezone(owner);
+
+      const { readings, rejected } = await checkReadings(device, req.body.readings, getUnitPreferences(owner));
+      const recorded = await recordReadings(readings);
+
+      // Each day in the batch is rolled up once. Days of duplicates are included, so a retry
+      // of a sync that saved its readings but failed before rolling them up finishes the job.
+      const days = new Map();
+      readings.forEach(reading => {
+        days.set(dateKey(HealthReading.dayOf(reading.recordedAt, timezone)), reading.recordedAt);
+      });
+
+      const entries = [];
+      for (const recordedAt of days.values()) {
+        entries.push(await HealthReading.rollupDay(device.user, recordedAt, owner));
+      }
+
+      // Days the device now gives values for say where they came from
+      const syncedAt = new Date();
+      const deviceDays = entries.filter(entry => entry?.deviceMetrics.length > 0).map(entry => entry._id);
+      if (deviceDays.length > 0) {
+        await HealthData.updateMany(
+          { _id: { $in: deviceDays } },
+          { $set: { deviceData: { deviceId: device._id.toString(), deviceType: device.type, syncedAt } } }
+        );
+      }
+
+      // The cursor only moves once the batch is saved, so a failed sync is sent again from the old one
+      const update = { $set: { lastSyncedAt: syncedAt }, $inc: { readingsSynced: recorded.length } };
+      if (req.body.cursor === null) {
+        update.$unset = { syncCursor: 1 };
+      } else if (req.body.cursor !== undefined) {
+        update.$set.syncCursor = req.body.cursor;
+      }
+      const synced = await Device.findByIdAndUpdate(device._id, update, { new: true });
+
+      if (entries.length > 0) {
+        sendToUser(req.user._id.toString(), 'health-data:synced', {
+          device: device._id,
+          dates: [...days.keys()]
+        });
+      }
+
+      debug(`Device ${device._id} synced for user: ${req.user.email} - ${recorded.length}/${req.body.readings.length} readings new`);
+
+      res.json({
+        success: true,
+        message: 'Sync complete',
+        data: {
+          accepted: recorded.length,
+          duplicates: readings.length - recorded.length,
+          rejected: rejected.length,
+          errors: rejected.slice(0, SYNC_ERRORS),
+          dates: [...days.keys()].sort(),
+          cursor: synced.syncCursor ?? null,
+          device: synced
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Remove a device. Readings it synced are kept.
+// @route   DELETE /api/v1/devices/:id
+// @access  Private
+router.delete('/:id',
+  protect,
+  requireScope('health-data:write'),
+  checkOwnership(Device),
+  async (req, res, next) => {
+    try {
+      await Device.findByIdAndDelete(req.resource._id);
+
+      debug(`Device removed for user: ${req.user.email} - ${req.resource.name}`);
+
+      res.json({
+        success: true,
+        message: 'Device removed. Readings it synced are kept.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Helper function to check a batch of synced readings against the HealthReading model.
+// Weights sent without a unit are in the owner's preferred unit. Resolves to
+// { readings, rejected }: the readings to record and the ones left out as
+// { index, clientId, details }.
+async function checkReadings(device, items, units) {
+  const readings = [];
+  const rejected = [];
+  const latest = Date.now() + CLOCK_SKEW_MS;
+
+  for (const [index, item] of items.entries()) {
+    const fields = READING_FIELDS.filter(field => item[field] !== undefined);
+    const reading = new HealthReading({
+      ...applyPreferredReadingUnit(Object.fromEntries(fields.map(field => [field, item[field]])), units),
+      user: device.user,
+      source: 'device',
+      deviceId: device._id.toString(),
+      clientId: item.clientId
+    });
+
+    const details = await reading.validate().then(
+      () => [],
+      error => Object.values(error.errors || {}).map(({ path, message }) => ({ field: path, message }))
+    );
+    if (reading.recordedAt > latest) {
+      details.push({ field: 'recordedAt', message: 'Reading time cannot be in the future' });
+    }
+
+    if (details.length > 0) {
+      rejected.push({ index, clientId: item.clientId, details });
+    } else {
+      readings.push(reading);
+    }
+  }
+
+  return { readings, rejected };
+}
+
+// Helper function to save synced readings, skipping client IDs the device already sent.
+// Resolves to the readings that were new.
+async function recordReadings(readings) {
+  if (readings.length === 0) return [];
+
+  // Readings already synced are left exactly as they are, timestamps included
+  const now = new Date();
+  const operations = readings.map(reading => {
+    const { _id, ...fields } = reading.toObject();
+    return {
+      updateOne: {
+        filter: { user: fields.user, deviceId: fields.deviceId, clientId: fields.clientId },
+        update: { $setOnInsert: { ...fields, createdAt: now, updatedAt: now } },
+        upsert: true,
+        timestamps: false
+      }
+    };
+  });
+
+  let result;
+  try {
+    result = await HealthReading.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    // A retry racing the original request can hit the unique index; those are duplicates too
+    const writeErrors = [].concat(error.writeErrors || []);
+    if (writeErrors.length === 0 || writeErrors.some(({ code }) => code !== 11000)) throw error;
+    result = error.result;
+  }
+
+  return Object.keys(result.upsertedIds).map(index => readings[index]);
+}
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,203 @@
+const express = require('express');
+const { pipeline } = require('stream/promises');
+const ExportJob = require('../models/ExportJob');
+const { protect, requireScope, checkOwnership } = require('../middleware/auth');
+const { validate, exportSchemas, querySchemas } = require('../middleware/validation');
+const {
+  createExportContext,
+  countExportRecords,
+  writeExport,
+  streamWriter,
+  describeExportFile
+} = require('../utils/dataExport');
+const { queueExport, openExportFile, deleteExports } = require('../jobs/exports');
+const debug = require('debug')('lifefit:exports');
+
+const router = express.Router();
+
+// Larger accounts are exported in the background rather than streamed
+const SYNC_MAX_RECORDS = parseInt(process.env.EXPORT_SYNC_MAX_RECORDS) || 5000;
+
+// An export covers everything the user can read
+const exportScopes = [
+  requireScope('health-data:read'),
+  requireScope('workouts:read'),
+  requireScope('goals:read')
+];
+
+// @desc    Export the user's health data, workouts and goals
+// @route   GET /api/v1/export
+// @access  Private
+router.get('/',
+  protect,
+  ...exportScopes,
+  validate(exportSchemas.query, 'query'),
+  async (req, res, next) => {
+    try {
+      const { format, entity, startDate, endDate } = req.query;
+      const context = await createExportContext(req.user, { startDate, endDate });
+      const records = await countExportRecords(context, { format });
+      const total = records.healthData + records.workouts + records.goals;
+
+      if (req.query.async || total > SYNC_MAX_RECORDS) {
+        const job = await ExportJob.create({
+          user: req.user._id,
+          format,
+          entity,
+          options: context.range,
+          records
+        });
+
+        queueExport(job);
+
+        debug(`Export ${job._id} queued for user: ${req.user.email} - ${total} records`);
+
+        return res.status(202).json({
+          success: true,
+          message: req.query.async
+            ? 'Export started. You will be notified when it is ready to download.'
+            : `Accounts with more than ${SYNC_MAX_RECORDS} records are exported in the background. You will be notified when it is ready to download.`,
+          data: job
+        });
+      }
+
+      const { fileName, contentType } = describeExportFile({ format, entity });
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${fileName}"`
+      });
+
+      await writeExport(context, { format, entity }, streamWriter(res));
+      res.end();
+
+      debug(`Export (${format}) streamed for user: ${req.user.email} - ${total} records`);
+    } catch (error) {
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        return next(error);
+      }
+
+      // Part of the file has been sent, so all that can be done is cut it short
+      debug('Export stream failed:', error.message);
+      res.destroy(error);
+    }
+  }
+);
+
+// @desc    Get the user's background exports
+// @route   GET /api/v1/export/jobs
+// @access  Private
+router.get('/jobs',
+  protect,
+  ...exportScopes,
+  validate(querySchemas.pagination, 'query'),
+  async (req, res, next) => {
+    try {
+      const { page, limit } = req.query;
+      const filter = { user: req.user._id };
+
+      const [exports, total] = await Promise.all([
+        ExportJob.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        ExportJob.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        count: exports.length,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        },
+        data: exports
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get a background export's status
+// @route   GET /api/v1/export/jobs/:id
+// @access  Private
+router.get('/jobs/:id',
+  protect,
+  ...exportScopes,
+  checkOwnership(ExportJob),
+  async (req, res) => {
+    res.json({
+      success: true,
+      data: req.resource
+    });
+  }
+);
+
+// @desc    Download a finished background export
+// @route   GET /api/v1/export/jobs/:id/download
+// @access  Private
+router.get('/jobs/:id/download',
+  protect,
+  ...exportScopes,
+  checkOwnership(ExportJob),
+  async (req, res, next) => {
+    const job = req.resource;
+
+    if (job.status !== 'completed' || job.expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: job.status === 'completed' ? 'Export has expired' : `Export is ${job.status}`
+      });
+    }
+
+    try {
+      res.set({
+        'Content-Type': job.file.contentType,
+        'Content-Length': job.file.size,
+        'Content-Disposition': `attachment; filename="${job.file.name}"`
+      });
+
+      await pipeline(openExportFile(job), res);
+    } catch (error) {
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        res.removeHeader('Content-Length');
+        return next(error);
+      }
+      debug(`Export ${job._id} download failed:`, error.message);
+    }
+  }
+);
+
+// @desc    Delete a background export and its file
+// @route   DELETE /api/v1/export/jobs/:id
+// @access  Private
+router.delete('/jobs/:id',
+  protect,
+  ...exportScopes,
+  checkOwnership(ExportJob),
+  async (req, res, next) => {
+    try {
+      if (['pending', 'running'].includes(req.resource.status)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Exports can be deleted once they have finished'
+        });
+      }
+
+      await deleteExports({ _id: req.resource._id });
+
+      res.json({
+        success: true,
+        message: 'Export deleted'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
@@ -1,8 +1,9 @@
 const express = require('express');
 const Goal = require('../models/Goal');
-const { protect, checkOwnership } = require('../middleware/auth');
+const { protect, requireScope, checkOwnership } = require('../middleware/auth');
 const { validate, goalSchemas, querySchemas } = require('../middleware/validation');
 const { sendToUser } = require('../socket/socketHandler');
+const { dayGroupKey, getTimezone } = require('../utils/dates');
 const debug = require('debug')('lifefit:goals');
 
 const router = express.Router();
@@ -12,6 +13,7 @@ const router = express.Router();
 // @access  Private
 router.get('/',
   protect,
+  requireScope('goals:read'),
   validate(querySchemas.pagination, 'query'),
   async (req, res, next) => {
     try {
@@ -79,6 +81,7 @@ router.get('/',
 // @access  Private
 router.get('/:id',
   protect,
+  requireScope('goals:read'),
   checkOwnership(Goal),
   async (req, res, next) => {
     try {
@@ -99,6 +102,7 @@ router.get('/:id',
 // @access  Private
 router.post('/',
   protect,
+  requireScope('goals:write'),
   validate(goalSchemas.create),
   async (req, res, next) => {
     try {
@@ -133,6 +137,7 @@ router.post('/',
 // @access  Private
 router.put('/:id',
   protect,
+  requireScope('goals:write'),
   checkOwnership(Goal),
   validate(goalSchemas.update),
   async (req, res, next) => {
@@ -172,6 +177,7 @@ router.put('/:id',
 // @access  Private
 router.delete('/:id',
   protect,
+  requireScope('goals:write'),
   checkOwnership(Goal),
   async (req, res, next) => {
     try {
@@ -201,6 +207,7 @@ router.delete('/:id',
 // @access  Private
 router.put('/:id/progress',
   protect,
+  requireScope('goals:write'),
   checkOwnership(Goal),
   validate(goalSchemas.updateProgress),
   async (req, res, next) => {
@@ -246,6 +253,7 @@ router.put('/:id/progress',
 // @access  Private
 router.put('/:id/complete',
   protect,
+  requireScope('goals:write'),
   checkOwnership(Goal),
   async (req, res, next) => {
     try {
@@ -287,6 +295,7 @@ router.put('/:id/complete',
 // @access  Private
 router.put('/:id/pause',
   protect,
+  requireScope('goals:write'),
   checkOwnership(Goal),
   async (req, res, next) => {
     try {
@@ -327,6 +336,7 @@ router.put('/:id/pause',
 // @access  Private
 router.put('/:id/resume',
   protect,
+  requireScope('goals:write'),
   checkOwnership(Goal),
   async (req, res, next) => {
     try {
@@ -363,7 +373,7 @@ router.put('/:id/resume',
 // @desc    Get active goals
 // @route   GET /api/v1/goals/active
 // @access  Private
-router.get('/active/list', protect, async (req, res, next) => {
+router.get('/active/list', protect, requireScope('goals:read'), async (req, res, next) => {
   try {
     const goals = await Goal.getActiveGoals(req.user._id);
 
@@ -380,7 +390,7 @@ router.get('/active/list', protect, async (req, res, next) => {
 // @desc    Get goals by category
 // @route   GET /api/v1/goals/category/:category
 // @access  Private
-router.get('/category/:category', protect, async (req, res, next) => {
+router.get('/category/:category', protect, requireScope('goals:read'), async (req, res, next) => {
   try {
     const { category } = req.params;
     const goals = await Goal.getGoalsByCategory(req.user._id, category);
@@ -398,7 +408,7 @@ router.get('/category/:category', protect, async (req, res, next) => {
 // @desc    Get goal analytics
 // @route   GET /api/v1/goals/analytics/summary
 // @access  Private
-router.get('/analytics/summary', protect, async (req, res, next) => {
+router.get('/analytics/summary', protect, requireScope('goals:read'), async (req, res, next) => {
   try {
     const { period = 'month' } = req.query;
     
@@ -463,11 +473,7 @@ router.get('/analytics/summary', protect, async (req, res, next) => {
       },
       {
         $group: {
-          _id: {
-            year: { $year: '$completedAt' },
-            month: { $month: '$completedAt' },
-            day: { $dayOfMonth: '$completedAt' }
-          },
+          _id: dayGroupKey('$completedAt', getTimezone(req.user)),
           date: { $first: '$completedAt' },
           completedCount: { $sum: 1 }
         }
@@ -535,7 +541,7 @@ router.get('/analytics/summary', protect, async (req, res, next) => {
 // @desc    Get overdue goals
 // @route   GET /api/v1/goals/overdue
 // @access  Private
-router.get('/overdue/list', protect, async (req, res, next) => {
+router.get('/overdue/list', protect, requireScope('goals:read'), async (req, res, next) => {
   try {
     const now = new Date();
     
@@ -559,7 +565,7 @@ router.get('/overdue/list', protect, async (req, res, next) => {
 // @desc    Get goals due soon
 // @route   GET /api/v1/goals/due-soon
 // @access  Private
-router.get('/due-soon/list', protect, async (req, res, next) => {
+router.get('/due-soon/list', protect, requireScope('goals:read'), async (req, res, next) => {
   try {
     const now = new Date();
     const sevenDaysFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
@@ -1,17 +1,36 @@
 const express = require('express');
 const HealthData = require('../models/HealthData');
-const { protect, checkOwnership } = require('../middleware/auth');
+const HealthReading = require('../models/HealthReading');
+const MetricDefinition = require('../models/MetricDefinition');
+const User = require('../models/User');
+const { protect, requireScope, checkOwnership } = require('../middleware/auth');
 const { validate, healthDataSchemas, querySchemas } = require('../middleware/validation');
 const { sendToUser } = require('../socket/socketHandler');
+const {
+  fromCanonical,
+  getUnitPreferences,
+  applyPreferredHealthUnits,
+  applyPreferredReadingUnit,
+  localizeHealthData,
+  localizeReading
+} = require('../utils/units');
+const { addDays, dateKey, dayBounds, dayGroupKey, getTimezone, toCalendarDay, today } = require('../utils/dates');
+const { resolveCustomMetrics, upsertHealthEntries } = require('../utils/healthEntries');
 const debug = require('debug')('lifefit:health-data');
 
 const router = express.Router();
 
+const MAX_BULK_ENTRIES = parseInt(process.env.HEALTH_DATA_BULK_MAX_ENTRIES) || 5000;
+
+// All-or-nothing bulk failures list at most this many entries
+const BULK_ERRORS = 100;
+
 // @desc    Get all health data for user
 // @route   GET /api/v1/health-data
 // @access  Private
 router.get('/',
   protect,
+  requireScope('health-data:read'),
   validate(querySchemas.healthDataQuery, 'query'),
   async (req, res, next) => {
     try {
@@ -80,6 +99,11 @@ router.get('/',
       ];
 
       const summary = await HealthData.aggregate(summaryPipeline);
+      const units = getUnitPreferences(req.user);
+
+      if (summary[0]) {
+        summary[0].avgWeight = fromCanonical('weight', summary[0].avgWeight, units.weight);
+      }
 
       res.json({
         success: true,
@@ -91,7 +115,131 @@ router.get('/',
           pages: Math.ceil(total / limit)
         },
         summary: summary[0] || {},
-        data: healthData
+        units,
+        data: healthData.map(entry => localizeHealthData(entry, units))
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get intraday readings
+// @route   GET /api/v1/health-data/readings
+// @access  Private
+router.get('/readings',
+  protect,
+  requireScope('health-data:read'),
+  validate(querySchemas.readingsQuery, 'query'),
+  async (req, res, next) => {
+    try {
+      const { metric, startDate, endDate, page, limit } = req.query;
+      const skip = (page - 1) * limit;
+
+      const query = { user: req.user._id };
+      if (metric) query.metric = metric;
+
+      if (startDate || endDate) {
+        query.recordedAt = {};
+        if (startDate) query.recordedAt.$gte = new Date(startDate);
+        if (endDate) query.recordedAt.$lte = new Date(endDate);
+      }
+
+      const [readings, total] = await Promise.all([
+        HealthReading.find(query).sort({ recordedAt: -1 }).skip(skip).limit(limit),
+        HealthReading.countDocuments(query)
+      ]);
+
+      const units = getUnitPreferences(req.user);
+
+      res.json({
+        success: true,
+        count: readings.length,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        },
+        data: readings.map(reading => localizeReading(reading, units))
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Record an intraday reading
+// @route   POST /api/v1/health-data/readings
+// @access  Private
+router.post('/readings',
+  protect,
+  requireScope('health-data:write'),
+  validate(healthDataSchemas.createReading),
+  async (req, res, next) => {
+    try {
+      const units = getUnitPreferences(req.user);
+      applyPreferredReadingUnit(req.body, units);
+
+      const reading = await HealthReading.create({
+        ...req.body,
+        user: req.user._id
+      });
+
+      const healthData = localizeHealthData(
+        await HealthReading.rollupDay(req.user._id, reading.recordedAt, req.user),
+        units
+      );
+
+      sendToUser(req.user._id.toString(), 'health-data:updated', {
+        id: healthData._id,
+        date: healthData.date,
+        metrics: healthData.metrics
+      });
+
+      debug(`Health reading (${reading.metric}) recorded for user: ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Reading recorded successfully',
+        data: { reading: localizeReading(reading, units), healthData }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Delete an intraday reading
+// @route   DELETE /api/v1/health-data/readings/:id
+// @access  Private
+router.delete('/readings/:id',
+  protect,
+  requireScope('health-data:write'),
+  checkOwnership(HealthReading),
+  async (req, res, next) => {
+    try {
+      await HealthReading.findByIdAndDelete(req.params.id);
+
+      const healthData = localizeHealthData(
+        await HealthReading.rollupDay(req.resource.user, req.resource.recordedAt),
+        getUnitPreferences(req.user)
+      );
+
+      if (healthData) {
+        sendToUser(req.user._id.toString(), 'health-data:updated', {
+          id: healthData._id,
+          date: healthData.date,
+          metrics: healthData.metrics
+        });
+      }
+
+      debug(`Health reading deleted for user: ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Reading deleted successfully',
+        data: { healthData }
       });
     } catch (error) {
       next(error);
@@ -104,6 +252,7 @@ router.get('/',
 // @access  Private
 router.get('/:id',
   protect,
+  requireScope('health-data:read'),
   checkOwnership(HealthData),
   async (req, res, next) => {
     try {
@@ -112,7 +261,7 @@ router.get('/:id',
 
       res.json({
         success: true,
-        data: healthData
+        data: localizeHealthData(healthData, getUnitPreferences(req.user))
       });
     } catch (error) {
       next(error);
@@ -125,21 +274,35 @@ router.get('/:id',
 // @access  Private
 router.post('/',
   protect,
+  requireScope('health-data:write'),
   validate(healthDataSchemas.create),
   async (req, res, next) => {
     try {
+      const units = getUnitPreferences(req.user);
+      applyPreferredHealthUnits(req.body.metrics, units);
+      req.body.date = toCalendarDay(req.body.date, getTimezone(req.user));
+
+      if (req.body.customMetrics) {
+        const { values, errors } = await resolveCustomMetrics(req.user._id, req.body.customMetrics);
+        if (errors.length > 0) {
+          return sendCustomMetricErrors(res, errors);
+        }
+        req.body.customMetrics = values;
+      }
+
       const healthData = await HealthData.create({
         ...req.body,
         user: req.user._id
       });
 
       await healthData.populate('workouts', 'name type duration summary');
+      const data = localizeHealthData(healthData, units);
 
       // Send real-time update
       sendToUser(req.user._id.toString(), 'health-data:created', {
         id: healthData._id,
         date: healthData.date,
-        metrics: healthData.metrics
+        metrics: data.metrics
       });
 
       debug(`Health data created for user: ${req.user.email}`);
@@ -147,7 +310,7 @@ router.post('/',
       res.status(201).json({
         success: true,
         message: 'Health data created successfully',
-        data: healthData
+        data
       });
     } catch (error) {
       // Handle duplicate key error (one entry per user per date)
@@ -167,24 +330,53 @@ router.post('/',
 // @access  Private
 router.put('/:id',
   protect,
+  requireScope('health-data:write'),
   checkOwnership(HealthData),
   validate(healthDataSchemas.update),
   async (req, res, next) => {
     try {
+      const units = getUnitPreferences(req.user);
+      applyPreferredHealthUnits(req.body.metrics, units);
+
+      // Custom values are merged into the entry's existing ones rather than replacing them
+      if (req.body.customMetrics) {
+        const { values, errors } = await resolveCustomMetrics(req.resource.user, req.body.customMetrics);
+        if (errors.length > 0) {
+          return sendCustomMetricErrors(res, errors);
+        }
+
+        const merged = new Map(req.resource.customMetrics.map(entry => [entry.metric.toString(), entry]));
+        values.forEach(entry => {
+          if (entry.value === null) {
+            merged.delete(entry.metric.toString());
+          } else {
+            merged.set(entry.metric.toString(), entry);
+          }
+        });
+        req.body.customMetrics = [...merged.values()];
+      }
+
+      // Values entered here take over from any that readings gave for the day
+      const entered = HealthReading.enteredMetrics(req.body.metrics);
+      const update = entered.length > 0
+        ? { ...req.body, $pull: { deviceMetrics: { $in: entered }, readingMetrics: { $in: entered } } }
+        : req.body;
+
       const healthData = await HealthData.findByIdAndUpdate(
         req.params.id,
-        req.body,
+        update,
         {
           new: true,
           runValidators: true
         }
       ).populate('workouts', 'name type duration summary');
+      const data = localizeHealthData(healthData, units);
 
       // Send real-time update
       sendToUser(req.user._id.toString(), 'health-data:updated', {
         id: healthData._id,
         date: healthData.date,
-        metrics: healthData.metrics
+        metrics: data.metrics
       });
 
       debug(`Health data updated for user: ${req.user.email}`);
@@ -192,7 +384,7 @@ router.put('/:id',
       res.json({
         success: true,
         message: 'Health data updated successfully',
-        data: healthData
+        data
       });
     } catch (error) {
       next(error);
@@ -205,11 +397,19 @@ router.put('/:id',
 // @access  Private
 router.delete('/:id',
   protect,
+  requireScope('health-data:write'),
   checkOwnership(HealthData),
   async (req, res, next) => {
     try {
       await HealthData.findByIdAndDelete(req.params.id);
 
+      // The day's readings go with it so they are not rolled up into a new entry later
+      const { start, end } = dayBounds(req.resource.date, await getOwnerTimezone(req));
+      await HealthReading.deleteMany({
+        user: req.resource.user,
+        recordedAt: { $gte: start, $lt: end }
+      });
+
       // Send real-time update
       sendToUser(req.user._id.toString(), 'health-data:deleted', {
         id: req.params.id
@@ -230,7 +430,7 @@ router.delete('/:id',
 // @desc    Get health data by date
 // @route   GET /api/v1/health-data/date/:date
 // @access  Private
-router.get('/date/:date', protect, async (req, res, next) => {
+router.get('/date/:date', protect, requireScope('health-data:read'), async (req, res, next) => {
   try {
     const date = new Date(req.params.date);
     
@@ -242,9 +442,11 @@ router.get('/date/:date', protect, async (req, res, next) => {
       });
     }
 
+    // Entries may have been saved with a time of day, so match the whole day
+    const day = toCalendarDay(req.params.date, getTimezone(req.user));
     const healthData = await HealthData.findOne({
       user: req.user._id,
-      date: date
+      date: { $gte: day, $lt: addDays(day, 1) }
     }).populate('workouts', 'name type duration summary');
 
     if (!healthData) {
@@ -256,7 +458,7 @@ router.get('/date/:date', protect, async (req, res, next) => {
 
     res.json({
       success: true,
-      data: healthData
+      data: localizeHealthData(healthData, getUnitPreferences(req.user))
     });
   } catch (error) {
     next(error);
@@ -266,29 +468,30 @@ router.get('/date/:date', protect, async (req, res, next) => {
 // @desc    Get health data analytics
 // @route   GET /api/v1/health-data/analytics/summary
 // @access  Private
-router.get('/analytics/summary', protect, async (req, res, next) => {
+router.get('/analytics/summary', protect, requireScope('health-data:read'), async (req, res, next) => {
   try {
     const { period = 'month', metric = 'all' } = req.query;
     
-    // Calculate date range based on period
-    const now = new Date();
+    // Calculate date range based on period, in calendar days up to the user's today
+    const endDate = today(getTimezone(req.user));
+    const nextDay = addDays(endDate, 1);
     let startDate;
     
     switch (period) {
       case 'week':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+        startDate = addDays(endDate, -7);
         break;
       case 'month':
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+        startDate = addDays(endDate, -30);
         break;
       case 'quarter':
-        startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
+        startDate = addDays(endDate, -90);
         break;
       case 'year':
-        startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
+        startDate = addDays(endDate, -365);
         break;
       default:
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+        startDate = addDays(endDate, -30);
     }
 
     // Build aggregation pipeline
@@ -296,7 +499,7 @@ router.get('/analytics/summary', protect, async (req, res, next) => {
       {
         $match: {
           user: req.user._id,
-          date: { $gte: startDate, $lte: now }
+          date: { $gte: startDate, $lt: nextDay }
         }
       },
       {
@@ -331,16 +534,13 @@ router.get('/analytics/summary', protect, async (req, res, next) => {
       {
         $match: {
           user: req.user._id,
-          date: { $gte: startDate, $lte: now }
+          date: { $gte: startDate, $lt: nextDay }
         }
       },
       {
         $group: {
-          _id: {
-            year: { $year: '$date' },
-            month: { $month: '$date' },
-            day: { $dayOfMonth: '$date' }
-          },
+          // Entry dates are calendar days at midnight UTC, so they are bucketed in UTC
+          _id: dayGroupKey('$date'),
           date: { $first: '$date' },
           weight: { $avg: '$metrics.weight.value' },
           steps: { $avg: '$metrics.steps.value' },
@@ -356,12 +556,34 @@ router.get('/analytics/summary', protect, async (req, res, next) => {
 
     const trends = await HealthData.aggregate(trendPipeline);
 
+    // The user's own metrics, summarized for the period and added to each day's trend
+    const custom = await getCustomMetricAnalytics(req.user._id, startDate, nextDay);
+    trends.forEach(trend => {
+      trend.custom = custom.trendsByDay.get(dateKey(trend.date)) || {};
+    });
+
+    // Values are stored in kg and liters; report them in the user's units
+    const units = getUnitPreferences(req.user);
+    const summary = analytics[0] || {};
+
+    ['avgWeight', 'minWeight', 'maxWeight'].forEach(key => {
+      if (summary[key] != null) summary[key] = fromCanonical('weight', summary[key], units.weight);
+    });
+    if (summary.avgHydration != null) {
+      summary.avgHydration = fromCanonical('volume', summary.avgHydration, units.volume);
+    }
+    trends.forEach(trend => {
+      trend.weight = fromCanonical('weight', trend.weight, units.weight);
+    });
+
     res.json({
       success: true,
       data: {
         period,
-        dateRange: { startDate, endDate: now },
-        summary: analytics[0] || {},
+        dateRange: { startDate, endDate },
+        units: { weight: units.weight, hydration: units.volume },
+        summary,
+        customSummary: custom.summary,
         trends: trends
       }
     });
@@ -373,10 +595,10 @@ router.get('/analytics/summary', protect, async (req, res, next) => {
 // @desc    Get health data insights
 // @route   GET /api/v1/health-data/analytics/insights
 // @access  Private
-router.get('/analytics/insights', protect, async (req, res, next) => {
+router.get('/analytics/insights', protect, requireScope('health-data:read'), async (req, res, next) => {
   try {
     const userId = req.user._id;
-    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const thirtyDaysAgo = addDays(today(getTimezone(req.user)), -30);
 
     // Get recent data for analysis
     const recentData = await HealthData.find({
@@ -444,7 +666,9 @@ router.get('/analytics/insights', protect, async (req, res, next) => {
       
       if (Math.abs(weightChange) > 0.5) {
         const direction = weightChange > 0 ? 'gained' : 'lost';
-        insights.push(`You've ${direction} ${Math.abs(weightChange).toFixed(1)} lbs over the past month.`);
+        const weightUnit = getUnitPreferences(req.user).weight;
+        const change = fromCanonical('weight', Math.abs(weightChange), weightUnit);
+        insights.push(`You've ${direction} ${change.toFixed(1)} ${weightUnit} over the past month.`);
         
         if (Math.abs(weightChange) > 4) {
           recommendations.push('Significant weight changes should be discussed with a healthcare provider.');
@@ -498,70 +722,165 @@ router.get('/analytics/insights', protect, async (req, res, next) => {
 // @desc    Bulk create/update health data
 // @route   POST /api/v1/health-data/bulk
 // @access  Private
-router.post('/bulk', protect, async (req, res, next) => {
-  try {
-    const { entries } = req.body;
-
-    if (!Array.isArray(entries) || entries.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Entries array is required and must not be empty'
-      });
-    }
-
-    if (entries.length > 100) {
-      return res.status(400).json({
-        success: false,
-        error: 'Maximum 100 entries allowed per bulk operation'
-      });
-    }
-
-    const results = {
-      created: 0,
-      updated: 0,
-      errors: []
-    };
+router.post('/bulk',
+  protect,
+  requireScope('health-data:write'),
+  validate(healthDataSchemas.bulk),
+  async (req, res, next) => {
+    try {
+      const { entries, atomic, dryRun } = req.body;
 
-    for (let i = 0; i < entries.length; i++) {
-      try {
-        const entry = { ...entries[i], user: req.user._id };
-        
-        // Try to find existing entry for the date
-        const existingEntry = await HealthData.findOne({
-          user: req.user._id,
-          date: entry.date
+      if (entries.length > MAX_BULK_ENTRIES) {
+        return res.status(400).json({
+          success: false,
+          error: `Maximum ${MAX_BULK_ENTRIES} entries allowed per bulk operation`
         });
+      }
 
-        if (existingEntry) {
-          // Update existing entry
-          await HealthData.findByIdAndUpdate(existingEntry._id, entry, {
-            runValidators: true
+      // Each entry is checked like POST /health-data, so one bad entry need not fail the rest
+      const checked = entries.map(entry => healthDataSchemas.create.validate(entry, {
+        abortEarly: false,
+        stripUnknown: true,
+        convert: true
+      }));
+      const invalid = [];
+      const valid = [];
+      checked.forEach(({ error, value }, index) => {
+        if (error) {
+          invalid.push({
+            index,
+            entry: entries[index],
+            error: error.details.map(detail => detail.message).join('; '),
+            details: error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }))
           });
-          results.updated++;
         } else {
-          // Create new entry
-          await HealthData.create(entry);
-          results.created++;
+          valid.push({ index, value });
         }
-      } catch (error) {
-        results.errors.push({
-          index: i,
-          entry: entries[i],
-          error: error.message
+      });
+
+      if (atomic && invalid.length > 0) {
+        return sendBulkErrors(res, invalid);
+      }
+
+      const results = await upsertHealthEntries(req.user, valid.map(({ value }) => value), { atomic, dryRun });
+
+      // Put the errors from the write back on the entries' positions in the request
+      results.errors = [
+        ...invalid,
+        ...results.errors.map(error => ({ ...error, index: valid[error.index].index }))
+      ].sort((a, b) => a.index - b.index);
+
+      if (atomic && results.errors.length > 0) {
+        return sendBulkErrors(res, results.errors);
+      }
+
+      debug(`Bulk health data ${dryRun ? 'dry run' : 'operation'} for user: ${req.user.email} - Created: ${results.created}, Updated: ${results.updated}, Skipped: ${results.skipped}, Errors: ${results.errors.length}`);
+
+      res.json({
+        success: true,
+        message: dryRun ? 'Dry run completed. Nothing was saved.' : 'Bulk operation completed',
+        data: { ...results, dryRun }
+      });
+    } catch (error) {
+      // Transactions need a replica set or sharded cluster
+      if (error.code === 20 && /Transaction/i.test(error.message)) {
+        return res.status(501).json({
+          success: false,
+          error: 'All-or-nothing bulk operations need MongoDB to run as a replica set',
+          code: 'TRANSACTIONS_UNSUPPORTED'
         });
       }
+      next(error);
     }
+  }
+);
 
-    debug(`Bulk health data operation for user: ${req.user.email} - Created: ${results.created}, Updated: ${results.updated}, Errors: ${results.errors.length}`);
+// Helper function to reject an all-or-nothing bulk operation with the entries that failed
+function sendBulkErrors(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: `No entries were saved because ${errors.length} ${errors.length === 1 ? 'is' : 'are'} invalid`,
+    code: 'INVALID_BULK_ENTRIES',
+    details: errors.slice(0, BULK_ERRORS)
+  });
+}
+
+// Helper function to reject invalid custom metric values in the validation error format
+function sendCustomMetricErrors(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    code: 'INVALID_CUSTOM_METRIC',
+    details: errors
+  });
+}
+
+// Helper function to summarize custom metrics over a period (end exclusive), per metric and per day
+async function getCustomMetricAnalytics(userId, startDate, endDate) {
+  const match = {
+    $match: {
+      user: userId,
+      date: { $gte: startDate, $lt: endDate },
+      'customMetrics.0': { $exists: true }
+    }
+  };
 
-    res.json({
-      success: true,
-      message: 'Bulk operation completed',
-      data: results
+  const [totals, daily, definitions] = await Promise.all([
+    HealthData.aggregate([
+      match,
+      { $unwind: '$customMetrics' },
+      {
+        $group: {
+          _id: '$customMetrics.metric',
+          entries: { $sum: 1 },
+          avg: { $avg: '$customMetrics.value' },
+          min: { $min: '$customMetrics.value' },
+          max: { $max: '$customMetrics.value' },
+          total: { $sum: '$customMetrics.value' }
+        }
+      }
+    ]),
+    HealthData.aggregate([
+      match,
+      { $unwind: '$customMetrics' },
+      {
+        $group: {
+          _id: {
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
+            metric: '$customMetrics.metric'
+          },
+          value: { $avg: '$customMetrics.value' }
+        }
+      }
+    ]),
+    MetricDefinition.find({ user: userId }).select('name unit type')
+  ]);
+
+  const byId = new Map(definitions.map(definition => [definition._id.toString(), definition]));
+
+  const summary = totals
+    .filter(total => byId.has(total._id.toString()))
+    .map(({ _id, ...stats }) => {
+      const { name, unit, type } = byId.get(_id.toString());
+      return { metric: _id, name, unit, type, ...stats };
     });
-  } catch (error) {
-    next(error);
+
+  const trendsByDay = new Map();
+  daily.forEach(({ _id, value }) => {
+    const day = trendsByDay.get(_id.day) || {};
+    day[_id.metric.toString()] = value;
+    trendsByDay.set(_id.day, day);
+  });
+
+  return { summary, trendsByDay };
+}
+
+// Helper function to get the timezone of the user who owns req.resource
+async function getOwnerTimezone(req) {
+  if (req.resource.user.equals(req.user._id)) {
+    return getTimezone(req.user);
   }
-});
+  return getTimezone(await User.findById(req.resource.user).select('preferences.timezone'));
+}
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,435 @@
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const ImportJob = require('../models/ImportJob');
+const MetricDefinition = require('../models/MetricDefinition');
+const { protect, requireScope, checkOwnership } = require('../middleware/auth');
+const { validate, importSchemas, querySchemas } = require('../middleware/validation');
+const { previewCsv } = require('../utils/csvImport');
+const { DEVICE_SOURCES } = require('../utils/deviceImports');
+const { readFhirBundle } = require('../utils/fhir');
+const { getTimezone } = require('../utils/dates');
+const { queueImport } = require('../jobs/imports');
+const debug = require('debug')('lifefit:imports');
+
+const router = express.Router();
+
+// CSV files are parsed in memory and never stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: (parseInt(process.env.IMPORT_MAX_FILE_MB) || 5) * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    cb(null, /\.csv$/i.test(file.originalname) || ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype));
+  }
+});
+
+// Device exports run to hundreds of MB, so they go to disk until the import has read them
+const UPLOAD_DIR = process.env.IMPORT_UPLOAD_DIR || path.join(os.tmpdir(), 'lifefit-imports');
+
+const exportUpload = multer({
+  dest: UPLOAD_DIR,
+  limits: {
+    fileSize: (parseInt(process.env.DEVICE_IMPORT_MAX_FILE_MB) || 1024) * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    cb(null, DEVICE_SOURCES[req.params.source].files.test(file.originalname));
+  }
+});
+
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 10000;
+
+// Preview responses list at most this many row errors and sample entries
+const PREVIEW_ERRORS = 100;
+const PREVIEW_SAMPLE = 10;
+
+// @desc    Get the user's imports
+// @route   GET /api/v1/imports
+// @access  Private
+router.get('/',
+  protect,
+  requireScope('health-data:read'),
+  validate(querySchemas.pagination, 'query'),
+  async (req, res, next) => {
+    try {
+      const { page, limit } = req.query;
+      const filter = { user: req.user._id };
+
+      const [imports, total] = await Promise.all([
+        ImportJob.find(filter)
+          .select('-rowErrors -failures')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        ImportJob.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        count: imports.length,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        },
+        data: imports
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Upload a CSV of health data and preview the import
+// @route   POST /api/v1/imports/csv
+// @access  Private
+router.post('/csv',
+  protect,
+  requireScope('health-data:write'),
+  upload.single('file'),
+  parseJsonFields('mapping', 'units'),
+  validate(importSchemas.csv),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'Upload a CSV file in the "file" field'
+        });
+      }
+
+      const definitions = await MetricDefinition.find({ user: req.user._id });
+      const preview = previewCsv(req.file.buffer.toString('utf8'), {
+        ...req.body,
+        definitions,
+        timezone: getTimezone(req.user)
+      });
+
+      if (preview.mappingErrors) {
+        return res.status(400).json({
+          success: false,
+          error: 'Column mapping is incomplete or invalid',
+          code: 'INVALID_IMPORT_MAPPING',
+          details: preview.mappingErrors,
+          data: { headers: preview.headers, mapping: preview.mapping }
+        });
+      }
+
+      if (preview.totalRows > MAX_ROWS) {
+        return res.status(400).json({
+          success: false,
+          error: `Files can have at most ${MAX_ROWS} rows`
+        });
+      }
+
+      const job = await ImportJob.create({
+        user: req.user._id,
+        source: 'csv',
+        fileName: req.file.originalname,
+        mapping: preview.mapping,
+        options: { units: preview.units, dateFormat: req.body.dateFormat },
+        totalRows: preview.totalRows,
+        entries: preview.entries,
+        rowErrors: preview.rowErrors,
+        expiresAt: ImportJob.previewExpiry()
+      });
+
+      debug(`CSV import previewed for user: ${req.user.email} - ${preview.entries.length}/${preview.totalRows} rows valid`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Import ready to review. Commit it to save the valid rows.',
+        data: {
+          id: job._id,
+          status: job.status,
+          fileName: job.fileName,
+          headers: preview.headers,
+          mapping: preview.mapping,
+          units: preview.units,
+          totalRows: preview.totalRows,
+          validRows: preview.entries.length,
+          invalidRows: preview.rowErrors.length,
+          errors: preview.rowErrors.slice(0, PREVIEW_ERRORS),
+          sample: preview.entries.slice(0, PREVIEW_SAMPLE),
+          expiresAt: job.expiresAt
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Import a FHIR R4 Bundle of Observations in the background
+// @route   POST /api/v1/imports/fhir
+// @access  Private
+router.post('/fhir',
+  protect,
+  requireScope('health-data:write'),
+  express.json({ type: ['application/json', 'application/fhir+json'], limit: '10mb' }),
+  validate(importSchemas.fhirQuery, 'query'),
+  validate(importSchemas.fhir),
+  async (req, res, next) => {
+    try {
+      if (req.body.entry.length > MAX_ROWS) {
+        return res.status(400).json({
+          success: false,
+          error: `Bundles can have at most ${MAX_ROWS} entries`
+        });
+      }
+
+      const { entries, observations, rowErrors, issues } = readFhirBundle(req.body, {
+        timezone: getTimezone(req.user),
+        syncedAt: new Date()
+      });
+
+      if (entries.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: observations > 0
+            ? 'None of the Observations in the bundle can be imported'
+            : 'The bundle has no Observations',
+          code: 'INVALID_FHIR_BUNDLE',
+          details: rowErrors.slice(0, PREVIEW_ERRORS)
+        });
+      }
+
+      const job = await ImportJob.create({
+        user: req.user._id,
+        source: 'fhir',
+        status: 'pending',
+        options: req.query,
+        totalRows: observations,
+        entries: entries.map(data => ({ data })),
+        rowErrors,
+        warnings: issues.slice(0, PREVIEW_ERRORS)
+      });
+
+      queueImport(job);
+
+      debug(`FHIR import ${job._id} queued for user: ${req.user.email} - ${observations - rowErrors.length}/${observations} observations valid`);
+
+      // The days waiting to be written are not sent back
+      const { entries: pending, ...data } = job.toJSON();
+
+      res.status(202).json({
+        success: true,
+        message: rowErrors.length > 0
+          ? `Import started. ${rowErrors.length} of ${observations} Observations were left out.`
+          : 'Import started',
+        data: {
+          ...data,
+          rowErrors: rowErrors.slice(0, PREVIEW_ERRORS)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Upload a device export (Apple Health, Fitbit, Google Fit) and import it in the background
+// @route   POST /api/v1/imports/:source
+// @access  Private
+router.post(`/:source(${Object.keys(DEVICE_SOURCES).join('|')})`,
+  protect,
+  requireScope('health-data:write'),
+  requireScope('workouts:write'),
+  exportUpload.single('file'),
+  removeUnusedUpload,
+  parseJsonFields('fields'),
+  validate(importSchemas.device),
+  async (req, res, next) => {
+    const { name, upload } = DEVICE_SOURCES[req.params.source];
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: `Upload ${upload} in the "file" field`
+      });
+    }
+
+    try {
+      const job = await ImportJob.create({
+        user: req.user._id,
+        source: req.params.source,
+        status: 'pending',
+        fileName: req.file.originalname,
+        filePath: req.file.path,
+        options: req.body
+      });
+
+      req.file.queued = true;
+      queueImport(job);
+
+      debug(`${name} import ${job._id} queued for user: ${req.user.email} - ${req.file.size} bytes`);
+
+      // Where the upload sits on the server is no business of the client
+      const { filePath, ...data } = job.toJSON();
+
+      res.status(202).json({
+        success: true,
+        message: 'Import started. Follow its progress on the import.',
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get an import's status and results
+// @route   GET /api/v1/imports/:id
+// @access  Private
+router.get('/:id',
+  protect,
+  requireScope('health-data:read'),
+  checkOwnership(ImportJob),
+  async (req, res) => {
+    res.json({
+      success: true,
+      data: req.resource
+    });
+  }
+);
+
+// @desc    Commit a previewed import
+// @route   POST /api/v1/imports/:id/commit
+// @access  Private
+router.post('/:id/commit',
+  protect,
+  requireScope('health-data:write'),
+  checkOwnership(ImportJob),
+  async (req, res, next) => {
+    try {
+      const job = await ImportJob.findOneAndUpdate(
+        { _id: req.resource._id, status: 'preview', 'entries.0': { $exists: true } },
+        { status: 'pending', $unset: { expiresAt: 1 } },
+        { new: true }
+      );
+
+      if (!job) {
+        return res.status(400).json({
+          success: false,
+          error: req.resource.status === 'preview'
+            ? 'The import has no valid rows to commit'
+            : `Import is already ${req.resource.status}`
+        });
+      }
+
+      queueImport(job);
+
+      debug(`Import ${job._id} committed by user: ${req.user.email}`);
+
+      res.status(202).json({
+        success: true,
+        message: 'Import started',
+        data: job
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Undo a completed or failed import
+// @route   POST /api/v1/imports/:id/undo
+// @access  Private
+router.post('/:id/undo',
+  protect,
+  requireScope('health-data:write'),
+  checkOwnership(ImportJob),
+  async (req, res, next) => {
+    try {
+      const job = await ImportJob.findOneAndUpdate(
+        { _id: req.resource._id, status: { $in: ['completed', 'failed'] } },
+        { status: 'undoing' },
+        { new: true }
+      );
+
+      if (!job) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only completed or failed imports can be undone'
+        });
+      }
+
+      queueImport(job);
+
+      debug(`Import ${job._id} undo requested by user: ${req.user.email}`);
+
+      res.status(202).json({
+        success: true,
+        message: 'Undoing import',
+        data: job
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Discard a previewed import
+// @route   DELETE /api/v1/imports/:id
+// @access  Private
+router.delete('/:id',
+  protect,
+  requireScope('health-data:write'),
+  checkOwnership(ImportJob),
+  async (req, res, next) => {
+    try {
+      const { deletedCount } = await ImportJob.deleteOne({ _id: req.resource._id, status: 'preview' });
+
+      if (deletedCount === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only previews can be discarded; undo a completed import instead'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Import discarded'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Helper function to delete an upload once the request is over, unless an import took it
+function removeUnusedUpload(req, res, next) {
+  res.on('finish', () => {
+    if (req.file && !req.file.queued) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  });
+  next();
+}
+
+// Helper function to parse JSON sent as multipart form fields
+function parseJsonFields(...fields) {
+  return (req, res, next) => {
+    for (const field of fields) {
+      if (typeof req.body[field] !== 'string') continue;
+
+      try {
+        req.body[field] = JSON.parse(req.body[field]);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} must be valid JSON`
+        });
+      }
+    }
+    next();
+  };
+}
+
+module.exports = router;
\ No newline at end of file
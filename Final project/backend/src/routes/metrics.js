@@ -0,0 +1,149 @@
+const express = require('express');
+const MetricDefinition = require('../models/MetricDefinition');
+const HealthData = require('../models/HealthData');
+const Goal = require('../models/Goal');
+const { protect, requireScope, checkOwnership } = require('../middleware/auth');
+const { validate, metricSchemas } = require('../middleware/validation');
+const debug = require('debug')('lifefit:metrics');
+
+const router = express.Router();
+
+// @desc    Get the user's custom metric definitions
+// @route   GET /api/v1/metrics
+// @access  Private
+router.get('/', protect, requireScope('health-data:read'), async (req, res, next) => {
+  try {
+    const query = { user: req.user._id };
+
+    if (req.query.includeArchived !== 'true') {
+      query.archivedAt = null;
+    }
+
+    const metrics = await MetricDefinition.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: metrics.length,
+      data: metrics
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create a custom metric definition
+// @route   POST /api/v1/metrics
+// @access  Private
+router.post('/',
+  protect,
+  requireScope('health-data:write'),
+  validate(metricSchemas.create),
+  async (req, res, next) => {
+    try {
+      const metric = await MetricDefinition.create({
+        ...req.body,
+        user: req.user._id
+      });
+
+      debug(`Custom metric created for user: ${req.user.email} - ${metric.name}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Metric created successfully',
+        data: metric
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          error: 'You already have a metric with this name'
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+// @desc    Update a custom metric definition
+// @route   PUT /api/v1/metrics/:id
+// @access  Private
+router.put('/:id',
+  protect,
+  requireScope('health-data:write'),
+  checkOwnership(MetricDefinition),
+  validate(metricSchemas.update),
+  async (req, res, next) => {
+    try {
+      const { archived, ...updates } = req.body;
+      const metric = req.resource;
+
+      metric.set(updates);
+      if (archived !== undefined) {
+        metric.archivedAt = archived ? metric.archivedAt || new Date() : undefined;
+      }
+
+      // Saving runs the range checks in the model
+      await metric.save();
+
+      debug(`Custom metric updated for user: ${req.user.email} - ${metric.name}`);
+
+      res.json({
+        success: true,
+        message: 'Metric updated successfully',
+        data: metric
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          error: 'You already have a metric with this name'
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+// @desc    Delete a custom metric definition
+// @route   DELETE /api/v1/metrics/:id
+// @access  Private
+router.delete('/:id',
+  protect,
+  requireScope('health-data:write'),
+  checkOwnership(MetricDefinition),
+  async (req, res, next) => {
+    try {
+      const metric = req.resource;
+
+      // Metrics with history or goals are archived so that data keeps its meaning
+      const [hasValues, hasGoals] = await Promise.all([
+        HealthData.exists({ user: metric.user, 'customMetrics.metric': metric._id }),
+        Goal.exists({ user: metric.user, 'target.customMetric': metric._id })
+      ]);
+
+      if (hasValues || hasGoals) {
+        metric.archivedAt = metric.archivedAt || new Date();
+        await metric.save();
+
+        return res.json({
+          success: true,
+          message: 'Metric archived because it has recorded values or goals',
+          data: metric
+        });
+      }
+
+      await MetricDefinition.findByIdAndDelete(metric._id);
+
+      debug(`Custom metric deleted for user: ${req.user.email} - ${metric.name}`);
+
+      res.json({
+        success: true,
+        message: 'Metric deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
@@ -3,12 +3,22 @@ const User = require('../models/User');
 const HealthData = require('../models/HealthData');
 const Goal = require('../models/Goal');
 const Workout = require('../models/Workout');
-const { protect, authorize } = require('../middleware/auth');
-const { validate, querySchemas } = require('../middleware/validation');
+const ErasureRecord = require('../models/ErasureRecord');
+const AuditLog = require('../models/AuditLog');
+const Impersonation = require('../models/Impersonation');
+const { protect, authorize, denyApiTokens } = require('../middleware/auth');
+const { purgeAccount } = require('../jobs/accountDeletion');
+const { deactivateAccount, reactivateAccount } = require('../utils/accountStatus');
+const { validate, userSchemas, querySchemas } = require('../middleware/validation');
+const { getUnitPreferences, localizeHealthData } = require('../utils/units');
+const { countStreak, dateKey, getTimezone } = require('../utils/dates');
 const debug = require('debug')('lifefit:users');
 
 const router = express.Router();
 
+// Account and admin endpoints require a signed-in session
+router.use(denyApiTokens);
+
 // @desc    Get all users (admin only)
 // @route   GET /api/v1/users
 // @access  Private/Admin
@@ -57,6 +67,277 @@ router.get('/',
   }
 );
 
+// @desc    Search the audit log (admin only)
+// @route   GET /api/v1/users/audit
+// @access  Private/Admin
+router.get('/audit',
+  protect,
+  authorize('admin'),
+  validate(querySchemas.auditQuery, 'query'),
+  async (req, res, next) => {
+    try {
+      const { actor, target, ip } = req.query;
+      const filter = {};
+
+      if (actor) filter.actor = actor;
+      if (target) filter.target = target;
+      if (ip) filter.ip = ip;
+
+      res.json(await searchAuditLog(filter, req.query));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get impersonation sessions (admin only)
+// @route   GET /api/v1/users/impersonations
+// @access  Private/Admin
+router.get('/impersonations',
+  protect,
+  authorize('admin'),
+  validate(querySchemas.pagination, 'query'),
+  async (req, res, next) => {
+    try {
+      const { page, limit } = req.query;
+      const filter = {};
+
+      if (req.query.admin) filter.admin = req.query.admin;
+      if (req.query.target) filter.target = req.query.target;
+
+      const [impersonations, total] = await Promise.all([
+        Impersonation.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('admin', 'name email')
+          .populate('target', 'name email'),
+        Impersonation.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        count: impersonations.length,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        },
+        data: impersonations
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    End an impersonation session (admin only)
+// @route   DELETE /api/v1/users/impersonations/:id
+// @access  Private/Admin
+router.delete('/impersonations/:id',
+  protect,
+  authorize('admin'),
+  async (req, res, next) => {
+    try {
+      const impersonation = await Impersonation.findById(req.params.id);
+
+      if (!impersonation || !impersonation.isActive) {
+        return res.status(404).json({
+          success: false,
+          error: 'Active impersonation session not found'
+        });
+      }
+
+      impersonation.endedAt = new Date();
+      await impersonation.save();
+
+      await AuditLog.record(req, {
+        action: 'impersonation.end',
+        target: impersonation.target,
+        metadata: { impersonation: impersonation._id, requestCount: impersonation.requestCount }
+      });
+
+      debug(`Impersonation ${impersonation._id} ended by admin: ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Impersonation session ended'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get accounts scheduled for deletion (admin only)
+// @route   GET /api/v1/users/deletions
+// @access  Private/Admin
+router.get('/deletions',
+  protect,
+  authorize('admin'),
+  async (req, res, next) => {
+    try {
+      const users = await User.find({ 'deletion.scheduledFor': { $exists: true } })
+        .select('name email deletion')
+        .sort({ 'deletion.scheduledFor': 1 });
+
+      res.json({
+        success: true,
+        count: users.length,
+        data: users.map(user => ({
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          requestedAt: user.deletion.requestedAt,
+          scheduledFor: user.deletion.scheduledFor,
+          reason: user.deletion.reason
+        }))
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Look up erasure records (admin only)
+// @route   GET /api/v1/users/erasures
+// @access  Private/Admin
+router.get('/erasures',
+  protect,
+  authorize('admin'),
+  async (req, res, next) => {
+    try {
+      const { email, userId } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+      const filter = {};
+
+      if (email) filter.emailHash = ErasureRecord.hashEmail(email);
+      if (userId) filter.userId = userId;
+
+      const records = await ErasureRecord.find(filter)
+        .sort({ erasedAt: -1 })
+        .limit(limit);
+
+      res.json({
+        success: true,
+        count: records.length,
+        data: records
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Start a "view as user" session (admin only)
+// @route   POST /api/v1/users/:id/impersonate
+// @access  Private/Admin
+router.post('/:id/impersonate',
+  protect,
+  authorize('admin'),
+  validate(userSchemas.impersonate),
+  async (req, res, next) => {
+    try {
+      const { reason, durationMinutes, elevated } = req.body;
+
+      const user = await User.findById(req.params.id);
+
+      if (!user || !user.isActive) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      if (user.role === 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Admins cannot be impersonated'
+        });
+      }
+
+      const impersonation = await Impersonation.create({
+        admin: req.user._id,
+        adminSession: req.sessionId,
+        target: user._id,
+        reason,
+        mode: elevated ? 'elevated' : 'read-only',
+        expiresAt: new Date(Date.now() + durationMinutes * 60 * 1000),
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      await AuditLog.record(req, {
+        action: 'impersonation.start',
+        target: user._id,
+        metadata: {
+          impersonation: impersonation._id,
+          mode: impersonation.mode,
+          reason,
+          expiresAt: impersonation.expiresAt
+        }
+      });
+
+      debug(`Admin ${req.user.email} impersonating ${user.email} (${impersonation.mode})`);
+
+      res.status(201).json({
+        success: true,
+        message: `Impersonating ${user.name} (${impersonation.mode}) until ${impersonation.expiresAt.toISOString()}`,
+        data: {
+          impersonation,
+          token: user.generateImpersonationToken(impersonation)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Erase an account now instead of waiting for the grace period (admin only)
+// @route   POST /api/v1/users/:id/deletion/expedite
+// @access  Private/Admin
+router.post('/:id/deletion/expedite',
+  protect,
+  authorize('admin'),
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      if (!user.deletion?.scheduledFor) {
+        return res.status(400).json({
+          success: false,
+          error: 'This user has not requested account deletion'
+        });
+      }
+
+      const record = await purgeAccount(user, {
+        method: 'expedited',
+        performedBy: req.user._id,
+        req
+      });
+
+      debug(`Account deletion expedited by admin ${req.user.email}: ${user._id}`);
+
+      res.json({
+        success: true,
+        message: 'Account erased successfully',
+        data: record
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // @desc    Get user by ID
 // @route   GET /api/v1/users/:id
 // @access  Private/Admin or Own Profile
@@ -177,8 +458,9 @@ router.get('/:id/stats', protect, async (req, res, next) => {
       .select('date metrics');
 
     // Calculate streaks
-    const healthDataStreak = await calculateHealthDataStreak(userId);
-    const workoutStreak = await calculateWorkoutStreak(userId);
+    const timezone = getTimezone(user);
+    const healthDataStreak = await calculateHealthDataStreak(userId, timezone);
+    const workoutStreak = await calculateWorkoutStreak(userId, timezone);
 
     const stats = {
       overview: {
@@ -206,7 +488,7 @@ router.get('/:id/stats', protect, async (req, res, next) => {
         }
       },
       health: {
-        latestEntry: latestHealthData,
+        latestEntry: localizeHealthData(latestHealthData, getUnitPreferences(req.user)),
         bmi: user.bmi
       }
     };
@@ -230,19 +512,52 @@ router.put('/:id',
   authorize('admin'),
   async (req, res, next) => {
     try {
+      // `unlock: true` clears a brute-force lockout alongside any other edits.
+      // `isActive` goes through the deactivation flow so sessions and goals follow it.
+      const { unlock, isActive, ...updates } = req.body;
+
+      // Keep the previous values for the audit diff
+      const before = await User.findById(req.params.id).lean();
+
+      if (!before) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
       const user = await User.findByIdAndUpdate(
         req.params.id,
-        req.body,
+        updates,
         {
           new: true,
           runValidators: true
         }
       ).select('-password');
 
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          error: 'User not found'
+      if (isActive === false && before.isActive) {
+        await deactivateAccount(user, { reason: 'admin', req });
+      } else if (isActive === true && !before.isActive) {
+        await reactivateAccount(user, { req });
+      }
+
+      if (unlock === true) {
+        await user.unlockAccount();
+        await AuditLog.record(req, { action: 'account.unlocked', target: user._id });
+        debug(`User unlocked by admin: ${user.email}`);
+      }
+
+      const changes = AuditLog.diff(before, user.toObject(), Object.keys(updates));
+
+      if (changes) {
+        await AuditLog.record(req, { action: 'user.update', target: user._id, changes });
+      }
+
+      if (changes?.role) {
+        await AuditLog.record(req, {
+          action: 'role.change',
+          target: user._id,
+          changes: { role: changes.role }
         });
       }
 
@@ -277,8 +592,7 @@ router.delete('/:id',
       }
 
       // Soft delete - deactivate user instead of removing
-      user.isActive = false;
-      await user.save();
+      await deactivateAccount(user, { reason: 'admin', req });
 
       debug(`User deactivated by admin: ${user.email}`);
 
@@ -292,6 +606,31 @@ router.delete('/:id',
   }
 );
 
+// @desc    Get the audit trail for a user's account
+// @route   GET /api/v1/users/:id/audit
+// @access  Private/Own Profile or Admin
+router.get('/:id/audit',
+  protect,
+  validate(querySchemas.auditQuery, 'query'),
+  async (req, res, next) => {
+    try {
+      const userId = req.params.id;
+
+      // Check permissions
+      if (userId !== req.user._id.toString() && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      res.json(await searchAuditLog({ target: userId }, req.query));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // @desc    Get user activity feed
 // @route   GET /api/v1/users/:id/activity
 // @access  Private/Own Profile or Admin
@@ -319,11 +658,12 @@ router.get('/:id/activity', protect, async (req, res, next) => {
       .limit(10)
       .select('date metrics createdAt');
 
+    const units = getUnitPreferences(req.user);
     recentHealthData.forEach(entry => {
       activities.push({
         type: 'health_data',
         action: 'created',
-        data: entry,
+        data: localizeHealthData(entry, units),
         timestamp: entry.createdAt
       });
     });
@@ -375,67 +715,55 @@ router.get('/:id/activity', protect, async (req, res, next) => {
   }
 });
 
-// Helper function to calculate health data streak
-async function calculateHealthDataStreak(userId) {
-  const entries = await HealthData.find({ user: userId })
-    .sort({ date: -1 })
-    .select('date');
-
-  if (entries.length === 0) return 0;
-
-  let streak = 0;
-  let currentDate = new Date();
-  currentDate.setHours(0, 0, 0, 0);
+// Helper function to run a paginated audit log query, newest entries first
+async function searchAuditLog(filter, { action, startDate, endDate, page, limit }) {
+  if (action) filter.action = action;
 
-  for (const entry of entries) {
-    const entryDate = new Date(entry.date);
-    entryDate.setHours(0, 0, 0, 0);
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) filter.createdAt.$gte = new Date(startDate);
+    if (endDate) filter.createdAt.$lte = new Date(endDate);
+  }
 
-    const diffDays = Math.floor((currentDate - entryDate) / (1000 * 60 * 60 * 24));
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actor', 'name email role'),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  return {
+    success: true,
+    count: entries.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: entries
+  };
+}
 
-    if (diffDays === streak) {
-      streak++;
-      currentDate.setDate(currentDate.getDate() - 1);
-    } else if (diffDays > streak) {
-      break;
-    }
-  }
+// Helper function to calculate health data streak: consecutive days with an entry, ending
+// on the user's today. Entry dates are already calendar days.
+async function calculateHealthDataStreak(userId, timezone) {
+  const entries = await HealthData.find({ user: userId }).select('date');
 
-  return streak;
+  return countStreak(entries.map(entry => dateKey(entry.date)), timezone);
 }
 
-// Helper function to calculate workout streak
-async function calculateWorkoutStreak(userId) {
+// Helper function to calculate workout streak, placing each workout on the day it
+// started in the user's timezone
+async function calculateWorkoutStreak(userId, timezone) {
   const workouts = await Workout.find({
     user: userId,
     completionStatus: 'completed'
-  })
-    .sort({ date: -1 })
-    .select('date');
-
-  if (workouts.length === 0) return 0;
-
-  let streak = 0;
-  let currentDate = new Date();
-  currentDate.setHours(0, 0, 0, 0);
-
-  const workoutDates = [...new Set(workouts.map(w => 
-    new Date(w.date).toDateString()
-  ))];
-
-  for (const dateStr of workoutDates) {
-    const workoutDate = new Date(dateStr);
-    const diffDays = Math.floor((currentDate - workoutDate) / (1000 * 60 * 60 * 24));
-
-    if (diffDays === streak) {
-      streak++;
-      currentDate.setDate(currentDate.getDate() - 1);
-    } else if (diffDays > streak) {
-      break;
-    }
-  }
+  }).select('startTime');
 
-  return streak;
+  return countStreak(workouts.map(workout => dateKey(workout.startTime, timezone)), timezone);
 }
 
 module.exports = router;
\ No newline at end of file
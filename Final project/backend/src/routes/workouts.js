@@ -1,9 +1,11 @@
 const express = require('express');
 const Workout = require('../models/Workout');
 const HealthData = require('../models/HealthData');
-const { protect, checkOwnership } = require('../middleware/auth');
+const { protect, requireScope, checkOwnership } = require('../middleware/auth');
 const { validate, workoutSchemas, querySchemas } = require('../middleware/validation');
 const { sendToUser } = require('../socket/socketHandler');
+const { fromCanonical, getUnitPreferences, localizeWorkout } = require('../utils/units');
+const { addDays, dayGroupKey, getTimezone, toCalendarDay } = require('../utils/dates');
 const debug = require('debug')('lifefit:workouts');
 
 const router = express.Router();
@@ -13,6 +15,7 @@ const router = express.Router();
 // @access  Private
 router.get('/',
   protect,
+  requireScope('workouts:read'),
   validate(querySchemas.pagination, 'query'),
   async (req, res, next) => {
     try {
@@ -61,6 +64,8 @@ router.get('/',
         summary[stat._id] = stat.count;
       });
 
+      const units = getUnitPreferences(req.user);
+
       res.json({
         success: true,
         count: workouts.length,
@@ -71,7 +76,7 @@ router.get('/',
           pages: Math.ceil(total / limit)
         },
         summary,
-        data: workouts
+        data: workouts.map(workout => localizeWorkout(workout, units))
       });
     } catch (error) {
       next(error);
@@ -84,6 +89,7 @@ router.get('/',
 // @access  Private
 router.get('/:id',
   protect,
+  requireScope('workouts:read'),
   checkOwnership(Workout),
   async (req, res, next) => {
     try {
@@ -91,7 +97,7 @@ router.get('/:id',
 
       res.json({
         success: true,
-        data: workout
+        data: localizeWorkout(workout, getUnitPreferences(req.user))
       });
     } catch (error) {
       next(error);
@@ -104,6 +110,7 @@ router.get('/:id',
 // @access  Private
 router.post('/',
   protect,
+  requireScope('workouts:write'),
   validate(workoutSchemas.create),
   async (req, res, next) => {
     try {
@@ -126,7 +133,7 @@ router.post('/',
       res.status(201).json({
         success: true,
         message: 'Workout created successfully',
-        data: workout
+        data: localizeWorkout(workout, getUnitPreferences(req.user))
       });
     } catch (error) {
       next(error);
@@ -139,6 +146,7 @@ router.post('/',
 // @access  Private
 router.put('/:id',
   protect,
+  requireScope('workouts:write'),
   checkOwnership(Workout),
   validate(workoutSchemas.create),
   async (req, res, next) => {
@@ -165,7 +173,7 @@ router.put('/:id',
       res.json({
         success: true,
         message: 'Workout updated successfully',
-        data: workout
+        data: localizeWorkout(workout, getUnitPreferences(req.user))
       });
     } catch (error) {
       next(error);
@@ -178,6 +186,7 @@ router.put('/:id',
 // @access  Private
 router.delete('/:id',
   protect,
+  requireScope('workouts:write'),
   checkOwnership(Workout),
   async (req, res, next) => {
     try {
@@ -213,6 +222,7 @@ router.delete('/:id',
 // @access  Private
 router.put('/:id/start',
   protect,
+  requireScope('workouts:write'),
   checkOwnership(Workout),
   async (req, res, next) => {
     try {
@@ -239,7 +249,7 @@ router.put('/:id/start',
       res.json({
         success: true,
         message: 'Workout started successfully',
-        data: workout
+        data: localizeWorkout(workout, getUnitPreferences(req.user))
       });
     } catch (error) {
       next(error);
@@ -252,6 +262,7 @@ router.put('/:id/start',
 // @access  Private
 router.put('/:id/complete',
   protect,
+  requireScope('workouts:write'),
   checkOwnership(Workout),
   async (req, res, next) => {
     try {
@@ -273,13 +284,12 @@ router.put('/:id/complete',
 
       await workout.complete();
 
-      // Update health data for the workout date
-      const workoutDate = new Date(workout.date);
-      workoutDate.setHours(0, 0, 0, 0);
+      // Update health data for the day the workout started on in the user's timezone
+      const workoutDate = toCalendarDay(workout.startTime, getTimezone(req.user));
 
       let healthData = await HealthData.findOne({
         user: req.user._id,
-        date: workoutDate
+        date: { $gte: workoutDate, $lt: addDays(workoutDate, 1) }
       });
 
       if (!healthData) {
@@ -331,7 +341,7 @@ router.put('/:id/complete',
       res.json({
         success: true,
         message: 'Workout completed successfully! 🎉',
-        data: workout
+        data: localizeWorkout(workout, getUnitPreferences(req.user))
       });
     } catch (error) {
       next(error);
@@ -344,6 +354,7 @@ router.put('/:id/complete',
 // @access  Private
 router.put('/:id/skip',
   protect,
+  requireScope('workouts:write'),
   checkOwnership(Workout),
   async (req, res, next) => {
     try {
@@ -378,7 +389,7 @@ router.put('/:id/skip',
       res.json({
         success: true,
         message: 'Workout marked as skipped',
-        data: workout
+        data: localizeWorkout(workout, getUnitPreferences(req.user))
       });
     } catch (error) {
       next(error);
@@ -389,14 +400,14 @@ router.put('/:id/skip',
 // @desc    Get workout templates
 // @route   GET /api/v1/workouts/templates
 // @access  Private
-router.get('/templates/list', protect, async (req, res, next) => {
+router.get('/templates/list', protect, requireScope('workouts:read'), async (req, res, next) => {
   try {
     const templates = await Workout.getTemplates(req.user._id);
 
     res.json({
       success: true,
       count: templates.length,
-      data: templates
+      data: templates.map(template => localizeWorkout(template, getUnitPreferences(req.user)))
     });
   } catch (error) {
     next(error);
@@ -408,6 +419,7 @@ router.get('/templates/list', protect, async (req, res, next) => {
 // @access  Private
 router.post('/:id/template',
   protect,
+  requireScope('workouts:write'),
   checkOwnership(Workout),
   async (req, res, next) => {
     try {
@@ -431,7 +443,7 @@ router.post('/:id/template',
       res.status(201).json({
         success: true,
         message: 'Workout template created successfully',
-        data: template
+        data: localizeWorkout(template, getUnitPreferences(req.user))
       });
     } catch (error) {
       next(error);
@@ -442,7 +454,7 @@ router.post('/:id/template',
 // @desc    Create workout from template
 // @route   POST /api/v1/workouts/from-template/:templateId
 // @access  Private
-router.post('/from-template/:templateId', protect, async (req, res, next) => {
+router.post('/from-template/:templateId', protect, requireScope('workouts:write'), async (req, res, next) => {
   try {
     const { date, startTime } = req.body;
     
@@ -490,7 +502,7 @@ router.post('/from-template/:templateId', protect, async (req, res, next) => {
     res.status(201).json({
       success: true,
       message: 'Workout created from template successfully',
-      data: workout
+      data: localizeWorkout(workout, getUnitPreferences(req.user))
     });
   } catch (error) {
     next(error);
@@ -500,7 +512,7 @@ router.post('/from-template/:templateId', protect, async (req, res, next) => {
 // @desc    Get workout statistics
 // @route   GET /api/v1/workouts/analytics/stats
 // @access  Private
-router.get('/analytics/stats', protect, async (req, res, next) => {
+router.get('/analytics/stats', protect, requireScope('workouts:read'), async (req, res, next) => {
   try {
     const { days = 30 } = req.query;
     
@@ -525,7 +537,7 @@ router.get('/analytics/stats', protect, async (req, res, next) => {
 // @desc    Get workout analytics
 // @route   GET /api/v1/workouts/analytics/summary
 // @access  Private
-router.get('/analytics/summary', protect, async (req, res, next) => {
+router.get('/analytics/summary', protect, requireScope('workouts:read'), async (req, res, next) => {
   try {
     const { period = 'month' } = req.query;
     
@@ -567,6 +579,8 @@ router.get('/analytics/summary', protect, async (req, res, next) => {
           },
           totalDuration: { $sum: '$duration' },
           totalCalories: { $sum: '$summary.caloriesBurned' },
+          totalDistance: { $sum: '$summary.totalDistance.value' },
+          totalWeight: { $sum: '$summary.totalWeight.value' },
           avgDuration: { $avg: '$duration' },
           avgCalories: { $avg: '$summary.caloriesBurned' },
           avgRating: { $avg: '$rating' },
@@ -590,11 +604,7 @@ router.get('/analytics/summary', protect, async (req, res, next) => {
       },
       {
         $group: {
-          _id: {
-            year: { $year: '$date' },
-            month: { $month: '$date' },
-            day: { $dayOfMonth: '$date' }
-          },
+          _id: dayGroupKey('$startTime', getTimezone(req.user)),
           date: { $first: '$date' },
           workoutCount: { $sum: 1 },
           totalDuration: { $sum: '$duration' },
@@ -633,6 +643,8 @@ router.get('/analytics/summary', protect, async (req, res, next) => {
       completedWorkouts: 0,
       totalDuration: 0,
       totalCalories: 0,
+      totalDistance: 0,
+      totalWeight: 0,
       avgDuration: 0,
       avgCalories: 0,
       avgRating: 0,
@@ -646,11 +658,17 @@ router.get('/analytics/summary', protect, async (req, res, next) => {
       ? Math.round((summary.completedWorkouts / summary.totalWorkouts) * 100) 
       : 0;
 
+    // Distances and weights are summed in km and kg; report them in the user's units
+    const units = getUnitPreferences(req.user);
+    summary.totalDistance = fromCanonical('distance', summary.totalDistance, units.distance);
+    summary.totalWeight = fromCanonical('weight', summary.totalWeight, units.weight);
+
     res.json({
       success: true,
       data: {
         period,
         dateRange: { startDate, endDate: now },
+        units: { distance: units.distance, weight: units.weight },
         summary,
         trends,
         typeBreakdown
@@ -5,13 +5,19 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
+const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 const debug = require('debug')('lifefit:server');
 require('dotenv').config();
 
 const connectDB = require('./config/database');
 const errorHandler = require('./middleware/errorHandler');
-const socketHandler = require('./socket/socketHandler');
+const { csrfProtection } = require('./middleware/csrf');
+const { socketHandler } = require('./socket/socketHandler');
+const { startAccountDeletionJob } = require('./jobs/accountDeletion');
+const { startDormantAccountJob } = require('./jobs/dormantAccounts');
+const { resumeImportJobs } = require('./jobs/imports');
+const { resumeExportJobs, startExportCleanupJob } = require('./jobs/exports');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -19,6 +25,12 @@ const userRoutes = require('./routes/users');
 const healthDataRoutes = require('./routes/healthData');
 const goalRoutes = require('./routes/goals');
 const workoutRoutes = require('./routes/workouts');
+const coachingRoutes = require('./routes/coaching');
+const metricRoutes = require('./routes/metrics');
+const importRoutes = require('./routes/imports');
+const exportRoutes = require('./routes/export');
+const deviceRoutes = require('./routes/devices');
+const devRoutes = require('./routes/dev');
 
 const app = express();
 const server = http.createServer(app);
@@ -42,6 +54,8 @@ app.use(compression());
 const corsOptions = {
   origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:3000'],
   credentials: true,
+  // Lets the frontend name downloaded exports
+  exposedHeaders: ['Content-Disposition'],
   optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
@@ -66,6 +80,7 @@ if (process.env.NODE_ENV === 'development') {
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -80,11 +95,26 @@ app.get('/health', (req, res) => {
 
 // API routes
 const apiPrefix = process.env.API_PREFIX || '/api/v1';
+
+// CSRF check for browser (cookie) sessions
+app.use(apiPrefix, csrfProtection);
+
 app.use(`${apiPrefix}/auth`, authRoutes);
 app.use(`${apiPrefix}/users`, userRoutes);
 app.use(`${apiPrefix}/health-data`, healthDataRoutes);
 app.use(`${apiPrefix}/goals`, goalRoutes);
 app.use(`${apiPrefix}/workouts`, workoutRoutes);
+app.use(`${apiPrefix}/coaching`, coachingRoutes);
+app.use(`${apiPrefix}/metrics`, metricRoutes);
+app.use(`${apiPrefix}/imports`, importRoutes);
+app.use(`${apiPrefix}/export`, exportRoutes);
+app.use(`${apiPrefix}/devices`, deviceRoutes);
+
+// Development tools (mail outbox). The outbox holds reset and unlock links and has no
+// authentication, so it is only mounted when the outbox transport is chosen outside production.
+if (process.env.EMAIL_TRANSPORT === 'outbox' && process.env.NODE_ENV !== 'production') {
+  app.use(`${apiPrefix}/dev`, devRoutes);
+}
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -99,7 +129,12 @@ app.get('/', (req, res) => {
       users: `${apiPrefix}/users`,
       healthData: `${apiPrefix}/health-data`,
       goals: `${apiPrefix}/goals`,
-      workouts: `${apiPrefix}/workouts`
+      workouts: `${apiPrefix}/workouts`,
+      coaching: `${apiPrefix}/coaching`,
+      metrics: `${apiPrefix}/metrics`,
+      imports: `${apiPrefix}/imports`,
+      export: `${apiPrefix}/export`,
+      devices: `${apiPrefix}/devices`
     }
   });
 });
@@ -126,6 +161,19 @@ server.listen(PORT, HOST, () => {
   console.log(`🚀 LifeFit API Server running on http://${HOST}:${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV}`);
   console.log(`🔗 API Prefix: ${apiPrefix}`);
+
+  // Background jobs
+  if (process.env.NODE_ENV !== 'test') {
+    startAccountDeletionJob();
+    startDormantAccountJob();
+    resumeImportJobs().catch(error => {
+      debug('Resuming imports failed:', error.message);
+    });
+    startExportCleanupJob();
+    resumeExportJobs().catch(error => {
+      debug('Resuming exports failed:', error.message);
+    });
+  }
 });
 
 // Graceful shutdown
@@ -1,26 +1,50 @@
 const jwt = require('jsonwebtoken');
+const cookie = require('cookie');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const debug = require('debug')('lifefit:socket');
 
 // Store active connections
 const activeConnections = new Map();
 
+// Socket.io server instance, set once the handler is attached
+let ioInstance = null;
+
 // Socket authentication middleware
 const authenticateSocket = async (socket, next) => {
   try {
-    const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.split(' ')[1];
+    const token = socket.handshake.auth.token ||
+      socket.handshake.headers.authorization?.split(' ')[1] ||
+      // Browser sessions send the access token cookie with the handshake
+      cookie.parse(socket.handshake.headers.cookie || '').token;
     
     if (!token) {
       return next(new Error('Authentication error: No token provided'));
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Impersonation is limited to the REST API, where every request is checked and logged
+    if (decoded.impersonatedBy) {
+      return next(new Error('Authentication error: Impersonation tokens cannot open sockets'));
+    }
+
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user || !user.isActive) {
       return next(new Error('Authentication error: Invalid user'));
     }
 
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid);
+
+      if (!session || !session.isActive) {
+        return next(new Error('Authentication error: Session has been revoked'));
+      }
+
+      socket.sessionId = session._id.toString();
+    }
+
     socket.userId = user._id.toString();
     socket.user = user;
     next();
@@ -32,6 +56,8 @@ const authenticateSocket = async (socket, next) => {
 
 // Main socket handler
 const socketHandler = (io) => {
+  ioInstance = io;
+
   // Apply authentication middleware
   io.use(authenticateSocket);
 
@@ -50,6 +76,11 @@ const socketHandler = (io) => {
     // Join user to their personal room
     socket.join(`user:${userId}`);
 
+    // Join the session room so the connection can be dropped when the session is revoked
+    if (socket.sessionId) {
+      socket.join(`session:${socket.sessionId}`);
+    }
+
     // Send welcome message
     socket.emit('connected', {
       message: 'Connected to LifeFit real-time server',
@@ -271,6 +302,21 @@ const sendToAllUsers = (event, data) => {
   }
 };
 
+// Drop every connection opened with a revoked session
+const disconnectSessions = (sessionIds) => {
+  if (!ioInstance) return;
+
+  sessionIds.forEach(sessionId => {
+    const room = `session:${sessionId}`;
+    ioInstance.to(room).emit('session:revoked', {
+      sessionId: sessionId.toString(),
+      timestamp: new Date().toISOString()
+    });
+    ioInstance.in(room).disconnectSockets(true);
+    debug(`Disconnected sockets for revoked session ${sessionId}`);
+  });
+};
+
 const getActiveUsers = () => {
   return Array.from(activeConnections.keys());
 };
@@ -283,6 +329,7 @@ module.exports = {
   socketHandler,
   sendToUser,
   sendToAllUsers,
+  disconnectSessions,
   getActiveUsers,
   getUserConnection
 };
\ No newline at end of file
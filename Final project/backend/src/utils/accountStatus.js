@@ -0,0 +1,86 @@
+const Goal = require('../models/Goal');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const { disconnectSessions } = require('../socket/socketHandler');
+const debug = require('debug')('lifefit:account-status');
+
+// Deactivate an account: sign it out everywhere and pause its active goals so they
+// do not fail while nobody can work on them. `reason` is 'user', 'admin' or 'dormant'.
+const deactivateAccount = async (user, { reason, req = null } = {}) => {
+  const wasActive = user.isActive;
+  const now = new Date();
+
+  user.isActive = false;
+  user.deactivatedAt = now;
+  user.deactivationReason = reason;
+  user.reactivationToken = undefined;
+  user.reactivationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await Goal.updateMany(
+    { user: user._id, status: 'active' },
+    { status: 'paused', pausedByDeactivation: now }
+  );
+
+  disconnectSessions(await Session.revokeAllForUser(user._id, reason === 'admin' ? 'admin' : 'deactivated'));
+
+  await AuditLog.record(req, {
+    action: 'account.deactivate',
+    target: user._id,
+    changes: { isActive: { from: wasActive, to: false } },
+    metadata: { reason }
+  });
+
+  debug(`Account deactivated (${reason}): ${user.email}`);
+  return user;
+};
+
+// Reactivate an account. Goals paused by the deactivation resume with their end date
+// pushed back by the time the account was inactive; goals the user paused stay paused.
+const reactivateAccount = async (user, { req = null } = {}) => {
+  const now = new Date();
+
+  const goals = await Goal.find({ user: user._id, pausedByDeactivation: { $ne: null } });
+  let goalsResumed = 0;
+
+  for (const goal of goals) {
+    const update = { $set: { status: 'active' }, $unset: { pausedByDeactivation: 1 } };
+
+    if (goal.status !== 'paused') {
+      // Finished or cancelled while inactive (e.g. by an admin), so only drop the marker
+      delete update.$set;
+    } else if (goal.timeframe?.endDate) {
+      const pausedFor = now - goal.pausedByDeactivation;
+      update.$set['timeframe.endDate'] = new Date(goal.timeframe.endDate.getTime() + pausedFor);
+    }
+
+    if (update.$set) goalsResumed++;
+
+    await Goal.updateOne({ _id: goal._id }, update);
+  }
+
+  const previousReason = user.deactivationReason;
+
+  user.isActive = true;
+  user.deactivatedAt = undefined;
+  user.deactivationReason = undefined;
+  user.reactivationToken = undefined;
+  user.reactivationExpires = undefined;
+  user.dormancyWarnedAt = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req, {
+    action: 'account.reactivate',
+    target: user._id,
+    changes: { isActive: { from: false, to: true } },
+    metadata: { previousReason, goalsResumed }
+  });
+
+  debug(`Account reactivated: ${user.email}`);
+  return user;
+};
+
+module.exports = {
+  deactivateAccount,
+  reactivateAccount
+};
\ No newline at end of file
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const { createXmlParser } = require('./xmlStream');
+const { listZipEntries, openZipEntry } = require('./zip');
+const { createDailyTotals, toWorkout } = require('./deviceRecords');
+
+// Reading of Apple Health exports. The Health app shares export.zip, holding an
+// export.xml of every sample ever recorded: often hundreds of MB, so it is streamed and
+// only daily totals are kept.
+
+const EXPORT_FILE = /(^|\/)export\.xml$/;
+
+const QUANTITY = 'HKQuantityTypeIdentifier';
+
+// Record types read, and the kind of sample each is
+const RECORD_TYPES = {
+  [`${QUANTITY}StepCount`]: 'steps',
+  [`${QUANTITY}BodyMass`]: 'weight',
+  [`${QUANTITY}RestingHeartRate`]: 'restingHeartRate',
+  [`${QUANTITY}BloodPressureSystolic`]: 'systolic',
+  [`${QUANTITY}BloodPressureDiastolic`]: 'diastolic',
+  [`${QUANTITY}DietaryEnergyConsumed`]: 'caloriesConsumed',
+  HKCategoryTypeIdentifierSleepAnalysis: 'sleep'
+};
+
+// Blood pressure samples sit inside their correlation, and usually at the top level as
+// well; the copies are told apart by readingKey
+const CORRELATED_TYPES = new Set([`${QUANTITY}BloodPressureSystolic`, `${QUANTITY}BloodPressureDiastolic`]);
+
+// Conversions to the units health data and workouts are stored in
+const MASS_TO_KG = { kg: 1, g: 0.001, lb: 0.45359237, st: 6.35029318 };
+const ENERGY_TO_KCAL = { kcal: 1, Cal: 1, cal: 0.001, kJ: 1 / 4.184 };
+const DURATION_TO_MINUTES = { min: 1, s: 1 / 60, hr: 60 };
+const DISTANCE_UNITS = { km: 'km', mi: 'miles', m: 'm', ft: 'ft' };
+
+// Apple writes dates as "2024-03-01 07:30:00 -0500"
+const parseAppleDate = (value) => {
+  const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/.exec(value || '');
+  const date = new Date(match ? `${match[1]}T${match[2]}${match[3]}:${match[4]}` : value);
+  return isNaN(date) ? null : date;
+};
+
+// The model named in a device description such as
+// "<<HKDevice: 0x...>, name:Apple Watch, manufacturer:Apple Inc., model:Watch, ...>"
+const parseDeviceModel = (device) => /model:([^,>]+)/.exec(device || '')?.[1].trim() || null;
+
+const toKcal = (value, unit) => (ENERGY_TO_KCAL[unit] ? value * ENERGY_TO_KCAL[unit] : null);
+
+// A distance in a unit Workout accepts; yards become metres
+const toDistance = (value, unit) => {
+  if (unit === 'yd') return { value: Math.round(value * 9.144) / 10, unit: 'm' };
+  return DISTANCE_UNITS[unit] ? { value: Math.round(value * 1000) / 1000, unit: DISTANCE_UNITS[unit] } : null;
+};
+
+const readingKey = (attributes) =>
+  [attributes.type, attributes.sourceName, attributes.startDate, attributes.value].join('|');
+
+const humanize = (activity) => activity.replace(/([a-z])([A-Z])/g, '$1 $2');
+
+// Add a <Record> to the daily totals
+const addRecord = (totals, kind, attributes) => {
+  const start = parseAppleDate(attributes.startDate);
+  const end = parseAppleDate(attributes.endDate);
+  const value = Number(attributes.value);
+  if (!start || (kind !== 'sleep' && !Number.isFinite(value))) return;
+
+  const sample = {
+    start,
+    end,
+    source: attributes.sourceName,
+    device: parseDeviceModel(attributes.device)
+  };
+
+  if (kind === 'sleep') {
+    if (!end) return;
+    if (/Asleep/.test(attributes.value)) totals.add('asleep', sample);
+    else if (/InBed/.test(attributes.value)) totals.add('inBed', sample);
+  } else if (kind === 'weight') {
+    if (MASS_TO_KG[attributes.unit]) totals.add(kind, { ...sample, value: value * MASS_TO_KG[attributes.unit] });
+  } else if (kind === 'caloriesConsumed') {
+    const kcal = toKcal(value, attributes.unit);
+    if (kcal != null) totals.add(kind, { ...sample, value: kcal });
+  } else {
+    totals.add(kind, { ...sample, value });
+  }
+};
+
+// The activity described by a <Workout> element and its statistics and metadata
+const readWorkout = ({ attributes, statistics, metadata }) => {
+  const activity = (attributes.workoutActivityType || '').replace('HKWorkoutActivityType', '') || 'Other';
+  const durationUnit = DURATION_TO_MINUTES[attributes.durationUnit || 'min'];
+
+  // Older exports put totals on the workout, newer ones in WorkoutStatistics
+  const distanceStatistic = statistics.find(statistic => /Distance/.test(statistic.type) && statistic.sum);
+  const energyStatistic = statistics.find(statistic => statistic.type === `${QUANTITY}ActiveEnergyBurned` && statistic.sum);
+  const heartRate = statistics.find(statistic => statistic.type === `${QUANTITY}HeartRate`);
+
+  return {
+    name: humanize(activity),
+    start: parseAppleDate(attributes.startDate),
+    end: parseAppleDate(attributes.endDate),
+    minutes: attributes.duration && durationUnit ? Number(attributes.duration) * durationUnit : undefined,
+    distance: attributes.totalDistance
+      ? toDistance(Number(attributes.totalDistance), attributes.totalDistanceUnit)
+      : distanceStatistic && toDistance(Number(distanceStatistic.sum), distanceStatistic.unit),
+    calories: attributes.totalEnergyBurned
+      ? toKcal(Number(attributes.totalEnergyBurned), attributes.totalEnergyBurnedUnit)
+      : energyStatistic && toKcal(Number(energyStatistic.sum), energyStatistic.unit),
+    averageHeartRate: Number(heartRate?.average),
+    maxHeartRate: Number(heartRate?.maximum),
+    indoor: metadata.HKIndoorWorkout === undefined ? undefined : metadata.HKIndoorWorkout !== '0',
+    source: attributes.sourceName,
+    device: parseDeviceModel(attributes.device)
+  };
+};
+
+// Open an uploaded export: export.xml itself, or the export.zip the Health app shares.
+// Resolves to { stream, raw, size }: the XML text, the underlying file stream and the
+// number of bytes it will read.
+const openAppleHealthExport = async (filePath) => {
+  const file = await fs.promises.open(filePath, 'r');
+  const signature = Buffer.alloc(4);
+  const { size } = await file.stat();
+  await file.read(signature, 0, 4, 0);
+  await file.close();
+
+  if (signature.readUInt32LE(0) === 0x04034b50) {
+    const entry = (await listZipEntries(filePath)).find(({ name }) => EXPORT_FILE.test(name));
+    if (!entry) throw new Error('The archive does not contain an Apple Health export.xml');
+
+    const { stream, raw } = await openZipEntry(filePath, entry);
+    return { stream, raw, size: entry.compressedSize };
+  }
+
+  const stream = fs.createReadStream(filePath);
+  return { stream, raw: stream, size };
+};
+
+// Read an Apple Health export file. Options: the user's timezone, the time the import
+// started (stored as deviceData.syncedAt), the health data metrics to keep and
+// onProgress(bytesRead, totalBytes).
+// Resolves to { entries, workouts, records, issues }: one health data entry per day,
+// the workouts, the number of samples used, and values dropped as out of range.
+const readAppleHealthExport = async (filePath, { timezone, syncedAt = new Date(), metrics, onProgress } = {}) => {
+  const { stream, raw, size } = await openAppleHealthExport(filePath);
+
+  const options = { timezone, syncedAt, deviceType: 'Apple Health' };
+  const totals = createDailyTotals({ ...options, metrics });
+  const workouts = [];
+  const readings = new Set();
+  const parents = [];
+  let workout = null;
+
+  const parser = createXmlParser({
+    onOpenTag: (name, attributes) => {
+      const parent = parents[parents.length - 1];
+      parents.push(name);
+
+      if (name === 'Record') {
+        const kind = RECORD_TYPES[attributes.type];
+        const readable = parent === 'HealthData' || (parent === 'Correlation' && CORRELATED_TYPES.has(attributes.type));
+        if (!kind || !readable) return;
+
+        if (CORRELATED_TYPES.has(attributes.type)) {
+          if (readings.has(readingKey(attributes))) return;
+          readings.add(readingKey(attributes));
+        }
+
+        addRecord(totals, kind, attributes);
+      } else if (name === 'Workout' && parent === 'HealthData') {
+        workout = { attributes, statistics: [], metadata: {} };
+      } else if (workout && name === 'WorkoutStatistics') {
+        workout.statistics.push(attributes);
+      } else if (workout && name === 'MetadataEntry' && parent === 'Workout') {
+        workout.metadata[attributes.key] = attributes.value;
+      }
+    },
+    onCloseTag: (name) => {
+      parents.pop();
+
+      if (name === 'Workout' && workout) {
+        const document = toWorkout(readWorkout(workout), options);
+        if (document) workouts.push(document);
+        workout = null;
+      }
+    }
+  });
+
+  stream.setEncoding('utf8');
+  for await (const text of stream) {
+    parser.write(text);
+    if (onProgress) await onProgress(raw.bytesRead, size);
+  }
+  parser.end();
+
+  const { entries, issues } = totals.entries();
+  return { entries, workouts, records: totals.count, issues };
+};
+
+module.exports = {
+  parseAppleDate,
+  readAppleHealthExport
+};
\ No newline at end of file
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Browser session mode: tokens live in httpOnly cookies instead of JavaScript.
+// State-changing requests must echo the readable CSRF cookie in the X-CSRF-Token header.
+const COOKIE_NAMES = {
+  access: 'token',
+  refresh: 'refreshToken',
+  csrf: 'csrfToken'
+};
+
+const CSRF_HEADER = 'X-CSRF-Token';
+
+const getApiPrefix = () => process.env.API_PREFIX || '/api/v1';
+
+const getCookieOptions = () => ({
+  secure: process.env.AUTH_COOKIE_SECURE
+    ? process.env.AUTH_COOKIE_SECURE === 'true'
+    : process.env.NODE_ENV === 'production',
+  sameSite: process.env.AUTH_COOKIE_SAMESITE || 'strict',
+  domain: process.env.AUTH_COOKIE_DOMAIN || undefined
+});
+
+// Clients opt in with `X-Auth-Mode: cookie`; requests already authenticated by cookie stay in cookie mode
+const isCookieMode = (req) => {
+  return req.get('X-Auth-Mode') === 'cookie' || req.authSource === 'cookie';
+};
+
+const generateCsrfToken = () => crypto.randomBytes(32).toString('hex');
+
+// Set the access, refresh and CSRF cookies. Returns the CSRF token the client must send back.
+const setAuthCookies = (req, res, tokens) => {
+  const options = getCookieOptions();
+  const refreshExpires = new Date(jwt.decode(tokens.refresh).exp * 1000);
+  // Keep the existing CSRF token across refreshes so other open tabs keep working
+  const csrfToken = req.cookies?.[COOKIE_NAMES.csrf] || generateCsrfToken();
+
+  res.cookie(COOKIE_NAMES.access, tokens.access, {
+    ...options,
+    httpOnly: true,
+    path: '/',
+    expires: new Date(jwt.decode(tokens.access).exp * 1000)
+  });
+
+  // The refresh token is only ever needed by the auth routes
+  res.cookie(COOKIE_NAMES.refresh, tokens.refresh, {
+    ...options,
+    httpOnly: true,
+    path: `${getApiPrefix()}/auth`,
+    expires: refreshExpires
+  });
+
+  res.cookie(COOKIE_NAMES.csrf, csrfToken, {
+    ...options,
+    httpOnly: false,
+    path: '/',
+    expires: refreshExpires
+  });
+
+  return csrfToken;
+};
+
+const clearAuthCookies = (res) => {
+  const options = getCookieOptions();
+
+  res.clearCookie(COOKIE_NAMES.access, { ...options, path: '/' });
+  res.clearCookie(COOKIE_NAMES.refresh, { ...options, path: `${getApiPrefix()}/auth` });
+  res.clearCookie(COOKIE_NAMES.csrf, { ...options, path: '/' });
+};
+
+// Deliver a token pair: in cookie mode set cookies and return only the CSRF token,
+// otherwise return the tokens in the response body as before
+const deliverTokens = (req, res, tokens) => {
+  if (!isCookieMode(req)) {
+    return { tokens };
+  }
+
+  return { csrfToken: setAuthCookies(req, res, tokens) };
+};
+
+module.exports = {
+  COOKIE_NAMES,
+  CSRF_HEADER,
+  isCookieMode,
+  setAuthCookies,
+  clearAuthCookies,
+  deliverTokens
+};
\ No newline at end of file
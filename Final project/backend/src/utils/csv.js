@@ -0,0 +1,96 @@
+// Minimal CSV support (RFC 4180): quoted fields, escaped quotes ("") and line breaks
+// inside quotes. Spreadsheets export with commas, semicolons or tabs depending on locale.
+const DELIMITERS = [',', ';', '\t'];
+
+// The delimiter that appears most often in the first line, outside quotes
+const detectDelimiter = (text) => {
+  const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (!inQuotes && (char === '\n' || char === '\r')) break;
+    if (!inQuotes && counts.has(char)) counts.set(char, counts.get(char) + 1);
+  }
+
+  return [...counts.entries()].reduce((best, current) => (current[1] > best[1] ? current : best))[0];
+};
+
+// Parse CSV text into an array of rows, each an array of field strings.
+// Blank lines are skipped.
+const parseCsv = (text, { delimiter } = {}) => {
+  // Excel adds a byte order mark to UTF-8 exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const separator = delimiter || detectDelimiter(input);
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+// A field as CSV text: dates as ISO timestamps, arrays joined with semicolons, and
+// quoted when it contains a delimiter, quote or line break
+const formatCsvValue = (value) => {
+  if (value == null) return '';
+
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (Array.isArray(value)) text = value.join(';');
+  else text = String(value);
+
+  return /[,;"\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line, ending in CRLF as RFC 4180 asks
+const toCsvRow = (values) => `${values.map(formatCsvValue).join(',')}\r\n`;
+
+// CSV text for a header row and rows of values
+const toCsv = (headers, rows) => [headers, ...rows].map(toCsvRow).join('');
+
+module.exports = {
+  detectDelimiter,
+  parseCsv,
+  formatCsvValue,
+  toCsvRow,
+  toCsv
+};
\ No newline at end of file
@@ -0,0 +1,330 @@
+const { healthDataSchemas } = require('../middleware/validation');
+const { detectDelimiter, parseCsv } = require('./csv');
+const { dateKey, toCalendarDay } = require('./dates');
+
+// Health data fields a CSV column can be mapped to, with the header names recognized
+// when detecting the mapping. Custom metrics are mapped as `custom:<metric id>`.
+// Exports use the labels as headers, which are among the aliases so they import back.
+const FIELDS = {
+  date: { label: 'Date', path: 'date', type: 'date', aliases: ['date', 'day'] },
+  weight: {
+    label: 'Weight',
+    path: 'metrics.weight.value',
+    unitPath: 'metrics.weight.unit',
+    units: ['kg', 'lbs'],
+    aliases: ['weight', 'body weight', 'bodyweight']
+  },
+  steps: { label: 'Steps', path: 'metrics.steps.value', aliases: ['steps', 'step count'] },
+  caloriesBurned: {
+    label: 'Calories Burned',
+    path: 'metrics.calories.burned',
+    aliases: ['calories burned', 'active calories', 'burned']
+  },
+  caloriesConsumed: {
+    label: 'Calories Consumed',
+    path: 'metrics.calories.consumed',
+    aliases: ['calories consumed', 'calories eaten', 'calorie intake', 'consumed']
+  },
+  sleepDuration: {
+    label: 'Sleep Duration',
+    path: 'metrics.sleep.duration',
+    aliases: ['sleep', 'sleep hours', 'sleep duration', 'hours slept']
+  },
+  sleepQuality: { label: 'Sleep Quality', path: 'metrics.sleep.quality', aliases: ['sleep quality'] },
+  restingHeartRate: {
+    label: 'Resting Heart Rate',
+    path: 'metrics.heartRate.resting',
+    aliases: ['resting heart rate', 'resting hr', 'rhr']
+  },
+  averageHeartRate: {
+    label: 'Average Heart Rate',
+    path: 'metrics.heartRate.average',
+    aliases: ['heart rate', 'average heart rate', 'avg heart rate', 'avg hr']
+  },
+  maxHeartRate: {
+    label: 'Max Heart Rate',
+    path: 'metrics.heartRate.max',
+    aliases: ['max heart rate', 'max hr']
+  },
+  systolic: {
+    label: 'Systolic',
+    path: 'metrics.bloodPressure.systolic',
+    aliases: ['systolic', 'bp systolic']
+  },
+  diastolic: {
+    label: 'Diastolic',
+    path: 'metrics.bloodPressure.diastolic',
+    aliases: ['diastolic', 'bp diastolic']
+  },
+  hydration: {
+    label: 'Water Intake',
+    path: 'metrics.hydration.intake',
+    unitPath: 'metrics.hydration.unit',
+    units: ['liters', 'ml', 'cups'],
+    aliases: ['water', 'hydration', 'water intake']
+  },
+  mood: { label: 'Mood', path: 'metrics.mood.rating', aliases: ['mood'] },
+  energy: { label: 'Energy Level', path: 'metrics.energy.level', aliases: ['energy', 'energy level'] },
+  notes: { label: 'Notes', path: 'notes', type: 'text', aliases: ['notes', 'note', 'comments'] },
+  tags: { label: 'Tags', path: 'tags', type: 'list', aliases: ['tags', 'tag'] }
+};
+
+// Unit names found in headers like "Weight (lbs)"
+const UNIT_ALIASES = {
+  kg: 'kg', kgs: 'kg', kilograms: 'kg',
+  lb: 'lbs', lbs: 'lbs', pounds: 'lbs',
+  l: 'liters', liters: 'liters', litres: 'liters',
+  ml: 'ml',
+  cup: 'cups', cups: 'cups'
+};
+
+const CUSTOM_PREFIX = 'custom:';
+
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Split a header into its name and the unit in brackets, if any
+const parseHeader = (header) => {
+  const match = /^(.*?)[([]\s*([^)\]]+?)\s*[)\]]\s*$/.exec(header);
+  return match
+    ? { name: normalizeName(match[1]), unit: UNIT_ALIASES[normalizeName(match[2])] }
+    : { name: normalizeName(header) };
+};
+
+// Guess the mapping from the headers: built-in fields by their usual names and active custom
+// metrics by their names. Units in headers are picked up for weight and hydration.
+const detectMapping = (headers, definitions = []) => {
+  const mapping = {};
+  const units = {};
+  const used = new Set();
+
+  headers.forEach(header => {
+    const { name, unit } = parseHeader(header);
+
+    const field = Object.keys(FIELDS).find(key => FIELDS[key].aliases.includes(name));
+    if (field && !used.has(field)) {
+      mapping[header] = field;
+      used.add(field);
+      if (unit && FIELDS[field].units?.includes(unit)) units[field] = unit;
+      return;
+    }
+
+    const definition = definitions.find(metric => !metric.archivedAt && normalizeName(metric.name) === name);
+    if (definition && !used.has(`${CUSTOM_PREFIX}${definition._id}`)) {
+      mapping[header] = `${CUSTOM_PREFIX}${definition._id}`;
+      used.add(mapping[header]);
+    }
+  });
+
+  return { mapping, units };
+};
+
+// Check a mapping from the client against the file's headers and the user's metrics.
+// Returns a list of error messages, empty when the mapping can be used.
+const checkMapping = (mapping, headers, definitions = []) => {
+  const errors = [];
+  const targets = new Set();
+  const activeMetrics = new Set(
+    definitions.filter(metric => !metric.archivedAt).map(metric => metric._id.toString())
+  );
+
+  Object.entries(mapping).forEach(([column, target]) => {
+    if (!headers.includes(column)) {
+      errors.push(`Column "${column}" is not in the file`);
+      return;
+    }
+    if (target == null) return;
+
+    if (String(target).startsWith(CUSTOM_PREFIX)) {
+      if (!activeMetrics.has(target.slice(CUSTOM_PREFIX.length))) {
+        errors.push(`Column "${column}" is mapped to an unknown or archived custom metric`);
+      }
+    } else if (!FIELDS[target]) {
+      errors.push(`Column "${column}" is mapped to unknown field "${target}"`);
+    }
+
+    if (targets.has(target)) {
+      errors.push(`More than one column is mapped to "${target}"`);
+    }
+    targets.add(target);
+  });
+
+  if (!targets.has('date')) {
+    errors.push('One column must be mapped to "date"');
+  }
+
+  return errors;
+};
+
+// Numbers as spreadsheets write them. Comma and tab files come from locales that write
+// "1,234.5". Semicolon files usually come from those that write "1.234,5", but many
+// exporters write "72.5" there too, so a dot only groups thousands in whole groups of three.
+const parseNumber = (value, delimiter) => {
+  const compact = value.replace(/\s/g, '');
+  let text = compact.replace(/,/g, '');
+  if (delimiter === ';') {
+    text = /^[-+]?\d{1,3}(\.\d{3})+(,\d*)?$/.test(compact) ? compact.replace(/\./g, '') : compact;
+    text = text.replace(',', '.');
+  }
+
+  const number = Number(text);
+  // Left as text so validation reports it
+  return text === '' || isNaN(number) ? value : number;
+};
+
+// Day-first and month-first dates are rewritten as YYYY-MM-DD; anything else is
+// passed on for validation as a date or timestamp
+const parseDate = (value, dateFormat) => {
+  const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+  if (!match || dateFormat === 'YYYY-MM-DD') return value;
+
+  const [day, month] = dateFormat === 'DD/MM/YYYY' ? [match[1], match[2]] : [match[2], match[1]];
+  return `${match[3]}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+};
+
+const parseBoolean = (value) => {
+  const text = value.toLowerCase();
+  if (['yes', 'y', 'true'].includes(text)) return true;
+  if (['no', 'n', 'false'].includes(text)) return false;
+  return null;
+};
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    node[key] = node[key] || {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+};
+
+// Turn one row of cells into a health data entry following the mapping
+const convertRow = (cells, headers, mapping, { units = {}, dateFormat, delimiter, definitions = [] }) => {
+  const entry = {};
+  const customMetrics = [];
+  const booleanMetrics = new Set(
+    definitions.filter(metric => metric.type === 'boolean').map(metric => metric._id.toString())
+  );
+
+  headers.forEach((header, index) => {
+    const target = mapping[header];
+    const value = (cells[index] ?? '').trim();
+    if (!target || value === '') return;
+
+    if (target.startsWith(CUSTOM_PREFIX)) {
+      const metric = target.slice(CUSTOM_PREFIX.length);
+      const boolean = booleanMetrics.has(metric) ? parseBoolean(value) : null;
+      customMetrics.push({ metric, value: boolean ?? parseNumber(value, delimiter) });
+      return;
+    }
+
+    const field = FIELDS[target];
+    switch (field.type) {
+      case 'date':
+        setPath(entry, field.path, parseDate(value, dateFormat));
+        break;
+      case 'text':
+        setPath(entry, field.path, value);
+        break;
+      case 'list':
+        setPath(entry, field.path, value.split(/[;|]/).map(tag => tag.trim()).filter(Boolean));
+        break;
+      default:
+        setPath(entry, field.path, parseNumber(value, delimiter));
+        if (field.unitPath && units[target]) setPath(entry, field.unitPath, units[target]);
+    }
+  });
+
+  if (customMetrics.length > 0) entry.customMetrics = customMetrics;
+  return entry;
+};
+
+// Parse a CSV file and validate each row as a health data entry with the same rules as
+// POST /health-data. Resolves to { headers, mapping, units, totalRows, entries, rowErrors }
+// with file row numbers counted from 1 for the header. When no mapping is given it is
+// detected; a bad mapping gives `mappingErrors` instead of rows. Options: mapping, units,
+// dateFormat, delimiter, the user's metric definitions and timezone.
+const previewCsv = (text, options = {}) => {
+  const { mapping, units, dateFormat = 'YYYY-MM-DD', definitions = [], timezone } = options;
+  const delimiter = options.delimiter || detectDelimiter(text);
+  const rows = parseCsv(text, { delimiter });
+  const headers = (rows.shift() || []).map(header => header.trim());
+  const detected = detectMapping(headers, definitions);
+
+  const columnMapping = mapping || detected.mapping;
+  const fieldUnits = { ...detected.units, ...units };
+
+  const mappingErrors = checkMapping(columnMapping, headers, definitions);
+  if (mappingErrors.length > 0) {
+    return { headers, mapping: columnMapping, units: fieldUnits, mappingErrors };
+  }
+
+  // Errors name the column they came from where possible
+  const columnsByPath = new Map(Object.entries(columnMapping)
+    .filter(([, target]) => FIELDS[target])
+    .map(([column, target]) => [FIELDS[target].path, column]));
+
+  const entries = [];
+  const rowErrors = [];
+  const seenDates = new Map();
+
+  rows.forEach((cells, index) => {
+    const row = index + 2;
+    const entry = convertRow(cells, headers, columnMapping, {
+      units: fieldUnits,
+      dateFormat,
+      delimiter,
+      definitions
+    });
+
+    const { error, value } = healthDataSchemas.create.validate(entry, {
+      abortEarly: false,
+      stripUnknown: true,
+      convert: true
+    });
+
+    const errors = (error?.details || []).map(detail => {
+      const path = detail.path.join('.');
+      return { field: columnsByPath.get(path) || path, message: detail.message };
+    });
+
+    if (!error && definitions.length > 0 && value.customMetrics) {
+      const byId = new Map(definitions.map(metric => [metric._id.toString(), metric]));
+      value.customMetrics.forEach(({ metric, value: metricValue }) => {
+        const message = byId.get(metric)?.checkValue(metricValue);
+        if (message) errors.push({ field: byId.get(metric).name, message });
+      });
+    }
+
+    if (!error) {
+      const day = dateKey(toCalendarDay(value.date, timezone));
+      if (seenDates.has(day)) {
+        errors.push({ field: 'date', message: `Date ${day} is already used on row ${seenDates.get(day)}` });
+      } else {
+        seenDates.set(day, row);
+      }
+    }
+
+    if (errors.length > 0) {
+      rowErrors.push({ row, details: errors });
+    } else {
+      entries.push({ row, data: value });
+    }
+  });
+
+  return {
+    headers,
+    mapping: columnMapping,
+    units: fieldUnits,
+    totalRows: rows.length,
+    entries,
+    rowErrors
+  };
+};
+
+module.exports = {
+  FIELDS,
+  detectMapping,
+  checkMapping,
+  previewCsv
+};
\ No newline at end of file
@@ -0,0 +1,409 @@
+const HealthData = require('../models/HealthData');
+const Workout = require('../models/Workout');
+const Goal = require('../models/Goal');
+const MetricDefinition = require('../models/MetricDefinition');
+const { FIELDS } = require('./csvImport');
+const { toCsvRow } = require('./csv');
+const { createZip } = require('./zip');
+const { toBundleEntry, toPatient, toObservations } = require('./fhir');
+const { getUnitPreferences, localizeHealthData, localizeWorkout } = require('./units');
+const { getTimezone, toCalendarDay, addDays, dayBounds, dateKey } = require('./dates');
+
+// Export of a user's health data, workouts and goals as one JSON document, one flat CSV
+// per entity, or a zip of the CSVs with a manifest. Measurements are converted to the
+// user's preferred units and documents are read with cursors, so exports of any size are
+// written out as they are read. The health data alone can also be exported as a FHIR
+// Bundle, in the units FHIR expects rather than the user's.
+
+const EXPORT_VERSION = 1;
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  zip: 'application/zip',
+  fhir: 'application/fhir+json; charset=utf-8'
+};
+
+const get = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+// Everything an export needs to know about the user, loaded once
+const createExportContext = async (user, { startDate, endDate } = {}) => {
+  const timezone = getTimezone(user);
+  const first = startDate ? toCalendarDay(startDate, timezone) : null;
+  const last = endDate ? toCalendarDay(endDate, timezone) : null;
+  const definitions = await MetricDefinition.find({ user: user._id }).sort({ createdAt: 1 });
+
+  // Days are inclusive. Health data is matched by calendar day, workouts by when they
+  // started in the user's timezone, and goals when their timeframe overlaps the range.
+  const filters = {
+    healthData: { user: user._id },
+    workouts: { user: user._id },
+    goals: { user: user._id }
+  };
+
+  if (first) {
+    const start = dayBounds(first, timezone).start;
+    filters.healthData.date = { $gte: first };
+    filters.workouts.startTime = { $gte: start };
+    filters.goals.$or = [{ 'timeframe.endDate': { $gte: start } }, { 'timeframe.endDate': null }];
+  }
+  if (last) {
+    const end = dayBounds(last, timezone).end;
+    filters.healthData.date = { ...filters.healthData.date, $lt: addDays(last, 1) };
+    filters.workouts.startTime = { ...filters.workouts.startTime, $lt: end };
+    filters.goals['timeframe.startDate'] = { $lt: end };
+  }
+
+  return {
+    user,
+    timezone,
+    preferences: getUnitPreferences(user),
+    definitions,
+    range: {
+      startDate: first ? dateKey(first) : null,
+      endDate: last ? dateKey(last) : null
+    },
+    filters
+  };
+};
+
+// Number of health data entries, workouts and goals an export in `format` would contain
+const countExportRecords = async (context, { format } = {}) => {
+  const healthDataOnly = format === 'fhir';
+  const [healthData, workouts, goals] = await Promise.all([
+    HealthData.countDocuments(context.filters.healthData),
+    healthDataOnly ? 0 : Workout.countDocuments(context.filters.workouts),
+    healthDataOnly ? 0 : Goal.countDocuments(context.filters.goals)
+  ]);
+  return { healthData, workouts, goals };
+};
+
+const healthDataDocuments = async function* (context) {
+  const cursor = HealthData.find(context.filters.healthData).sort({ date: 1 }).cursor();
+  for await (const entry of cursor) {
+    yield localizeHealthData(entry, context.preferences);
+  }
+};
+
+const workoutDocuments = async function* (context) {
+  const cursor = Workout.find(context.filters.workouts).sort({ startTime: 1 }).cursor();
+  for await (const workout of cursor) {
+    yield localizeWorkout(workout, context.preferences);
+  }
+};
+
+const goalDocuments = async function* (context) {
+  const cursor = Goal.find(context.filters.goals).sort({ 'timeframe.startDate': 1 }).cursor();
+  for await (const goal of cursor) {
+    yield goal.toJSON();
+  }
+};
+
+const customMetricValue = (definition, value) => {
+  if (value == null) return null;
+  return definition.type === 'boolean' ? (value ? 'yes' : 'no') : value;
+};
+
+// Flat CSV layouts. Each entity names its file, the documents it is made from, its header
+// row and the rows one document becomes; workout sets are a second view of the workouts.
+const CSV_ENTITIES = {
+  'health-data': {
+    fileName: 'health-data.csv',
+    section: 'healthData',
+    documents: healthDataDocuments,
+    // Same headers the CSV import detects, with units in brackets
+    headers: ({ preferences, definitions }) => [
+      ...Object.entries(FIELDS)
+        .filter(([key]) => !['notes', 'tags'].includes(key))
+        .map(([key, field]) => {
+          if (key === 'weight') return `${field.label} (${preferences.weight})`;
+          if (key === 'hydration') return `${field.label} (${preferences.volume})`;
+          return field.label;
+        }),
+      ...definitions.map(metric => (metric.unit ? `${metric.name} (${metric.unit})` : metric.name)),
+      FIELDS.notes.label,
+      FIELDS.tags.label
+    ],
+    rows: (entry, { definitions }) => {
+      const values = new Map((entry.customMetrics || []).map(({ metric, value }) => [metric.toString(), value]));
+      return [[
+        ...Object.entries(FIELDS)
+          .filter(([key]) => !['notes', 'tags'].includes(key))
+          .map(([key, field]) => (key === 'date' ? dateKey(entry.date) : get(entry, field.path))),
+        ...definitions.map(metric => customMetricValue(metric, values.get(metric._id.toString()))),
+        entry.notes,
+        entry.tags
+      ]];
+    }
+  },
+  workouts: {
+    fileName: 'workouts.csv',
+    section: 'workouts',
+    documents: workoutDocuments,
+    headers: ({ preferences }) => [
+      'Workout ID', 'Date', 'Name', 'Type', 'Status', 'Start Time', 'End Time', 'Duration (min)',
+      'Intensity', 'Location', 'Exercises', 'Total Sets', 'Total Reps',
+      `Total Weight (${preferences.weight})`, `Total Distance (${preferences.distance})`,
+      'Calories Burned', 'Average Heart Rate', 'Max Heart Rate', 'Mood Before', 'Mood After',
+      'Energy Before', 'Energy After', 'Rating', 'Template', 'Tags', 'Notes'
+    ],
+    rows: (workout, { timezone }) => [[
+      workout._id,
+      dateKey(workout.startTime, timezone),
+      workout.name,
+      workout.type,
+      workout.completionStatus,
+      workout.startTime,
+      workout.endTime,
+      workout.duration,
+      workout.intensity,
+      workout.location,
+      workout.exercises?.length || 0,
+      workout.summary?.totalSets,
+      workout.summary?.totalReps,
+      workout.summary?.totalWeight?.value,
+      workout.summary?.totalDistance?.value,
+      workout.summary?.caloriesBurned,
+      workout.summary?.averageHeartRate,
+      workout.summary?.maxHeartRate,
+      workout.mood?.before,
+      workout.mood?.after,
+      workout.energy?.before,
+      workout.energy?.after,
+      workout.rating,
+      workout.isTemplate,
+      workout.tags,
+      workout.notes
+    ]]
+  },
+  'workout-sets': {
+    fileName: 'workout-sets.csv',
+    section: 'workouts',
+    documents: workoutDocuments,
+    headers: ({ preferences }) => [
+      'Workout ID', 'Date', 'Workout', 'Exercise', 'Category', 'Muscle Groups', 'Set', 'Reps',
+      `Weight (${preferences.weight})`, 'Duration (s)', `Distance (${preferences.distance})`,
+      'Rest (s)', 'Notes'
+    ],
+    // One row per set; an exercise without sets still gets a row
+    rows: (workout, { timezone }) => (workout.exercises || []).flatMap(exercise => {
+      const base = [
+        workout._id,
+        dateKey(workout.startTime, timezone),
+        workout.name,
+        exercise.name,
+        exercise.category,
+        exercise.muscleGroups
+      ];
+      const sets = exercise.sets || [];
+
+      if (sets.length === 0) {
+        return [[...base, null, null, null, exercise.totalDuration, null, null, exercise.notes]];
+      }
+      return sets.map((set, index) => [
+        ...base,
+        index + 1,
+        set.reps,
+        set.weight?.value,
+        set.duration,
+        set.distance?.value,
+        set.restTime,
+        set.notes
+      ]);
+    })
+  },
+  goals: {
+    fileName: 'goals.csv',
+    section: 'goals',
+    documents: goalDocuments,
+    // Targets are exported in the units they were set in
+    headers: () => [
+      'Goal ID', 'Title', 'Category', 'Type', 'Status', 'Priority', 'Metric', 'Operator', 'Target',
+      'Range Max', 'Unit', 'Current', 'Progress (%)', 'Timeframe', 'Start Date', 'End Date',
+      'Completed At', 'Tags', 'Description'
+    ],
+    rows: (goal, { definitions }) => {
+      const custom = goal.target?.customMetric &&
+        definitions.find(metric => metric._id.equals(goal.target.customMetric));
+      return [[
+        goal._id,
+        goal.title,
+        goal.category,
+        goal.type,
+        goal.status,
+        goal.priority,
+        custom ? custom.name : goal.target?.metric,
+        goal.target?.operator,
+        goal.target?.value,
+        goal.target?.rangeMax,
+        goal.target?.unit,
+        goal.progress?.current,
+        goal.progress?.percentage,
+        goal.timeframe?.type,
+        goal.timeframe?.startDate,
+        goal.timeframe?.endDate,
+        goal.completedAt,
+        goal.tags,
+        goal.description
+      ]];
+    }
+  }
+};
+
+// Lines of one entity's CSV, counting the documents read and rows written into `stats`
+const csvLines = async function* (entity, context, stats) {
+  const { section, documents, headers, rows } = CSV_ENTITIES[entity];
+  stats.documents[section] = 0;
+  stats.rows[entity] = 0;
+
+  yield toCsvRow(headers(context));
+  for await (const document of documents(context)) {
+    stats.documents[section]++;
+    for (const row of rows(document, context)) {
+      stats.rows[entity]++;
+      yield toCsvRow(row);
+    }
+  }
+};
+
+// Details of the export and the account it came from, shared by the JSON document
+// and the zip manifest
+const describeExport = (context) => ({
+  version: EXPORT_VERSION,
+  exportedAt: new Date(),
+  user: {
+    id: context.user._id,
+    name: context.user.name,
+    email: context.user.email
+  },
+  timezone: context.timezone,
+  units: context.preferences,
+  range: context.range,
+  customMetrics: context.definitions.map(metric => metric.toJSON())
+});
+
+const writeJson = async (context, write) => {
+  const counts = {};
+  const sections = {
+    healthData: healthDataDocuments,
+    workouts: workoutDocuments,
+    goals: goalDocuments
+  };
+
+  // The opening fields, left open for the document arrays
+  await write(JSON.stringify(describeExport(context)).slice(0, -1));
+
+  for (const [key, documents] of Object.entries(sections)) {
+    counts[key] = 0;
+    await write(`,"${key}":[`);
+    for await (const document of documents(context)) {
+      await write(`${counts[key] > 0 ? ',' : ''}${JSON.stringify(document)}`);
+      counts[key]++;
+    }
+    await write(']');
+  }
+
+  await write('}');
+  return counts;
+};
+
+const writeCsv = async (context, entity, write) => {
+  const stats = { documents: {}, rows: {} };
+  for await (const line of csvLines(entity, context, stats)) {
+    await write(line);
+  }
+  return stats.documents;
+};
+
+const writeZip = async (context, write) => {
+  const zip = createZip(write);
+  const stats = { documents: {}, rows: {} };
+
+  for (const entity of Object.keys(CSV_ENTITIES)) {
+    await zip.addFile(CSV_ENTITIES[entity].fileName, csvLines(entity, context, stats));
+  }
+
+  const manifest = {
+    ...describeExport(context),
+    files: Object.keys(CSV_ENTITIES).map(entity => ({
+      name: CSV_ENTITIES[entity].fileName,
+      entity,
+      rows: stats.rows[entity]
+    }))
+  };
+  await zip.addFile('manifest.json', [JSON.stringify(manifest, null, 2)]);
+  await zip.finish();
+
+  return stats.documents;
+};
+
+// A Bundle of the user as Patient and their health data as Observations
+const writeFhir = async (context, write) => {
+  const patient = toPatient(context.user);
+  let count = 0;
+
+  const bundle = { resourceType: 'Bundle', type: 'collection', timestamp: new Date().toISOString() };
+  await write(`${JSON.stringify(bundle).slice(0, -1)},"entry":[${JSON.stringify(patient)}`);
+
+  const cursor = HealthData.find(context.filters.healthData).sort({ date: 1 }).lean().cursor();
+  for await (const entry of cursor) {
+    for (const resource of toObservations(entry, patient.fullUrl)) {
+      await write(`,${JSON.stringify(toBundleEntry(resource))}`);
+    }
+    count++;
+  }
+
+  await write(']}');
+  return { healthData: count, workouts: 0, goals: 0 };
+};
+
+// Write an export through `write`, an async function taking a string or Buffer.
+// CSV exports need the `entity` to export. Resolves to the number of health data entries,
+// workouts and goals written.
+const writeExport = (context, { format, entity }, write) => {
+  switch (format) {
+    case 'csv':
+      return writeCsv(context, entity, write);
+    case 'zip':
+      return writeZip(context, write);
+    case 'fhir':
+      return writeFhir(context, write);
+    default:
+      return writeJson(context, write);
+  }
+};
+
+// Write function for a stream that waits while the stream's buffer is full. It fails
+// once the stream is closed, such as when a client goes away mid-download.
+const streamWriter = (stream) => async (chunk) => {
+  if (stream.destroyed) throw new Error('Export stream was closed');
+
+  if (!stream.write(chunk)) {
+    await new Promise(resolve => {
+      const resume = () => {
+        stream.off('drain', resume);
+        stream.off('close', resume);
+        resolve();
+      };
+      stream.on('drain', resume);
+      stream.on('close', resume);
+    });
+  }
+};
+
+// File name and content type for an export
+const describeExportFile = ({ format, entity }, date = new Date()) => ({
+  fileName: {
+    csv: `lifefit-${entity}-${dateKey(date)}.csv`,
+    fhir: `lifefit-fhir-${dateKey(date)}.json`
+  }[format] || `lifefit-export-${dateKey(date)}.${format}`,
+  contentType: CONTENT_TYPES[format]
+});
+
+module.exports = {
+  createExportContext,
+  countExportRecords,
+  writeExport,
+  streamWriter,
+  describeExportFile
+};
\ No newline at end of file
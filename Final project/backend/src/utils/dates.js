@@ -0,0 +1,138 @@
+// Day handling. Health data entries belong to a calendar day, stored as midnight UTC of
+// that date so the day does not move if the user's timezone changes. Moments such as
+// workout start times, reading times and goal completions are placed on a day using the
+// user's timezone preference (User.preferences.timezone, an IANA name like 'Africa/Nairobi').
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Intl formatters are slow to create, so keep one per timezone
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The user's timezone, falling back to UTC
+const getTimezone = (user) => {
+  const timezone = user?.preferences?.timezone;
+  return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+};
+
+// Wall-clock parts of a moment in a timezone
+const getParts = (date, timezone) => {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+};
+
+// YYYY-MM-DD of the day a moment falls on in a timezone
+const dateKey = (date, timezone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getParts(new Date(date), timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// The calendar day (midnight UTC of the date) a value belongs to. A YYYY-MM-DD string
+// already names the day; anything else is a moment, placed on the user's local day.
+const toCalendarDay = (value, timezone = DEFAULT_TIMEZONE) => {
+  const key = typeof value === 'string' && DATE_ONLY.test(value) ? value : dateKey(value, timezone);
+  return new Date(`${key}T00:00:00.000Z`);
+};
+
+// The user's current calendar day
+const today = (timezone = DEFAULT_TIMEZONE) => toCalendarDay(new Date(), timezone);
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+// Offset of a timezone from UTC at a moment, in milliseconds
+const getOffset = (date, timezone) => {
+  const { year, month, day, hour, minute, second } = getParts(date, timezone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The moment a calendar day starts in a timezone. The offset is checked a second
+// time at the result, as it can differ across a daylight saving change.
+const startOfDay = (day, timezone = DEFAULT_TIMEZONE) => {
+  const midnight = toCalendarDay(day).getTime();
+  const estimate = new Date(midnight - getOffset(new Date(midnight), timezone));
+  return new Date(midnight - getOffset(estimate, timezone));
+};
+
+// The moment a wall-clock time without an offset (YYYY-MM-DDTHH:mm:ss) happens in a
+// timezone, or null if it cannot be read
+const fromLocalTime = (wallClock, timezone = DEFAULT_TIMEZONE) => {
+  const local = new Date(`${wallClock}Z`).getTime();
+  if (isNaN(local)) return null;
+
+  const estimate = new Date(local - getOffset(new Date(local), timezone));
+  return new Date(local - getOffset(estimate, timezone));
+};
+
+// Start and end (exclusive) moments of a calendar day in a timezone
+const dayBounds = (day, timezone = DEFAULT_TIMEZONE) => ({
+  start: startOfDay(day, timezone),
+  end: startOfDay(addDays(toCalendarDay(day), 1), timezone)
+});
+
+// $group key that buckets a date field by day in a timezone
+const dayGroupKey = (field, timezone = DEFAULT_TIMEZONE) => ({
+  year: { $year: { date: field, timezone } },
+  month: { $month: { date: field, timezone } },
+  day: { $dayOfMonth: { date: field, timezone } }
+});
+
+// Number of consecutive days, ending today, that appear in a set of YYYY-MM-DD keys
+const countStreak = (keys, timezone = DEFAULT_TIMEZONE) => {
+  const days = new Set(keys);
+  let day = today(timezone);
+  let streak = 0;
+
+  while (days.has(dateKey(day))) {
+    streak++;
+    day = addDays(day, -1);
+  }
+
+  return streak;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DAY_MS,
+  isValidTimezone,
+  getTimezone,
+  dateKey,
+  toCalendarDay,
+  today,
+  addDays,
+  startOfDay,
+  fromLocalTime,
+  dayBounds,
+  dayGroupKey,
+  countStreak
+};
\ No newline at end of file
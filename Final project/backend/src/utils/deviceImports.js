@@ -0,0 +1,45 @@
+const { readAppleHealthExport } = require('./appleHealth');
+const { readFitbitExport } = require('./fitbit');
+const { readGoogleFitExport } = require('./googleFit');
+
+// The device exports that can be imported, the files each is uploaded as and how to ask
+// for them, and its reader.
+// Every reader takes (filePath, { timezone, syncedAt, weightUnit, metrics, onProgress })
+// and resolves to { entries, workouts, records, issues }.
+const DEVICE_SOURCES = {
+  'apple-health': {
+    name: 'Apple Health',
+    files: /\.(xml|zip)$/i,
+    upload: 'the export.zip (or export.xml) from the Health app',
+    read: readAppleHealthExport
+  },
+  fitbit: {
+    name: 'Fitbit',
+    files: /\.zip$/i,
+    upload: 'the zip of your Fitbit data export',
+    read: readFitbitExport
+  },
+  'google-fit': {
+    name: 'Google Fit',
+    files: /\.zip$/i,
+    upload: 'the Google Takeout zip with your Fit data',
+    read: readGoogleFitExport
+  }
+};
+
+// Read a device export, keeping only `fields`: health data metrics (steps, weight,
+// heartRate, sleep, bloodPressure, calories) and 'workouts'. All are kept by default.
+const readDeviceExport = async (source, filePath, { fields, ...options } = {}) => {
+  const result = await DEVICE_SOURCES[source].read(filePath, {
+    ...options,
+    metrics: fields?.filter(field => field !== 'workouts')
+  });
+
+  if (fields && !fields.includes('workouts')) result.workouts = [];
+  return result;
+};
+
+module.exports = {
+  DEVICE_SOURCES,
+  readDeviceExport
+};
\ No newline at end of file
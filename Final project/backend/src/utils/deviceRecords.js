@@ -0,0 +1,303 @@
+const { healthDataSchemas } = require('../middleware/validation');
+const { toCalendarDay, dateKey } = require('./dates');
+
+// Shared by the device importers (Apple Health, Fitbit, Google Fit) and the FHIR import.
+// Devices record samples: a few steps at a time, a heart rate every few seconds. They are
+// totalled into one health data entry per day, and device activities become Workout
+// documents.
+
+// Sleep counts towards the day it ends, or the next day when it ends in the evening, so a
+// night that starts with lying awake before midnight is not split across two days
+const SLEEP_KINDS = new Set(['asleep', 'inBed', 'sleepMinutes']);
+const SLEEP_DAY_SHIFT_MS = 6 * 60 * 60 * 1000;
+
+// Activity names to Workout types, tried in order; anything else is 'custom'
+const WORKOUT_TYPES = [
+  [/interval|hiit/, 'hiit'],
+  [/run|jog|treadmill/, 'running'],
+  [/cycl|bik|spinning/, 'cycling'],
+  [/swim/, 'swimming'],
+  [/strength|weight/, 'strength-training'],
+  [/yoga/, 'yoga'],
+  [/pilates/, 'pilates'],
+  [/cross ?training|crossfit|circuit/, 'crossfit'],
+  [/walk|hik|elliptical|row|stair|cardio|aerobic|dance|jump rope|kickboxing/, 'cardio'],
+  [/stretch|flexibility|cooldown/, 'flexibility'],
+  [/recovery|rehab/, 'rehabilitation'],
+  [/soccer|football|basketball|tennis|badminton|volleyball|baseball|softball|rugby|hockey|golf|squash|boxing|martial|climb|sport/, 'sports']
+];
+
+const EXERCISE_CATEGORIES = {
+  running: 'cardio',
+  cycling: 'cardio',
+  swimming: 'cardio',
+  cardio: 'cardio',
+  hiit: 'cardio',
+  crossfit: 'functional',
+  'strength-training': 'strength',
+  yoga: 'flexibility',
+  pilates: 'flexibility',
+  flexibility: 'flexibility',
+  rehabilitation: 'rehabilitation',
+  sports: 'sports'
+};
+
+const round = (value, digits = 0) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+const average = ({ sum, count }) => (count > 0 ? sum / count : null);
+
+// Total length of possibly overlapping [start, end] intervals, as a phone and a watch
+// often record the same night
+const mergedLength = (intervals) => {
+  let total = 0;
+  let end = -Infinity;
+
+  [...intervals].sort((a, b) => a[0] - b[0]).forEach(([start, stop]) => {
+    if (stop <= end) return;
+    total += stop - Math.max(start, end);
+    end = stop;
+  });
+
+  return total;
+};
+
+const workoutType = (activity) => {
+  const name = activity.toLowerCase();
+  return WORKOUT_TYPES.find(([pattern]) => pattern.test(name))?.[1] || 'custom';
+};
+
+const createDay = () => ({
+  steps: new Map(),
+  weight: null,
+  restingHeartRate: { sum: 0, count: 0 },
+  heartRate: { sum: 0, count: 0, max: null },
+  systolic: { sum: 0, count: 0 },
+  diastolic: { sum: 0, count: 0 },
+  caloriesConsumed: null,
+  asleep: [],
+  inBed: [],
+  sleepMinutes: null,
+  sources: new Map()
+});
+
+// Add one sample to its day
+const addSample = (day, kind, { value, start, end, source }) => {
+  switch (kind) {
+    case 'steps':
+      // Phones and watches count the same steps, so the most complete source is used
+      day.steps.set(source, (day.steps.get(source) || 0) + value);
+      break;
+    case 'weight':
+      if (!day.weight || start >= day.weight.at) day.weight = { value, at: start };
+      break;
+    case 'maxHeartRate':
+      day.heartRate.max = Math.max(day.heartRate.max ?? value, value);
+      break;
+    case 'heartRate':
+      day.heartRate.max = Math.max(day.heartRate.max ?? value, value);
+    // falls through
+    case 'restingHeartRate':
+    case 'systolic':
+    case 'diastolic':
+      day[kind].sum += value;
+      day[kind].count++;
+      break;
+    case 'caloriesConsumed':
+    case 'sleepMinutes':
+      day[kind] = (day[kind] || 0) + value;
+      break;
+    case 'asleep':
+    case 'inBed':
+      day[kind].push([start.getTime(), end.getTime()]);
+      break;
+    default:
+      throw new Error(`Unknown sample kind: ${kind}`);
+  }
+};
+
+const buildMetrics = (day) => {
+  const metrics = {};
+
+  if (day.steps.size > 0) {
+    metrics.steps = { value: Math.round(Math.max(...day.steps.values())) };
+  }
+  if (day.weight) {
+    metrics.weight = { value: round(day.weight.value, 2), unit: 'kg' };
+  }
+
+  const heartRate = {};
+  const resting = average(day.restingHeartRate);
+  if (resting != null) heartRate.resting = Math.round(resting);
+  const heartAverage = average(day.heartRate);
+  if (heartAverage != null) heartRate.average = Math.round(heartAverage);
+  if (day.heartRate.max != null) heartRate.max = Math.round(day.heartRate.max);
+  if (Object.keys(heartRate).length > 0) metrics.heartRate = heartRate;
+
+  const systolic = average(day.systolic);
+  const diastolic = average(day.diastolic);
+  if (systolic != null || diastolic != null) {
+    metrics.bloodPressure = {};
+    if (systolic != null) metrics.bloodPressure.systolic = Math.round(systolic);
+    if (diastolic != null) metrics.bloodPressure.diastolic = Math.round(diastolic);
+  }
+
+  if (day.caloriesConsumed != null) {
+    metrics.calories = { consumed: Math.round(day.caloriesConsumed) };
+  }
+
+  // Time asleep when the source tracks it, otherwise time in bed
+  const intervals = [...day.asleep, ...day.inBed];
+  if (intervals.length > 0 || day.sleepMinutes != null) {
+    const hours = day.asleep.length > 0
+      ? mergedLength(day.asleep) / (60 * 60 * 1000)
+      : day.sleepMinutes != null
+        ? day.sleepMinutes / 60
+        : mergedLength(day.inBed) / (60 * 60 * 1000);
+
+    metrics.sleep = { duration: round(hours, 2) };
+    if (intervals.length > 0) {
+      metrics.sleep.bedTime = new Date(Math.min(...intervals.map(([start]) => start)));
+      metrics.sleep.wakeTime = new Date(Math.max(...intervals.map(([, stop]) => stop)));
+    }
+  }
+
+  return metrics;
+};
+
+// Drop values outside the ranges POST /health-data accepts. Returns the problems found.
+const dropInvalidValues = (entry) => {
+  const { error } = healthDataSchemas.create.validate(
+    { date: entry.date, metrics: entry.metrics },
+    { abortEarly: false }
+  );
+  if (!error) return [];
+
+  return error.details.map(detail => {
+    const keys = detail.path.slice(0, -1);
+    const parent = keys.reduce((node, key) => node?.[key], entry);
+    if (parent) delete parent[detail.path[detail.path.length - 1]];
+
+    // Remove metrics left empty
+    const metric = detail.path[1];
+    if (detail.path[0] === 'metrics' && entry.metrics[metric] && Object.keys(entry.metrics[metric]).length === 0) {
+      delete entry.metrics[metric];
+    }
+
+    return `${entry.date}: ${detail.message}`;
+  });
+};
+
+// Collect samples into daily totals. Options: the user's timezone, the time of the import
+// (deviceData.syncedAt), the device type to record when a source names no model, and the
+// health data metrics to keep (all by default).
+// Samples are added with add(kind, { value, start, end, day, source, device }), where
+// `day` (YYYY-MM-DD) overrides the day worked out from the times and `device` is the model
+// name. Values are in stored units: kg, kcal, beats per minute, minutes of sleep.
+// entries() then gives { entries, issues }: one health data entry per day, and the values
+// left out as out of range.
+const createDailyTotals = ({ timezone, syncedAt = new Date(), deviceType, metrics: fields } = {}) => {
+  const days = new Map();
+  let count = 0;
+
+  const add = (kind, sample) => {
+    const key = sample.day || (SLEEP_KINDS.has(kind) && sample.end
+      ? dateKey(sample.end.getTime() + SLEEP_DAY_SHIFT_MS, timezone)
+      : dateKey(sample.start, timezone));
+    if (!days.has(key)) days.set(key, createDay());
+    const day = days.get(key);
+
+    const source = sample.source || deviceType;
+    addSample(day, kind, { ...sample, source });
+    count++;
+
+    const sourceData = day.sources.get(source) || { count: 0, device: null };
+    sourceData.count++;
+    sourceData.device = sourceData.device || sample.device || null;
+    day.sources.set(source, sourceData);
+  };
+
+  const entries = () => {
+    const issues = [];
+
+    const results = [...days.entries()]
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .map(([key, day]) => {
+        const metrics = buildMetrics(day);
+        if (fields) {
+          Object.keys(metrics).filter(metric => !fields.includes(metric)).forEach(metric => delete metrics[metric]);
+        }
+
+        // The device behind most of the day's samples
+        const [source, { device }] = [...day.sources.entries()]
+          .reduce((best, current) => (current[1].count > best[1].count ? current : best));
+
+        const entry = {
+          date: key,
+          metrics,
+          isManualEntry: false,
+          deviceData: { deviceId: source, deviceType: device || deviceType, syncedAt }
+        };
+        issues.push(...dropInvalidValues(entry));
+        return entry;
+      })
+      .filter(entry => Object.keys(entry.metrics).length > 0);
+
+    return { entries: results, issues };
+  };
+
+  return {
+    add,
+    entries,
+    get count() {
+      return count;
+    }
+  };
+};
+
+// A Workout document from a device activity: { name, start, end, minutes, calories,
+// distance: { value, unit }, averageHeartRate, maxHeartRate, indoor, source, device }.
+// Options as for createDailyTotals. Returns null when the activity has no start time.
+const toWorkout = (activity, { timezone, syncedAt = new Date(), deviceType } = {}) => {
+  const { name, start, end, calories, distance, averageHeartRate, maxHeartRate } = activity;
+  if (!start || isNaN(start)) return null;
+
+  const type = workoutType(name);
+  const minutes = activity.minutes ?? (end ? (end - start) / (60 * 1000) : null);
+  const seconds = minutes != null ? Math.round(minutes * 60) : undefined;
+
+  return {
+    name,
+    type,
+    date: toCalendarDay(start, timezone),
+    startTime: start,
+    endTime: end || undefined,
+    duration: minutes != null ? Math.round(minutes) : undefined,
+    exercises: [{
+      name,
+      category: EXERCISE_CATEGORIES[type] || 'other',
+      totalDuration: seconds,
+      caloriesBurned: calories != null ? Math.round(calories) : undefined,
+      sets: distance?.value > 0 ? [{ duration: seconds, distance }] : []
+    }],
+    summary: {
+      averageHeartRate: averageHeartRate >= 30 && averageHeartRate <= 220 ? Math.round(averageHeartRate) : undefined,
+      maxHeartRate: maxHeartRate >= 30 && maxHeartRate <= 250 ? Math.round(maxHeartRate) : undefined
+    },
+    location: activity.indoor === false ? 'outdoor' : 'other',
+    completionStatus: 'completed',
+    isManualEntry: false,
+    deviceData: {
+      deviceId: activity.source || deviceType,
+      deviceType: activity.device || deviceType,
+      syncedAt
+    }
+  };
+};
+
+module.exports = {
+  createDailyTotals,
+  toWorkout
+};
\ No newline at end of file
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { createDailyTotals } = require('./deviceRecords');
+const { dateKey } = require('./dates');
+
+// HL7 FHIR R4 for health data. A day's metrics are written as Observation resources coded
+// with LOINC and UCUM units, collected in a Bundle with the user as its Patient, and
+// Observation bundles from elsewhere are read back into one health data entry per day.
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const CATEGORIES = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const CATEGORY_NAMES = { 'vital-signs': 'Vital Signs', activity: 'Activity' };
+
+// LOINC codes read, the sample kind each gives (see createDailyTotals) and the UCUM units
+// accepted for it, with the factor to the stored unit
+const CODES = {
+  '29463-7': { display: 'Body weight', kind: 'weight', units: { kg: 1, g: 0.001, '[lb_av]': 0.45359237 } },
+  '3141-9': { display: 'Body weight Measured', kind: 'weight', units: { kg: 1, g: 0.001, '[lb_av]': 0.45359237 } },
+  '8867-4': { display: 'Heart rate', kind: 'heartRate', units: { '/min': 1, '{beats}/min': 1 } },
+  '40443-4': { display: 'Heart rate --resting', kind: 'restingHeartRate', units: { '/min': 1, '{beats}/min': 1 } },
+  '8873-2': { display: 'Heart rate 24 hour maximum', kind: 'maxHeartRate', units: { '/min': 1, '{beats}/min': 1 } },
+  '8480-6': { display: 'Systolic blood pressure', kind: 'systolic', units: { 'mm[Hg]': 1 } },
+  '8462-4': { display: 'Diastolic blood pressure', kind: 'diastolic', units: { 'mm[Hg]': 1 } },
+  '41950-7': { display: 'Number of steps in 24 hour Measured', kind: 'steps', units: { '/d': 1, '{steps}/d': 1 } },
+  '55423-8': { display: 'Number of steps', kind: 'steps', units: { '{steps}': 1, 1: 1 } },
+  '93832-4': { display: 'Sleep duration', kind: 'sleepMinutes', units: { h: 60, min: 1 } }
+};
+
+// Systolic and diastolic pressure are exported as the components of a panel
+const BLOOD_PRESSURE_PANEL = { code: '85354-9', display: 'Blood pressure panel with all children optional' };
+
+// Observations in these states are imported; others (such as entered-in-error) are not
+const STATUSES = ['final', 'amended', 'corrected', 'preliminary'];
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+const coding = (code, display) => ({ coding: [{ system: LOINC, code, display }], text: display });
+
+const quantity = (value, code) => ({ value, unit: code, system: UCUM, code });
+
+const category = (code) => [{ coding: [{ system: CATEGORIES, code, display: CATEGORY_NAMES[code] }] }];
+
+// A resource as a Bundle entry. Resources are referred to by the entry's URL.
+const toBundleEntry = (resource) => ({ fullUrl: `urn:uuid:${crypto.randomUUID()}`, resource });
+
+// The bundle entry of the Patient resource standing for a user
+const toPatient = (user) => toBundleEntry({
+  resourceType: 'Patient',
+  id: user._id.toString(),
+  name: [{ text: user.name }]
+});
+
+// Observations for one health data entry (in stored units), about the patient whose
+// bundle entry URL is `subject`
+const toObservations = (entry, subject) => {
+  const { metrics = {} } = entry;
+  const observations = [];
+
+  // The day of the entry, unless `fields` give a period
+  const observation = (id, code, categoryCode, fields) => {
+    const { display } = CODES[code] || BLOOD_PRESSURE_PANEL;
+    observations.push({
+      resourceType: 'Observation',
+      id: `${entry._id}-${id}`,
+      status: 'final',
+      category: category(categoryCode),
+      code: coding(code, display),
+      subject: { reference: subject },
+      ...(!fields.effectivePeriod && { effectiveDateTime: dateKey(entry.date) }),
+      ...(entry.isManualEntry === false && entry.deviceData?.deviceType && {
+        device: { display: entry.deviceData.deviceType }
+      }),
+      ...fields
+    });
+  };
+
+  if (metrics.weight?.value != null) {
+    observation('weight', '29463-7', 'vital-signs', { valueQuantity: quantity(metrics.weight.value, 'kg') });
+  }
+
+  const heartRate = metrics.heartRate || {};
+  if (heartRate.resting != null) {
+    observation('heart-rate-resting', '40443-4', 'vital-signs', { valueQuantity: quantity(heartRate.resting, '/min') });
+  }
+  if (heartRate.average != null) {
+    observation('heart-rate', '8867-4', 'vital-signs', { valueQuantity: quantity(heartRate.average, '/min') });
+  }
+  if (heartRate.max != null) {
+    observation('heart-rate-max', '8873-2', 'vital-signs', { valueQuantity: quantity(heartRate.max, '/min') });
+  }
+
+  const { systolic, diastolic } = metrics.bloodPressure || {};
+  if (systolic != null || diastolic != null) {
+    observation('blood-pressure', BLOOD_PRESSURE_PANEL.code, 'vital-signs', {
+      component: [['8480-6', systolic], ['8462-4', diastolic]]
+        .filter(([, value]) => value != null)
+        .map(([code, value]) => ({ code: coding(code, CODES[code].display), valueQuantity: quantity(value, 'mm[Hg]') }))
+    });
+  }
+
+  if (metrics.steps?.value != null) {
+    observation('steps', '41950-7', 'activity', { valueQuantity: quantity(metrics.steps.value, '/d') });
+  }
+
+  const sleep = metrics.sleep || {};
+  if (sleep.duration != null) {
+    // The night itself when its times are known
+    const effective = sleep.bedTime && sleep.wakeTime
+      ? { effectivePeriod: { start: new Date(sleep.bedTime).toISOString(), end: new Date(sleep.wakeTime).toISOString() } }
+      : {};
+    observation('sleep', '93832-4', 'activity', { ...effective, valueQuantity: quantity(sleep.duration, 'h') });
+  }
+
+  return observations;
+};
+
+// The supported LOINC code of a CodeableConcept
+const loincCode = (concept) => (concept?.coding || [])
+  .find(item => item.system === LOINC && (CODES[item.code] || item.code === BLOOD_PRESSURE_PANEL.code))?.code;
+
+// A quantity in the stored unit for `code`, or the problem with it
+const readQuantity = (value, code) => {
+  const { display, units } = CODES[code];
+  if (typeof value?.value !== 'number') return { error: `${display} needs a numeric valueQuantity` };
+  if (value.system && value.system !== UCUM) return { error: `${display} must be in UCUM units (${UCUM})` };
+
+  const unit = value.code ?? value.unit;
+  if (!Object.prototype.hasOwnProperty.call(units, unit)) {
+    return { error: `${display} cannot be in "${unit}"; use ${Object.keys(units).join(', ')}` };
+  }
+  return { value: value.value * units[unit] };
+};
+
+// When an observation was made: a day, or the start (and end) of it
+const readEffective = (resource) => {
+  const time = resource.effectiveDateTime || resource.effectiveInstant;
+  const period = resource.effectivePeriod;
+
+  if (time && DAY.test(time)) return { day: time };
+  if (time) return { start: new Date(time) };
+  if (period?.start || period?.end) {
+    return {
+      start: new Date(period.start || period.end),
+      end: period.end ? new Date(period.end) : undefined
+    };
+  }
+  return null;
+};
+
+// The samples in an Observation, or the problems that keep it out of the import as
+// { field, message } details
+const readObservation = (resource) => {
+  const details = [];
+  const samples = [];
+  const fail = (field, message) => details.push({ field, message });
+
+  if (!STATUSES.includes(resource.status)) {
+    fail('status', `Observations with status "${resource.status}" are not imported`);
+  }
+
+  const code = loincCode(resource.code);
+  const effective = readEffective(resource);
+  if (!code) {
+    fail('code', `No supported LOINC code; use one of ${[...Object.keys(CODES), BLOOD_PRESSURE_PANEL.code].join(', ')}`);
+  }
+  if (!effective || [effective.start, effective.end].some(time => time && isNaN(time))) {
+    fail('effective', 'effectiveDateTime or effectivePeriod must give the day or time of the observation');
+  }
+  if (details.length > 0) return { details };
+
+  const sample = { ...effective, source: resource.device?.display || 'FHIR', device: resource.device?.display };
+
+  if (code === BLOOD_PRESSURE_PANEL.code) {
+    (resource.component || []).forEach((component, index) => {
+      const componentCode = loincCode(component.code);
+      if (!['8480-6', '8462-4'].includes(componentCode)) return;
+
+      const { value, error } = readQuantity(component.valueQuantity, componentCode);
+      if (error) fail(`component.${index}.valueQuantity`, error);
+      else samples.push([CODES[componentCode].kind, { ...sample, value }]);
+    });
+    if (samples.length === 0 && details.length === 0) {
+      fail('component', 'The blood pressure panel has no systolic (8480-6) or diastolic (8462-4) component');
+    }
+  } else {
+    const { value, error } = readQuantity(resource.valueQuantity, code);
+    if (error) {
+      fail('valueQuantity', error);
+    } else {
+      samples.push([CODES[code].kind, { ...sample, value }]);
+      // A night given as a period also records when it started and ended
+      if (CODES[code].kind === 'sleepMinutes' && sample.start && sample.end) samples.push(['inBed', sample]);
+    }
+  }
+
+  return details.length > 0 ? { details } : { samples };
+};
+
+// Read a Bundle of Observations into daily health data entries in the user's timezone.
+// Resources other than Observations are passed over. Returns { entries, observations,
+// rowErrors, issues }: the entries, the number of Observations read, the bundle entries
+// left out ({ row, details } with the entry's index) and values out of range.
+const readFhirBundle = (bundle, { timezone, syncedAt = new Date() } = {}) => {
+  const totals = createDailyTotals({ timezone, syncedAt, deviceType: 'FHIR' });
+  const rowErrors = [];
+  let observations = 0;
+
+  (bundle.entry || []).forEach(({ resource }, row) => {
+    if (resource?.resourceType !== 'Observation') return;
+    observations++;
+
+    const { samples, details } = readObservation(resource);
+    if (details) {
+      rowErrors.push({ row, details });
+      return;
+    }
+    samples.forEach(([kind, sample]) => totals.add(kind, sample));
+  });
+
+  const { entries, issues } = totals.entries();
+  return { entries, observations, rowErrors, issues };
+};
+
+module.exports = {
+  toBundleEntry,
+  toPatient,
+  toObservations,
+  readFhirBundle
+};
\ No newline at end of file
@@ -0,0 +1,122 @@
+const { createJsonItemParser } = require('./jsonStream');
+const { listZipEntries, readZipEntries } = require('./zip');
+const { fromLocalTime } = require('./dates');
+const { createDailyTotals, toWorkout } = require('./deviceRecords');
+
+// Reading of Fitbit data exports (from Fitbit's settings or Google Takeout). The archive
+// holds a JSON file per data type and day or month, such as
+// "Global Export Data/steps-2024-03-01.json", each an array of records. Fitbit writes
+// times in the wearer's local time, so they are read in the user's timezone.
+
+const FILE = /(?:^|\/)(steps|weight|resting_heart_rate|heart_rate|sleep|exercise)-[\d-]+\.json$/;
+
+const LB_TO_KG = 0.45359237;
+const DISTANCE_UNITS = { Kilometer: 'km', Mile: 'miles', Meter: 'm', Foot: 'ft' };
+
+// "03/01/24 17:00:00" (MM/DD/YY) as YYYY-MM-DD and HH:mm:ss
+const parseFitbitTime = (value) => {
+  const match = /^(\d{2})\/(\d{2})\/(\d{2}) (\d{2}:\d{2}:\d{2})$/.exec(value || '');
+  return match && { day: `20${match[3]}-${match[1]}-${match[2]}`, time: match[4] };
+};
+
+// Add a record from one of the data files to the daily totals or the activities
+const readRecord = (type, record, { totals, activities, timezone, weightUnit }) => {
+  const sample = { source: 'Fitbit' };
+
+  switch (type) {
+    case 'steps': {
+      const time = parseFitbitTime(record.dateTime);
+      const value = Number(record.value);
+      if (time && value > 0) totals.add('steps', { ...sample, day: time.day, value });
+      break;
+    }
+    case 'heart_rate': {
+      const time = parseFitbitTime(record.dateTime);
+      const value = Number(record.value?.bpm);
+      if (time && value > 0) totals.add('heartRate', { ...sample, day: time.day, value });
+      break;
+    }
+    case 'resting_heart_rate': {
+      const time = parseFitbitTime(record.dateTime);
+      // Days without a reading are written with a value of 0
+      const value = Number(record.value?.value);
+      if (time && value > 0) totals.add('restingHeartRate', { ...sample, day: time.day, value });
+      break;
+    }
+    case 'weight': {
+      const time = parseFitbitTime(`${record.date} ${record.time || '00:00:00'}`);
+      const value = Number(record.weight);
+      if (!time || !(value > 0)) break;
+
+      // Readings from Fitbit's Aria scale are told apart from the tracker's data
+      totals.add('weight', {
+        day: time.day,
+        start: fromLocalTime(`${time.day}T${time.time}`, timezone),
+        value: weightUnit === 'lbs' ? value * LB_TO_KG : value,
+        source: record.source === 'Aria' ? 'Aria' : 'Fitbit'
+      });
+      break;
+    }
+    case 'sleep': {
+      const start = fromLocalTime(record.startTime, timezone);
+      const end = fromLocalTime(record.endTime, timezone);
+      if (!record.dateOfSleep || !start || !end) break;
+
+      totals.add('inBed', { ...sample, day: record.dateOfSleep, start, end });
+      if (record.minutesAsleep != null) {
+        totals.add('sleepMinutes', { ...sample, day: record.dateOfSleep, value: Number(record.minutesAsleep) });
+      }
+      break;
+    }
+    case 'exercise': {
+      const time = parseFitbitTime(record.startTime);
+      if (!time) break;
+
+      const start = fromLocalTime(`${time.day}T${time.time}`, timezone);
+      const milliseconds = Number(record.activeDuration || record.duration);
+      const unit = DISTANCE_UNITS[record.distanceUnit];
+
+      activities.push({
+        name: record.activityName || 'Workout',
+        start,
+        end: milliseconds > 0 ? new Date(start.getTime() + milliseconds) : undefined,
+        minutes: milliseconds > 0 ? milliseconds / (60 * 1000) : undefined,
+        calories: record.calories != null ? Number(record.calories) : undefined,
+        distance: record.distance > 0 && unit ? { value: Number(record.distance), unit } : undefined,
+        averageHeartRate: Number(record.averageHeartRate),
+        indoor: record.hasGps ? false : undefined,
+        source: 'Fitbit'
+      });
+      break;
+    }
+    default:
+  }
+};
+
+// Read a Fitbit export archive. Options: the user's timezone, the time the import started
+// (stored as deviceData.syncedAt), the unit the account records weight in ('kg' or
+// 'lbs'), the health data metrics to keep and onProgress(bytesRead, totalBytes).
+// Resolves to { entries, workouts, records, issues } like readAppleHealthExport.
+const readFitbitExport = async (filePath, { timezone, syncedAt = new Date(), weightUnit = 'kg', metrics, onProgress } = {}) => {
+  const entries = (await listZipEntries(filePath)).filter(({ name }) => FILE.test(name));
+  if (entries.length === 0) throw new Error('The archive does not contain Fitbit data files');
+
+  const options = { timezone, syncedAt, deviceType: 'Fitbit' };
+  const totals = createDailyTotals({ ...options, metrics });
+  const activities = [];
+  const context = { totals, activities, timezone, weightUnit };
+
+  await readZipEntries(filePath, entries, ({ name }) => {
+    const type = FILE.exec(name)[1];
+    return createJsonItemParser({ depth: 1, onItem: record => readRecord(type, record, context) });
+  }, onProgress);
+
+  const workouts = activities.map(activity => toWorkout(activity, options)).filter(Boolean);
+  const { entries: days, issues } = totals.entries();
+
+  return { entries: days, workouts, records: totals.count + activities.length, issues };
+};
+
+module.exports = {
+  readFitbitExport
+};
\ No newline at end of file
@@ -0,0 +1,263 @@
+const { createJsonItemParser } = require('./jsonStream');
+const { createXmlParser } = require('./xmlStream');
+const { listZipEntries, readZipEntries } = require('./zip');
+const { createDailyTotals, toWorkout } = require('./deviceRecords');
+
+// Reading of Google Fit data from Google Takeout. The archive holds:
+// - "Fit/All Data/<source>.json": one file per data source, { "Data Points": [...] }.
+//   The same data type has a raw file per app or device and derived files; the derived
+//   "merge"/"estimated" file combines them without double counting, so it is preferred.
+// - "Fit/All Sessions/*.json": one activity session per file.
+// - "Fit/Activities/*.tcx": the same activities as Garmin TCX, with heart rate.
+
+// Data types read, and the kind of sample each gives
+const DATA_TYPES = {
+  'com.google.step_count.delta': 'steps',
+  'com.google.weight': 'weight',
+  'com.google.heart_rate.bpm': 'heartRate',
+  'com.google.sleep.segment': 'sleep'
+};
+
+const DATA_FILE = /(?:^|\/)All Data\/(?:raw|derived)_(.+)\.json$/;
+const SESSION_FILE = /(?:^|\/)All Sessions\/[^/]+\.json$/;
+const ACTIVITY_FILE = /(?:^|\/)Activities\/[^/]+\.tcx$/;
+
+// Sleep stages: 1 awake, 2 asleep, 3 out of bed, 4 light, 5 deep, 6 REM
+const ASLEEP_STAGES = new Set([2, 4, 5, 6]);
+
+// Sessions that are not workouts
+const NOT_WORKOUTS = /^(still|sleep|in_vehicle|on_foot|tilting|unknown)/;
+
+// Sessions and TCX activities starting this close together are the same activity
+const SAME_ACTIVITY_MS = 60 * 1000;
+
+const nanosToDate = (nanos) => new Date(Number(nanos) / 1e6);
+
+// The data type a file under "All Data" holds, e.g. "derived_com.google.weight_com.google.android.gms_merge_weight"
+const dataTypeOf = (name) => {
+  const match = DATA_FILE.exec(name);
+  return match && Object.keys(DATA_TYPES).find(type => match[1].startsWith(`${type}_`));
+};
+
+// One data file per type: the merged one if there is one, otherwise the largest
+const pickDataFiles = (entries) => {
+  const byType = new Map();
+
+  entries.forEach(entry => {
+    const type = dataTypeOf(entry.name);
+    if (!type) return;
+
+    const merged = /_(merge|merged|estimated)[^/]*\.json$/.test(entry.name);
+    const current = byType.get(type);
+    if (!current || (merged && !current.merged) || (merged === current.merged && entry.size > current.entry.size)) {
+      byType.set(type, { entry, merged });
+    }
+  });
+
+  return [...byType.values()].map(({ entry }) => entry);
+};
+
+// The device model named in a raw data source such as "raw:com.google.step_count.cumulative:Google:Pixel 7:..."
+const parseDeviceModel = (dataSource) => {
+  const parts = (dataSource || '').split(':');
+  return parts[0] === 'raw' && parts[3] ? parts[3] : null;
+};
+
+// Add a data point to the daily totals
+const readDataPoint = (totals, point) => {
+  const kind = DATA_TYPES[point.dataTypeName];
+  const value = point.fitValue?.[0]?.value;
+  if (!kind || !value) return;
+
+  const sample = {
+    start: nanosToDate(point.startTimeNanos),
+    end: nanosToDate(point.endTimeNanos),
+    source: 'Google Fit',
+    device: parseDeviceModel(point.originDataSourceId)
+  };
+  if (isNaN(sample.start)) return;
+
+  const number = value.fpVal ?? value.intVal;
+  if (kind === 'sleep') {
+    if (ASLEEP_STAGES.has(number)) totals.add('asleep', sample);
+    else if (number === 1) totals.add('inBed', sample);
+  } else if (Number.isFinite(number) && number > 0) {
+    totals.add(kind, { ...sample, value: number });
+  }
+};
+
+const humanize = (activity) => {
+  const name = activity.replace(/[._]/g, ' ').trim();
+  return name.charAt(0).toUpperCase() + name.slice(1);
+};
+
+// The activity in a session file
+const readSession = (session) => {
+  if (!session.fitnessActivity || NOT_WORKOUTS.test(session.fitnessActivity)) return null;
+
+  const aggregate = (metric) => {
+    const found = (session.aggregate || []).find(item => item.metricName === metric);
+    return found ? Number(found.floatValue ?? found.intValue) : undefined;
+  };
+  const meters = aggregate('com.google.distance.delta');
+
+  return {
+    name: humanize(session.fitnessActivity),
+    start: new Date(session.startTime),
+    end: session.endTime ? new Date(session.endTime) : undefined,
+    minutes: session.duration ? parseFloat(session.duration) / 60 : undefined,
+    calories: aggregate('com.google.calories.expended'),
+    distance: meters > 0 ? { value: meters / 1000, unit: 'km' } : undefined,
+    source: 'Google Fit'
+  };
+};
+
+// A parser collecting the activity in a TCX file. Laps are added up; heart rates come from
+// the lap summaries, or the track points when a lap has none.
+const createTcxParser = (fileName, onActivity) => {
+  const elements = [];
+  let activity = null;
+  let lap = null;
+
+  const finishLap = () => {
+    const seconds = lap.seconds || 0;
+    activity.seconds += seconds;
+    activity.meters += lap.meters || 0;
+    activity.calories += lap.calories || 0;
+
+    const average = lap.averageHeartRate ?? (lap.points.length > 0
+      ? lap.points.reduce((sum, value) => sum + value, 0) / lap.points.length
+      : null);
+    const max = lap.maxHeartRate ?? (lap.points.length > 0 ? Math.max(...lap.points) : null);
+    if (average != null) {
+      activity.heartRate.sum += average * (seconds || 1);
+      activity.heartRate.weight += seconds || 1;
+    }
+    if (max != null) activity.maxHeartRate = Math.max(activity.maxHeartRate ?? max, max);
+  };
+
+  return createXmlParser({
+    onOpenTag: (name, attributes) => {
+      elements.push(name);
+
+      if (name === 'Activity') {
+        // Google Fit writes most sports as "Other" and names the activity in the file name
+        const sport = attributes.Sport && attributes.Sport !== 'Other'
+          ? attributes.Sport
+          : /_([^_/]+)\.tcx$/.exec(fileName)?.[1] || 'Workout';
+        activity = { name: sport, start: null, seconds: 0, meters: 0, calories: 0, heartRate: { sum: 0, weight: 0 } };
+      } else if (name === 'Lap' && activity) {
+        lap = { points: [] };
+        if (!activity.start && attributes.StartTime) activity.start = new Date(attributes.StartTime);
+      }
+    },
+    onText: (text) => {
+      const [parent, element] = elements.slice(-2);
+      if (!activity) return;
+
+      if (element === 'Id' && parent === 'Activity') {
+        activity.start = new Date(text);
+      } else if (lap && parent === 'Lap') {
+        if (element === 'TotalTimeSeconds') lap.seconds = Number(text);
+        if (element === 'DistanceMeters') lap.meters = Number(text);
+        if (element === 'Calories') lap.calories = Number(text);
+      } else if (lap && element === 'Value') {
+        const [grandparent] = elements.slice(-3);
+        if (parent === 'AverageHeartRateBpm' && grandparent === 'Lap') lap.averageHeartRate = Number(text);
+        if (parent === 'MaximumHeartRateBpm' && grandparent === 'Lap') lap.maxHeartRate = Number(text);
+        if (parent === 'HeartRateBpm' && grandparent === 'Trackpoint') lap.points.push(Number(text));
+      }
+    },
+    onCloseTag: (name) => {
+      elements.pop();
+
+      if (name === 'Lap' && lap) {
+        finishLap();
+        lap = null;
+      } else if (name === 'Activity' && activity) {
+        const { start, seconds, meters, calories, heartRate } = activity;
+        onActivity({
+          name: activity.name,
+          start,
+          end: start && seconds ? new Date(start.getTime() + seconds * 1000) : undefined,
+          minutes: seconds ? seconds / 60 : undefined,
+          calories: calories || undefined,
+          distance: meters > 0 ? { value: meters / 1000, unit: 'km' } : undefined,
+          averageHeartRate: heartRate.weight > 0 ? heartRate.sum / heartRate.weight : undefined,
+          maxHeartRate: activity.maxHeartRate,
+          source: 'Google Fit'
+        });
+        activity = null;
+      }
+    }
+  });
+};
+
+// Combine sessions and TCX activities describing the same workout, keeping the first
+// value found for each detail
+const mergeActivities = (activities) => {
+  const merged = [];
+
+  activities
+    .filter(activity => activity.start && !isNaN(activity.start))
+    .sort((a, b) => a.start - b.start)
+    .forEach(activity => {
+      const previous = merged[merged.length - 1];
+      if (previous && activity.start - previous.start <= SAME_ACTIVITY_MS) {
+        Object.entries(activity).forEach(([key, value]) => {
+          if (previous[key] == null && value != null) previous[key] = value;
+        });
+      } else {
+        merged.push({ ...activity });
+      }
+    });
+
+  return merged;
+};
+
+// Read a Google Fit Takeout archive. Options: the user's timezone, the time the import
+// started (stored as deviceData.syncedAt), the health data metrics to keep and
+// onProgress(bytesRead, totalBytes).
+// Resolves to { entries, workouts, records, issues } like readAppleHealthExport.
+const readGoogleFitExport = async (filePath, { timezone, syncedAt = new Date(), metrics, onProgress } = {}) => {
+  const archive = await listZipEntries(filePath);
+  const entries = [
+    ...pickDataFiles(archive),
+    ...archive.filter(({ name }) => SESSION_FILE.test(name) || ACTIVITY_FILE.test(name))
+  ];
+  if (entries.length === 0) throw new Error('The archive does not contain Google Fit data');
+
+  const options = { timezone, syncedAt, deviceType: 'Google Fit' };
+  const totals = createDailyTotals({ ...options, metrics });
+  const activities = [];
+
+  await readZipEntries(filePath, entries, ({ name }) => {
+    if (ACTIVITY_FILE.test(name)) {
+      return createTcxParser(name, activity => activities.push(activity));
+    }
+
+    if (SESSION_FILE.test(name)) {
+      let text = '';
+      return {
+        write: (chunk) => {
+          text += chunk;
+        },
+        end: () => {
+          const activity = readSession(JSON.parse(text));
+          if (activity) activities.push(activity);
+        }
+      };
+    }
+
+    return createJsonItemParser({ depth: 2, onItem: point => readDataPoint(totals, point) });
+  }, onProgress);
+
+  const workouts = mergeActivities(activities).map(activity => toWorkout(activity, options)).filter(Boolean);
+  const { entries: days, issues } = totals.entries();
+
+  return { entries: days, workouts, records: totals.count + activities.length, issues };
+};
+
+module.exports = {
+  readGoogleFitExport
+};
\ No newline at end of file
@@ -0,0 +1,351 @@
+const HealthData = require('../models/HealthData');
+const HealthReading = require('../models/HealthReading');
+const MetricDefinition = require('../models/MetricDefinition');
+const { getUnitPreferences, applyPreferredHealthUnits, normalizeHealthMetrics } = require('./units');
+const { getTimezone, toCalendarDay } = require('./dates');
+
+// Check custom metric values against already loaded definitions.
+// Returns { values, errors }; values are converted for storage and null values are kept for removal.
+const checkCustomMetrics = (definitions, entries) => {
+  const byId = new Map(definitions.map(definition => [definition._id.toString(), definition]));
+
+  const values = [];
+  const errors = [];
+
+  entries.forEach((entry, index) => {
+    const definition = byId.get(String(entry.metric));
+
+    if (!definition) {
+      errors.push({ field: `customMetrics.${index}.metric`, message: 'Custom metric not found' });
+      return;
+    }
+
+    if (entry.value === null) {
+      values.push({ metric: definition._id, value: null });
+      return;
+    }
+
+    if (definition.archivedAt) {
+      errors.push({ field: `customMetrics.${index}.metric`, message: `${definition.name} is archived` });
+      return;
+    }
+
+    const message = definition.checkValue(entry.value);
+    if (message) {
+      errors.push({ field: `customMetrics.${index}.value`, message, value: entry.value });
+      return;
+    }
+
+    values.push({ metric: definition._id, value: definition.toStoredValue(entry.value) });
+  });
+
+  return { values, errors };
+};
+
+// Check custom metric values against the user's definitions
+const resolveCustomMetrics = async (userId, entries) => {
+  const definitions = await MetricDefinition.find({
+    user: userId,
+    _id: { $in: entries.map(entry => entry.metric) }
+  });
+
+  return checkCustomMetrics(definitions, entries);
+};
+
+// Dotted paths and values of an entry's fields. Measurements ({ value, unit } and the
+// like), dates and arrays are kept whole.
+const flattenFields = (value, prefix = '', fields = {}) => {
+  Object.entries(value).forEach(([key, field]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const nested = field && typeof field === 'object' && !Array.isArray(field) &&
+      !(field instanceof Date) && !('unit' in field);
+
+    if (nested) flattenFields(field, path, fields);
+    else if (field !== undefined) fields[path] = field;
+  });
+  return fields;
+};
+
+// How an entry merges into an existing one for the same day under each conflict rule:
+// 'fill' sets only the fields the day has no value for, 'overwrite' every field that differs
+const CONFLICT_RULES = {
+  'keep-manual': (existing) => (existing.isManualEntry ? 'fill' : 'overwrite'),
+  'prefer-device': () => 'overwrite',
+  'keep-existing': () => 'fill'
+};
+
+// Fields saying where an entry came from rather than what it measured
+const PROVENANCE = ['isManualEntry', 'deviceData'];
+
+const isProvenance = (path) => PROVENANCE.some(field => path === field || path.startsWith(`${field}.`));
+
+const isEmpty = (value) => value == null || (Array.isArray(value) && value.length === 0);
+
+const sameValue = (current, value) => {
+  if (current instanceof Date || value instanceof Date) {
+    return current != null && new Date(current).getTime() === new Date(value).getTime();
+  }
+  if (Array.isArray(current) || Array.isArray(value)) {
+    return JSON.stringify(current) === JSON.stringify(value);
+  }
+  return current === value;
+};
+
+// The $set merging `entry` into `existing` by `mode` ('fill' or 'overwrite'), empty when
+// the entry brings nothing new. A measurement counts as missing when its values are,
+// whatever unit the schema defaults it to. The entry's provenance is only written along
+// with a change to what it measured.
+const mergeUpdate = (existing, entry, mode) => {
+  const { user, date, ...data } = entry;
+  normalizeHealthMetrics(data.metrics);
+
+  const fields = Object.entries(flattenFields(data));
+  const isNew = ([path, value]) => {
+    const isMeasurement = value && typeof value === 'object' && 'unit' in value;
+    const values = isMeasurement
+      ? Object.keys(value).filter(key => key !== 'unit').map(key => [`${path}.${key}`, value[key]])
+      : [[path, value]];
+
+    return mode === 'fill'
+      ? values.every(([field]) => isEmpty(existing.get(field)))
+      : values.some(([field, fieldValue]) => !sameValue(existing.get(field), fieldValue));
+  };
+
+  const update = Object.fromEntries(fields.filter(([path]) => !isProvenance(path)).filter(isNew));
+  if (Object.keys(update).length === 0) return update;
+
+  fields.filter(([path]) => isProvenance(path)).forEach(([path, value]) => {
+    if (mode === 'overwrite' || isEmpty(existing.get(path))) update[path] = value;
+  });
+  return update;
+};
+
+// Entries planned and written per bulkWrite call
+const BATCH_SIZE = 500;
+
+// Custom metric values merged into the day's existing ones by metric: 'fill' adds values
+// for metrics the day has none for, 'overwrite' also replaces values and removes the ones
+// sent as null. Returns null when nothing changes.
+const mergeCustomMetrics = (existing, values, mode) => {
+  const current = existing.map(({ metric, value }) => ({ metric, value }));
+  const merged = new Map(current.map(item => [item.metric.toString(), item]));
+
+  values.forEach(({ metric, value }) => {
+    const key = metric.toString();
+    if (mode === 'fill' && merged.has(key)) return;
+
+    if (value === null) merged.delete(key);
+    else merged.set(key, { metric, value });
+  });
+
+  const result = [...merged.values()];
+  return sameValue(current, result) ? null : result;
+};
+
+// The messages of a failed document validation, joined
+const validationMessage = (error) => (error.errors
+  ? Object.values(error.errors).map(({ message }) => message).join('; ')
+  : error.message);
+
+// Work out the writes for a batch of entries starting at `offset`, without writing.
+// Entries are put on the user's calendar days and checked against their custom metric
+// definitions and the HealthData schema; `days` holds the days already taken by earlier
+// entries of the same call. Pushes counts and errors to `results` and resolves to the
+// bulkWrite operations, each with its entry's index, the entry as sent and the change
+// that would undo it.
+const planBatch = async (user, batch, offset, { conflicts, session, days, results }) => {
+  const units = getUnitPreferences(user);
+  const timezone = getTimezone(user);
+  const fail = (index, error) => results.errors.push({ index, entry: batch[index - offset], error });
+  // Written entries are stamped with this time, so undo can tell whether they changed since
+  const writtenAt = new Date();
+
+  // Custom metric definitions for the whole batch in one query
+  const metricIds = batch.flatMap(entry => (entry.customMetrics || []).map(item => item.metric));
+  const definitions = metricIds.length > 0
+    ? await MetricDefinition.find({ user: user._id, _id: { $in: metricIds } }).session(session)
+    : [];
+
+  const prepared = [];
+  batch.forEach((raw, i) => {
+    const index = offset + i;
+    const entry = { ...raw, user: user._id };
+    applyPreferredHealthUnits(entry.metrics, units);
+    if (entry.date) entry.date = toCalendarDay(entry.date, timezone);
+
+    if (entry.customMetrics) {
+      const { values, errors } = checkCustomMetrics(definitions, entry.customMetrics);
+      if (errors.length > 0) {
+        fail(index, errors.map(error => error.message).join('; '));
+        return;
+      }
+      entry.customMetrics = values;
+    }
+
+    const day = entry.date?.getTime();
+    if (day != null && !isNaN(day)) {
+      if (days.has(day)) {
+        fail(index, 'An earlier entry is for the same day');
+        return;
+      }
+      days.add(day);
+    }
+
+    prepared.push({ index, entry });
+  });
+
+  const existing = await HealthData.find({
+    user: user._id,
+    date: { $in: prepared.map(({ entry }) => entry.date).filter(Boolean) }
+  }).session(session);
+  const byDay = new Map(existing.map(entry => [entry.date.getTime(), entry]));
+
+  const operations = [];
+  for (const { index, entry } of prepared) {
+    const source = batch[index - offset];
+    const { customMetrics, ...fields } = entry;
+    const current = byDay.get(entry.date?.getTime());
+
+    try {
+      if (current) {
+        const mode = conflicts ? CONFLICT_RULES[conflicts](current) : 'overwrite';
+        const $set = mergeUpdate(current, fields, mode);
+        const mergedMetrics = customMetrics && mergeCustomMetrics(current.customMetrics, customMetrics, mode);
+        if (mergedMetrics) $set.customMetrics = mergedMetrics;
+
+        // Values entered by hand take over from those readings gave for the day
+        const entered = fields.isManualEntry === false ? [] : HealthReading.enteredMetrics(fields.metrics)
+          .filter(metric => Object.keys($set).some(path => `${path}.`.startsWith(`metrics.${metric}.`)));
+        if (entered.some(metric => current.deviceMetrics.includes(metric))) {
+          $set.deviceMetrics = current.deviceMetrics.filter(metric => !entered.includes(metric));
+        }
+        if (entered.some(metric => current.readingMetrics.includes(metric))) {
+          $set.readingMetrics = current.readingMetrics.filter(metric => !entered.includes(metric));
+        }
+
+        if (Object.keys($set).length === 0) {
+          results.skipped++;
+          continue;
+        }
+
+        // Check the merged day as a whole, leaving the loaded entry as it was for undo
+        const merged = current.$clone();
+        merged.set($set);
+        await merged.validate();
+
+        operations.push({
+          index,
+          source,
+          operation: {
+            updateOne: { filter: { _id: current._id }, update: { $set: { ...$set, updatedAt: writtenAt } }, timestamps: false }
+          },
+          change: { entry: current._id, previous: current.toObject(), updatedAt: writtenAt }
+        });
+      } else {
+        const document = new HealthData({
+          ...fields,
+          ...(customMetrics && { customMetrics: customMetrics.filter(item => item.value !== null) })
+        });
+        await document.validate();
+
+        operations.push({
+          index,
+          source,
+          operation: {
+            insertOne: {
+              document: { ...document.toObject({ virtuals: false }), createdAt: writtenAt, updatedAt: writtenAt },
+              skipValidation: true,
+              timestamps: false
+            }
+          },
+          change: { entry: document._id, previous: null, updatedAt: writtenAt }
+        });
+      }
+    } catch (error) {
+      fail(index, validationMessage(error));
+    }
+  }
+
+  return operations;
+};
+
+// Write planned operations. Unordered writes go on past a failed one, which is reported
+// against its entry; ordered ones (used in transactions) stop and throw.
+const writeBatch = async (operations, { ordered, session, results }) => {
+  if (operations.length === 0) return;
+
+  const failed = new Map();
+  try {
+    await HealthData.bulkWrite(operations.map(({ operation }) => operation), { ordered, session });
+  } catch (error) {
+    if (ordered || !error.writeErrors) throw error;
+    [].concat(error.writeErrors).forEach(({ index, errmsg }) => failed.set(index, errmsg));
+  }
+
+  operations.forEach(({ index, source, operation, change }, i) => {
+    if (failed.has(i)) {
+      results.errors.push({ index, entry: source, error: failed.get(i) });
+      return;
+    }
+    if (operation.insertOne) results.created++;
+    else results.updated++;
+    if (results.changes) results.changes.push(change);
+  });
+};
+
+// Create or update health data entries by date: an entry for a day the user already has
+// is merged into it field by field, so metrics it leaves out are kept; any other creates
+// one. `conflicts` (a CONFLICT_RULES name) decides whether an entry's values replace the
+// day's ('overwrite', the default) or only fill gaps; days the merge leaves unchanged are
+// counted as skipped. Entries are checked and written in bulk batches, and a bad one only
+// fails itself, unless `atomic` is set: then everything is written in one transaction
+// and nothing is written if any entry fails. `dryRun` checks the entries and counts what
+// would happen without writing. With `trackChanges`, the result also lists each entry
+// written, its previous state (null when created) and the updatedAt it was written with,
+// so the writes can be undone.
+// Resolves to { created, updated, skipped, errors }, plus `changes` when tracked.
+const upsertHealthEntries = async (user, entries, { trackChanges = false, conflicts, dryRun = false, atomic = false } = {}) => {
+  const run = async (session) => {
+    const results = {
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      errors: []
+    };
+    if (trackChanges) results.changes = [];
+    const days = new Set();
+    const planned = [];
+
+    for (let start = 0; start < entries.length; start += BATCH_SIZE) {
+      const batch = entries.slice(start, start + BATCH_SIZE);
+      const operations = await planBatch(user, batch, start, { conflicts, session, days, results });
+
+      if (atomic || dryRun) planned.push(...operations);
+      else await writeBatch(operations, { ordered: false, session, results });
+    }
+
+    if (dryRun) {
+      planned.forEach(({ operation }) => {
+        if (operation.insertOne) results.created++;
+        else results.updated++;
+      });
+    } else if (atomic && results.errors.length === 0) {
+      for (let start = 0; start < planned.length; start += BATCH_SIZE) {
+        await writeBatch(planned.slice(start, start + BATCH_SIZE), { ordered: true, session, results });
+      }
+    }
+
+    results.errors.sort((a, b) => a.index - b.index);
+    return results;
+  };
+
+  return atomic && !dryRun ? HealthData.db.transaction(run) : run();
+};
+
+module.exports = {
+  checkCustomMetrics,
+  resolveCustomMetrics,
+  mergeUpdate,
+  mergeCustomMetrics,
+  upsertHealthEntries
+};
\ No newline at end of file
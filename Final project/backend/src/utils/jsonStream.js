@@ -0,0 +1,75 @@
+// Streaming reader for large JSON files made of one long array of records, such as the
+// data point files in Google Fit and Fitbit exports. Only the records are parsed, one at
+// a time, so a file never has to fit in memory as a whole.
+
+// Create a parser calling onItem(value) for each object found directly inside an array
+// that is `depth` containers deep: 1 for a file that is an array of objects, 2 for an
+// array in a top-level object such as { "Data Points": [...] }. Feed it with write(text)
+// and call end() once the input is done; both throw on malformed input.
+const createJsonItemParser = ({ depth = 1, onItem }) => {
+  let buffer = '';
+  // Open containers ('{' or '['), and where the current item started in the buffer
+  const stack = [];
+  let itemStart = -1;
+  let inString = false;
+  let escaped = false;
+  // Where scanning resumes in the buffer
+  let position = 0;
+
+  const parse = () => {
+    for (let i = position; i < buffer.length; i++) {
+      const char = buffer[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        if (char === '{' && stack.length === depth && stack[depth - 1] === '[') itemStart = i;
+        stack.push(char);
+      } else if (char === '}' || char === ']') {
+        const open = stack.pop();
+        if (open !== (char === '}' ? '{' : '[')) {
+          throw new Error(`Malformed JSON near: ${buffer.slice(Math.max(0, i - 40), i + 40)}`);
+        }
+
+        if (itemStart !== -1 && stack.length === depth) {
+          onItem(JSON.parse(buffer.slice(itemStart, i + 1)));
+          itemStart = -1;
+        }
+      }
+    }
+
+    // Keep only the unfinished item, if any
+    const keep = itemStart === -1 ? buffer.length : itemStart;
+    buffer = buffer.slice(keep);
+    position = buffer.length;
+    if (itemStart !== -1) itemStart = 0;
+  };
+
+  return {
+    write: (text) => {
+      buffer += text;
+      parse();
+    },
+    end: () => {
+      parse();
+      if (stack.length > 0 || inString) {
+        throw new Error('JSON ended before all arrays and objects were closed');
+      }
+    }
+  };
+};
+
+module.exports = {
+  createJsonItemParser
+};
\ No newline at end of file
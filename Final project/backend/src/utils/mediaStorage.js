@@ -0,0 +1,66 @@
+const cloudinary = require('cloudinary').v2;
+const debug = require('debug')('lifefit:media');
+
+let configured = false;
+
+const isCloudinaryConfigured = () => Boolean(
+  process.env.CLOUDINARY_CLOUD_NAME &&
+  process.env.CLOUDINARY_API_KEY &&
+  process.env.CLOUDINARY_API_SECRET
+);
+
+const configureCloudinary = () => {
+  if (!configured) {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+      secure: true
+    });
+    configured = true;
+  }
+};
+
+// Parse a Cloudinary delivery URL, e.g.
+// https://res.cloudinary.com/demo/image/upload/v1700000000/workouts/abc.jpg -> image, workouts/abc
+const parseCloudinaryUrl = (url) => {
+  const match = /res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+?)(?:\.\w+)?$/.exec(url || '');
+  if (!match) return null;
+
+  return { resourceType: match[1], publicId: match[2] };
+};
+
+// Delete uploaded files by URL. Files not hosted on Cloudinary, or any file when Cloudinary
+// is not configured, are counted as skipped. Resolves to { deleted, failed, skipped }.
+const deleteUploadedFiles = async (urls) => {
+  const result = { deleted: 0, failed: 0, skipped: 0 };
+
+  for (const url of urls.filter(Boolean)) {
+    const file = parseCloudinaryUrl(url);
+
+    if (!file || !isCloudinaryConfigured()) {
+      result.skipped++;
+      continue;
+    }
+
+    configureCloudinary();
+
+    try {
+      await cloudinary.uploader.destroy(file.publicId, {
+        resource_type: file.resourceType,
+        invalidate: true
+      });
+      result.deleted++;
+    } catch (error) {
+      result.failed++;
+      debug(`Failed to delete ${file.publicId}:`, error.message);
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  parseCloudinaryUrl,
+  deleteUploadedFiles
+};
\ No newline at end of file
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+
+// Configurable password rules plus an offline check against common and breached passwords.
+// checkPassword returns structured feedback that the settings screen can show as the user types.
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, label: 'a lowercase letter' },
+  uppercase: { pattern: /[A-Z]/, label: 'an uppercase letter' },
+  number: { pattern: /\d/, label: 'a number' },
+  symbol: { pattern: /[^A-Za-z0-9]/, label: 'a symbol' }
+};
+
+const STRENGTH_LABELS = ['very-weak', 'weak', 'fair', 'good', 'strong'];
+
+// The User model rejects anything shorter, whatever the policy says
+const ABSOLUTE_MIN_LENGTH = 6;
+
+let commonPasswords = null;
+
+const loadCommonPasswords = () => {
+  if (!commonPasswords) {
+    const file = process.env.PASSWORD_BLOCKLIST_FILE ||
+      path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+    commonPasswords = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+const getPolicy = () => ({
+  minLength: Math.max(ABSOLUTE_MIN_LENGTH, parseInt(process.env.PASSWORD_MIN_LENGTH) || 8),
+  requiredClasses: (process.env.PASSWORD_REQUIRED_CLASSES || 'lowercase,number')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => CHARACTER_CLASSES[name]),
+  rejectPersonalInfo: process.env.PASSWORD_REJECT_PERSONAL_INFO !== 'false',
+  rejectCommon: process.env.PASSWORD_REJECT_COMMON !== 'false'
+});
+
+// A password is common if it, or it without trailing digits and symbols, is on the list
+const isCommonPassword = (password) => {
+  const list = loadCommonPasswords();
+  const lower = password.toLowerCase();
+
+  return list.has(lower) || list.has(lower.replace(/[^a-z]+$/, ''));
+};
+
+// Name parts and the email's local part, ignoring fragments too short to matter
+const getPersonalTerms = ({ name, email } = {}) => {
+  const terms = [
+    ...String(name || '').split(/\s+/),
+    String(email || '').split('@')[0]
+  ];
+
+  return terms
+    .map(term => term.toLowerCase())
+    .filter(term => term.length >= 3);
+};
+
+// Check a password against the policy.
+// Returns { valid, score (0-4), strength, errors: [{ code, message }], suggestions, policy }.
+const checkPassword = (password, user = {}) => {
+  const policy = getPolicy();
+  const value = String(password || '');
+  const errors = [];
+  const suggestions = [];
+
+  if (value.length < policy.minLength) {
+    errors.push({
+      code: 'TOO_SHORT',
+      message: `Password must be at least ${policy.minLength} characters`
+    });
+  }
+
+  for (const name of policy.requiredClasses) {
+    if (!CHARACTER_CLASSES[name].pattern.test(value)) {
+      errors.push({
+        code: `MISSING_${name.toUpperCase()}`,
+        message: `Password must contain ${CHARACTER_CLASSES[name].label}`
+      });
+    }
+  }
+
+  const lower = value.toLowerCase();
+  const containsPersonalInfo = getPersonalTerms(user).some(term => lower.includes(term));
+  if (policy.rejectPersonalInfo && containsPersonalInfo) {
+    errors.push({
+      code: 'CONTAINS_PERSONAL_INFO',
+      message: 'Password must not contain your name or email address'
+    });
+  }
+
+  const isCommon = value.length > 0 && isCommonPassword(value);
+  if (policy.rejectCommon && isCommon) {
+    errors.push({
+      code: 'COMMON_PASSWORD',
+      message: 'This password is too common or has appeared in a data breach'
+    });
+  }
+
+  // Strength score: length and variety earn points, common or personal passwords cap it
+  const classCount = Object.values(CHARACTER_CLASSES).filter(({ pattern }) => pattern.test(value)).length;
+  let score = 0;
+  if (value.length >= policy.minLength) score++;
+  if (value.length >= 12) score++;
+  if (value.length >= 16) score++;
+  if (classCount >= 3) score++;
+  if (isCommon || containsPersonalInfo) score = Math.min(score, 1);
+  score = Math.min(score, STRENGTH_LABELS.length - 1);
+
+  if (value.length < 12) suggestions.push('Use 12 or more characters');
+  if (classCount < 3) suggestions.push('Mix uppercase and lowercase letters, numbers and symbols');
+  if (isCommon) suggestions.push('Avoid common words and well-known passwords');
+  if (suggestions.length === 0 && score < 4) suggestions.push('A few unrelated words make a strong passphrase');
+
+  return {
+    valid: errors.length === 0,
+    score,
+    strength: STRENGTH_LABELS[score],
+    errors,
+    suggestions,
+    policy: {
+      minLength: policy.minLength,
+      requiredClasses: policy.requiredClasses
+    }
+  };
+};
+
+module.exports = {
+  getPolicy,
+  checkPassword,
+  isCommonPassword
+};
\ No newline at end of file
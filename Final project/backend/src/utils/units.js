@@ -0,0 +1,211 @@
+// Unit handling. Measurements are stored in one canonical unit per quantity so that
+// aggregations can sum and average them directly, and are converted to the user's
+// preferred units (User.preferences.units) when they are sent back.
+
+// Factor that converts each unit to the quantity's canonical unit
+const QUANTITIES = {
+  weight: { canonical: 'kg', factors: { kg: 1, lbs: 0.45359237 } },
+  distance: { canonical: 'km', factors: { km: 1, m: 0.001, miles: 1.609344, ft: 0.0003048 } },
+  volume: { canonical: 'liters', factors: { liters: 1, ml: 0.001, cups: 0.2365882365 } }
+};
+
+// Decimal places kept when storing and when displaying each quantity
+const STORED_DIGITS = 3;
+const DISPLAY_DIGITS = { weight: 1, distance: 2, volume: 2 };
+
+const DEFAULT_PREFERENCES = {
+  weight: 'kg',
+  distance: 'km',
+  volume: 'liters',
+  temperature: 'celsius'
+};
+
+const round = (value, digits) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+const getFactor = (quantity, unit) => {
+  const factor = QUANTITIES[quantity].factors[unit];
+  if (factor === undefined) {
+    throw new Error(`Unknown ${quantity} unit: ${unit}`);
+  }
+  return factor;
+};
+
+// Convert a value in `unit` to the canonical unit. Missing values pass through.
+const toCanonical = (quantity, value, unit = QUANTITIES[quantity].canonical) => {
+  if (value == null) return value;
+  return round(value * getFactor(quantity, unit), STORED_DIGITS);
+};
+
+// Convert a canonical value to `unit` for display. Missing values pass through.
+const fromCanonical = (quantity, value, unit = QUANTITIES[quantity].canonical) => {
+  if (value == null) return value;
+  return round(value / getFactor(quantity, unit), DISPLAY_DIGITS[quantity]);
+};
+
+// The user's unit preferences with defaults filled in
+const getUnitPreferences = (user) => ({
+  ...DEFAULT_PREFERENCES,
+  ...Object.fromEntries(
+    Object.entries(user?.preferences?.units || {}).filter(([, unit]) => unit)
+  )
+});
+
+// Convert a { value, unit } style measurement in place to the canonical unit
+const normalizeMeasurement = (measurement, quantity, valueKey = 'value') => {
+  if (!measurement || measurement[valueKey] == null) return;
+
+  const { canonical } = QUANTITIES[quantity];
+  const unit = measurement.unit || canonical;
+
+  if (unit !== canonical) {
+    measurement[valueKey] = toCanonical(quantity, measurement[valueKey], unit);
+  }
+  measurement.unit = canonical;
+};
+
+// Normalize the unit-bearing health metrics (weight and hydration) in place
+const normalizeHealthMetrics = (metrics) => {
+  if (!metrics) return metrics;
+
+  normalizeMeasurement(metrics.weight, 'weight');
+  normalizeMeasurement(metrics.hydration, 'volume', 'intake');
+
+  return metrics;
+};
+
+// Normalize set weights and distances of workout exercises in place
+const normalizeExercises = (exercises) => {
+  (exercises || []).forEach(exercise => {
+    (exercise.sets || []).forEach(set => {
+      normalizeMeasurement(set.weight, 'weight');
+      normalizeMeasurement(set.distance, 'distance');
+    });
+  });
+
+  return exercises;
+};
+
+// Fill in missing units on incoming health metrics from the user's preferences,
+// so a bare weight from a user who thinks in pounds is read as pounds
+const applyPreferredHealthUnits = (metrics, preferences) => {
+  if (metrics?.weight?.value != null && !metrics.weight.unit) {
+    metrics.weight.unit = preferences.weight;
+  }
+  if (metrics?.hydration?.intake != null && !metrics.hydration.unit) {
+    metrics.hydration.unit = preferences.volume;
+  }
+  return metrics;
+};
+
+// Fill in a missing unit on an incoming weight reading from the user's preferences,
+// as applyPreferredHealthUnits does for the day's metrics
+const applyPreferredReadingUnit = (reading, preferences) => {
+  if (reading?.metric === 'weight' && reading.value != null && !reading.unit) {
+    reading.unit = preferences.weight;
+  }
+  return reading;
+};
+
+// Copy of an intraday reading with a weight in the preferred unit
+const localizeReading = (reading, preferences) => {
+  if (!reading) return reading;
+
+  const data = typeof reading.toJSON === 'function' ? reading.toJSON() : { ...reading };
+
+  if (data.metric === 'weight' && data.value != null) {
+    data.value = fromCanonical('weight', data.value, preferences.weight);
+    data.unit = preferences.weight;
+  }
+
+  return data;
+};
+
+// Copy of a health data entry with weight and hydration in the preferred units
+const localizeHealthData = (entry, preferences) => {
+  if (!entry) return entry;
+
+  const data = typeof entry.toJSON === 'function' ? entry.toJSON() : { ...entry };
+  const metrics = data.metrics ? { ...data.metrics } : null;
+
+  if (metrics?.weight?.value != null) {
+    metrics.weight = {
+      ...metrics.weight,
+      value: fromCanonical('weight', metrics.weight.value, preferences.weight),
+      unit: preferences.weight
+    };
+  }
+
+  if (metrics?.hydration?.intake != null) {
+    metrics.hydration = {
+      ...metrics.hydration,
+      intake: fromCanonical('volume', metrics.hydration.intake, preferences.volume),
+      unit: preferences.volume
+    };
+  }
+
+  if (metrics) data.metrics = metrics;
+
+  if (data.readings?.weight) {
+    const rollup = { ...data.readings.weight };
+    ['min', 'max', 'avg', 'last'].forEach(key => {
+      rollup[key] = fromCanonical('weight', rollup[key], preferences.weight);
+    });
+    data.readings = { ...data.readings, weight: { ...rollup, unit: preferences.weight } };
+  }
+
+  return data;
+};
+
+// Copy of a workout with set and summary weights and distances in the preferred units
+const localizeWorkout = (workout, preferences) => {
+  if (!workout) return workout;
+
+  const data = typeof workout.toJSON === 'function' ? workout.toJSON() : { ...workout };
+  const convert = (measurement, quantity, unit) => (
+    measurement?.value != null
+      ? { ...measurement, value: fromCanonical(quantity, measurement.value, unit), unit }
+      : measurement
+  );
+
+  if (data.exercises) {
+    data.exercises = data.exercises.map(exercise => ({
+      ...exercise,
+      sets: (exercise.sets || []).map(set => ({
+        ...set,
+        weight: convert(set.weight, 'weight', preferences.weight),
+        distance: convert(set.distance, 'distance', preferences.distance)
+      }))
+    }));
+  }
+
+  if (data.totalVolume != null) {
+    data.totalVolume = fromCanonical('weight', data.totalVolume, preferences.weight);
+  }
+
+  if (data.summary) {
+    data.summary = {
+      ...data.summary,
+      totalWeight: convert(data.summary.totalWeight, 'weight', preferences.weight),
+      totalDistance: convert(data.summary.totalDistance, 'distance', preferences.distance)
+    };
+  }
+
+  return data;
+};
+
+module.exports = {
+  QUANTITIES,
+  toCanonical,
+  fromCanonical,
+  getUnitPreferences,
+  normalizeHealthMetrics,
+  normalizeExercises,
+  applyPreferredHealthUnits,
+  applyPreferredReadingUnit,
+  localizeHealthData,
+  localizeReading,
+  localizeWorkout
+};
\ No newline at end of file
@@ -0,0 +1,160 @@
+// Minimal streaming XML tokenizer for large machine-written files such as Apple Health's
+// export.xml. Elements, their attributes and the text between them are reported; comments,
+// processing instructions and the DOCTYPE (including an internal subset) are skipped. Text
+// is fed in chunks of any size, so files far larger than memory can be read.
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+// Start or empty-element tag starting at lastIndex: name, attributes, closing slash
+const TAG = /<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const ATTRIBUTE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const END_TAG = /<\/([^\s>]+)\s*>/y;
+
+// A tag that has not ended after this much text is treated as malformed
+const MAX_TAG_LENGTH = 1024 * 1024;
+
+const decodeEntities = (value) => {
+  if (!value.includes('&')) return value;
+
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+};
+
+const parseAttributes = (text) => {
+  const attributes = {};
+  ATTRIBUTE.lastIndex = 0;
+
+  let match;
+  while ((match = ATTRIBUTE.exec(text))) {
+    attributes[match[1]] = decodeEntities(match[2] ?? match[3]);
+  }
+  return attributes;
+};
+
+// Create a parser calling onOpenTag(name, attributes, depth), onCloseTag(name, depth) and
+// onText(text), where depth is 0 for the root element. Text is trimmed, and reported only
+// when not blank. Feed the parser with write(text) and call end() once the input is done;
+// both throw on malformed input.
+const createXmlParser = ({ onOpenTag = () => {}, onCloseTag = () => {}, onText } = {}) => {
+  let buffer = '';
+  let depth = 0;
+
+  // Where the markup starting at `start` ends (just past it), or -1 if more text is needed
+  const findEnd = (start) => {
+    if (buffer.startsWith('<!--', start)) {
+      const end = buffer.indexOf('-->', start + 4);
+      return end === -1 ? -1 : end + 3;
+    }
+    if (buffer.startsWith('<![CDATA[', start)) {
+      const end = buffer.indexOf(']]>', start + 9);
+      if (end !== -1 && onText) {
+        const text = buffer.slice(start + 9, end).trim();
+        if (text) onText(text);
+      }
+      return end === -1 ? -1 : end + 3;
+    }
+    if (buffer.startsWith('<?', start)) {
+      const end = buffer.indexOf('?>', start + 2);
+      return end === -1 ? -1 : end + 2;
+    }
+    if (buffer.startsWith('<!', start)) {
+      // A DOCTYPE may hold declarations in brackets, each with its own '>'
+      const close = buffer.indexOf('>', start);
+      const open = buffer.indexOf('[', start);
+      if (open !== -1 && (close === -1 || open < close)) {
+        const subset = /\]\s*>/g;
+        subset.lastIndex = open;
+        const match = subset.exec(buffer);
+        return match ? match.index + match[0].length : -1;
+      }
+      return close === -1 ? -1 : close + 1;
+    }
+    return null;
+  };
+
+  const parse = (final) => {
+    let position = 0;
+
+    while (true) {
+      const start = buffer.indexOf('<', position);
+      if (start === -1) {
+        // Text may continue in the next chunk
+        if (!onText) position = buffer.length;
+        break;
+      }
+
+      if (onText && start > position) {
+        const text = buffer.slice(position, start).trim();
+        if (text) onText(decodeEntities(text));
+      }
+
+      const skipped = findEnd(start);
+      if (skipped !== null) {
+        if (skipped === -1) {
+          position = start;
+          break;
+        }
+        position = skipped;
+        continue;
+      }
+
+      if (buffer[start + 1] === '/') {
+        END_TAG.lastIndex = start;
+        const match = END_TAG.exec(buffer);
+        if (!match) {
+          position = start;
+          break;
+        }
+        depth--;
+        onCloseTag(match[1], depth);
+        position = END_TAG.lastIndex;
+        continue;
+      }
+
+      TAG.lastIndex = start;
+      const match = TAG.exec(buffer);
+      if (!match) {
+        position = start;
+        break;
+      }
+
+      onOpenTag(match[1], parseAttributes(match[2]), depth);
+      if (match[3]) {
+        onCloseTag(match[1], depth);
+      } else {
+        depth++;
+      }
+      position = TAG.lastIndex;
+    }
+
+    buffer = buffer.slice(position);
+
+    if (buffer.length > MAX_TAG_LENGTH || (final && buffer.trim() !== '')) {
+      throw new Error(`Malformed XML near: ${buffer.slice(0, 80)}`);
+    }
+  };
+
+  return {
+    write: (text) => {
+      buffer += text;
+      parse(false);
+    },
+    end: () => {
+      parse(true);
+      if (depth !== 0) {
+        throw new Error('XML ended before all elements were closed');
+      }
+    }
+  };
+};
+
+module.exports = {
+  createXmlParser
+};
\ No newline at end of file
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Minimal zip support. The writer streams: files are deflated as they are written and
+// their sizes follow in a data descriptor, so nothing has to be buffered. It does not
+// write Zip64, which limits archives to 4 GB and 65,535 files. The reader lists the files
+// in an archive on disk, Zip64 included, and streams them out one at a time.
+
+const CRC_TABLE = new Uint32Array(256).map((value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc;
+});
+
+// CRC-32 of a buffer, continuing from a previous value
+const crc32 = (buffer, previous = 0) => {
+  let crc = ~previous;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+};
+
+// Date and time in the MS-DOS format zip headers use
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// General purpose flags: sizes in a data descriptor (bit 3), UTF-8 names (bit 11)
+const FLAGS = 0x0808;
+const STORED = 0;
+const DEFLATE = 8;
+const VERSION = 20;
+// Sizes and offsets at this value are kept in Zip64 records instead
+const MAX_32 = 0xffffffff;
+
+// Create a zip archive written through `write`, an async function taking a Buffer.
+// Add files one at a time with addFile(name, source), where source is an iterable or
+// async iterable of strings and Buffers, then call finish(). Both resolve to the
+// archive's size so far.
+const createZip = (write) => {
+  const entries = [];
+  let offset = 0;
+
+  const output = async (buffer) => {
+    offset += buffer.length;
+    await write(buffer);
+  };
+
+  const addFile = async (name, source) => {
+    const fileName = Buffer.from(name, 'utf8');
+    const { time, date } = dosDateTime(new Date());
+    const entry = { fileName, time, date, offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    // CRC and sizes (14-25) are left at zero for the data descriptor
+    header.writeUInt16LE(fileName.length, 26);
+    await output(Buffer.concat([header, fileName]));
+
+    const deflate = zlib.createDeflateRaw();
+    const compressed = (async () => {
+      for await (const chunk of deflate) {
+        entry.compressedSize += chunk.length;
+        await output(chunk);
+      }
+    })();
+
+    try {
+      for await (const chunk of source) {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), 'utf8');
+        entry.crc = crc32(buffer, entry.crc);
+        entry.size += buffer.length;
+        if (!deflate.write(buffer)) {
+          await new Promise(resolve => deflate.once('drain', resolve));
+        }
+      }
+    } catch (error) {
+      deflate.destroy();
+      await compressed.catch(() => {});
+      throw error;
+    }
+
+    deflate.end();
+    await compressed;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await output(descriptor);
+
+    entries.push(entry);
+    return offset;
+  };
+
+  const finish = async () => {
+    const start = offset;
+
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(VERSION, 4);
+      header.writeUInt16LE(VERSION, 6);
+      header.writeUInt16LE(FLAGS, 8);
+      header.writeUInt16LE(DEFLATE, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.fileName.length, 28);
+      // Extra field, comment, disk number and attributes (30-41) stay zero
+      header.writeUInt32LE(entry.offset, 42);
+      await output(Buffer.concat([header, entry.fileName]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await output(end);
+
+    return offset;
+  };
+
+  return { addFile, finish };
+};
+
+const readAt = async (file, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await file.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+// Location and size of the central directory, from the end of central directory record
+const readDirectoryEnd = async (file, fileSize) => {
+  // The record is 22 bytes plus a comment of up to 64 KB
+  const tailLength = Math.min(fileSize, 22 + 0xffff);
+  const tail = await readAt(file, fileSize - tailLength, tailLength);
+
+  let index = tail.length - 22;
+  while (index >= 0 && tail.readUInt32LE(index) !== 0x06054b50) index--;
+  if (index < 0) throw new Error('Not a zip file');
+
+  const directory = {
+    entries: tail.readUInt16LE(index + 10),
+    size: tail.readUInt32LE(index + 12),
+    offset: tail.readUInt32LE(index + 16)
+  };
+
+  if (directory.entries === 0xffff || directory.size === MAX_32 || directory.offset === MAX_32) {
+    // Zip64: a locator just before the record points at the larger Zip64 record
+    const locatorPosition = fileSize - tailLength + index - 20;
+    const locator = await readAt(file, locatorPosition, 20);
+    if (locator.readUInt32LE(0) !== 0x07064b50) throw new Error('Zip64 locator not found');
+
+    const record = await readAt(file, Number(locator.readBigUInt64LE(8)), 56);
+    if (record.readUInt32LE(0) !== 0x06064b50) throw new Error('Zip64 directory record not found');
+
+    directory.entries = Number(record.readBigUInt64LE(32));
+    directory.size = Number(record.readBigUInt64LE(40));
+    directory.offset = Number(record.readBigUInt64LE(48));
+  }
+
+  return directory;
+};
+
+// Sizes and offset too large for 32 bits are kept in the Zip64 extra field, in this order
+const applyZip64Extra = (entry, extra) => {
+  let index = 0;
+  while (index + 4 <= extra.length) {
+    const id = extra.readUInt16LE(index);
+    const length = extra.readUInt16LE(index + 2);
+
+    if (id === 0x0001) {
+      let field = index + 4;
+      ['size', 'compressedSize', 'offset'].forEach(key => {
+        if (entry[key] === MAX_32) {
+          entry[key] = Number(extra.readBigUInt64LE(field));
+          field += 8;
+        }
+      });
+      return;
+    }
+    index += 4 + length;
+  }
+};
+
+// The files in a zip archive on disk, as { name, method, size, compressedSize, offset }
+const listZipEntries = async (filePath) => {
+  const file = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size: fileSize } = await file.stat();
+    const directory = await readDirectoryEnd(file, fileSize);
+    const records = await readAt(file, directory.offset, directory.size);
+    const entries = [];
+
+    let index = 0;
+    for (let count = 0; count < directory.entries; count++) {
+      if (records.readUInt32LE(index) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+
+      const nameLength = records.readUInt16LE(index + 28);
+      const extraLength = records.readUInt16LE(index + 30);
+      const commentLength = records.readUInt16LE(index + 32);
+      const entry = {
+        name: records.toString('utf8', index + 46, index + 46 + nameLength),
+        method: records.readUInt16LE(index + 10),
+        compressedSize: records.readUInt32LE(index + 20),
+        size: records.readUInt32LE(index + 24),
+        offset: records.readUInt32LE(index + 42)
+      };
+      const extraStart = index + 46 + nameLength;
+      applyZip64Extra(entry, records.subarray(extraStart, extraStart + extraLength));
+      index = extraStart + extraLength + commentLength;
+
+      entries.push(entry);
+    }
+
+    return entries;
+  } finally {
+    await file.close();
+  }
+};
+
+// Open a file listed by listZipEntries. Resolves to { raw, stream }: `raw` reads the
+// stored bytes (useful for progress) and `stream` gives the uncompressed content.
+const openZipEntry = async (filePath, entry) => {
+  if (![STORED, DEFLATE].includes(entry.method)) {
+    throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+  }
+
+  // The data follows the local header, whose name and extra field can differ in length
+  const file = await fs.promises.open(filePath, 'r');
+  let header;
+  try {
+    header = await readAt(file, entry.offset, 30);
+  } finally {
+    await file.close();
+  }
+  if (header.readUInt32LE(0) !== 0x04034b50) throw new Error('Corrupt zip local header');
+  const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+  const raw = fs.createReadStream(filePath, {
+    start,
+    end: Math.max(start, start + entry.compressedSize - 1)
+  });
+  const stream = entry.method === DEFLATE ? raw.pipe(zlib.createInflateRaw()) : raw;
+  if (stream !== raw) raw.on('error', error => stream.destroy(error));
+
+  return { raw, stream };
+};
+
+// Read the text of each of `entries` in turn into the parser createParser(entry) returns,
+// an object with write(text) and end() like createXmlParser's. Progress across all the
+// entries is reported as onProgress(bytesRead, totalBytes), awaited before reading on.
+const readZipEntries = async (filePath, entries, createParser, onProgress) => {
+  const totalBytes = entries.reduce((sum, entry) => sum + entry.compressedSize, 0);
+  let done = 0;
+
+  for (const entry of entries) {
+    const parser = createParser(entry);
+    const { raw, stream } = await openZipEntry(filePath, entry);
+
+    stream.setEncoding('utf8');
+    for await (const text of stream) {
+      parser.write(text);
+      if (onProgress) await onProgress(done + raw.bytesRead, totalBytes);
+    }
+    parser.end();
+
+    done += entry.compressedSize;
+  }
+};
+
+module.exports = {
+  crc32,
+  createZip,
+  listZipEntries,
+  openZipEntry,
+  readZipEntries
+};
\ No newline at end of file
@@ -0,0 +1,164 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { app } = require('../src/server');
+const User = require('../src/models/User');
+const HealthData = require('../src/models/HealthData');
+const Goal = require('../src/models/Goal');
+const ErasureRecord = require('../src/models/ErasureRecord');
+const AuditLog = require('../src/models/AuditLog');
+const Impersonation = require('../src/models/Impersonation');
+const { processScheduledDeletions } = require('../src/jobs/accountDeletion');
+
+describe('Account Deletion', () => {
+  let user, token;
+
+  const requestDeletion = (password = 'password123') => request(app)
+    .post('/api/v1/auth/delete-account')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ password, reason: 'Switching apps' });
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    token = user.generateAuthToken();
+    await testUtils.createTestHealthData(user._id);
+    await testUtils.createTestGoal(user._id);
+  });
+
+  it('should schedule deletion after the grace period', async () => {
+    const response = await requestDeletion().expect(200);
+
+    const scheduledFor = new Date(response.body.data.scheduledFor);
+    const days = (scheduledFor - Date.now()) / (24 * 60 * 60 * 1000);
+    expect(Math.round(days)).toBe(30);
+  });
+
+  it('should require the current password', async () => {
+    await requestDeletion('wrongpassword').expect(400);
+
+    const unchanged = await User.findById(user._id);
+    expect(unchanged.deletion?.scheduledFor).toBeUndefined();
+  });
+
+  it('should cancel a scheduled deletion', async () => {
+    await requestDeletion().expect(200);
+
+    await request(app)
+      .delete('/api/v1/auth/delete-account')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const cancelled = await User.findById(user._id);
+    expect(cancelled.deletion?.scheduledFor).toBeUndefined();
+  });
+
+  it('should not purge accounts still in the grace period', async () => {
+    await requestDeletion().expect(200);
+
+    const records = await processScheduledDeletions();
+
+    expect(records).toHaveLength(0);
+    expect(await User.exists({ _id: user._id })).toBeTruthy();
+  });
+
+  it('should purge all data once the grace period ends', async () => {
+    await requestDeletion().expect(200);
+    await User.updateOne({ _id: user._id }, { 'deletion.scheduledFor': new Date(Date.now() - 1000) });
+
+    const [record] = await processScheduledDeletions();
+
+    expect(await User.exists({ _id: user._id })).toBeNull();
+    expect(await HealthData.countDocuments({ user: user._id })).toBe(0);
+    expect(await Goal.countDocuments({ user: user._id })).toBe(0);
+
+    expect(record.method).toBe('scheduled');
+    expect(record.deleted.healthData).toBe(1);
+    expect(record.deleted.goals).toBe(1);
+    expect(record.emailHash).toBe(ErasureRecord.hashEmail('test@example.com'));
+  });
+
+  it('should keep audit history without personal data', async () => {
+    await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'test@example.com', password: 'wrongpassword' })
+      .expect(401);
+    await requestDeletion().expect(200);
+    await User.updateOne({ _id: user._id }, { 'deletion.scheduledFor': new Date(Date.now() - 1000) });
+
+    const [record] = await processScheduledDeletions();
+
+    const entries = await AuditLog.find({ target: user._id, action: { $ne: 'account.erase' } }).lean();
+    expect(entries.map(entry => entry.action).sort()).toEqual(['account.deletion-request', 'login.failure']);
+    entries.forEach(entry => {
+      expect(entry).not.toHaveProperty('ip');
+      expect(entry).not.toHaveProperty('userAgent');
+      expect(entry).not.toHaveProperty('metadata');
+    });
+    expect(record.retained.auditLogs).toBe(2);
+  });
+
+  it('should keep the impersonations an erased admin ran on other accounts', async () => {
+    const other = await User.create({ name: 'Other User', email: 'other@example.com', password: 'password123' });
+    const session = new mongoose.Types.ObjectId();
+    await Impersonation.create([
+      { admin: user._id, adminSession: session, target: other._id, reason: 'Support ticket', expiresAt: new Date(), ip: '203.0.113.7', userAgent: 'curl' },
+      { admin: other._id, target: user._id, reason: 'Support ticket', expiresAt: new Date() }
+    ]);
+
+    await requestDeletion().expect(200);
+    await User.updateOne({ _id: user._id }, { 'deletion.scheduledFor': new Date(Date.now() - 1000) });
+
+    const [record] = await processScheduledDeletions();
+
+    const kept = await Impersonation.find({}).lean();
+    expect(kept).toHaveLength(1);
+    expect(kept[0]).toMatchObject({ admin: user._id, target: other._id, reason: 'Support ticket' });
+    expect(kept[0]).not.toHaveProperty('ip');
+    expect(kept[0]).not.toHaveProperty('userAgent');
+    expect(kept[0]).not.toHaveProperty('adminSession');
+    expect(record.deleted.impersonations).toBe(1);
+    expect(record.retained.impersonations).toBe(1);
+  });
+
+  describe('admin tooling', () => {
+    let adminToken;
+
+    beforeEach(async () => {
+      const admin = await User.create({
+        name: 'Admin User',
+        email: 'admin@example.com',
+        password: 'password123',
+        role: 'admin'
+      });
+      adminToken = admin.generateAuthToken();
+    });
+
+    it('should expedite a requested deletion', async () => {
+      await requestDeletion().expect(200);
+
+      const response = await request(app)
+        .post(`/api/v1/users/${user._id}/deletion/expedite`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.method).toBe('expedited');
+      expect(await User.exists({ _id: user._id })).toBeNull();
+
+      const lookup = await request(app)
+        .get('/api/v1/users/erasures')
+        .query({ email: 'test@example.com' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(lookup.body.count).toBe(1);
+    });
+
+    it('should not erase accounts that did not request it', async () => {
+      await request(app)
+        .post(`/api/v1/users/${user._id}/deletion/expedite`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(await User.exists({ _id: user._id })).toBeTruthy();
+    });
+  });
+});
\ No newline at end of file
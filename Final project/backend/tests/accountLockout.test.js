@@ -0,0 +1,95 @@
+const request = require('supertest');
+const nodemailer = require('nodemailer');
+const { app } = require('../src/server');
+const User = require('../src/models/User');
+const { setTransport } = require('../src/mail/mailer');
+
+describe('Account Lockout', () => {
+  let user, transport;
+
+  const login = (password) => request(app)
+    .post('/api/v1/auth/login')
+    .send({ email: 'test@example.com', password });
+
+  const failLogins = async (count) => {
+    for (let i = 0; i < count; i++) {
+      await login('wrongpassword');
+    }
+  };
+
+  beforeEach(async () => {
+    transport = nodemailer.createTransport({ jsonTransport: true });
+    jest.spyOn(transport, 'sendMail');
+    setTransport(transport);
+    user = await testUtils.createTestUser();
+  });
+
+  afterEach(() => {
+    setTransport(null);
+    delete process.env.LOGIN_DELAY_AFTER;
+    process.env.AUTH_RATE_LIMIT_MAX = '50';
+  });
+
+  it('should limit login attempts per IP', async () => {
+    process.env.AUTH_RATE_LIMIT_MAX = '2';
+
+    await login('password123').expect(200);
+    await login('password123').expect(200);
+    const response = await login('password123').expect(429);
+
+    expect(response.body.error).toBe('Too many attempts. Please try again later.');
+    expect(response.body.retryAfter).toBeGreaterThan(0);
+  });
+
+  it('should slow down repeated failed logins', async () => {
+    await failLogins(3);
+
+    const response = await login('wrongpassword').expect(429);
+
+    expect(response.body.code).toBe('LOGIN_THROTTLED');
+    expect(response.body.retryAfter).toBeGreaterThan(0);
+  });
+
+  describe('after too many failures', () => {
+    beforeEach(async () => {
+      // Disable progressive delays so the attempts can run back to back
+      process.env.LOGIN_DELAY_AFTER = '100';
+      await failLogins(5);
+    });
+
+    it('should lock the account even with the right password', async () => {
+      const response = await login('password123').expect(423);
+
+      expect(response.body.code).toBe('ACCOUNT_LOCKED');
+      const lockedUser = await User.findById(user._id);
+      expect(lockedUser.isLocked).toBe(true);
+    });
+
+    it('should unlock the account from the emailed link', async () => {
+      expect(transport.sendMail).toHaveBeenCalledTimes(1);
+      const { text } = transport.sendMail.mock.calls[0][0];
+      const unlockPath = text.match(/\/api\/v1\/auth\/unlock\/[0-9a-f]{64}/)[0];
+
+      await request(app).get(unlockPath).expect(200);
+
+      await login('password123').expect(200);
+    });
+
+    it('should let an admin unlock the account', async () => {
+      const admin = await User.create({
+        name: 'Admin User',
+        email: 'admin@example.com',
+        password: 'password123',
+        role: 'admin'
+      });
+
+      await request(app)
+        .put(`/api/v1/users/${user._id}`)
+        .set('Authorization', `Bearer ${admin.generateAuthToken()}`)
+        .send({ unlock: true })
+        .expect(200);
+
+      await login('password123').expect(200);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { app } = require('../src/server');
+const User = require('../src/models/User');
+const Goal = require('../src/models/Goal');
+const Session = require('../src/models/Session');
+const { processDormantAccounts } = require('../src/jobs/dormantAccounts');
+
+describe('Account Reactivation', () => {
+  let user, token, goal;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const deactivate = () => request(app)
+    .delete('/api/v1/auth/deactivate')
+    .set('Authorization', `Bearer ${token}`)
+    .expect(200);
+
+  // The emailed link carries the plaintext token, so tests issue one directly
+  const issueReactivationToken = async () => {
+    const current = await User.findById(user._id);
+    const reactivationToken = current.generateReactivationToken();
+    await current.save({ validateBeforeSave: false });
+    return reactivationToken;
+  };
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    token = user.generateAuthToken();
+    goal = await testUtils.createTestGoal(user._id);
+  });
+
+  it('should pause active goals when the account is deactivated', async () => {
+    await deactivate();
+
+    const deactivated = await User.findById(user._id);
+    expect(deactivated.isActive).toBe(false);
+    expect(deactivated.deactivationReason).toBe('user');
+
+    const paused = await Goal.findById(goal._id);
+    expect(paused.status).toBe('paused');
+    expect(paused.pausedByDeactivation).toBeDefined();
+  });
+
+  it('should tell a deactivated user they can reactivate on login', async () => {
+    await deactivate();
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'test@example.com', password: 'password123' })
+      .expect(401);
+
+    expect(response.body.code).toBe('ACCOUNT_DEACTIVATED');
+    expect(response.body.canReactivate).toBe(true);
+  });
+
+  it('should send a link only when self-service reactivation applies', async () => {
+    await deactivate();
+
+    await request(app)
+      .post('/api/v1/auth/reactivate')
+      .send({ email: 'test@example.com' })
+      .expect(200);
+
+    const requested = await User.findById(user._id);
+    expect(requested.reactivationToken).toBeDefined();
+
+    // Unknown addresses get the same answer
+    await request(app)
+      .post('/api/v1/auth/reactivate')
+      .send({ email: 'nobody@example.com' })
+      .expect(200);
+  });
+
+  it('should reactivate the account and resume paused goals', async () => {
+    // A goal the user paused themselves should stay paused
+    const ownPause = await testUtils.createTestGoal(user._id);
+    await Goal.findByIdAndUpdate(ownPause._id, { status: 'paused' });
+
+    await deactivate();
+    await Goal.findByIdAndUpdate(goal._id, { pausedByDeactivation: new Date(Date.now() - 10 * DAY_MS) });
+
+    const reactivationToken = await issueReactivationToken();
+
+    await request(app)
+      .get(`/api/v1/auth/reactivate/${reactivationToken}`)
+      .expect(200);
+
+    const reactivated = await User.findById(user._id);
+    expect(reactivated.isActive).toBe(true);
+    expect(reactivated.deactivatedAt).toBeUndefined();
+
+    const resumed = await Goal.findById(goal._id);
+    expect(resumed.status).toBe('active');
+    expect(resumed.pausedByDeactivation).toBeUndefined();
+    // The end date moves back by the time spent inactive
+    const shiftDays = (resumed.timeframe.endDate - goal.timeframe.endDate) / DAY_MS;
+    expect(Math.round(shiftDays)).toBe(10);
+
+    const stillPaused = await Goal.findById(ownPause._id);
+    expect(stillPaused.status).toBe('paused');
+  });
+
+  it('should reject links once the reactivation window has closed', async () => {
+    await deactivate();
+    const reactivationToken = await issueReactivationToken();
+    await User.findByIdAndUpdate(user._id, { deactivatedAt: new Date(Date.now() - 120 * DAY_MS) });
+
+    await request(app)
+      .get(`/api/v1/auth/reactivate/${reactivationToken}`)
+      .expect(400);
+  });
+
+  it('should not allow self-service reactivation after an admin deactivation', async () => {
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    await request(app)
+      .delete(`/api/v1/users/${user._id}`)
+      .set('Authorization', `Bearer ${admin.generateAuthToken()}`)
+      .expect(200);
+
+    const deactivated = await User.findById(user._id);
+    expect(deactivated.deactivationReason).toBe('admin');
+    expect(deactivated.canSelfReactivate()).toBe(false);
+
+    await request(app)
+      .post('/api/v1/auth/reactivate')
+      .send({ email: 'test@example.com' })
+      .expect(200);
+
+    const unchanged = await User.findById(user._id);
+    expect(unchanged.reactivationToken).toBeUndefined();
+  });
+
+  it('should reject an unknown token', async () => {
+    const response = await request(app)
+      .get(`/api/v1/auth/reactivate/${crypto.randomBytes(32).toString('hex')}`)
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  describe('Dormant accounts', () => {
+    const lastLoginMonthsAgo = (months) => {
+      const date = new Date();
+      date.setMonth(date.getMonth() - months);
+      return User.findByIdAndUpdate(user._id, { lastLogin: date });
+    };
+
+    it('should warn accounts that have been inactive too long', async () => {
+      await lastLoginMonthsAgo(13);
+
+      const result = await processDormantAccounts();
+
+      expect(result.warned).toBe(1);
+      const warned = await User.findById(user._id);
+      expect(warned.dormancyWarnedAt).toBeDefined();
+      expect(warned.isActive).toBe(true);
+    });
+
+    it('should deactivate warned accounts after the grace period', async () => {
+      await lastLoginMonthsAgo(14);
+      await User.findByIdAndUpdate(user._id, { dormancyWarnedAt: new Date(Date.now() - 31 * DAY_MS) });
+
+      const result = await processDormantAccounts();
+
+      expect(result.deactivated).toBe(1);
+      const deactivated = await User.findById(user._id);
+      expect(deactivated.isActive).toBe(false);
+      expect(deactivated.deactivationReason).toBe('dormant');
+      expect((await Goal.findById(goal._id)).status).toBe('paused');
+    });
+
+    it('should leave recently active accounts alone', async () => {
+      await lastLoginMonthsAgo(1);
+
+      const result = await processDormantAccounts();
+
+      expect(result).toEqual({ warned: 0, deactivated: 0 });
+    });
+
+    it('should count a session kept alive by refreshes as activity', async () => {
+      await lastLoginMonthsAgo(14);
+      await User.findByIdAndUpdate(user._id, { dormancyWarnedAt: new Date(Date.now() - 31 * DAY_MS) });
+      await Session.create({
+        user: user._id,
+        tokenHash: 'refreshed-session',
+        lastSeenAt: new Date(Date.now() - DAY_MS),
+        expiresAt: new Date(Date.now() + 7 * DAY_MS)
+      });
+
+      const result = await processDormantAccounts();
+
+      expect(result).toEqual({ warned: 0, deactivated: 0 });
+      const active = await User.findById(user._id);
+      expect(active.isActive).toBe(true);
+      expect(active.dormancyWarnedAt).toBeUndefined();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,123 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+const ApiToken = require('../src/models/ApiToken');
+
+describe('Personal Access Tokens', () => {
+  let user, token;
+
+  const createApiToken = (body) => request(app)
+    .post('/api/v1/auth/tokens')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    token = user.generateAuthToken();
+  });
+
+  describe('POST /api/v1/auth/tokens', () => {
+    it('should return the token once and store only its hash', async () => {
+      const response = await createApiToken({
+        name: 'Sync script',
+        scopes: ['health-data:read'],
+        expiresInDays: 30
+      }).expect(201);
+
+      const { token: apiToken, id } = response.body.data;
+      expect(apiToken).toMatch(/^lfp_[0-9a-f]{48}$/);
+
+      const stored = await ApiToken.findById(id);
+      expect(stored.tokenHash).toBe(ApiToken.hashToken(apiToken));
+      expect(stored.expiresAt).toBeDefined();
+    });
+
+    it('should reject unknown scopes', async () => {
+      await createApiToken({ name: 'Bad', scopes: ['users:admin'] }).expect(400);
+    });
+  });
+
+  describe('using a token', () => {
+    let apiToken;
+
+    beforeEach(async () => {
+      ({ token: apiToken } = await ApiToken.createForUser(user._id, {
+        name: 'Reader',
+        scopes: ['health-data:read']
+      }));
+    });
+
+    it('should allow requests within its scopes', async () => {
+      await testUtils.createTestHealthData(user._id);
+
+      const response = await request(app)
+        .get('/api/v1/health-data')
+        .set('Authorization', `Bearer ${apiToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+
+      const stored = await ApiToken.findOne({ user: user._id });
+      expect(stored.lastUsedAt).toBeDefined();
+    });
+
+    it('should reject requests outside its scopes', async () => {
+      const response = await request(app)
+        .get('/api/v1/workouts')
+        .set('Authorization', `Bearer ${apiToken}`)
+        .expect(403);
+
+      expect(response.body.code).toBe('INSUFFICIENT_SCOPE');
+    });
+
+    it('should not be usable for account endpoints', async () => {
+      const response = await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${apiToken}`)
+        .expect(403);
+
+      expect(response.body.code).toBe('API_TOKEN_NOT_ALLOWED');
+    });
+
+    it('should not be accepted as the session cookie', async () => {
+      await request(app)
+        .post('/api/v1/auth/tokens')
+        .set('Cookie', [`token=${apiToken}`, 'csrfToken=forged'])
+        .set('X-CSRF-Token', 'forged')
+        .send({ name: 'Escalated', scopes: ['health-data:write'] })
+        .expect(401);
+
+      await request(app)
+        .get('/api/v1/health-data')
+        .set('Cookie', `token=${apiToken}`)
+        .expect(401);
+
+      expect(await ApiToken.countDocuments({ user: user._id })).toBe(1);
+    });
+
+    it('should stop working once revoked', async () => {
+      const stored = await ApiToken.findOne({ user: user._id });
+
+      await request(app)
+        .delete(`/api/v1/auth/tokens/${stored._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/v1/health-data')
+        .set('Authorization', `Bearer ${apiToken}`)
+        .expect(401);
+    });
+
+    it('should list tokens without their secrets', async () => {
+      const response = await request(app)
+        .get('/api/v1/auth/tokens')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].tokenPreview).toMatch(/^lfp_/);
+      expect(response.body.data[0].token).toBeUndefined();
+      expect(response.body.data[0].tokenHash).toBeUndefined();
+    });
+  });
+});
\ No newline at end of file
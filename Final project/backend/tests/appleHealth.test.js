@@ -0,0 +1,122 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+const HealthData = require('../src/models/HealthData');
+const ImportJob = require('../src/models/ImportJob');
+const Workout = require('../src/models/Workout');
+
+describe('Apple Health Import', () => {
+  let user, token;
+
+  const record = (type, start, value, extra = '') =>
+    `<Record type="${type}" sourceName="Apple Watch" unit="count" startDate="${start}" endDate="${start}" value="${value}"${extra}/>`;
+
+  const EXPORT = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE HealthData [
+<!ELEMENT HealthData (ExportDate,Me,(Record|Correlation|Workout)*)>
+]>
+<HealthData locale="en_US">
+ <ExportDate value="2024-03-05 10:00:00 +0000"/>
+ ${record('HKQuantityTypeIdentifierStepCount', '2024-03-01 08:00:00 +0000', 4000, ' device="&lt;&lt;HKDevice: 0x1&gt;, name:Apple Watch, model:Watch&gt;"')}
+ ${record('HKQuantityTypeIdentifierStepCount', '2024-03-01 18:00:00 +0000', 2500)}
+ <Record type="HKQuantityTypeIdentifierBodyMass" sourceName="Scale" unit="lb" startDate="2024-03-01 07:00:00 +0000" endDate="2024-03-01 07:00:00 +0000" value="165.3"/>
+ ${record('HKQuantityTypeIdentifierRestingHeartRate', '2024-03-01 09:00:00 +0000', 61)}
+ <Record type="HKCategoryTypeIdentifierSleepAnalysis" sourceName="Apple Watch" startDate="2024-03-01 23:00:00 +0000" endDate="2024-03-02 06:30:00 +0000" value="HKCategoryValueSleepAnalysisAsleepCore"/>
+ <Workout workoutActivityType="HKWorkoutActivityTypeRunning" duration="30" durationUnit="min" sourceName="Apple Watch" startDate="2024-03-01 17:00:00 +0000" endDate="2024-03-01 17:30:00 +0000">
+  <MetadataEntry key="HKIndoorWorkout" value="0"/>
+  <WorkoutStatistics type="HKQuantityTypeIdentifierActiveEnergyBurned" sum="320" unit="kcal"/>
+  <WorkoutStatistics type="HKQuantityTypeIdentifierDistanceWalkingRunning" sum="5.2" unit="km"/>
+  <WorkoutStatistics type="HKQuantityTypeIdentifierHeartRate" average="151" maximum="174" unit="count/min"/>
+ </Workout>
+</HealthData>`;
+
+  const upload = (contents = EXPORT, name = 'export.xml') => request(app)
+    .post('/api/v1/imports/apple-health')
+    .set('Authorization', `Bearer ${token}`)
+    .attach('file', Buffer.from(contents), name);
+
+  // Imports run in the background, so poll until the job settles
+  const waitFor = async (id, status) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const job = await ImportJob.findById(id);
+      if (job.status === status) return job;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Import did not reach ${status}`);
+  };
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    token = user.generateAuthToken();
+  });
+
+  it('should import daily totals and workouts in the background', async () => {
+    const response = await upload().expect(202);
+    expect(response.body.data.status).toBe('pending');
+    expect(response.body.data.filePath).toBeUndefined();
+
+    const job = await waitFor(response.body.data._id, 'completed');
+    expect(job.results).toMatchObject({ created: 2, updated: 0, workouts: 1, failed: 0 });
+    expect(job.progress.percentage).toBe(100);
+
+    const day = await HealthData.findOne({ user: user._id, date: new Date('2024-03-01') });
+    expect(day.metrics.steps.value).toBe(6500);
+    expect(day.metrics.weight.value).toBeCloseTo(74.98, 2);
+    expect(day.metrics.heartRate.resting).toBe(61);
+    expect(day.isManualEntry).toBe(false);
+    expect(day.deviceData).toMatchObject({ deviceId: 'Apple Watch', deviceType: 'Watch' });
+
+    const night = await HealthData.findOne({ user: user._id, date: new Date('2024-03-02') });
+    expect(night.metrics.sleep.duration).toBe(7.5);
+
+    const workout = await Workout.findOne({ user: user._id });
+    expect(workout).toMatchObject({ name: 'Running', type: 'running', location: 'outdoor', isManualEntry: false });
+    expect(workout.summary.caloriesBurned).toBe(320);
+    expect(workout.summary.totalDistance.value).toBe(5.2);
+    expect(workout.summary.maxHeartRate).toBe(174);
+  });
+
+  it('should only fill in missing values and skip what was already imported', async () => {
+    await HealthData.create({
+      user: user._id,
+      date: new Date('2024-03-01'),
+      metrics: { steps: { value: 9000 } }
+    });
+
+    const first = await upload().expect(202);
+    const job = await waitFor(first.body.data._id, 'completed');
+    expect(job.results).toMatchObject({ created: 1, updated: 1 });
+
+    const day = await HealthData.findOne({ user: user._id, date: new Date('2024-03-01') });
+    expect(day.metrics.steps.value).toBe(9000);
+    expect(day.metrics.heartRate.resting).toBe(61);
+
+    const second = await upload().expect(202);
+    const repeat = await waitFor(second.body.data._id, 'completed');
+    expect(repeat.results).toMatchObject({ created: 0, updated: 0, skipped: 2, workouts: 0, workoutsSkipped: 1 });
+    expect(await Workout.countDocuments({ user: user._id })).toBe(1);
+  });
+
+  it('should undo the imported days and workouts', async () => {
+    const response = await upload().expect(202);
+    const { _id: id } = response.body.data;
+    await waitFor(id, 'completed');
+
+    await request(app)
+      .post(`/api/v1/imports/${id}/undo`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(202);
+    await waitFor(id, 'undone');
+
+    expect(await HealthData.countDocuments({ user: user._id })).toBe(0);
+    expect(await Workout.countDocuments({ user: user._id })).toBe(0);
+  });
+
+  it('should fail imports that are not Apple Health exports', async () => {
+    const response = await upload('<HealthData><Record', 'export.xml').expect(202);
+
+    const job = await waitFor(response.body.data._id, 'failed');
+    expect(job.error).toMatch(/Malformed XML|ended before/);
+
+    await upload('Date,Steps', 'export.csv').expect(400);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,112 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+const User = require('../src/models/User');
+const AuditLog = require('../src/models/AuditLog');
+
+describe('Audit Log', () => {
+  let user, token, admin, adminToken;
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    token = user.generateAuthToken();
+
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+    adminToken = admin.generateAuthToken();
+  });
+
+  it('should record successful and failed logins', async () => {
+    await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'test@example.com', password: 'wrongpassword' })
+      .expect(401);
+
+    await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'test@example.com', password: 'password123' })
+      .expect(200);
+
+    const entries = await AuditLog.find({ target: user._id }).sort({ createdAt: 1 });
+
+    expect(entries.map(entry => entry.action)).toEqual(['login.failure', 'login.success']);
+    expect(entries[0].actor).toBeNull();
+    expect(entries[0].ip).toBeDefined();
+  });
+
+  it('should record admin edits with a diff and the role change', async () => {
+    await request(app)
+      .put(`/api/v1/users/${user._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'admin', name: 'Renamed User' })
+      .expect(200);
+
+    const update = await AuditLog.findOne({ action: 'user.update' });
+    expect(update.actor.toString()).toBe(admin._id.toString());
+    expect(update.target.toString()).toBe(user._id.toString());
+    expect(update.changes.name).toEqual({ from: 'Test User', to: 'Renamed User' });
+
+    const roleChange = await AuditLog.findOne({ action: 'role.change' });
+    expect(roleChange.changes.role).toEqual({ from: 'user', to: 'admin' });
+  });
+
+  it('should reject changes to existing entries', async () => {
+    const entry = await AuditLog.record(null, { action: 'login.success', target: user._id });
+
+    await expect(AuditLog.updateOne({ _id: entry._id }, { action: 'login.failure' })).rejects.toThrow();
+    await expect(AuditLog.deleteOne({ _id: entry._id })).rejects.toThrow();
+  });
+
+  describe('GET /api/v1/users/:id/audit', () => {
+    beforeEach(async () => {
+      await request(app)
+        .put('/api/v1/auth/change-password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          currentPassword: 'password123',
+          newPassword: 'newpassword123',
+          confirmPassword: 'newpassword123'
+        })
+        .expect(200);
+    });
+
+    it('should return the owner their own audit trail', async () => {
+      const response = await request(app)
+        .get(`/api/v1/users/${user._id}/audit`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data[0].action).toBe('password.change');
+    });
+
+    it('should not show other users the audit trail', async () => {
+      const otherUser = await User.create({
+        name: 'Other User',
+        email: 'other@example.com',
+        password: 'password123'
+      });
+
+      await request(app)
+        .get(`/api/v1/users/${user._id}/audit`)
+        .set('Authorization', `Bearer ${otherUser.generateAuthToken()}`)
+        .expect(403);
+    });
+  });
+
+  it('should let admins search by action', async () => {
+    await AuditLog.record(null, { action: 'login.success', target: user._id });
+    await AuditLog.record(null, { action: 'login.failure', target: user._id });
+
+    const response = await request(app)
+      .get('/api/v1/users/audit')
+      .query({ action: 'login.failure' })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.count).toBe(1);
+    expect(response.body.data[0].action).toBe('login.failure');
+  });
+});
\ No newline at end of file
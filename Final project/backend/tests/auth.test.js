@@ -8,8 +8,8 @@ describe('Auth Endpoints', () => {
       const userData = {
         name: 'John Doe',
         email: 'john@example.com',
-        password: 'password123',
-        confirmPassword: 'password123'
+        password: 'Tr4ining-Plan-2024',
+        confirmPassword: 'Tr4ining-Plan-2024'
       };
 
       const response = await request(app)
@@ -161,4 +161,173 @@ describe('Auth Endpoints', () => {
       expect(response.body.success).toBe(false);
     });
   });
+
+  describe('PUT /api/v1/auth/reset-password/:resettoken', () => {
+    it('should sign out old sessions and open a new one', async () => {
+      await testUtils.createTestUser();
+
+      const login = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      const oldTokens = login.body.data.tokens;
+
+      const user = await User.findOne({ email: 'test@example.com' });
+      const resetToken = user.generatePasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      const response = await request(app)
+        .put(`/api/v1/auth/reset-password/${resetToken}`)
+        .send({ token: resetToken, password: 'Tr4ining-Plan-2024', confirmPassword: 'Tr4ining-Plan-2024' })
+        .expect(200);
+      const { access } = response.body.data.tokens;
+
+      await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${oldTokens.access}`)
+        .expect(401);
+
+      // The new token belongs to a session, so logging out ends it
+      await request(app)
+        .post('/api/v1/auth/logout')
+        .set('Authorization', `Bearer ${access}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${access}`)
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/v1/auth/refresh', () => {
+    let tokens;
+
+    beforeEach(async () => {
+      await testUtils.createTestUser();
+
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      tokens = response.body.data.tokens;
+    });
+
+    it('should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: tokens.refresh })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.tokens.refresh).not.toBe(tokens.refresh);
+    });
+
+    it('should revoke the session when a rotated token is reused', async () => {
+      const rotated = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: tokens.refresh })
+        .expect(200);
+
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: tokens.refresh })
+        .expect(401);
+
+      // The newest token in the family is no longer valid either
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: rotated.body.data.tokens.refresh })
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/v1/auth/logout', () => {
+    it('should revoke the current session', async () => {
+      await testUtils.createTestUser();
+
+      const login = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      const { access, refresh } = login.body.data.tokens;
+
+      await request(app)
+        .post('/api/v1/auth/logout')
+        .set('Authorization', `Bearer ${access}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${access}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: refresh })
+        .expect(401);
+    });
+  });
+
+  describe('Session management', () => {
+    const login = (userAgent) => request(app)
+      .post('/api/v1/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ email: 'test@example.com', password: 'password123' });
+
+    let phone, web;
+
+    beforeEach(async () => {
+      await testUtils.createTestUser();
+      phone = (await login('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile Safari/604.1')).body.data.tokens;
+      web = (await login('Mozilla/5.0 (Windows NT 10.0) Chrome/120.0 Safari/537.36')).body.data.tokens;
+    });
+
+    it('should list signed-in devices', async () => {
+      const response = await request(app)
+        .get('/api/v1/auth/sessions')
+        .set('Authorization', `Bearer ${web.access}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      const current = response.body.data.find(session => session.current);
+      expect(current.device.type).toBe('web');
+      expect(current.firstSeenAt).toBeDefined();
+      expect(current.lastSeenAt).toBeDefined();
+    });
+
+    it('should revoke a single session', async () => {
+      const sessions = await request(app)
+        .get('/api/v1/auth/sessions')
+        .set('Authorization', `Bearer ${web.access}`);
+      const phoneSession = sessions.body.data.find(session => !session.current);
+
+      await request(app)
+        .delete(`/api/v1/auth/sessions/${phoneSession.id}`)
+        .set('Authorization', `Bearer ${web.access}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${phone.access}`)
+        .expect(401);
+    });
+
+    it('should sign out everywhere else', async () => {
+      const response = await request(app)
+        .delete('/api/v1/auth/sessions')
+        .set('Authorization', `Bearer ${web.access}`)
+        .expect(200);
+
+      expect(response.body.data.revoked).toBe(1);
+
+      await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${web.access}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: phone.refresh })
+        .expect(401);
+    });
+  });
 });
\ No newline at end of file
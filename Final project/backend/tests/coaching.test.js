@@ -0,0 +1,130 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+const User = require('../src/models/User');
+const CoachAccess = require('../src/models/CoachAccess');
+const AuditLog = require('../src/models/AuditLog');
+
+describe('Coaching', () => {
+  let client, clientToken, coach, coachToken;
+
+  const invite = (scopes) => request(app)
+    .post('/api/v1/coaching/coaches')
+    .set('Authorization', `Bearer ${clientToken}`)
+    .send({ email: 'coach@example.com', scopes });
+
+  const accept = (id) => request(app)
+    .post(`/api/v1/coaching/invitations/${id}/accept`)
+    .set('Authorization', `Bearer ${coachToken}`);
+
+  beforeEach(async () => {
+    client = await testUtils.createTestUser();
+    clientToken = client.generateAuthToken();
+
+    coach = await User.create({
+      name: 'Coach User',
+      email: 'coach@example.com',
+      password: 'password123',
+      role: 'coach'
+    });
+    coachToken = coach.generateAuthToken();
+  });
+
+  it('should only invite users with the coach role', async () => {
+    await User.create({
+      name: 'Not A Coach',
+      email: 'user2@example.com',
+      password: 'password123'
+    });
+
+    await request(app)
+      .post('/api/v1/coaching/coaches')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ email: 'user2@example.com' })
+      .expect(404);
+  });
+
+  it('should not share data before the invitation is accepted', async () => {
+    await invite().expect(201);
+
+    await request(app)
+      .get(`/api/v1/coaching/clients/${client._id}/health-data`)
+      .set('Authorization', `Bearer ${coachToken}`)
+      .expect(403);
+  });
+
+  describe('with accepted access', () => {
+    let coachAccess;
+
+    beforeEach(async () => {
+      const response = await invite(['health-data:read', 'workouts:read', 'workouts:write']).expect(201);
+      await accept(response.body.data._id).expect(200);
+      coachAccess = await CoachAccess.findById(response.body.data._id);
+    });
+
+    it('should let the coach read shared data and log each access', async () => {
+      await testUtils.createTestHealthData(client._id);
+
+      const response = await request(app)
+        .get(`/api/v1/coaching/clients/${client._id}/health-data`)
+        .set('Authorization', `Bearer ${coachToken}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+
+      const entry = await AuditLog.findOne({ action: 'coach.access' });
+      expect(entry.actor.toString()).toBe(coach._id.toString());
+      expect(entry.target.toString()).toBe(client._id.toString());
+    });
+
+    it('should let the coach open shared documents by ID', async () => {
+      const healthData = await testUtils.createTestHealthData(client._id);
+
+      await request(app)
+        .get(`/api/v1/health-data/${healthData._id}`)
+        .set('Authorization', `Bearer ${coachToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/v1/health-data/${healthData._id}`)
+        .set('Authorization', `Bearer ${coachToken}`)
+        .expect(403);
+    });
+
+    it('should refuse scopes the client did not grant', async () => {
+      await request(app)
+        .get(`/api/v1/coaching/clients/${client._id}/goals`)
+        .set('Authorization', `Bearer ${coachToken}`)
+        .expect(403);
+    });
+
+    it('should let the coach plan workouts for the client', async () => {
+      const response = await request(app)
+        .post(`/api/v1/coaching/clients/${client._id}/workouts`)
+        .set('Authorization', `Bearer ${coachToken}`)
+        .send({
+          name: 'Coach Plan',
+          type: 'strength-training',
+          date: new Date().toISOString(),
+          startTime: new Date().toISOString(),
+          duration: 45
+        })
+        .expect(201);
+
+      expect(response.body.data.user).toBe(client._id.toString());
+      expect(response.body.data.createdBy).toBe(coach._id.toString());
+      expect(response.body.data.completionStatus).toBe('planned');
+    });
+
+    it('should end access when the client revokes it', async () => {
+      await request(app)
+        .delete(`/api/v1/coaching/coaches/${coachAccess._id}`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/v1/coaching/clients/${client._id}/health-data`)
+        .set('Authorization', `Bearer ${coachToken}`)
+        .expect(403);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+
+describe('Cookie Session Mode', () => {
+  let cookies, csrfToken;
+
+  const cookieHeader = () => cookies.map(cookie => cookie.split(';')[0]).join('; ');
+
+  beforeEach(async () => {
+    await testUtils.createTestUser();
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .set('X-Auth-Mode', 'cookie')
+      .send({ email: 'test@example.com', password: 'password123' })
+      .expect(200);
+
+    cookies = response.headers['set-cookie'];
+    csrfToken = response.body.data.csrfToken;
+  });
+
+  it('should set httpOnly auth cookies instead of returning tokens', () => {
+    const tokenCookie = cookies.find(cookie => cookie.startsWith('token='));
+    const refreshCookie = cookies.find(cookie => cookie.startsWith('refreshToken='));
+    const csrfCookie = cookies.find(cookie => cookie.startsWith('csrfToken='));
+
+    expect(tokenCookie).toMatch(/HttpOnly/);
+    expect(tokenCookie).toMatch(/SameSite=Strict/);
+    expect(refreshCookie).toMatch(/Path=\/api\/v1\/auth/);
+    expect(csrfCookie).not.toMatch(/HttpOnly/);
+    expect(csrfCookie).toContain(csrfToken);
+  });
+
+  it('should authenticate requests with the access token cookie', async () => {
+    const response = await request(app)
+      .get('/api/v1/auth/me')
+      .set('Cookie', cookieHeader())
+      .expect(200);
+
+    expect(response.body.data.user.email).toBe('test@example.com');
+  });
+
+  it('should reject state-changing requests without the CSRF header', async () => {
+    const response = await request(app)
+      .put('/api/v1/auth/profile')
+      .set('Cookie', cookieHeader())
+      .send({ name: 'Forged Name' })
+      .expect(403);
+
+    expect(response.body.code).toBe('CSRF_TOKEN_INVALID');
+  });
+
+  it('should accept state-changing requests with the CSRF header', async () => {
+    await request(app)
+      .put('/api/v1/auth/profile')
+      .set('Cookie', cookieHeader())
+      .set('X-CSRF-Token', csrfToken)
+      .send({ name: 'New Name' })
+      .expect(200);
+  });
+
+  it('should refresh from the refresh token cookie', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/refresh')
+      .set('Cookie', cookieHeader())
+      .set('X-CSRF-Token', csrfToken)
+      .expect(200);
+
+    expect(response.body.data.tokens).toBeUndefined();
+    expect(response.body.data.csrfToken).toBe(csrfToken);
+    expect(response.headers['set-cookie'].some(cookie => cookie.startsWith('refreshToken='))).toBe(true);
+  });
+
+  it('should clear the cookies on logout', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/logout')
+      .set('Cookie', cookieHeader())
+      .set('X-CSRF-Token', csrfToken)
+      .expect(200);
+
+    const cleared = response.headers['set-cookie'].map(cookie => cookie.split('=')[0]);
+    expect(cleared).toEqual(expect.arrayContaining(['token', 'refreshToken', 'csrfToken']));
+
+    await request(app)
+      .get('/api/v1/auth/me')
+      .set('Cookie', cookieHeader())
+      .expect(401);
+  });
+});
\ No newline at end of file
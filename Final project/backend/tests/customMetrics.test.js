@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../src/server');
+const MetricDefinition = require('../src/models/MetricDefinition');
+
+describe('Custom Metrics', () => {
+  let user, token, painLevel, caffeine;
+
+  const createMetric = (metric) => request(app)
+    .post('/api/v1/metrics')
+    .set('Authorization', `Bearer ${token}`)
+    .send(metric);
+
+  const createEntry = (date, customMetrics) => request(app)
+    .post('/api/v1/health-data')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ date, customMetrics });
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    token = user.generateAuthToken();
+
+    painLevel = (await createMetric({ name: 'Pain level', type: 'scale' }).expect(201)).body.data;
+    caffeine = (await createMetric({ name: 'Caffeine', unit: 'mg', type: 'number', min: 0, max: 1000 }).expect(201)).body.data;
+  });
+
+  describe('Definitions', () => {
+    it('should default scales to 1-10', () => {
+      expect(painLevel.min).toBe(1);
+      expect(painLevel.max).toBe(10);
+    });
+
+    it('should reject duplicate names', async () => {
+      await createMetric({ name: 'caffeine' }).expect(400);
+    });
+
+    it('should reject a range where max is not above min', async () => {
+      await createMetric({ name: 'Waist', unit: 'cm', min: 100, max: 50 }).expect(400);
+    });
+
+    it('should archive instead of deleting a metric with values', async () => {
+      await createEntry(new Date().toISOString(), [{ metric: caffeine._id, value: 200 }]).expect(201);
+
+      const response = await request(app)
+        .delete(`/api/v1/metrics/${caffeine._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.archivedAt).toBeDefined();
+      expect(await MetricDefinition.exists({ _id: caffeine._id })).toBeTruthy();
+    });
+  });
+
+  describe('Recording values', () => {
+    it('should record values against definitions', async () => {
+      const response = await createEntry(new Date().toISOString(), [
+        { metric: painLevel._id, value: 4 },
+        { metric: caffeine._id, value: 180 }
+      ]).expect(201);
+
+      expect(response.body.data.customMetrics).toHaveLength(2);
+    });
+
+    it('should validate values against the definition', async () => {
+      const response = await createEntry(new Date().toISOString(), [
+        { metric: painLevel._id, value: 12 }
+      ]).expect(400);
+
+      expect(response.body.code).toBe('INVALID_CUSTOM_METRIC');
+    });
+
+    it('should not accept another user\'s metric', async () => {
+      const other = await MetricDefinition.create({
+        user: new mongoose.Types.ObjectId(),
+        name: 'Someone else'
+      });
+
+      await createEntry(new Date().toISOString(), [{ metric: other._id, value: 1 }]).expect(400);
+    });
+
+    it('should merge custom values on update', async () => {
+      const created = await createEntry(new Date().toISOString(), [
+        { metric: painLevel._id, value: 4 },
+        { metric: caffeine._id, value: 180 }
+      ]).expect(201);
+
+      const response = await request(app)
+        .put(`/api/v1/health-data/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ customMetrics: [{ metric: painLevel._id, value: 2 }, { metric: caffeine._id, value: null }] })
+        .expect(200);
+
+      expect(response.body.data.customMetrics).toEqual([{ metric: painLevel._id, value: 2 }]);
+    });
+  });
+
+  describe('Analytics', () => {
+    it('should summarize custom metrics and add them to trends', async () => {
+      const today = new Date();
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+      await createEntry(yesterday.toISOString(), [{ metric: caffeine._id, value: 100 }]).expect(201);
+      await createEntry(today.toISOString(), [{ metric: caffeine._id, value: 300 }]).expect(201);
+
+      const response = await request(app)
+        .get('/api/v1/health-data/analytics/summary?period=week')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const summary = response.body.data.customSummary.find(entry => entry.name === 'Caffeine');
+      expect(summary).toMatchObject({ unit: 'mg', entries: 2, avg: 200, min: 100, max: 300 });
+
+      const lastTrend = response.body.data.trends[response.body.data.trends.length - 1];
+      expect(lastTrend.custom[caffeine._id]).toBe(300);
+    });
+  });
+
+  describe('Goals', () => {
+    const createGoal = (target) => request(app)
+      .post('/api/v1/goals')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Cut down on coffee',
+        category: 'custom',
+        type: 'target',
+        target,
+        timeframe: {
+          type: 'monthly',
+          endDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+        }
+      });
+
+    it('should bind a custom target to a definition and use its unit', async () => {
+      const response = await createGoal({ metric: 'custom', customMetric: caffeine._id, value: 200, operator: '<=' })
+        .expect(201);
+
+      expect(response.body.data.target.customMetric).toBe(caffeine._id);
+      expect(response.body.data.target.unit).toBe('mg');
+    });
+
+    it('should require a definition for custom targets', async () => {
+      await createGoal({ metric: 'custom', value: 200, unit: 'mg' }).expect(400);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,236 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+const HealthData = require('../src/models/HealthData');
+const ImportJob = require('../src/models/ImportJob');
+const Workout = require('../src/models/Workout');
+const { createZip } = require('../src/utils/zip');
+
+describe('Fitbit and Google Fit Import', () => {
+  let user, token, fitbitZip, googleFitZip;
+
+  // A zip archive of { name: contents } built in memory
+  const zipOf = async (files) => {
+    const chunks = [];
+    const zip = createZip(async (buffer) => chunks.push(buffer));
+    for (const [name, contents] of Object.entries(files)) {
+      await zip.addFile(name, [typeof contents === 'string' ? contents : JSON.stringify(contents)]);
+    }
+    await zip.finish();
+    return Buffer.concat(chunks);
+  };
+
+  const FITBIT = {
+    'MyFitbitData/Global Export Data/steps-2024-03-01.json': [
+      { dateTime: '03/01/24 08:00:00', value: '4000' },
+      { dateTime: '03/01/24 18:00:00', value: '2500' }
+    ],
+    'MyFitbitData/Global Export Data/resting_heart_rate-2024-03-01.json': [
+      { dateTime: '03/01/24 00:00:00', value: { date: '03/01/24', value: 61, error: 6.2 } },
+      { dateTime: '03/02/24 00:00:00', value: { date: '03/02/24', value: 0, error: 0 } }
+    ],
+    'MyFitbitData/Global Export Data/weight-2024-03-01.json': [
+      { logId: 1, weight: 165.3, bmi: 24.1, date: '03/01/24', time: '07:00:00', source: 'Aria' }
+    ],
+    'MyFitbitData/Global Export Data/sleep-2024-03-02.json': [
+      { dateOfSleep: '2024-03-02', startTime: '2024-03-01T23:00:00.000', endTime: '2024-03-02T06:30:00.000', minutesAsleep: 420 }
+    ],
+    'MyFitbitData/Global Export Data/exercise-2024-03-01.json': [
+      {
+        activityName: 'Run',
+        startTime: '03/01/24 17:00:00',
+        activeDuration: 1800000,
+        calories: 320,
+        distance: 5.2,
+        distanceUnit: 'Kilometer',
+        averageHeartRate: 151,
+        hasGps: true
+      }
+    ]
+  };
+
+  const point = (type, start, end, value, origin = '') => ({
+    dataTypeName: type,
+    startTimeNanos: String(Date.parse(start) * 1e6),
+    endTimeNanos: String(Date.parse(end) * 1e6),
+    originDataSourceId: origin,
+    fitValue: [{ value }]
+  });
+
+  const GOOGLE_FIT = {
+    'Takeout/Fit/All Data/derived_com.google.step_count.delta_com.google.android.gms_merge_step_deltas.json': {
+      'Data Points': [
+        point('com.google.step_count.delta', '2024-03-01T08:00:00Z', '2024-03-01T09:00:00Z', { intVal: 3000 }, 'raw:com.google.step_count.cumulative:Google:Pixel 7:1:step_counter'),
+        point('com.google.step_count.delta', '2024-03-01T18:00:00Z', '2024-03-01T19:00:00Z', { intVal: 2500 }, 'raw:com.google.step_count.cumulative:Google:Pixel 7:1:step_counter')
+      ]
+    },
+    // The raw steps are already counted in the merged file
+    'Takeout/Fit/All Data/raw_com.google.step_count.delta_com.google.android.gms_phone.json': {
+      'Data Points': [
+        point('com.google.step_count.delta', '2024-03-01T08:00:00Z', '2024-03-01T09:00:00Z', { intVal: 99999 })
+      ]
+    },
+    'Takeout/Fit/All Data/derived_com.google.sleep.segment_com.google.android.gms_merged.json': {
+      'Data Points': [
+        point('com.google.sleep.segment', '2024-03-01T23:00:00Z', '2024-03-01T23:30:00Z', { intVal: 1 }),
+        point('com.google.sleep.segment', '2024-03-01T23:30:00Z', '2024-03-02T06:30:00Z', { intVal: 4 })
+      ]
+    },
+    'Takeout/Fit/All Sessions/2024-03-01T17_00_00Z_RUNNING.json': {
+      fitnessActivity: 'running',
+      startTime: '2024-03-01T17:00:00Z',
+      endTime: '2024-03-01T17:30:00Z',
+      duration: '1800s',
+      aggregate: [
+        { metricName: 'com.google.calories.expended', floatValue: 320 },
+        { metricName: 'com.google.distance.delta', floatValue: 5200 }
+      ]
+    },
+    'Takeout/Fit/Activities/2024-03-01T17_00_20Z_Running.tcx': `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase>
+ <Activities>
+  <Activity Sport="Running">
+   <Id>2024-03-01T17:00:20Z</Id>
+   <Lap StartTime="2024-03-01T17:00:20Z">
+    <TotalTimeSeconds>1780</TotalTimeSeconds>
+    <DistanceMeters>5200</DistanceMeters>
+    <AverageHeartRateBpm><Value>151</Value></AverageHeartRateBpm>
+    <MaximumHeartRateBpm><Value>174</Value></MaximumHeartRateBpm>
+   </Lap>
+  </Activity>
+ </Activities>
+</TrainingCenterDatabase>`
+  };
+
+  const upload = (source, archive, fields = {}) => {
+    const req = request(app)
+      .post(`/api/v1/imports/${source}`)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', archive, 'export.zip');
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req;
+  };
+
+  // Imports run in the background, so poll until the job settles
+  const waitFor = async (id, status) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const job = await ImportJob.findById(id);
+      if (job.status === status) return job;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Import did not reach ${status}`);
+  };
+
+  beforeAll(async () => {
+    fitbitZip = await zipOf(FITBIT);
+    googleFitZip = await zipOf(GOOGLE_FIT);
+  });
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    token = user.generateAuthToken();
+  });
+
+  it('should import a Fitbit export', async () => {
+    const response = await upload('fitbit', fitbitZip, { weightUnit: 'lbs' }).expect(202);
+    expect(response.body.data.source).toBe('fitbit');
+
+    const job = await waitFor(response.body.data._id, 'completed');
+    expect(job.results).toMatchObject({ created: 2, updated: 0, skipped: 0, workouts: 1, failed: 0 });
+
+    const day = await HealthData.findOne({ user: user._id, date: new Date('2024-03-01') });
+    expect(day.metrics.steps.value).toBe(6500);
+    expect(day.metrics.weight.value).toBeCloseTo(74.98, 2);
+    expect(day.metrics.heartRate.resting).toBe(61);
+    expect(day.deviceData).toMatchObject({ deviceId: 'Fitbit' });
+
+    const night = await HealthData.findOne({ user: user._id, date: new Date('2024-03-02') });
+    expect(night.metrics.sleep.duration).toBe(7);
+    expect(night.metrics.heartRate?.resting).toBeUndefined();
+
+    const workout = await Workout.findOne({ user: user._id });
+    expect(workout).toMatchObject({ name: 'Run', type: 'running', duration: 30, location: 'outdoor', isManualEntry: false });
+    expect(workout.summary.caloriesBurned).toBe(320);
+    expect(workout.summary.totalDistance.value).toBe(5.2);
+  });
+
+  it('should import a Google Fit export', async () => {
+    const response = await upload('google-fit', googleFitZip).expect(202);
+    const job = await waitFor(response.body.data._id, 'completed');
+    expect(job.results).toMatchObject({ created: 2, workouts: 1, failed: 0 });
+
+    const day = await HealthData.findOne({ user: user._id, date: new Date('2024-03-01') });
+    expect(day.metrics.steps.value).toBe(5500);
+    expect(day.deviceData).toMatchObject({ deviceId: 'Google Fit', deviceType: 'Pixel 7' });
+
+    // The night stays together although it started awake before midnight
+    const night = await HealthData.findOne({ user: user._id, date: new Date('2024-03-02') });
+    expect(night.metrics.sleep.duration).toBe(7);
+    expect(night.metrics.sleep.bedTime).toEqual(new Date('2024-03-01T23:00:00Z'));
+
+    // The session and the TCX activity are the same run
+    const workouts = await Workout.find({ user: user._id });
+    expect(workouts).toHaveLength(1);
+    expect(workouts[0].summary.caloriesBurned).toBe(320);
+    expect(workouts[0].summary.totalDistance.value).toBe(5.2);
+    expect(workouts[0].summary.maxHeartRate).toBe(174);
+  });
+
+  it('should apply the conflict rule to existing days', async () => {
+    await HealthData.create({
+      user: user._id,
+      date: new Date('2024-03-01'),
+      metrics: { steps: { value: 9000 } }
+    });
+
+    const kept = await upload('fitbit', fitbitZip, { weightUnit: 'lbs' }).expect(202);
+    const first = await waitFor(kept.body.data._id, 'completed');
+    expect(first.results).toMatchObject({ created: 1, updated: 1 });
+
+    let day = await HealthData.findOne({ user: user._id, date: new Date('2024-03-01') });
+    expect(day.metrics.steps.value).toBe(9000);
+    expect(day.metrics.weight.value).toBeCloseTo(74.98, 2);
+    expect(day.isManualEntry).toBe(true);
+
+    const replaced = await upload('fitbit', fitbitZip, { weightUnit: 'lbs', conflicts: 'prefer-device' })
+      .expect(202);
+    const second = await waitFor(replaced.body.data._id, 'completed');
+    expect(second.results).toMatchObject({ created: 0, updated: 1, skipped: 1, workouts: 0, workoutsSkipped: 1 });
+
+    day = await HealthData.findOne({ user: user._id, date: new Date('2024-03-01') });
+    expect(day.metrics.steps.value).toBe(6500);
+    expect(day.isManualEntry).toBe(false);
+  });
+
+  it('should import only the selected fields', async () => {
+    const response = await upload('google-fit', googleFitZip, { fields: JSON.stringify(['steps']) })
+      .expect(202);
+    const job = await waitFor(response.body.data._id, 'completed');
+    expect(job.results).toMatchObject({ created: 1, workouts: 0 });
+
+    const days = await HealthData.find({ user: user._id });
+    expect(days).toHaveLength(1);
+    expect(days[0].metrics.sleep?.duration).toBeUndefined();
+    expect(await Workout.countDocuments({ user: user._id })).toBe(0);
+  });
+
+  it('should finish when saving its progress fails', async () => {
+    const progress = jest.spyOn(ImportJob, 'updateOne').mockRejectedValue(new Error('Write conflict'));
+
+    try {
+      const response = await upload('fitbit', fitbitZip).expect(202);
+      const job = await waitFor(response.body.data._id, 'completed');
+      expect(job.results).toMatchObject({ created: 2, workouts: 1, failed: 0 });
+      expect(progress).toHaveBeenCalled();
+    } finally {
+      progress.mockRestore();
+    }
+  });
+
+  it('should reject unknown fields and archives without device data', async () => {
+    await upload('fitbit', fitbitZip, { fields: JSON.stringify(['mood']) }).expect(400);
+
+    const response = await upload('fitbit', googleFitZip).expect(202);
+    const job = await waitFor(response.body.data._id, 'failed');
+    expect(job.error).toMatch(/Fitbit data files/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+const Device = require('../src/models/Device');
+const HealthData = require('../src/models/HealthData');
+const HealthReading = require('../src/models/HealthReading');
+const User = require('../src/models/User');
+
+describe('Device Sync', () => {
+  let user, token, device;
+
+  const sync = (body, id = device._id) => request(app)
+    .post(`/api/v1/devices/${id}/sync`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const heartRate = (clientId, value, recordedAt = '2024-03-01T08:00:00Z') => ({
+    clientId,
+    metric: 'heartRate',
+    value,
+    recordedAt
+  });
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    token = user.generateAuthToken();
+
+    const response = await request(app)
+      .post('/api/v1/devices')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Running watch', type: 'watch', manufacturer: 'Garmin' })
+      .expect(201);
+    device = response.body.data;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should register, list and remove devices', async () => {
+    expect(device).toMatchObject({ name: 'Running watch', type: 'watch', readingsSynced: 0 });
+
+    await request(app)
+      .post('/api/v1/devices')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Toaster', type: 'toaster' })
+      .expect(400);
+
+    const list = await request(app)
+      .get('/api/v1/devices')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(list.body.count).toBe(1);
+
+    const other = await User.create({
+      name: 'Other User',
+      email: 'other@example.com',
+      password: 'password123'
+    });
+    await request(app)
+      .delete(`/api/v1/devices/${device._id}`)
+      .set('Authorization', `Bearer ${other.generateAuthToken()}`)
+      .expect(403);
+
+    await sync({ readings: [heartRate('hr-1', 64)] }).expect(200);
+    await request(app)
+      .delete(`/api/v1/devices/${device._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(await Device.countDocuments({ user: user._id })).toBe(0);
+    // What the device synced stays with the user
+    expect(await HealthReading.countDocuments({ user: user._id })).toBe(1);
+  });
+
+  it('should record a batch once however often it is sent', async () => {
+    const batch = {
+      cursor: 'page-2',
+      readings: [
+        heartRate('hr-1', 60, '2024-03-01T07:00:00Z'),
+        heartRate('hr-2', 70, '2024-03-01T09:00:00Z'),
+        { clientId: 'bp-1', metric: 'bloodPressure', systolic: 118, diastolic: 76, recordedAt: '2024-03-02T08:00:00Z' }
+      ]
+    };
+
+    const first = await sync(batch).expect(200);
+    expect(first.body.data).toMatchObject({
+      accepted: 3,
+      duplicates: 0,
+      rejected: 0,
+      dates: ['2024-03-01', '2024-03-02'],
+      cursor: 'page-2'
+    });
+
+    const retry = await sync(batch).expect(200);
+    expect(retry.body.data).toMatchObject({ accepted: 0, duplicates: 3, dates: ['2024-03-01', '2024-03-02'] });
+    expect(retry.body.data.device.readingsSynced).toBe(3);
+
+    expect(await HealthReading.countDocuments({ user: user._id, source: 'device' })).toBe(3);
+
+    const day = await HealthData.findOne({ user: user._id, date: new Date('2024-03-01') });
+    expect(day.metrics.heartRate.average).toBe(65);
+    expect(day.readings.heartRate.count).toBe(2);
+    expect(day.isManualEntry).toBe(false);
+    expect(day.deviceMetrics).toEqual(['heartRate']);
+    expect(day.deviceData).toMatchObject({ deviceId: device._id, deviceType: 'watch' });
+
+    const saved = await request(app)
+      .get(`/api/v1/devices/${device._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(saved.body.data).toMatchObject({ syncCursor: 'page-2', readingsSynced: 3 });
+    expect(saved.body.data.lastSyncedAt).toBeDefined();
+  });
+
+  it('should roll up the days of a retried sync that failed after saving', async () => {
+    const batch = { readings: [heartRate('hr-1', 64)] };
+    jest.spyOn(HealthReading, 'rollupDay').mockRejectedValueOnce(new Error('Connection lost'));
+
+    await sync(batch).expect(500);
+    expect(await HealthReading.countDocuments({ user: user._id })).toBe(1);
+    expect(await HealthData.countDocuments({ user: user._id })).toBe(0);
+
+    const retry = await sync(batch).expect(200);
+    expect(retry.body.data).toMatchObject({ accepted: 0, duplicates: 1, dates: ['2024-03-01'] });
+
+    const day = await HealthData.findOne({ user: user._id, date: new Date('2024-03-01') });
+    expect(day.metrics.heartRate.average).toBe(64);
+    expect(day.deviceData).toMatchObject({ deviceId: device._id, deviceType: 'watch' });
+  });
+
+  it('should save the valid readings and report the rest', async () => {
+    const response = await sync({
+      readings: [
+        heartRate('hr-1', 64),
+        heartRate('hr-2', 400),
+        { clientId: 'bp-1', metric: 'bloodPressure', systolic: 120, recordedAt: '2024-03-01T08:00:00Z' },
+        heartRate('hr-3', 64, new Date(Date.now() + 60 * 60 * 1000).toISOString())
+      ]
+    }).expect(200);
+
+    expect(response.body.data).toMatchObject({ accepted: 1, rejected: 3 });
+    expect(response.body.data.errors.map(({ index, clientId, details }) => [index, clientId, details[0].field]))
+      .toEqual([[1, 'hr-2', 'value'], [2, 'bp-1', 'diastolic'], [3, 'hr-3', 'recordedAt']]);
+
+    // Readings without a client ID cannot be retried safely, so the batch is refused
+    await sync({ readings: [{ metric: 'heartRate', value: 64, recordedAt: '2024-03-01T08:00:00Z' }] }).expect(400);
+  });
+
+  it('should keep manual values over device readings unless the user prefers the device', async () => {
+    const entry = await HealthData.create({
+      user: user._id,
+      date: new Date('2024-03-01'),
+      metrics: { weight: { value: 70, unit: 'kg' } }
+    });
+    const weight = (clientId, value, recordedAt) => ({ clientId, metric: 'weight', value, unit: 'kg', recordedAt });
+
+    await sync({ readings: [weight('w-1', 72, '2024-03-01T07:00:00Z')] }).expect(200);
+    let day = await HealthData.findById(entry._id);
+    expect(day.metrics.weight.value).toBe(70);
+    expect(day.readings.weight.last).toBe(72);
+    expect(day.deviceMetrics).toEqual([]);
+
+    await User.findByIdAndUpdate(user._id, { 'preferences.dataPrecedence.weight': 'device' });
+    await sync({ readings: [weight('w-2', 71.5, '2024-03-01T08:00:00Z')] }).expect(200);
+    day = await HealthData.findById(entry._id);
+    expect(day.metrics.weight.value).toBe(71.5);
+    expect(day.deviceMetrics).toEqual(['weight']);
+
+    // A value entered afterwards is manual again
+    await request(app)
+      .put(`/api/v1/health-data/${entry._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ metrics: { weight: { value: 69, unit: 'kg' } } })
+      .expect(200);
+    day = await HealthData.findById(entry._id);
+    expect(day.metrics.weight.value).toBe(69);
+    expect(day.deviceMetrics).toEqual([]);
+  });
+});
\ No newline at end of file
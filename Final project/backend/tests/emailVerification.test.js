@@ -0,0 +1,99 @@
+const request = require('supertest');
+const nodemailer = require('nodemailer');
+const { app } = require('../src/server');
+const User = require('../src/models/User');
+const { setTransport } = require('../src/mail/mailer');
+
+describe('Email Verification', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = nodemailer.createTransport({ jsonTransport: true });
+    jest.spyOn(transport, 'sendMail');
+    setTransport(transport);
+  });
+
+  afterEach(() => {
+    setTransport(null);
+  });
+
+  it('should email a verification link on registration', async () => {
+    await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'John Doe',
+        email: 'john@example.com',
+        password: 'Tr4ining-Plan-2024',
+        confirmPassword: 'Tr4ining-Plan-2024'
+      })
+      .expect(201);
+
+    expect(transport.sendMail).toHaveBeenCalledTimes(1);
+    const message = transport.sendMail.mock.calls[0][0];
+    expect(message.to).toBe('john@example.com');
+    expect(message.text).toMatch(/\/api\/v1\/auth\/verify-email\/[0-9a-f]{64}/);
+  });
+
+  describe('GET /api/v1/auth/verify-email/:token', () => {
+    let user, verificationToken;
+
+    beforeEach(async () => {
+      user = await testUtils.createTestUser();
+      verificationToken = user.generateEmailVerificationToken();
+      await user.save({ validateBeforeSave: false });
+    });
+
+    it('should verify the email address', async () => {
+      const response = await request(app)
+        .get(`/api/v1/auth/verify-email/${verificationToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.isEmailVerified).toBe(true);
+      expect(updatedUser.emailVerificationToken).toBeUndefined();
+    });
+
+    it('should reject an expired token', async () => {
+      user.emailVerificationExpires = Date.now() - 1000;
+      await user.save({ validateBeforeSave: false });
+
+      const response = await request(app)
+        .get(`/api/v1/auth/verify-email/${verificationToken}`)
+        .expect(400);
+
+      expect(response.body.code).toBe('VERIFICATION_EXPIRED');
+    });
+
+    it('should reject an unknown token', async () => {
+      await request(app)
+        .get('/api/v1/auth/verify-email/not-a-real-token')
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/v1/auth/resend-verification', () => {
+    it('should send a new verification email', async () => {
+      const user = await testUtils.createTestUser();
+
+      await request(app)
+        .post('/api/v1/auth/resend-verification')
+        .set('Authorization', `Bearer ${user.generateAuthToken()}`)
+        .expect(200);
+
+      expect(transport.sendMail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not resend for a verified address', async () => {
+      const user = await testUtils.createTestUser();
+      user.isEmailVerified = true;
+      await user.save({ validateBeforeSave: false });
+
+      await request(app)
+        .post('/api/v1/auth/resend-verification')
+        .set('Authorization', `Bearer ${user.generateAuthToken()}`)
+        .expect(400);
+    });
+  });
+});
\ No newline at end of file
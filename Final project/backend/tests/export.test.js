@@ -0,0 +1,140 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+const ExportJob = require('../src/models/ExportJob');
+const User = require('../src/models/User');
+
+describe('Data Export', () => {
+  let user, token;
+
+  const get = (path) => request(app)
+    .get(`/api/v1/export${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  // Collect binary responses (zip files) into a Buffer
+  const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  const csvLines = (text) => text.split('\r\n').filter(Boolean);
+
+  // Background exports run after the response, so poll until the job settles
+  const waitFor = async (id, status) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const job = await ExportJob.findById(id);
+      if (job.status === status) return job;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Export did not reach ${status}`);
+  };
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    await User.findByIdAndUpdate(user._id, { 'preferences.units': { weight: 'lbs' } });
+    token = user.generateAuthToken();
+
+    await testUtils.createTestHealthData(user._id, '2024-03-01');
+    await testUtils.createTestHealthData(user._id, '2024-04-01');
+    await testUtils.createTestWorkout(user._id);
+    await testUtils.createTestGoal(user._id);
+  });
+
+  it('should export everything as one JSON document in preferred units', async () => {
+    const response = await get('').expect(200);
+
+    expect(response.headers['content-disposition']).toMatch(/attachment; filename="lifefit-export-.+\.json"/);
+    expect(response.body.units.weight).toBe('lbs');
+    expect(response.body.healthData).toHaveLength(2);
+    expect(response.body.healthData[0].metrics.weight).toMatchObject({ value: 154.3, unit: 'lbs' });
+    expect(response.body.workouts[0].exercises[0].sets).toHaveLength(1);
+    expect(response.body.goals).toHaveLength(1);
+  });
+
+  it('should export one entity as CSV within a date range', async () => {
+    const response = await get('?format=csv&entity=health-data&startDate=2024-03-01&endDate=2024-03-31')
+      .expect('Content-Type', /text\/csv/)
+      .expect(200);
+
+    const lines = csvLines(response.text);
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatch(/^Date,Weight \(lbs\),Steps,/);
+    expect(lines[1]).toMatch(/^2024-03-01,154\.3,10000,/);
+  });
+
+  it('should export health data in a CSV the import accepts', async () => {
+    const exported = await get('?format=csv&entity=health-data').expect(200);
+
+    const response = await request(app)
+      .post('/api/v1/imports/csv')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', Buffer.from(exported.text), 'health-data.csv')
+      .expect(201);
+
+    expect(response.body.data.mapping['Weight (lbs)']).toBe('weight');
+    expect(response.body.data.units.weight).toBe('lbs');
+    expect(response.body.data.validRows).toBe(2);
+  });
+
+  it('should export workout sets one per row', async () => {
+    const response = await get('?format=csv&entity=workout-sets').expect(200);
+
+    const lines = csvLines(response.text);
+    expect(lines[0]).toBe('Workout ID,Date,Workout,Exercise,Category,Muscle Groups,Set,Reps,Weight (lbs),Duration (s),Distance (km),Rest (s),Notes');
+    expect(lines[1]).toContain(',Test Workout,Push-ups,strength,,1,10,0,');
+  });
+
+  it('should require an entity for CSV exports', async () => {
+    const response = await get('?format=csv').expect(400);
+
+    expect(response.body.details[0].field).toBe('entity');
+  });
+
+  it('should export a zip archive with a manifest', async () => {
+    const response = await get('?format=zip')
+      .buffer(true)
+      .parse(binary)
+      .expect('Content-Type', 'application/zip')
+      .expect(200);
+
+    const archive = response.body;
+    expect(archive.subarray(0, 4).toString('latin1')).toBe('PK\u0003\u0004');
+    ['health-data.csv', 'workouts.csv', 'workout-sets.csv', 'goals.csv', 'manifest.json'].forEach(name => {
+      expect(archive.includes(name)).toBe(true);
+    });
+  });
+
+  it('should prepare an export in the background and serve the file', async () => {
+    const response = await get('?format=zip&async=true').expect(202);
+    const { _id: id } = response.body.data;
+
+    const job = await waitFor(id, 'completed');
+    expect(job.records).toMatchObject({ healthData: 2, workouts: 1, goals: 1 });
+    expect(job.expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+    const download = await get(`/jobs/${id}/download`)
+      .buffer(true)
+      .parse(binary)
+      .expect('Content-Type', 'application/zip')
+      .expect(200);
+    expect(download.body.length).toBe(job.file.size);
+
+    await request(app)
+      .delete(`/api/v1/export/jobs/${id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(await ExportJob.countDocuments()).toBe(0);
+  });
+
+  it('should keep background exports private to their owner', async () => {
+    const { _id: id } = (await get('?async=true').expect(202)).body.data;
+    await waitFor(id, 'completed');
+
+    const other = await User.create({ name: 'Other', email: 'other@example.com', password: 'password123' });
+
+    await request(app)
+      .get(`/api/v1/export/jobs/${id}/download`)
+      .set('Authorization', `Bearer ${other.generateAuthToken()}`)
+      .expect(403);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,187 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+const HealthData = require('../src/models/HealthData');
+const ImportJob = require('../src/models/ImportJob');
+const User = require('../src/models/User');
+
+describe('FHIR Observations', () => {
+  let user, token;
+
+  const observation = (code, fields) => ({
+    resource: {
+      resourceType: 'Observation',
+      status: 'final',
+      code: { coding: [{ system: 'http://loinc.org', code }] },
+      effectiveDateTime: '2024-03-01',
+      ...fields
+    }
+  });
+
+  const quantity = (value, code) => ({ value, system: 'http://unitsofmeasure.org', code });
+
+  const post = (bundle, query = '') => request(app)
+    .post(`/api/v1/imports/fhir${query}`)
+    .set('Authorization', `Bearer ${token}`)
+    .set('Content-Type', 'application/fhir+json')
+    .send(JSON.stringify(bundle));
+
+  // Imports run in the background, so poll until the job settles
+  const waitFor = async (id, status) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const job = await ImportJob.findById(id);
+      if (job.status === status) return job;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Import did not reach ${status}`);
+  };
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    await User.findByIdAndUpdate(user._id, { 'preferences.units': { weight: 'lbs' } });
+    token = user.generateAuthToken();
+  });
+
+  it('should export health data as a Bundle of LOINC coded Observations', async () => {
+    await HealthData.create({
+      user: user._id,
+      date: new Date('2024-03-01'),
+      metrics: {
+        weight: { value: 70, unit: 'kg' },
+        steps: { value: 10000 },
+        heartRate: { resting: 58 },
+        bloodPressure: { systolic: 118, diastolic: 76 },
+        sleep: { duration: 7.5 }
+      }
+    });
+    await testUtils.createTestHealthData(user._id, '2024-04-01');
+
+    const response = await request(app)
+      .get('/api/v1/export?format=fhir&startDate=2024-03-01&endDate=2024-03-31')
+      .set('Authorization', `Bearer ${token}`)
+      .expect('Content-Type', /application\/fhir\+json/)
+      .expect(200);
+
+    expect(response.headers['content-disposition']).toMatch(/filename="lifefit-fhir-.+\.json"/);
+    expect(response.body).toMatchObject({ resourceType: 'Bundle', type: 'collection' });
+
+    const [patient, ...observations] = response.body.entry;
+    expect(patient.resource).toMatchObject({ resourceType: 'Patient', id: user._id.toString() });
+    expect(observations).toHaveLength(5);
+    observations.forEach(({ resource }) => {
+      expect(resource.subject.reference).toBe(patient.fullUrl);
+      expect(resource.effectiveDateTime).toBe('2024-03-01');
+    });
+
+    const byCode = Object.fromEntries(observations.map(({ resource }) => [resource.code.coding[0].code, resource]));
+    // Weight stays in kg whatever the user's preference
+    expect(byCode['29463-7'].valueQuantity).toMatchObject({ value: 70, code: 'kg', system: 'http://unitsofmeasure.org' });
+    expect(byCode['41950-7'].valueQuantity).toMatchObject({ value: 10000, code: '/d' });
+    expect(byCode['40443-4'].valueQuantity).toMatchObject({ value: 58, code: '/min' });
+    expect(byCode['93832-4'].valueQuantity).toMatchObject({ value: 7.5, code: 'h' });
+    expect(byCode['85354-9'].component.map(({ code, valueQuantity }) => [code.coding[0].code, valueQuantity.value]))
+      .toEqual([['8480-6', 118], ['8462-4', 76]]);
+  });
+
+  it('should import an Observation bundle into daily entries', async () => {
+    const response = await post({
+      resourceType: 'Bundle',
+      type: 'collection',
+      entry: [
+        { resource: { resourceType: 'Patient', id: 'p1' } },
+        observation('29463-7', { effectiveDateTime: '2024-03-01T08:00:00Z', valueQuantity: quantity(165.3, '[lb_av]') }),
+        observation('8867-4', { valueQuantity: quantity(72, '/min') }),
+        observation('85354-9', {
+          component: [
+            { code: { coding: [{ system: 'http://loinc.org', code: '8480-6' }] }, valueQuantity: quantity(121, 'mm[Hg]') },
+            { code: { coding: [{ system: 'http://loinc.org', code: '8462-4' }] }, valueQuantity: quantity(79, 'mm[Hg]') }
+          ]
+        }),
+        observation('93832-4', {
+          effectiveDateTime: undefined,
+          effectivePeriod: { start: '2024-03-01T23:00:00Z', end: '2024-03-02T06:00:00Z' },
+          valueQuantity: quantity(390, 'min')
+        })
+      ]
+    }).expect(202);
+
+    expect(response.body.data).toMatchObject({ source: 'fhir', status: 'pending', totalRows: 4 });
+    expect(response.body.data.entries).toBeUndefined();
+
+    const job = await waitFor(response.body.data._id, 'completed');
+    expect(job.results).toMatchObject({ created: 2, updated: 0, failed: 0 });
+
+    const day = await HealthData.findOne({ user: user._id, date: new Date('2024-03-01') });
+    expect(day.metrics.weight.value).toBeCloseTo(74.98, 2);
+    expect(day.metrics.heartRate).toMatchObject({ average: 72, max: 72 });
+    expect(day.metrics.bloodPressure).toMatchObject({ systolic: 121, diastolic: 79 });
+    expect(day.isManualEntry).toBe(false);
+    expect(day.deviceData.deviceType).toBe('FHIR');
+
+    const night = await HealthData.findOne({ user: user._id, date: new Date('2024-03-02') });
+    expect(night.metrics.sleep.duration).toBe(6.5);
+    expect(night.metrics.sleep.bedTime).toEqual(new Date('2024-03-01T23:00:00Z'));
+  });
+
+  it('should leave out Observations with unknown codes or units and report them', async () => {
+    const response = await post({
+      resourceType: 'Bundle',
+      type: 'collection',
+      entry: [
+        observation('41950-7', { valueQuantity: quantity(8000, '/d') }),
+        observation('29463-7', { valueQuantity: { value: 165, unit: 'lbs' } }),
+        observation('2339-0', { valueQuantity: quantity(5.4, 'mmol/L') })
+      ]
+    }).expect(202);
+
+    expect(response.body.data.rowErrors).toEqual([
+      { row: 1, details: [{ field: 'valueQuantity', message: expect.stringMatching(/cannot be in "lbs"/) }] },
+      { row: 2, details: [{ field: 'code', message: expect.stringMatching(/No supported LOINC code/) }] }
+    ]);
+
+    await waitFor(response.body.data._id, 'completed');
+    const day = await HealthData.findOne({ user: user._id, date: new Date('2024-03-01') });
+    expect(day.metrics.steps.value).toBe(8000);
+    expect(day.metrics.weight?.value).toBeUndefined();
+
+    const rejected = await post({ resourceType: 'Bundle', entry: [observation('2339-0', {})] }).expect(400);
+    expect(rejected.body.code).toBe('INVALID_FHIR_BUNDLE');
+
+    await post({ resourceType: 'Patient' }).expect(400);
+  });
+
+  it('should merge into existing days by the conflict rule and undo', async () => {
+    await HealthData.create({
+      user: user._id,
+      date: new Date('2024-03-01'),
+      metrics: { steps: { value: 9000 } }
+    });
+    const bundle = {
+      resourceType: 'Bundle',
+      type: 'collection',
+      entry: [
+        observation('41950-7', { valueQuantity: quantity(8000, '/d') }),
+        observation('40443-4', { valueQuantity: quantity(60, '/min') })
+      ]
+    };
+
+    const kept = await post(bundle).expect(202);
+    await waitFor(kept.body.data._id, 'completed');
+    let day = await HealthData.findOne({ user: user._id, date: new Date('2024-03-01') });
+    expect(day.metrics.steps.value).toBe(9000);
+    expect(day.metrics.heartRate.resting).toBe(60);
+
+    const replaced = await post(bundle, '?conflicts=prefer-device').expect(202);
+    await waitFor(replaced.body.data._id, 'completed');
+    day = await HealthData.findOne({ user: user._id, date: new Date('2024-03-01') });
+    expect(day.metrics.steps.value).toBe(8000);
+
+    await request(app)
+      .post(`/api/v1/imports/${replaced.body.data._id}/undo`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(202);
+    await waitFor(replaced.body.data._id, 'undone');
+
+    day = await HealthData.findOne({ user: user._id, date: new Date('2024-03-01') });
+    expect(day.metrics.steps.value).toBe(9000);
+  });
+});
\ No newline at end of file
@@ -190,4 +190,96 @@ describe('Health Data Endpoints', () => {
       expect(response.body.data.summary.totalEntries).toBe(3);
     });
   });
+
+  describe('POST /api/v1/health-data/bulk', () => {
+    const bulk = (body) => request(app)
+      .post('/api/v1/health-data/bulk')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    beforeEach(async () => {
+      await HealthData.create({
+        user: user._id,
+        date: new Date('2024-03-01'),
+        metrics: { steps: { value: 500 }, weight: { value: 70, unit: 'kg' } },
+        notes: 'Morning run'
+      });
+    });
+
+    it('should merge entries into existing days and report the invalid ones', async () => {
+      const response = await bulk({
+        entries: [
+          { date: '2024-03-01', metrics: { steps: { value: 9000 } } },
+          { date: '2024-03-02', metrics: { sleep: { duration: 7.5 } } },
+          { date: '2024-03-03', metrics: { steps: { value: -5 } } },
+          { date: '2024-03-02', metrics: { steps: { value: 4000 } } },
+          { date: '2024-03-01', metrics: { weight: { value: 70, unit: 'kg' } } }
+        ]
+      }).expect(200);
+
+      expect(response.body.data).toMatchObject({ created: 1, updated: 1, skipped: 0, dryRun: false });
+      expect(response.body.data.errors.map(({ index, error }) => [index, error])).toEqual([
+        [2, expect.stringMatching(/steps/)],
+        [3, 'An earlier entry is for the same day'],
+        [4, 'An earlier entry is for the same day']
+      ]);
+
+      // Metrics the entry left out are kept
+      const day = await HealthData.findOne({ user: user._id, date: new Date('2024-03-01') });
+      expect(day.metrics.steps.value).toBe(9000);
+      expect(day.metrics.weight.value).toBe(70);
+      expect(day.notes).toBe('Morning run');
+
+      const unchanged = await bulk({ entries: [{ date: '2024-03-01', metrics: { steps: { value: 9000 } } }] }).expect(200);
+      expect(unchanged.body.data).toMatchObject({ created: 0, updated: 0, skipped: 1 });
+    });
+
+    it('should count what would change on a dry run without saving', async () => {
+      const response = await bulk({
+        dryRun: true,
+        entries: [
+          { date: '2024-03-01', metrics: { steps: { value: 9000 } } },
+          { date: '2024-03-02', metrics: { steps: { value: 4000 } } }
+        ]
+      }).expect(200);
+
+      expect(response.body.message).toMatch(/Nothing was saved/);
+      expect(response.body.data).toMatchObject({ created: 1, updated: 1, dryRun: true });
+
+      const days = await HealthData.find({ user: user._id });
+      expect(days).toHaveLength(1);
+      expect(days[0].metrics.steps.value).toBe(500);
+    });
+
+    it('should save every entry or none in atomic mode', async () => {
+      const entries = [
+        { date: '2024-03-01', metrics: { steps: { value: 9000 } } },
+        { date: '2024-03-02', metrics: { weight: { value: 5000, unit: 'kg' } } }
+      ];
+
+      const rejected = await bulk({ atomic: true, entries }).expect(400);
+      expect(rejected.body.code).toBe('INVALID_BULK_ENTRIES');
+      expect(rejected.body.details.map(({ index }) => index)).toEqual([1]);
+
+      expect(await HealthData.countDocuments({ user: user._id })).toBe(1);
+      expect((await HealthData.findOne({ user: user._id })).metrics.steps.value).toBe(500);
+
+      entries[1].metrics.weight.value = 72;
+      const saved = await bulk({ atomic: true, entries }).expect(200);
+      expect(saved.body.data).toMatchObject({ created: 1, updated: 1, errors: [] });
+      expect(await HealthData.countDocuments({ user: user._id })).toBe(2);
+    });
+
+    it('should write thousands of entries in one call', async () => {
+      const start = Date.parse('2015-01-01');
+      const entries = Array.from({ length: 2000 }, (_, i) => ({
+        date: new Date(start + i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+        metrics: { steps: { value: 1000 + i } }
+      }));
+
+      const response = await bulk({ entries }).expect(200);
+      expect(response.body.data).toMatchObject({ created: 2000, updated: 0, errors: [] });
+      expect(await HealthData.countDocuments({ user: user._id })).toBe(2001);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,130 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+const HealthData = require('../src/models/HealthData');
+const HealthReading = require('../src/models/HealthReading');
+const User = require('../src/models/User');
+
+describe('Health Readings', () => {
+  let user, token;
+
+  const record = (reading) => request(app)
+    .post('/api/v1/health-data/readings')
+    .set('Authorization', `Bearer ${token}`)
+    .send(reading);
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    token = user.generateAuthToken();
+  });
+
+  it('should roll several readings up into the daily entry', async () => {
+    await record({ metric: 'bloodPressure', systolic: 130, diastolic: 85, recordedAt: '2024-03-10T07:30:00Z' }).expect(201);
+    const response = await record({ metric: 'bloodPressure', systolic: 120, diastolic: 78, recordedAt: '2024-03-10T20:00:00Z' })
+      .expect(201);
+
+    const { healthData } = response.body.data;
+    expect(healthData.readings.systolic).toMatchObject({ min: 120, max: 130, avg: 125, last: 120, count: 2 });
+    expect(healthData.readings.diastolic.last).toBe(78);
+    // The day's blood pressure is the latest reading
+    expect(healthData.metrics.bloodPressure.systolic).toBe(120);
+
+    expect(await HealthData.countDocuments({ user: user._id })).toBe(1);
+  });
+
+  it('should keep /date/:date working on the rollup', async () => {
+    await record({ metric: 'weight', value: 71.2, unit: 'kg', recordedAt: '2024-03-10T06:45:00Z' }).expect(201);
+    await record({ metric: 'weight', value: 70.6, unit: 'kg', recordedAt: '2024-03-10T18:10:00Z' }).expect(201);
+
+    const response = await request(app)
+      .get('/api/v1/health-data/date/2024-03-10')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.metrics.weight.value).toBe(70.6);
+    expect(response.body.data.readings.weight).toMatchObject({ min: 70.6, max: 71.2, count: 2 });
+  });
+
+  it('should add readings to an existing daily entry', async () => {
+    await testUtils.createTestHealthData(user._id, new Date('2024-03-10'));
+
+    await record({ metric: 'heartRate', value: 64, recordedAt: '2024-03-10T09:00:00Z' }).expect(201);
+
+    const entries = await HealthData.find({ user: user._id });
+    expect(entries).toHaveLength(1);
+    expect(entries[0].metrics.steps.value).toBe(10000);
+    expect(entries[0].readings.heartRate.last).toBe(64);
+  });
+
+  it('should reject readings without the values their metric needs', async () => {
+    await record({ metric: 'bloodPressure', systolic: 120 }).expect(400);
+    await record({ metric: 'weight', value: 5 }).expect(400);
+  });
+
+  it('should recompute the rollup when a reading is deleted', async () => {
+    await record({ metric: 'weight', value: 72, recordedAt: '2024-03-10T07:00:00Z' }).expect(201);
+    const second = await record({ metric: 'weight', value: 71, recordedAt: '2024-03-10T19:00:00Z' }).expect(201);
+
+    await request(app)
+      .delete(`/api/v1/health-data/readings/${second.body.data.reading._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const entry = await HealthData.findOne({ user: user._id });
+    expect(entry.metrics.weight.value).toBe(72);
+    expect(entry.readings.weight.count).toBe(1);
+  });
+
+  it('should drop the daily value with the last reading it came from', async () => {
+    const mood = await record({ metric: 'mood', value: 7, recordedAt: '2024-03-10T08:00:00Z' }).expect(201);
+
+    let entry = await HealthData.findOne({ user: user._id });
+    expect(entry.metrics.mood.rating).toBe(7);
+    // A day created by manual readings is protected like any other manual entry
+    expect(entry.isManualEntry).toBe(true);
+    await HealthData.updateOne({ _id: entry._id }, { 'metrics.steps.value': 4000 });
+
+    await request(app)
+      .delete(`/api/v1/health-data/readings/${mood.body.data.reading._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    entry = await HealthData.findOne({ user: user._id });
+    expect(entry.metrics.mood?.rating).toBeUndefined();
+    expect(entry.readings.mood).toBeUndefined();
+    expect(entry.metrics.steps.value).toBe(4000);
+  });
+
+  it('should list readings newest first filtered by metric', async () => {
+    await record({ metric: 'weight', value: 72, recordedAt: '2024-03-10T07:00:00Z' }).expect(201);
+    await record({ metric: 'weight', value: 71, recordedAt: '2024-03-11T07:00:00Z' }).expect(201);
+    await record({ metric: 'mood', value: 7, recordedAt: '2024-03-11T08:00:00Z' }).expect(201);
+
+    const response = await request(app)
+      .get('/api/v1/health-data/readings?metric=weight')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.count).toBe(2);
+    expect(response.body.data[0].value).toBe(71);
+  });
+
+  it('should not let other users delete a reading', async () => {
+    const reading = await HealthReading.create({
+      user: user._id,
+      metric: 'weight',
+      value: 70,
+      recordedAt: new Date()
+    });
+
+    const other = await User.create({
+      name: 'Other User',
+      email: 'other@example.com',
+      password: 'password123'
+    });
+
+    await request(app)
+      .delete(`/api/v1/health-data/readings/${reading._id}`)
+      .set('Authorization', `Bearer ${other.generateAuthToken()}`)
+      .expect(403);
+  });
+});
\ No newline at end of file
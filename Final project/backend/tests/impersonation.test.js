@@ -0,0 +1,143 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+const User = require('../src/models/User');
+const Impersonation = require('../src/models/Impersonation');
+const AuditLog = require('../src/models/AuditLog');
+
+describe('Admin Impersonation', () => {
+  let user, admin, adminToken;
+
+  const impersonate = (body = {}) => request(app)
+    .post(`/api/v1/users/${user._id}/impersonate`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ reason: 'Support ticket 42', ...body });
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+    adminToken = admin.generateAuthToken();
+  });
+
+  it('should issue a read-only token that views the user\'s data', async () => {
+    const { body } = await impersonate().expect(201);
+
+    const response = await request(app)
+      .get(`/api/v1/users/${user._id}/stats`)
+      .set('Authorization', `Bearer ${body.data.token}`)
+      .expect(200);
+
+    expect(response.headers['x-impersonated-by']).toBe(admin._id.toString());
+    expect(response.headers['x-impersonation-mode']).toBe('read-only');
+
+    const me = await request(app)
+      .get('/api/v1/auth/me')
+      .set('Authorization', `Bearer ${body.data.token}`)
+      .expect(200);
+
+    expect(me.body.data.user.email).toBe('test@example.com');
+    expect(me.body.data.impersonation.impersonatedBy).toBe(admin._id.toString());
+  });
+
+  it('should block writes in read-only mode', async () => {
+    const { body } = await impersonate().expect(201);
+
+    const response = await request(app)
+      .post('/api/v1/health-data')
+      .set('Authorization', `Bearer ${body.data.token}`)
+      .send({ date: new Date().toISOString(), metrics: { steps: { value: 100 } } })
+      .expect(403);
+
+    expect(response.body.code).toBe('IMPERSONATION_READ_ONLY');
+  });
+
+  it('should allow and log data writes when elevated', async () => {
+    const { body } = await impersonate({ elevated: true }).expect(201);
+
+    await request(app)
+      .post('/api/v1/health-data')
+      .set('Authorization', `Bearer ${body.data.token}`)
+      .send({ date: new Date().toISOString(), metrics: { steps: { value: 100 } } })
+      .expect(201);
+
+    const entry = await AuditLog.findOne({ action: 'impersonation.write' });
+    expect(entry.actor.toString()).toBe(admin._id.toString());
+
+    // Account settings stay read-only even when elevated
+    await request(app)
+      .put('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${body.data.token}`)
+      .send({ name: 'Changed' })
+      .expect(403);
+  });
+
+  it('should record the session and stop the token once it ends', async () => {
+    const { body } = await impersonate().expect(201);
+
+    await request(app)
+      .get('/api/v1/auth/me')
+      .set('Authorization', `Bearer ${body.data.token}`)
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/v1/users/impersonations/${body.data.impersonation._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const impersonation = await Impersonation.findById(body.data.impersonation._id);
+    expect(impersonation.requestCount).toBe(1);
+    expect(impersonation.endedAt).toBeDefined();
+
+    await request(app)
+      .get('/api/v1/auth/me')
+      .set('Authorization', `Bearer ${body.data.token}`)
+      .expect(401);
+  });
+
+  it('should stop the token when the admin signs out or loses the role', async () => {
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' })
+      .expect(200);
+    adminToken = login.body.data.tokens.access;
+
+    const { body } = await impersonate().expect(201);
+    await request(app)
+      .post('/api/v1/auth/logout')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/v1/auth/me')
+      .set('Authorization', `Bearer ${body.data.token}`)
+      .expect(401);
+
+    adminToken = admin.generateAuthToken();
+    const second = await impersonate().expect(201);
+    await User.updateOne({ _id: admin._id }, { role: 'user' });
+
+    await request(app)
+      .get('/api/v1/auth/me')
+      .set('Authorization', `Bearer ${second.body.data.token}`)
+      .expect(401);
+  });
+
+  it('should require a reason and an admin', async () => {
+    await request(app)
+      .post(`/api/v1/users/${user._id}/impersonate`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({})
+      .expect(400);
+
+    await request(app)
+      .post(`/api/v1/users/${admin._id}/impersonate`)
+      .set('Authorization', `Bearer ${user.generateAuthToken()}`)
+      .send({ reason: 'Not allowed' })
+      .expect(403);
+  });
+});
\ No newline at end of file
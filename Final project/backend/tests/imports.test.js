@@ -0,0 +1,184 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+const HealthData = require('../src/models/HealthData');
+const ImportJob = require('../src/models/ImportJob');
+const ImportChange = require('../src/models/ImportChange');
+const User = require('../src/models/User');
+
+describe('CSV Import', () => {
+  let user, token;
+
+  const CSV = [
+    'Date,Weight (kg),Steps,Sleep Hours,Notes',
+    '2024-03-01,70.2,"10,250",7.5,Rest day',
+    '2024-03-02,69.8,8000,not sure,',
+    '2024-03-03,69.9,12000,8,"Long run, felt good"'
+  ].join('\n');
+
+  const upload = (csv, fields = {}) => {
+    const req = request(app)
+      .post('/api/v1/imports/csv')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', Buffer.from(csv), 'export.csv');
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req;
+  };
+
+  const post = (path) => request(app)
+    .post(`/api/v1/imports/${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  // Imports run in the background, so poll until the job settles
+  const waitFor = async (id, status) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const job = await ImportJob.findById(id);
+      if (job.status === status) return job;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Import did not reach ${status}`);
+  };
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    token = user.generateAuthToken();
+  });
+
+  it('should detect the mapping and report invalid rows in the preview', async () => {
+    const response = await upload(CSV).expect(201);
+    const preview = response.body.data;
+
+    expect(preview.status).toBe('preview');
+    expect(preview.mapping).toEqual({
+      Date: 'date',
+      'Weight (kg)': 'weight',
+      Steps: 'steps',
+      'Sleep Hours': 'sleepDuration',
+      Notes: 'notes'
+    });
+    expect(preview.totalRows).toBe(3);
+    expect(preview.validRows).toBe(2);
+    expect(preview.errors).toEqual([{
+      row: 3,
+      details: [expect.objectContaining({ field: 'Sleep Hours' })]
+    }]);
+    expect(preview.sample[0].data.metrics.steps.value).toBe(10250);
+
+    // Nothing is written until the import is committed
+    expect(await HealthData.countDocuments({ user: user._id })).toBe(0);
+  });
+
+  it('should accept an explicit mapping and date format', async () => {
+    const csv = 'When;Body mass;Ignored\n01/03/2024;70,4;x\n';
+
+    const response = await upload(csv, {
+      mapping: JSON.stringify({ When: 'date', 'Body mass': 'weight', Ignored: null }),
+      units: JSON.stringify({ weight: 'kg' }),
+      dateFormat: 'DD/MM/YYYY'
+    }).expect(201);
+
+    expect(response.body.data.sample[0].data).toMatchObject({
+      date: '2024-03-01',
+      metrics: { weight: { value: 70.4, unit: 'kg' } }
+    });
+  });
+
+  it('should read dot decimals and dot thousands in a semicolon file', async () => {
+    const response = await upload('Date;Weight;Steps\n2024-01-05;72.5;12.000\n').expect(201);
+
+    expect(response.body.data.sample[0].data.metrics).toMatchObject({
+      weight: { value: 72.5 },
+      steps: { value: 12000 }
+    });
+  });
+
+  it('should reject a mapping without a date column', async () => {
+    const response = await upload('Weight\n70\n').expect(400);
+
+    expect(response.body.code).toBe('INVALID_IMPORT_MAPPING');
+  });
+
+  it('should commit valid rows through the bulk upsert and undo them', async () => {
+    // An existing entry is updated by the import and restored by the undo
+    await HealthData.create({ user: user._id, date: '2024-03-01', metrics: { steps: { value: 500 } } });
+
+    const { id } = (await upload(CSV).expect(201)).body.data;
+    await post(`${id}/commit`).expect(202);
+
+    const job = await waitFor(id, 'completed');
+    expect(job.results).toMatchObject({ created: 1, updated: 1, failed: 0 });
+
+    const updated = await HealthData.findOne({ user: user._id, date: new Date('2024-03-01') });
+    expect(updated.metrics.steps.value).toBe(10250);
+    expect(updated.metrics.weight.value).toBe(70.2);
+
+    await post(`${id}/undo`).expect(202);
+    await waitFor(id, 'undone');
+
+    const entries = await HealthData.find({ user: user._id });
+    expect(entries).toHaveLength(1);
+    expect(entries[0].metrics.steps.value).toBe(500);
+    expect(entries[0].metrics.weight?.value).toBeUndefined();
+  });
+
+  it('should leave entries changed since the import when undoing it', async () => {
+    const { id } = (await upload(CSV).expect(201)).body.data;
+    await post(`${id}/commit`).expect(202);
+    await waitFor(id, 'completed');
+
+    const edited = await HealthData.findOne({ user: user._id, date: new Date('2024-03-03') });
+    await request(app)
+      .put(`/api/v1/health-data/${edited._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ notes: 'Edited after the import' })
+      .expect(200);
+
+    await post(`${id}/undo`).expect(202);
+    const job = await waitFor(id, 'undone');
+
+    expect(job.undoSkipped.map(String)).toEqual([edited._id.toString()]);
+    const entries = await HealthData.find({ user: user._id });
+    expect(entries).toHaveLength(1);
+    expect(entries[0].notes).toBe('Edited after the import');
+  });
+
+  it('should keep its changes apart and be undone after its results fail to save', async () => {
+    const { id } = (await upload(CSV).expect(201)).body.data;
+    const save = jest.spyOn(ImportJob.prototype, 'save').mockRejectedValueOnce(new Error('Document too large'));
+
+    try {
+      await post(`${id}/commit`).expect(202);
+      const job = await waitFor(id, 'failed');
+      expect(job.error).toMatch(/Document too large/);
+    } finally {
+      save.mockRestore();
+    }
+
+    expect(await ImportChange.countDocuments({ job: id })).toBe(2);
+    expect(await HealthData.countDocuments({ user: user._id })).toBe(2);
+
+    await post(`${id}/undo`).expect(202);
+    await waitFor(id, 'undone');
+
+    expect(await HealthData.countDocuments({ user: user._id })).toBe(0);
+    expect(await ImportChange.countDocuments({ job: id })).toBe(0);
+  });
+
+  it('should not commit an import twice', async () => {
+    const { id } = (await upload(CSV).expect(201)).body.data;
+
+    await post(`${id}/commit`).expect(202);
+    await post(`${id}/commit`).expect(400);
+    await waitFor(id, 'completed');
+  });
+
+  it('should keep imports private to their owner', async () => {
+    const { id } = (await upload(CSV).expect(201)).body.data;
+
+    const other = await User.create({ name: 'Other', email: 'other@example.com', password: 'password123' });
+
+    await request(app)
+      .get(`/api/v1/imports/${id}`)
+      .set('Authorization', `Bearer ${other.generateAuthToken()}`)
+      .expect(403);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,84 @@
+const request = require('supertest');
+const nodemailer = require('nodemailer');
+const { app } = require('../src/server');
+const templates = require('../src/mail/templates');
+const { setTransport } = require('../src/mail/mailer');
+const { enqueue, getQueueStats } = require('../src/mail/mailQueue');
+
+describe('Transactional Email', () => {
+  afterEach(() => {
+    setTransport(null);
+  });
+
+  describe('templates', () => {
+    const user = { name: 'Jane <Doe>', email: 'jane@example.com' };
+
+    it('should render text and escaped HTML for every template', () => {
+      const rendered = [
+        templates.passwordReset({ user, resetUrl: 'http://localhost/reset/abc' }),
+        templates.emailVerification({ user, verifyUrl: 'http://localhost/verify/abc' }),
+        templates.weeklyReport({ user, report: { daysTracked: 6, avgSteps: 9500 } }),
+        templates.goalReminder({ user, goal: { title: 'Walk more', progress: { percentage: 40 } } })
+      ];
+
+      rendered.forEach(({ subject, text, html }) => {
+        expect(subject).toBeTruthy();
+        expect(text).toContain('Jane <Doe>');
+        expect(html).toContain('Jane &lt;Doe&gt;');
+      });
+    });
+  });
+
+  describe('mail queue', () => {
+    it('should retry failed deliveries', async () => {
+      process.env.EMAIL_RETRY_DELAY_MS = '10';
+      const sendMail = jest.fn()
+        .mockRejectedValueOnce(new Error('Connection refused'))
+        .mockResolvedValueOnce({ messageId: 'sent' });
+      setTransport({ sendMail });
+
+      const info = await enqueue({ to: 'jane@example.com', subject: 'Hello', text: 'Hello' });
+
+      expect(info.messageId).toBe('sent');
+      expect(sendMail).toHaveBeenCalledTimes(2);
+      expect(getQueueStats().pending).toBe(0);
+      delete process.env.EMAIL_RETRY_DELAY_MS;
+    });
+
+    it('should give up after the maximum number of attempts', async () => {
+      const sendMail = jest.fn().mockRejectedValue(new Error('Connection refused'));
+      setTransport({ sendMail });
+
+      await expect(enqueue({ to: 'jane@example.com', subject: 'Hello' }, { maxAttempts: 1 }))
+        .rejects.toThrow('Connection refused');
+      expect(sendMail).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('POST /api/v1/auth/forgot-password', () => {
+    it('should email the reset link instead of returning it', async () => {
+      const transport = nodemailer.createTransport({ jsonTransport: true });
+      jest.spyOn(transport, 'sendMail');
+      setTransport(transport);
+      await testUtils.createTestUser();
+
+      const response = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      expect(response.body.resetToken).toBeUndefined();
+      expect(transport.sendMail).toHaveBeenCalledTimes(1);
+      expect(transport.sendMail.mock.calls[0][0].text)
+        .toMatch(/\/api\/v1\/auth\/reset-password\/[0-9a-f]{64}/);
+    });
+  });
+
+  describe('GET /api/v1/dev/outbox', () => {
+    it('should not be mounted unless mail goes to the outbox', async () => {
+      await request(app)
+        .get('/api/v1/dev/outbox')
+        .expect(404);
+    });
+  });
+});
\ No newline at end of file
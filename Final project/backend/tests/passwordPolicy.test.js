@@ -0,0 +1,84 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+const { checkPassword } = require('../src/utils/passwordPolicy');
+
+describe('Password Policy', () => {
+  describe('checkPassword', () => {
+    afterEach(() => {
+      delete process.env.PASSWORD_MIN_LENGTH;
+      delete process.env.PASSWORD_REQUIRED_CLASSES;
+    });
+
+    it('should reject common and breached passwords, including simple variations', () => {
+      expect(checkPassword('qwerty123').errors.map(error => error.code)).toContain('COMMON_PASSWORD');
+      expect(checkPassword('Password2024!').errors.map(error => error.code)).toContain('COMMON_PASSWORD');
+    });
+
+    it('should reject passwords containing the name or email', () => {
+      const result = checkPassword('johnny-doe-77', { name: 'John Doe', email: 'jd@example.com' });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.map(error => error.code)).toContain('CONTAINS_PERSONAL_INFO');
+    });
+
+    it('should follow the configured length and character classes', () => {
+      process.env.PASSWORD_MIN_LENGTH = '12';
+      process.env.PASSWORD_REQUIRED_CLASSES = 'uppercase,symbol';
+
+      const codes = checkPassword('plainlower9').errors.map(error => error.code);
+
+      expect(codes).toEqual(expect.arrayContaining(['TOO_SHORT', 'MISSING_UPPERCASE', 'MISSING_SYMBOL']));
+    });
+
+    it('should score long, varied passwords as strong', () => {
+      const result = checkPassword('Tr4ining-Plan-2024');
+
+      expect(result.valid).toBe(true);
+      expect(result.strength).toBe('strong');
+      expect(result.score).toBe(4);
+    });
+  });
+
+  it('should refuse weak passwords on registration with feedback', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'John Doe',
+        email: 'john@example.com',
+        password: 'password123',
+        confirmPassword: 'password123'
+      })
+      .expect(400);
+
+    expect(response.body.code).toBe('WEAK_PASSWORD');
+    expect(response.body.details.errors[0].code).toBe('COMMON_PASSWORD');
+  });
+
+  it('should refuse weak passwords when changing the password', async () => {
+    const user = await testUtils.createTestUser();
+
+    const response = await request(app)
+      .put('/api/v1/auth/change-password')
+      .set('Authorization', `Bearer ${user.generateAuthToken()}`)
+      .send({
+        currentPassword: 'password123',
+        newPassword: 'testuser2024',
+        confirmPassword: 'testuser2024'
+      })
+      .expect(400);
+
+    expect(response.body.details.errors.map(error => error.code)).toContain('CONTAINS_PERSONAL_INFO');
+  });
+
+  it('should return strength feedback for the settings screen', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/password-strength')
+      .send({ password: 'short' })
+      .expect(200);
+
+    expect(response.body.data.valid).toBe(false);
+    expect(response.body.data.strength).toBe('very-weak');
+    expect(response.body.data.suggestions.length).toBeGreaterThan(0);
+    expect(response.body.data.policy.minLength).toBe(8);
+  });
+});
\ No newline at end of file
@@ -1,11 +1,18 @@
-const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
 const mongoose = require('mongoose');
 
 let mongoServer;
 
+// Send mail through nodemailer's JSON transport so no SMTP server is needed
+process.env.EMAIL_TRANSPORT = 'json';
+
+// Every test shares one IP, so the sensitive operation limiters get more room per test
+process.env.AUTH_RATE_LIMIT_MAX = '50';
+
 // Setup before all tests
 beforeAll(async () => {
-  mongoServer = await MongoMemoryServer.create();
+  // A one-member replica set, so transactions (all-or-nothing bulk writes) work
+  mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
   const mongoUri = mongoServer.getUri();
   
   await mongoose.connect(mongoUri, {
@@ -16,6 +23,8 @@ beforeAll(async () => {
 
 // Cleanup after each test
 afterEach(async () => {
+  require('../src/middleware/auth').resetSensitiveOperationLimits();
+
   const collections = mongoose.connection.collections;
   
   for (const key in collections) {
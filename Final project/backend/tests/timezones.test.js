@@ -0,0 +1,141 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+const HealthData = require('../src/models/HealthData');
+const User = require('../src/models/User');
+const Workout = require('../src/models/Workout');
+const { addDays, today } = require('../src/utils/dates');
+const { migrateCalendarDays } = require('../src/migrations/calendarDays');
+
+describe('Timezones', () => {
+  let user, token;
+
+  const useTimezone = (timezone) => User.findByIdAndUpdate(user._id, { 'preferences.timezone': timezone });
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    token = user.generateAuthToken();
+  });
+
+  it('should reject unknown timezones', async () => {
+    await request(app)
+      .put('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ preferences: { timezone: 'Mars/Olympus_Mons' } })
+      .expect(400);
+  });
+
+  it('should place a timestamped entry on the local day', async () => {
+    await useTimezone('Africa/Nairobi');
+
+    // 01:30 on the 11th in Nairobi
+    const response = await request(app)
+      .post('/api/v1/health-data')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ date: '2024-03-10T22:30:00Z', metrics: { steps: { value: 4000 } } })
+      .expect(201);
+
+    expect(response.body.data.date).toBe('2024-03-11T00:00:00.000Z');
+  });
+
+  it('should keep a plain date on that date', async () => {
+    await useTimezone('America/Los_Angeles');
+
+    const response = await request(app)
+      .post('/api/v1/health-data')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ date: '2024-03-10', metrics: { steps: { value: 4000 } } })
+      .expect(201);
+
+    expect(response.body.data.date).toBe('2024-03-10T00:00:00.000Z');
+  });
+
+  it('should roll readings up into the local day', async () => {
+    await useTimezone('America/Los_Angeles');
+
+    // 22:00 on the 10th in California
+    const response = await request(app)
+      .post('/api/v1/health-data/readings')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ metric: 'heartRate', value: 72, recordedAt: '2024-03-11T05:00:00Z' })
+      .expect(201);
+
+    expect(response.body.data.healthData.date).toBe('2024-03-10T00:00:00.000Z');
+  });
+
+  it('should add a completed workout to the day it started on', async () => {
+    await useTimezone('America/Los_Angeles');
+
+    const workout = await Workout.create({
+      user: user._id,
+      name: 'Evening run',
+      type: 'running',
+      date: '2024-03-11T03:00:00Z',
+      startTime: '2024-03-11T03:00:00Z'
+    });
+
+    await request(app)
+      .put(`/api/v1/workouts/${workout._id}/complete`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({})
+      .expect(200);
+
+    const entry = await HealthData.findOne({ user: user._id });
+    expect(entry.date.toISOString()).toBe('2024-03-10T00:00:00.000Z');
+  });
+
+  it('should count streaks up to the user\'s today', async () => {
+    // Far enough ahead of UTC that its today is usually a different date
+    await useTimezone('Pacific/Kiritimati');
+    const localToday = today('Pacific/Kiritimati');
+
+    await HealthData.create([
+      { user: user._id, date: localToday, metrics: { steps: { value: 5000 } } },
+      { user: user._id, date: addDays(localToday, -1), metrics: { steps: { value: 6000 } } },
+      { user: user._id, date: addDays(localToday, -3), metrics: { steps: { value: 7000 } } }
+    ]);
+
+    const response = await request(app)
+      .get(`/api/v1/users/${user._id}/stats`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.overview.healthDataStreak).toBe(2);
+  });
+
+  describe('Migration', () => {
+    it('should move legacy entries to their calendar day and merge collisions', async () => {
+      await useTimezone('Africa/Nairobi');
+      // Written straight to the collection, as entries saved with a time of day were
+      await HealthData.collection.insertMany([
+        {
+          user: user._id,
+          date: new Date('2024-03-10T22:30:00Z'),
+          metrics: { steps: { value: 8000 }, weight: { value: 70, unit: 'kg' } },
+          updatedAt: new Date('2024-03-11T08:00:00Z')
+        },
+        {
+          user: user._id,
+          date: new Date('2024-03-12T09:00:00Z'),
+          metrics: { steps: { value: 3000 } },
+          updatedAt: new Date('2024-03-12T09:00:00Z')
+        }
+      ]);
+      // The same Nairobi day (the 11th), already on its calendar day
+      await HealthData.create({ user: user._id, date: new Date('2024-03-11'), metrics: { steps: { value: 5000 } } });
+
+      const counts = await migrateCalendarDays();
+
+      expect(counts).toEqual({ moved: 1, merged: 1 });
+      const entries = await HealthData.find({ user: user._id }).sort({ date: 1 });
+      expect(entries.map(entry => entry.date.toISOString())).toEqual([
+        '2024-03-11T00:00:00.000Z',
+        '2024-03-12T00:00:00.000Z'
+      ]);
+      // The existing entry was updated more recently, so its steps win
+      expect(entries[0].metrics.steps.value).toBe(5000);
+      expect(entries[0].metrics.weight.value).toBe(70);
+
+      expect(await migrateCalendarDays()).toEqual({ moved: 0, merged: 0 });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+const totp = require('../src/utils/totp');
+
+describe('Two-Factor Authentication', () => {
+  let user, token;
+
+  // Codes are single-use per time step, so later steps use the next window
+  const nextCode = (secret) => totp.generateCode(secret, totp.getStep() + 1);
+
+  const enableTwoFactor = async () => {
+    const setup = await request(app)
+      .post('/api/v1/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    const { secret } = setup.body.data;
+
+    const enable = await request(app)
+      .post('/api/v1/auth/2fa/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: totp.generateCode(secret) })
+      .expect(200);
+
+    return { secret, recoveryCodes: enable.body.data.recoveryCodes };
+  };
+
+  const login = () => request(app)
+    .post('/api/v1/auth/login')
+    .send({ email: 'test@example.com', password: 'password123' });
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    token = user.generateAuthToken();
+  });
+
+  afterEach(() => {
+    delete process.env.LOGIN_DELAY_AFTER;
+  });
+
+  it('should provide a provisioning URI during setup', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\/LifeFit/);
+    expect(response.body.data.secret).toBeDefined();
+  });
+
+  it('should enable 2FA with a valid code and return recovery codes', async () => {
+    const { recoveryCodes } = await enableTwoFactor();
+
+    expect(recoveryCodes).toHaveLength(10);
+  });
+
+  it('should not enable 2FA with an invalid code', async () => {
+    await request(app)
+      .post('/api/v1/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`);
+
+    await request(app)
+      .post('/api/v1/auth/2fa/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: '000000' })
+      .expect(400);
+  });
+
+  it('should require a second step at login once enabled', async () => {
+    const { secret } = await enableTwoFactor();
+
+    const response = await login().expect(200);
+    expect(response.body.data.twoFactorRequired).toBe(true);
+    expect(response.body.data.tokens).toBeUndefined();
+
+    // The challenge token cannot be used as an access token
+    await request(app)
+      .get('/api/v1/auth/me')
+      .set('Authorization', `Bearer ${response.body.data.challengeToken}`)
+      .expect(401);
+
+    const verify = await request(app)
+      .post('/api/v1/auth/2fa/verify')
+      .send({ challengeToken: response.body.data.challengeToken, code: nextCode(secret) })
+      .expect(200);
+
+    expect(verify.body.data.tokens.access).toBeDefined();
+  });
+
+  it('should keep counting wrong codes across password logins', async () => {
+    await enableTwoFactor();
+    // Disable progressive delays so the attempts can run back to back
+    process.env.LOGIN_DELAY_AFTER = '100';
+
+    for (let i = 0; i < 5; i++) {
+      const challenge = await login().expect(200);
+      await request(app)
+        .post('/api/v1/auth/2fa/verify')
+        .send({ challengeToken: challenge.body.data.challengeToken, code: '000000' });
+    }
+
+    const response = await login().expect(423);
+    expect(response.body.code).toBe('ACCOUNT_LOCKED');
+  });
+
+  it('should accept a recovery code only once', async () => {
+    const { recoveryCodes } = await enableTwoFactor();
+
+    const first = await login();
+    await request(app)
+      .post('/api/v1/auth/2fa/verify')
+      .send({ challengeToken: first.body.data.challengeToken, recoveryCode: recoveryCodes[0] })
+      .expect(200);
+
+    const second = await login();
+    await request(app)
+      .post('/api/v1/auth/2fa/verify')
+      .send({ challengeToken: second.body.data.challengeToken, recoveryCode: recoveryCodes[0] })
+      .expect(401);
+  });
+
+  it('should require the password and a valid code to disable 2FA', async () => {
+    const { secret } = await enableTwoFactor();
+
+    await request(app)
+      .post('/api/v1/auth/2fa/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'wrongpassword', code: nextCode(secret) })
+      .expect(400);
+
+    await request(app)
+      .post('/api/v1/auth/2fa/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'password123', code: nextCode(secret) })
+      .expect(200);
+
+    const response = await login().expect(200);
+    expect(response.body.data.tokens.access).toBeDefined();
+  });
+});
\ No newline at end of file
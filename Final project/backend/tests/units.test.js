@@ -0,0 +1,156 @@
+const request = require('supertest');
+const { app } = require('../src/server');
+const HealthData = require('../src/models/HealthData');
+const HealthReading = require('../src/models/HealthReading');
+const Workout = require('../src/models/Workout');
+const { toCanonical, fromCanonical, normalizeHealthMetrics } = require('../src/utils/units');
+const { migrateCanonicalUnits } = require('../src/migrations/canonicalUnits');
+
+describe('Units', () => {
+  let user, token;
+
+  const useUnits = (units) => user.constructor.findByIdAndUpdate(user._id, { 'preferences.units': units });
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    token = user.generateAuthToken();
+  });
+
+  describe('Conversion', () => {
+    it('should convert to and from canonical units', () => {
+      expect(toCanonical('weight', 154.3, 'lbs')).toBeCloseTo(69.989, 3);
+      expect(fromCanonical('weight', 69.989, 'lbs')).toBe(154.3);
+      expect(toCanonical('distance', 1, 'miles')).toBeCloseTo(1.609, 3);
+      expect(toCanonical('volume', 500, 'ml')).toBe(0.5);
+    });
+
+    it('should normalize health metrics in place', () => {
+      const metrics = normalizeHealthMetrics({
+        weight: { value: 220, unit: 'lbs' },
+        hydration: { intake: 8, unit: 'cups' }
+      });
+
+      expect(metrics.weight).toEqual({ value: 99.79, unit: 'kg' });
+      expect(metrics.hydration.unit).toBe('liters');
+    });
+  });
+
+  describe('Health data', () => {
+    it('should store weight in kg and return it in the preferred unit', async () => {
+      await useUnits({ weight: 'lbs' });
+
+      const response = await request(app)
+        .post('/api/v1/health-data')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ date: '2024-03-10', metrics: { weight: { value: 165 } } })
+        .expect(201);
+
+      expect(response.body.data.metrics.weight).toMatchObject({ value: 165, unit: 'lbs' });
+
+      const stored = await HealthData.findOne({ user: user._id });
+      expect(stored.metrics.weight.unit).toBe('kg');
+      expect(stored.metrics.weight.value).toBeCloseTo(74.843, 3);
+    });
+
+    it('should average entries recorded in mixed units', async () => {
+      const today = new Date();
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+      await HealthData.create({ user: user._id, date: yesterday, metrics: { weight: { value: 70, unit: 'kg' } } });
+      await HealthData.create({ user: user._id, date: today, metrics: { weight: { value: 176.37, unit: 'lbs' } } });
+
+      const response = await request(app)
+        .get('/api/v1/health-data/analytics/summary?period=week')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.units.weight).toBe('kg');
+      expect(response.body.data.summary.avgWeight).toBeCloseTo(75, 0);
+    });
+  });
+
+  describe('Readings', () => {
+    it('should read a weight reading without a unit in the preferred unit', async () => {
+      await useUnits({ weight: 'lbs' });
+
+      const response = await request(app)
+        .post('/api/v1/health-data/readings')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ metric: 'weight', value: 180, recordedAt: '2024-03-10T08:00:00Z' })
+        .expect(201);
+
+      expect(response.body.data.reading).toMatchObject({ value: 180, unit: 'lbs' });
+      expect(response.body.data.healthData.metrics.weight).toMatchObject({ value: 180, unit: 'lbs' });
+
+      const stored = await HealthReading.findOne({ user: user._id });
+      expect(stored.unit).toBe('kg');
+      expect(stored.value).toBeCloseTo(81.647, 3);
+
+      const list = await request(app)
+        .get('/api/v1/health-data/readings?metric=weight')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(list.body.data[0]).toMatchObject({ value: 180, unit: 'lbs' });
+    });
+
+    it('should read synced weights without a unit in the preferred unit', async () => {
+      await useUnits({ weight: 'lbs' });
+
+      const device = await request(app)
+        .post('/api/v1/devices')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Scale', type: 'scale' })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/v1/devices/${device.body.data._id}/sync`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ readings: [{ clientId: 'w-1', metric: 'weight', value: 180, recordedAt: '2024-03-10T08:00:00Z' }] })
+        .expect(200);
+
+      const stored = await HealthReading.findOne({ user: user._id });
+      expect(stored.value).toBeCloseTo(81.647, 3);
+    });
+  });
+
+  describe('Workouts', () => {
+    it('should total set distances recorded in different units', async () => {
+      const workout = await Workout.create({
+        user: user._id,
+        name: 'Intervals',
+        type: 'running',
+        date: new Date(),
+        startTime: new Date(),
+        exercises: [{
+          name: 'Run',
+          category: 'cardio',
+          sets: [
+            { distance: { value: 1, unit: 'miles' } },
+            { distance: { value: 400, unit: 'm' } }
+          ]
+        }]
+      });
+
+      expect(workout.summary.totalDistance.value).toBeCloseTo(2.009, 3);
+    });
+  });
+
+  describe('Migration', () => {
+    it('should convert documents stored in other units', async () => {
+      // Written straight to the collection, as entries from before normalization were
+      await HealthData.collection.insertOne({
+        user: user._id,
+        date: new Date('2024-01-01'),
+        metrics: { weight: { value: 200, unit: 'lbs' }, hydration: { intake: 1500, unit: 'ml' } }
+      });
+
+      const counts = await migrateCanonicalUnits();
+
+      expect(counts.healthData).toBe(1);
+      const entry = await HealthData.findOne({ user: user._id });
+      expect(entry.metrics.weight.value).toBeCloseTo(90.718, 3);
+      expect(entry.metrics.hydration).toMatchObject({ intake: 1.5, unit: 'liters' });
+    });
+  });
+});
\ No newline at end of file
@@ -12,6 +12,8 @@ import {
   Sun
 } from 'lucide-react';
 
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api/v1';
+
 const Settings: React.FC = () => {
   const [profile, setProfile] = useState({
     name: 'Jesse Thuranira',
@@ -36,6 +38,7 @@ const Settings: React.FC = () => {
   });
 
   const [activeSection, setActiveSection] = useState('profile');
+  const [exporting, setExporting] = useState(false);
 
   const sections = [
     { id: 'profile', title: 'Profile', icon: User },
@@ -49,9 +52,39 @@ const Settings: React.FC = () => {
     alert('Settings saved successfully!');
   };
 
-  const handleExportData = () => {
-    // Simulate data export
-    alert('Data export started. You will receive an email when ready.');
+  const handleExportData = async () => {
+    setExporting(true);
+    try {
+      const response = await fetch(`${API_URL}/export?format=zip`, { credentials: 'include' });
+
+      // Large accounts are exported in the background and emailed when ready
+      if (response.status === 202) {
+        alert('Data export started. You will receive an email when it is ready to download.');
+        return;
+      }
+      // Exports use the cookie session; without one, retrying will not help
+      if (response.status === 401) {
+        alert('Please sign in to export your data.');
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`Export failed with status ${response.status}`);
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const fileName = /filename="([^"]+)"/.exec(disposition)?.[1] || 'lifefit-export.zip';
+      const url = URL.createObjectURL(await response.blob());
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      alert('Data export failed. Please try again.');
+    } finally {
+      setExporting(false);
+    }
   };
 
   const handleDeleteAllData = () => {
@@ -270,10 +303,11 @@ const Settings: React.FC = () => {
                     <div className="space-y-4">
                       <button
                         onClick={handleExportData}
-                        className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                        disabled={exporting}
+                        className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                       >
                         <Download className="h-4 w-4" />
-                        <span>Export My Data</span>
+                        <span>{exporting ? 'Exporting...' : 'Export My Data'}</span>
                       </button>
                       
                       <button className="flex items-center space-x-2 px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors">